@@ -0,0 +1,45 @@
+// Permissions an institute admin role can grant, one per route group
+const PERMISSIONS = {
+  'users.read': 'View users and their profiles',
+  'users.write': 'Add, edit, change the role of and remove users',
+  'users.import': 'Bulk import users',
+  'users.export': 'Export user data',
+  'users.resetPassword': 'Reset user passwords',
+  'associations.review': 'Approve or reject association requests',
+  'verifications.read': 'View the verification requests of users',
+  'verifications.revoke': 'Revoke approved verifications',
+  'routing.manage': 'Define how verification requests submitted to the institution reach verifiers',
+  'analytics.view': 'View institution analytics',
+  'audit.view': 'View and export the institution audit log',
+  'settings.manage': 'Change institution settings, email branding and email templates',
+  'roles.manage': 'Define admin roles and assign them to institute admins',
+  'structure.manage': 'Manage the departments, programs and cohorts of the institution'
+};
+
+// Permissions a department-scoped assignment narrows to users of those departments;
+// the others always apply to the whole institution
+const SCOPABLE_PERMISSIONS = [
+  'users.read',
+  'users.write',
+  'users.import',
+  'users.export',
+  'users.resetPassword',
+  'verifications.read',
+  'verifications.revoke',
+  'analytics.view'
+];
+
+// What the legacy InstituteAdmin.permissions flags grant to admins without roles
+const LEGACY_PERMISSIONS = {
+  manageUsers: ['users.read', 'users.write', 'users.import', 'users.resetPassword', 'associations.review'],
+  manageVerifiers: ['verifications.read', 'verifications.revoke', 'routing.manage'],
+  viewAnalytics: ['analytics.view', 'users.export', 'audit.view'],
+  manageSettings: ['settings.manage', 'roles.manage', 'structure.manage']
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES: Object.keys(PERMISSIONS),
+  SCOPABLE_PERMISSIONS,
+  LEGACY_PERMISSIONS
+};
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const SuperAdmin = require('../models/SuperAdmin');
 const InstituteAdmin = require('../models/InstituteAdmin');
+const { isTwoFactorRequired } = require('../utils/adminTwoFactor');
+const { resolveAdminAccess } = require('../utils/adminPolicy');
 
 // Generate JWT token for admins
 const generateAdminToken = (payload) => {
@@ -20,7 +22,7 @@ const requireSuperAdmin = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    if (decoded.adminType !== 'SUPER_ADMIN') {
+    if (decoded.purpose || decoded.adminType !== 'SUPER_ADMIN') {
       return res.status(403).json({ message: 'Access denied. Super admin privileges required.' });
     }
 
@@ -49,8 +51,9 @@ const requireSuperAdmin = async (req, res, next) => {
   }
 };
 
-// Middleware to authenticate institute admin
-const requireInstituteAdmin = async (req, res, next) => {
+// Middleware to authenticate institute admin.
+// With enforceTwoFactor, admins who still have to enroll in mandated 2FA are turned away.
+const authenticateInstituteAdmin = (enforceTwoFactor) => async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -60,7 +63,7 @@ const requireInstituteAdmin = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    if (decoded.adminType !== 'INSTITUTE_ADMIN') {
+    if (decoded.purpose || decoded.adminType !== 'INSTITUTE_ADMIN') {
       return res.status(403).json({ message: 'Access denied. Institute admin privileges required.' });
     }
 
@@ -74,6 +77,13 @@ const requireInstituteAdmin = async (req, res, next) => {
       return res.status(423).json({ message: 'Account is temporarily locked.' });
     }
 
+    if (enforceTwoFactor && !admin.twoFactorEnabled && await isTwoFactorRequired('INSTITUTE_ADMIN')) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required. Please set it up to continue.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     req.admin = admin;
     req.adminType = 'INSTITUTE_ADMIN';
     next();
@@ -89,6 +99,11 @@ const requireInstituteAdmin = async (req, res, next) => {
   }
 };
 
+const requireInstituteAdmin = authenticateInstituteAdmin(true);
+
+// For the profile and 2FA enrollment routes, reachable before mandated 2FA is set up
+const requireInstituteAdminAccount = authenticateInstituteAdmin(false);
+
 // Middleware to authenticate any admin (super or institute)
 const requireAnyAdmin = async (req, res, next) => {
   try {
@@ -100,7 +115,7 @@ const requireAnyAdmin = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    if (!['SUPER_ADMIN', 'INSTITUTE_ADMIN'].includes(decoded.adminType)) {
+    if (decoded.purpose || !['SUPER_ADMIN', 'INSTITUTE_ADMIN'].includes(decoded.adminType)) {
       return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
     }
 
@@ -134,24 +149,35 @@ const requireAnyAdmin = async (req, res, next) => {
   }
 };
 
-// Check specific permission for institute admin
-const requirePermission = (permission) => {
-  return (req, res, next) => {
-    if (req.adminType === 'SUPER_ADMIN') {
-      // Super admins have all permissions
-      return next();
-    }
+// Middleware to check an institute admin permission (see config/permissions).
+// Department-scoped grants leave the allowed departments in req.adminScope.
+const requirePolicy = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (req.adminType === 'SUPER_ADMIN') {
+        // Super admins have all permissions
+        req.adminScope = null;
+        return next();
+      }
 
-    if (req.adminType === 'INSTITUTE_ADMIN') {
-      if (!req.admin.permissions[permission]) {
-        return res.status(403).json({ 
-          message: `Access denied. ${permission} permission required.` 
-        });
+      if (req.adminType === 'INSTITUTE_ADMIN') {
+        req.adminAccess = req.adminAccess || await resolveAdminAccess(req.admin);
+
+        if (!(permission in req.adminAccess)) {
+          return res.status(403).json({ 
+            message: `Access denied. ${permission} permission required.` 
+          });
+        }
+
+        req.adminScope = req.adminAccess[permission];
+        return next();
       }
-      return next();
-    }
 
-    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+      return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+    } catch (error) {
+      console.error('Admin policy error:', error);
+      res.status(500).json({ message: 'Authorization error.' });
+    }
   };
 };
 
@@ -159,6 +185,7 @@ module.exports = {
   generateAdminToken,
   requireSuperAdmin,
   requireInstituteAdmin,
+  requireInstituteAdminAccount,
   requireAnyAdmin,
-  requirePermission
+  requirePolicy
 };
\ No newline at end of file
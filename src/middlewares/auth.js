@@ -1,5 +1,7 @@
 const { verifyToken } = require('../utils/jwt');
 const User = require('../models/User');
+const Institution = require('../models/Institution');
+const { touchSession } = require('../utils/sessions');
 
 const requireAuth = async (req, res, next) => {
   try {
@@ -12,6 +14,17 @@ const requireAuth = async (req, res, next) => {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
     const decoded = verifyToken(token);
+
+    // Tokens issued before sessions existed carry no sessionId and simply run out
+    if (decoded.sessionId) {
+      const session = await touchSession(decoded.sessionId, req);
+
+      if (!session) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+
+      req.sessionId = session._id;
+    }
     
     const user = await User.findById(decoded.userId).select('-passwordHash');
     
@@ -34,6 +47,18 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
+// Sign the user in when a token is sent, but let anonymous requests through.
+// A bad or expired token is still refused so the client knows to refresh it.
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  return requireAuth(req, res, next);
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -50,7 +75,37 @@ const requireRole = (roles) => {
   };
 };
 
+// Block unconfirmed accounts when the user's institution requires a confirmed email
+const requireConfirmedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    if (req.user.emailVerified || !req.user.institute) {
+      return next();
+    }
+
+    const institution = await Institution.findOne({ name: req.user.institute })
+      .select('settings.requireConfirmedEmail');
+
+    if (institution && institution.settings && institution.settings.requireConfirmedEmail) {
+      return res.status(403).json({
+        message: 'Please confirm your email address first. Your institution requires a confirmed email to request verifications.',
+        code: 'EMAIL_NOT_CONFIRMED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Confirmed email check error:', error);
+    return res.status(500).json({ message: 'Server error during authentication' });
+  }
+};
+
 module.exports = {
   requireAuth,
-  requireRole
+  optionalAuth,
+  requireRole,
+  requireConfirmedEmail
 };
\ No newline at end of file
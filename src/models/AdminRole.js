@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { PERMISSION_NAMES } = require('../config/permissions');
+
+// Named set of permissions assigned to institute admins.
+// Roles without an institution are defined by super admins and available to every institution.
+const adminRoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  institution: {
+    type: String,
+    default: null
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSION_NAMES
+  }],
+  createdBy: {
+    type: {
+      type: String,
+      enum: ['SUPER_ADMIN', 'INSTITUTE_ADMIN']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+adminRoleSchema.index({ institution: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('AdminRole', adminRoleSchema);
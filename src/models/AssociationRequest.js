@@ -79,7 +79,8 @@ associationRequestSchema.index({ studentId: 1, verifierId: 1 });
 associationRequestSchema.index({ verifierId: 1, status: 1 });
 associationRequestSchema.index({ studentId: 1, status: 1 });
 associationRequestSchema.index({ institute: 1, status: 1 });
-associationRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Expired requests are deleted by the cleanup-expired-association-requests job (utils/scheduledJobs)
+associationRequestSchema.index({ expiresAt: 1 });
 
 // Prevent duplicate pending requests for the same student and institute
 associationRequestSchema.index(
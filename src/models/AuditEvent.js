@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const ACTOR_TYPES = ['SUPER_ADMIN', 'INSTITUTE_ADMIN', 'USER', 'VERIFIER', 'SYSTEM'];
+
+// Append-only record of an admin or verifier action. Every event stores the hash
+// of its predecessor, so editing or removing one breaks the chain after it.
+const auditEventSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now,
+    index: true
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ACTOR_TYPES,
+      required: true
+    },
+    id: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    name: String
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  target: {
+    type: {
+      type: String
+    },
+    id: String,
+    label: String
+  },
+  // Institution name the event belongs to, used to scope institute admin views
+  institution: {
+    type: String,
+    index: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: String,
+  userAgent: String,
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: false, // We're using our own timestamp field
+  minimize: false // Keep empty objects so stored events hash exactly as written
+});
+
+auditEventSchema.index({ 'actor.id': 1, timestamp: -1 });
+auditEventSchema.index({ 'target.type': 1, 'target.id': 1, timestamp: -1 });
+auditEventSchema.index({ institution: 1, sequence: -1 });
+
+// Events can be appended but never changed or removed through the application
+const rejectMutation = function(next) {
+  next(new Error('Audit events are immutable'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+], rejectMutation);
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
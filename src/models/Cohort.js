@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Batch of students in a program, e.g. B.Tech CSE 2026
+const cohortSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: true,
+    index: true
+  },
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program',
+    required: true,
+    index: true
+  },
+  // Copied from the program so cohorts can be filtered by department directly
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    maxLength: 30,
+    match: [/^[A-Z0-9_-]+$/, 'Code may only contain letters, digits, dashes and underscores']
+  },
+  startYear: {
+    type: Number,
+    min: 1900,
+    max: 2200
+  },
+  graduationYear: {
+    type: Number,
+    min: 1900,
+    max: 2200
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+cohortSchema.index({ institution: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Cohort', cohortSchema);
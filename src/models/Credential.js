@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const credentialSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  itemType: {
+    type: String,
+    required: true,
+    enum: ['EXPERIENCE', 'EDUCATION', 'PROJECT']
+  },
+  verificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Verification'
+  },
+  verifierEmail: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  keyId: {
+    type: String,
+    required: true
+  },
+  // The signed credential exactly as it was issued (including its proof)
+  document: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'REVOKED'],
+    default: 'ACTIVE',
+    index: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revocationReason: {
+    type: String,
+    maxLength: 1000
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for better query performance
+credentialSchema.index({ itemId: 1, itemType: 1 });
+credentialSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Credential', credentialSchema);
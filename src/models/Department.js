@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Academic department of an institution; contains programs
+const departmentSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  // Short identifier used in bulk imports, e.g. CSE
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    maxLength: 20,
+    match: [/^[A-Z0-9_-]+$/, 'Code may only contain letters, digits, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+departmentSchema.index({ institution: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { reindexPortfolioOnChange } = require('../utils/searchIndexQueue');
 
 const educationSchema = new mongoose.Schema({
   userId: {
@@ -88,6 +89,31 @@ const educationSchema = new mongoose.Schema({
     trim: true,
     maxLength: 1000
   },
+  // Verifiers who approved the item (several when a quorum is required)
+  endorsements: [{
+    verificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Verification'
+    },
+    verifierEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    verifierName: {
+      type: String,
+      trim: true
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: 1000
+    },
+    endorsedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isPublic: {
     type: Boolean,
     default: true // By default, education entries are public
@@ -113,4 +139,7 @@ educationSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the portfolio search index in step
+educationSchema.plugin(reindexPortfolioOnChange);
+
 module.exports = mongoose.model('Education', educationSchema);
\ No newline at end of file
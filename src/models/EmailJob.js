@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const emailJobSchema = new mongoose.Schema({
+  to: [{
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  }],
+  from: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  html: {
+    type: String
+  },
+  text: {
+    type: String
+  },
+  // Which email this is (e.g. VERIFICATION_REQUEST), for filtering
+  template: {
+    type: String,
+    trim: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['QUEUED', 'SENDING', 'SENT', 'FAILED', 'DEAD'],
+    default: 'QUEUED',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  transport: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  // Bodies containing secrets (e.g. generated passwords) are erased once sent
+  sensitive: {
+    type: Boolean,
+    default: false
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  replayedBy: {
+    type: String,
+    trim: true
+  },
+  replayedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for better query performance
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ to: 1, createdAt: -1 });
+emailJobSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One entry per delivery attempt of an EmailJob
+const emailLogSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmailJob',
+    required: true,
+    index: true
+  },
+  to: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  subject: {
+    type: String,
+    trim: true
+  },
+  template: {
+    type: String,
+    trim: true
+  },
+  transport: {
+    type: String,
+    required: true
+  },
+  attempt: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['SENT', 'FAILED'],
+    required: true,
+    index: true
+  },
+  providerMessageId: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: false // We're using our own timestamp field
+});
+
+// Indexes for better query performance
+emailLogSchema.index({ jobId: 1, timestamp: -1 });
+emailLogSchema.index({ to: 1, timestamp: -1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { reindexPortfolioOnChange } = require('../utils/searchIndexQueue');
 
 const experienceSchema = new mongoose.Schema({
   userId: {
@@ -69,6 +70,31 @@ const experienceSchema = new mongoose.Schema({
     trim: true,
     maxLength: 1000
   },
+  // Verifiers who approved the item (several when a quorum is required)
+  endorsements: [{
+    verificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Verification'
+    },
+    verifierEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    verifierName: {
+      type: String,
+      trim: true
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: 1000
+    },
+    endorsedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isPublic: {
     type: Boolean,
     default: true // By default, experiences are public
@@ -94,4 +120,7 @@ experienceSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the portfolio search index in step
+experienceSchema.plugin(reindexPortfolioOnChange);
+
 module.exports = mongoose.model('Experience', experienceSchema);
\ No newline at end of file
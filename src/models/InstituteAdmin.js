@@ -54,6 +54,20 @@ const instituteAdminSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Custom roles; when any are assigned they replace the permission flags above
+  roles: [{
+    _id: false,
+    role: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminRole',
+      required: true
+    },
+    // Limits the role's user and verification permissions to these departments (empty = whole institution)
+    departments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    }]
+  }],
   profilePicture: {
     type: String,
     trim: true
@@ -72,6 +86,33 @@ const instituteAdminSchema = new mongoose.Schema({
   lockUntil: {
     type: Date
   },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String // Encrypted, see utils/totp
+  },
+  // Secret waiting for the first valid code during enrollment
+  twoFactorPendingSecret: {
+    type: String
+  },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  twoFactorLastCounter: {
+    type: Number
+  },
+  twoFactorRecoveryCodes: [{
+    hash: {
+      type: String,
+      required: true
+    },
+    usedAt: {
+      type: Date
+    }
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SuperAdmin',
@@ -156,6 +197,10 @@ instituteAdminSchema.methods.toJSON = function() {
   delete admin.passwordHash;
   delete admin.loginAttempts;
   delete admin.lockUntil;
+  delete admin.twoFactorSecret;
+  delete admin.twoFactorPendingSecret;
+  delete admin.twoFactorLastCounter;
+  delete admin.twoFactorRecoveryCodes;
   return admin;
 };
 
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { COMMON_MESSAGES, TEMPLATE_NAMES } = require('../utils/emailTemplates');
+
+// Email templates an institution can reword (COMMON covers the shared greeting/footer text)
+const EMAIL_TEMPLATES = [COMMON_MESSAGES, ...TEMPLATE_NAMES];
+
+const HEX_COLOR = [/^#[0-9a-fA-F]{6}$/, 'Please enter a hex color like #667eea'];
 
 const institutionSchema = new mongoose.Schema({
   name: {
@@ -56,8 +62,79 @@ const institutionSchema = new mongoose.Schema({
     maxUsersLimit: {
       type: Number,
       default: 1000
+    },
+    // Students must confirm their email address before requesting verifications
+    requireConfirmedEmail: {
+      type: Boolean,
+      default: false
+    },
+    // Response times for verification requests (see utils/verificationSla)
+    verificationSla: {
+      // Hours a verifier has to respond before the request is escalated
+      responseHours: {
+        type: Number,
+        min: 1,
+        max: 71,
+        default: 48
+      },
+      // Hours after the request at which the verifier is reminded
+      reminderHours: {
+        type: [Number],
+        default: [24]
+      },
+      escalateTo: {
+        type: String,
+        enum: ['ALTERNATE_VERIFIER', 'INSTITUTE_ADMIN', 'NONE'],
+        default: 'INSTITUTE_ADMIN'
+      }
     }
   },
+  // Look of outgoing emails (the header also shows the institution logo)
+  emailBranding: {
+    primaryColor: {
+      type: String,
+      trim: true,
+      match: HEX_COLOR
+    },
+    accentColor: {
+      type: String,
+      trim: true,
+      match: HEX_COLOR
+    },
+    senderName: {
+      type: String,
+      trim: true,
+      maxLength: 100
+    },
+    footerText: {
+      type: String,
+      trim: true,
+      maxLength: 500
+    }
+  },
+  // Wording overrides for the email message catalogs; no locale = every locale
+  emailTemplates: [{
+    template: {
+      type: String,
+      enum: EMAIL_TEMPLATES,
+      required: true
+    },
+    locale: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null
+    },
+    messages: {
+      type: Map,
+      of: String,
+      default: {}
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   stats: {
     totalUsers: {
       type: Number,
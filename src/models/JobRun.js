@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One execution of a scheduled job
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true,
+    index: true
+  },
+  trigger: {
+    type: String,
+    enum: ['SCHEDULE', 'MANUAL', 'SCRIPT'],
+    required: true
+  },
+  // Email of the super admin who triggered a manual run
+  triggeredBy: {
+    type: String
+  },
+  instance: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['RUNNING', 'SUCCEEDED', 'FAILED'],
+    default: 'RUNNING',
+    index: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  // What the job reported, e.g. { deleted: 12 }
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: false // startedAt and finishedAt are the timestamps
+});
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
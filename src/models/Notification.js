@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['VERIFICATION_REQUESTED', 'VERIFICATION_DECIDED', 'ASSOCIATION_RESPONDED', 'ROLE_CHANGED'],
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 2000
+  },
+  // Frontend path the notification points to (e.g. /verify/:token)
+  link: {
+    type: String,
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Shown in the in-app inbox
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  },
+  emailDelivery: {
+    type: String,
+    enum: ['IMMEDIATE', 'DAILY_DIGEST', 'NONE'],
+    default: 'NONE'
+  },
+  emailStatus: {
+    type: String,
+    enum: ['NOT_REQUIRED', 'SENT', 'FAILED', 'PENDING_DIGEST'],
+    default: 'NOT_REQUIRED'
+  },
+  digestedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes for better query performance
+notificationSchema.index({ userId: 1, inApp: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ emailStatus: 1, createdAt: 1 });
+
+// Mark notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.read) {
+    this.read = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Platform-wide policies managed by super admins (a single document)
+const platformSettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'platform',
+    unique: true,
+    immutable: true
+  },
+  security: {
+    // Institute admins must enroll in two-factor authentication before using the dashboard
+    requireInstituteAdminTwoFactor: {
+      type: Boolean,
+      default: false
+    },
+    requireInstituteAdminTwoFactorSince: {
+      type: Date
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SuperAdmin'
+  }
+}, {
+  timestamps: true
+});
+
+let cached = null;
+let cachedAt = 0;
+
+// Get the settings document, creating it with defaults on first use
+platformSettingsSchema.statics.getSettings = async function({ fresh = false } = {}) {
+  if (!fresh && cached && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  cached = await this.findOneAndUpdate(
+    { key: 'platform' },
+    { $setOnInsert: { key: 'platform' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  cachedAt = Date.now();
+
+  return cached;
+};
+
+platformSettingsSchema.post('save', function(doc) {
+  cached = doc;
+  cachedAt = Date.now();
+});
+
+module.exports = mongoose.model('PlatformSettings', platformSettingsSchema);
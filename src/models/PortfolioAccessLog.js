@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One opening of a portfolio through a share link
+const portfolioAccessLogSchema = new mongoose.Schema({
+  shareLinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PortfolioShareLink',
+    required: true
+  },
+  // Owner of the portfolio
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  resource: {
+    type: String,
+    enum: ['PORTFOLIO', 'PDF', 'EXPORT'],
+    required: true
+  },
+  // Set when the visitor was signed in
+  viewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  accessedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+portfolioAccessLogSchema.index({ shareLinkId: 1, accessedAt: -1 });
+// Entries are kept for a year
+portfolioAccessLogSchema.index({ accessedAt: 1 }, { expireAfterSeconds: 365 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PortfolioAccessLog', portfolioAccessLogSchema);
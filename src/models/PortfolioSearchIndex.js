@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Searchable copy of one listed portfolio (PUBLIC or INSTITUTE_ONLY), holding only what the portfolio shows.
+// Rebuilt from the user and their items by utils/portfolioSearch.
+const portfolioSearchIndexSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // PUBLIC, or institute:<name> for INSTITUTE_ONLY portfolios
+  audience: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  slug: {
+    type: String
+  },
+  role: {
+    type: String
+  },
+  bio: {
+    type: String
+  },
+  // Only set when the portfolio shows the institute
+  institute: {
+    type: String
+  },
+  hasGithub: {
+    type: Boolean,
+    default: false
+  },
+  // Lowercased experience tags and project skills
+  skills: [String],
+  // The same, from verified items only
+  verifiedSkills: [String],
+  courseTypes: [String],
+  graduationYears: [Number],
+  // Words to search in: verified items weigh more than the rest
+  verifiedTerms: [String],
+  terms: [String],
+  counts: {
+    experiences: { type: Number, default: 0 },
+    education: { type: Number, default: 0 },
+    projects: { type: Number, default: 0 },
+    verifiedProjects: { type: Number, default: 0 }
+  },
+  verifiedCount: {
+    type: Number,
+    default: 0
+  },
+  indexedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+portfolioSearchIndexSchema.index(
+  { name: 'text', verifiedTerms: 'text', terms: 'text', bio: 'text' },
+  { name: 'portfolio_search', weights: { name: 10, verifiedTerms: 5, terms: 2, bio: 1 } }
+);
+portfolioSearchIndexSchema.index({ audience: 1, verifiedCount: -1, _id: 1 });
+portfolioSearchIndexSchema.index({ skills: 1 });
+portfolioSearchIndexSchema.index({ verifiedSkills: 1 });
+portfolioSearchIndexSchema.index({ institute: 1 });
+portfolioSearchIndexSchema.index({ indexedAt: 1 });
+
+module.exports = mongoose.model('PortfolioSearchIndex', portfolioSearchIndexSchema);
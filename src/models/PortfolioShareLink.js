@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A private link to a portfolio, usually handed to one recruiter; the token itself is never stored
+const portfolioShareLinkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the token in the link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Who the link was made for, e.g. "Acme Corp - Priya (recruiter)"
+  label: {
+    type: String,
+    required: [true, 'Label is required'],
+    trim: true,
+    maxLength: [100, 'Label cannot exceed 100 characters']
+  },
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+portfolioShareLinkSchema.index({ userId: 1, createdAt: -1 });
+
+portfolioShareLinkSchema.methods.getStatus = function() {
+  if (this.revokedAt) return 'REVOKED';
+  if (this.expiresAt <= new Date()) return 'EXPIRED';
+  return 'ACTIVE';
+};
+
+module.exports = mongoose.model('PortfolioShareLink', portfolioShareLinkSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One read of a portfolio or project by someone other than its owner.
+// No IP address or identity is stored: the visitor ID is a hash that changes every day.
+const portfolioViewEventSchema = new mongoose.Schema({
+  // Owner of the portfolio
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['PORTFOLIO', 'PROJECT'],
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  // Not set when the visitor asked not to be tracked (DNT / GPC)
+  visitorId: {
+    type: String
+  },
+  // Host name only, e.g. linkedin.com
+  referrerHost: {
+    type: String,
+    trim: true,
+    maxLength: 255
+  },
+  // ISO country code from the local IP database
+  country: {
+    type: String,
+    uppercase: true,
+    maxLength: 2
+  },
+  // Institution of a signed-in viewer, never the viewer themselves
+  viewerInstitute: {
+    type: String,
+    trim: true
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+portfolioViewEventSchema.index({ userId: 1, occurredAt: -1 });
+// Raw events are only kept until they are safely rolled up
+portfolioViewEventSchema.index({ occurredAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PortfolioViewEvent', portfolioViewEventSchema);
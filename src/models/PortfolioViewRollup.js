@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const countSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  count: { type: Number, default: 0 }
+}, { _id: false });
+
+// Portfolio views of one user on one day (UTC), built from PortfolioViewEvent
+const portfolioViewRollupSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // YYYY-MM-DD
+  day: {
+    type: String,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  portfolioViews: {
+    type: Number,
+    default: 0
+  },
+  projectViews: {
+    type: Number,
+    default: 0
+  },
+  // Distinct visitor IDs of the day; visitors who opted out of tracking are not counted
+  uniqueVisitors: {
+    type: Number,
+    default: 0
+  },
+  referrers: [countSchema],
+  countries: [countSchema],
+  institutions: [countSchema],
+  // Keyed by project ID
+  projects: [countSchema]
+}, {
+  timestamps: true
+});
+
+portfolioViewRollupSchema.index({ userId: 1, day: 1 }, { unique: true });
+portfolioViewRollupSchema.index({ day: -1 });
+
+module.exports = mongoose.model('PortfolioViewRollup', portfolioViewRollupSchema);
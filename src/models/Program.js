@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Degree program offered by a department, e.g. B.Tech Computer Science
+const programSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: true,
+    index: true
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    maxLength: 20,
+    match: [/^[A-Z0-9_-]+$/, 'Code may only contain letters, digits, dashes and underscores']
+  },
+  degree: {
+    type: String,
+    trim: true,
+    maxLength: 50
+  },
+  durationYears: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+programSchema.index({ institution: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Program', programSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { reindexPortfolioOnChange } = require('../utils/searchIndexQueue');
 
 const projectSchema = new mongoose.Schema({
   userId: {
@@ -241,7 +242,51 @@ const projectSchema = new mongoose.Schema({
       trim: true
     }]
   },
-  // Note: Projects don't require verification as they can be individual work
+  
+  // Verification (e.g. supervisor sign-off for academic and hackathon projects)
+  verified: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  verifiedAt: {
+    type: Date
+  },
+  verifiedBy: {
+    type: String,
+    trim: true,
+    maxLength: 200
+  },
+  verifierComment: {
+    type: String,
+    trim: true,
+    maxLength: 1000
+  },
+  // Verifiers who approved the item (several when a quorum is required)
+  endorsements: [{
+    verificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Verification'
+    },
+    verifierEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    verifierName: {
+      type: String,
+      trim: true
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxLength: 1000
+    },
+    endorsedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
   // Visibility
   isPublic: {
@@ -289,7 +334,13 @@ projectSchema.index({
   keyFeatures: 'text'
 });
 
-// Projects don't need verification pre-save hooks
+// Update verifiedAt when verified status changes
+projectSchema.pre('save', function(next) {
+  if (this.isModified('verified') && this.verified) {
+    this.verifiedAt = new Date();
+  }
+  next();
+});
 
 // Virtual for like count
 projectSchema.virtual('likeCount').get(function() {
@@ -304,4 +355,7 @@ projectSchema.virtual('projectAge').get(function() {
 // Ensure virtuals are included in JSON
 projectSchema.set('toJSON', { virtuals: true });
 
+// Keep the portfolio search index in step
+projectSchema.plugin(reindexPortfolioOnChange);
+
 module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Decides which verifiers receive a verification request submitted to the institution.
+// Rules are tried by ascending priority; empty conditions match everything.
+const routingRuleSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+  priority: {
+    type: Number,
+    default: 100,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  conditions: {
+    itemTypes: [{
+      type: String,
+      enum: ['EXPERIENCE', 'EDUCATION', 'PROJECT']
+    }],
+    // Department of the student
+    departments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Department'
+    }],
+    // Education entries only
+    courseTypes: [{
+      type: String,
+      enum: ['10TH', '12TH', 'DIPLOMA', 'BACHELORS', 'MASTERS', 'PHD', 'CERTIFICATE', 'OTHER']
+    }],
+    // Experience entries only; matches when the experience has any of them
+    tags: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+      maxLength: 50
+    }]
+  },
+  // Verifiers taking turns on matching requests (empty = every verifier of the institution)
+  verifiers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Last verifier picked by this rule, to rotate between verifiers with equal queues
+  lastAssignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastAssignedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+routingRuleSchema.index({ institution: 1, priority: 1 });
+
+module.exports = mongoose.model('RoutingRule', routingRuleSchema);
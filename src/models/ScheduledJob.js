@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A recurring background job (see utils/scheduler). One document per job definition;
+// the lock fields make sure only one server instance runs a job at a time.
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  intervalMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  pausedBy: {
+    type: String // Email of the super admin who paused the job
+  },
+  pausedAt: {
+    type: Date
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // Instance holding the job while it runs, until lockedUntil (a crashed instance's lock lapses)
+  lockedBy: {
+    type: String
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['SUCCEEDED', 'FAILED']
+  },
+  lastError: {
+    type: String
+  },
+  lastDurationMs: {
+    type: Number
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
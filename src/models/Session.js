@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One signed-in device; access tokens carry its id and refresh tokens rotate within it
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token (the token itself is never stored)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of already rotated refresh tokens, used to detect reuse of a stolen token
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  loginMethod: {
+    type: String,
+    enum: ['PASSWORD', 'GOOGLE', 'REGISTER'],
+    required: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  createdIp: {
+    type: String,
+    trim: true
+  },
+  lastSeenIp: {
+    type: String,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRefreshedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['LOGOUT', 'REVOKED_BY_USER', 'REVOKED_ALL', 'PASSWORD_CHANGED', 'TOKEN_REUSE']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+// Expired sessions are removed automatically; their access tokens are long expired by then
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One claim or change of a portfolio slug. Entries are never removed, unlike SlugRedirect
+// rows that go away when a user takes an old slug back, so they count towards the change limit.
+const slugChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Empty for the first slug of a user
+  fromSlug: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  toSlug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slugChangeSchema.index({ userId: 1, changedAt: -1 });
+
+module.exports = mongoose.model('SlugChange', slugChangeSchema);
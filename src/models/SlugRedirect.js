@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A portfolio slug a user moved away from; links using it keep working and nobody else can claim it
+const slugRedirectSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // When the user took the slug and when they replaced it
+  claimedAt: {
+    type: Date
+  },
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slugRedirectSchema.index({ userId: 1, replacedAt: -1 });
+
+module.exports = mongoose.model('SlugRedirect', slugRedirectSchema);
@@ -70,8 +70,28 @@ const superAdminSchema = new mongoose.Schema({
     default: false
   },
   twoFactorSecret: {
+    type: String // Encrypted, see utils/totp
+  },
+  // Secret waiting for the first valid code during enrollment
+  twoFactorPendingSecret: {
     type: String
   },
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  twoFactorLastCounter: {
+    type: Number
+  },
+  twoFactorRecoveryCodes: [{
+    hash: {
+      type: String,
+      required: true
+    },
+    usedAt: {
+      type: Date
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -151,6 +171,9 @@ superAdminSchema.methods.toJSON = function() {
   delete admin.loginAttempts;
   delete admin.lockUntil;
   delete admin.twoFactorSecret;
+  delete admin.twoFactorPendingSecret;
+  delete admin.twoFactorLastCounter;
+  delete admin.twoFactorRecoveryCodes;
   return admin;
 };
 
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { reindexPortfolioOnChange } = require('../utils/searchIndexQueue');
+
+const NOTIFICATION_DELIVERY = ['IMMEDIATE', 'DAILY_DIGEST', 'NONE'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -39,6 +42,16 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Last confirmation / reset emails, to throttle repeated requests
+  emailConfirmationSentAt: {
+    type: Date
+  },
+  passwordResetSentAt: {
+    type: Date
+  },
   profileSetupComplete: {
     type: Boolean,
     default: false
@@ -123,14 +136,46 @@ const userSchema = new mongoose.Schema({
     maxLength: 200,
     index: true
   },
+  // Placement within the institute, set by institute admins (see utils/institutionStructure)
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Program'
+  },
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort'
+  },
+  // Language for emails (see src/locales)
+  locale: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    maxLength: 10,
+    default: 'en'
+  },
   profileJson: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Public address of the portfolio (/portfolio/<slug>); previous slugs redirect (see SlugRedirect)
+  portfolioSlug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  portfolioSlugClaimedAt: {
+    type: Date
+  },
   portfolioSettings: {
     visibility: {
       type: String,
-      enum: ['PUBLIC', 'PRIVATE', 'INSTITUTE_ONLY'],
+      enum: ['PUBLIC', 'PRIVATE', 'INSTITUTE_ONLY', 'UNLISTED'],
       default: 'PUBLIC'
     },
     sections: {
@@ -142,6 +187,25 @@ const userSchema = new mongoose.Schema({
       showInstitute: { type: Boolean, default: true }
     }
   },
+  // Per-event choice of in-app notification and email delivery
+  notificationPreferences: {
+    verificationRequested: { // Verifiers: a student asked for verification
+      inApp: { type: Boolean, default: true },
+      email: { type: String, enum: NOTIFICATION_DELIVERY, default: 'IMMEDIATE' }
+    },
+    verificationDecided: { // Students: an item was approved, rejected or revoked
+      inApp: { type: Boolean, default: true },
+      email: { type: String, enum: NOTIFICATION_DELIVERY, default: 'IMMEDIATE' }
+    },
+    associationResponded: { // Students: an institute association request was answered
+      inApp: { type: Boolean, default: true },
+      email: { type: String, enum: NOTIFICATION_DELIVERY, default: 'IMMEDIATE' }
+    },
+    roleChanged: { // An institute admin changed your role
+      inApp: { type: Boolean, default: true },
+      email: { type: String, enum: NOTIFICATION_DELIVERY, default: 'IMMEDIATE' }
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -154,6 +218,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ githubUsername: 1 });
 userSchema.index({ googleId: 1 });
+userSchema.index({ institute: 1, department: 1 });
+userSchema.index({ institute: 1, program: 1 });
+userSchema.index({ institute: 1, cohort: 1 });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -182,4 +249,7 @@ userSchema.methods.toJSON = function() {
   return user;
 };
 
+// Keep the portfolio search index in step
+userSchema.plugin(reindexPortfolioOnChange, { userIdPath: '_id' });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
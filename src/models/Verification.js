@@ -9,7 +9,7 @@ const verificationSchema = new mongoose.Schema({
   itemType: {
     type: String,
     required: true,
-    enum: ['EXPERIENCE', 'EDUCATION', 'GITHUB_PROJECT'],
+    enum: ['EXPERIENCE', 'EDUCATION', 'PROJECT', 'GITHUB_PROJECT'], // GITHUB_PROJECT kept for legacy records
     index: true
   },
   // Legacy field for backward compatibility
@@ -17,6 +17,16 @@ const verificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Experience'
   },
+  // Student who asked for the verification and their institution (set on requests since SLA tracking)
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  institution: {
+    type: String,
+    index: true
+  },
   verifierEmail: {
     type: String,
     required: true,
@@ -32,7 +42,7 @@ const verificationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    enum: ['PENDING', 'CHANGES_REQUESTED', 'APPROVED', 'REJECTED', 'REVOKED', 'CANCELLED', 'EXPIRED', 'REASSIGNED'],
     default: 'PENDING',
     index: true
   },
@@ -47,12 +57,191 @@ const verificationSchema = new mongoose.Schema({
   actedAt: {
     type: Date
   },
+  revokedBy: {
+    type: String, // Email of person who revoked an approval
+    trim: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revocationReason: {
+    type: String,
+    maxLength: 1000
+  },
+  // Shared by all endorser requests created together for one item
+  endorsementGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  // How many endorsements the item needs before it is marked verified
+  quorum: {
+    rule: {
+      type: String,
+      enum: ['ANY', 'ALL', 'N_OF_M'],
+      default: 'ANY'
+    },
+    required: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    total: {
+      type: Number,
+      min: 1,
+      default: 1
+    }
+  },
+  // Set when the request was submitted to the institution and assigned by a routing rule
+  routing: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RoutingRule'
+    },
+    automatic: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Attachments of the item the student pinned as evidence, with the verifier's notes per document
+  evidence: [{
+    url: {
+      type: String,
+      required: true
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxLength: 200
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: [{
+      authorEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+      },
+      text: {
+        type: String,
+        required: true,
+        maxLength: 1000
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  }],
+  // Additional evidence asked for by the verifier (status CHANGES_REQUESTED) and the student's answers
+  changeRequests: [{
+    message: {
+      type: String,
+      required: true,
+      maxLength: 1000
+    },
+    requestedBy: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    response: {
+      type: String,
+      maxLength: 1000
+    },
+    respondedAt: {
+      type: Date
+    }
+  }],
+  // Conversation between the verifier and the student while the request is open (see utils/verificationThread)
+  messages: [{
+    authorRole: {
+      type: String,
+      enum: ['VERIFIER', 'STUDENT'],
+      required: true
+    },
+    authorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    authorName: {
+      type: String
+    },
+    // Plain messages, plus entries added by change requests, answers and item edits
+    kind: {
+      type: String,
+      enum: ['MESSAGE', 'CHANGES_REQUESTED', 'CHANGES_SUBMITTED', 'ITEM_EDITED'],
+      default: 'MESSAGE'
+    },
+    text: {
+      type: String,
+      required: true,
+      maxLength: 1000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // When the request was last handed to the verifier: on creation, then on each answer to a change request
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Response deadline from the institution's SLA settings (see utils/verificationSla)
+  dueAt: {
+    type: Date,
+    index: true
+  },
+  reminders: {
+    // Reminders sent by the SLA schedule and on request of the student or an admin
+    scheduled: {
+      type: Number,
+      default: 0
+    },
+    manual: {
+      type: Number,
+      default: 0
+    },
+    lastSentAt: {
+      type: Date
+    }
+  },
+  escalation: {
+    escalatedAt: {
+      type: Date
+    },
+    target: {
+      type: String,
+      enum: ['ALTERNATE_VERIFIER', 'INSTITUTE_ADMIN']
+    },
+    // Request that took over from this one (status REASSIGNED)
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Verification'
+    },
+    // Request this one took over from
+    escalatedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Verification'
+    }
+  },
+  // Unanswered requests become EXPIRED after this date; they are kept for the SLA report
   expiresAt: {
     type: Date,
     default: function() {
       return new Date(Date.now() + 72 * 60 * 60 * 1000); // 72 hours
     },
-    index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    index: true
+  },
+  expiredAt: {
+    type: Date
   },
   createdAt: {
     type: Date,
@@ -68,6 +257,7 @@ verificationSchema.index({ itemId: 1, itemType: 1 });
 verificationSchema.index({ experienceId: 1 }); // Keep for backward compatibility
 verificationSchema.index({ verifierEmail: 1 });
 verificationSchema.index({ status: 1 });
+verificationSchema.index({ status: 1, expiresAt: 1 });
 
 // Pre-save middleware to handle backward compatibility
 verificationSchema.pre('save', function(next) {
@@ -78,9 +268,9 @@ verificationSchema.pre('save', function(next) {
   next();
 });
 
-// Update actedAt when status changes
+// Update actedAt when status changes (only approvals and rejections are decisions)
 verificationSchema.pre('save', function(next) {
-  if (this.isModified('status') && this.status !== 'PENDING') {
+  if (this.isModified('status') && ['APPROVED', 'REJECTED'].includes(this.status)) {
     this.actedAt = new Date();
   }
   next();
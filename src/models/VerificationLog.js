@@ -10,7 +10,12 @@ const verificationLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['CREATED', 'APPROVED', 'REJECTED', 'VIEWED'],
+    enum: [
+      'CREATED', 'APPROVED', 'REJECTED', 'VIEWED', 'REVOKED', 'INVALIDATED', 'QUORUM_MET', 'CANCELLED',
+      'EMAIL_RESENT', 'REMINDER_SENT', 'ESCALATED', 'REASSIGNED', 'EXPIRED',
+      'CHANGES_REQUESTED', 'CHANGES_SUBMITTED', 'EVIDENCE_NOTE_ADDED',
+      'MESSAGE_POSTED', 'ITEM_EDITED'
+    ],
     index: true
   },
   actorEmail: {
@@ -2,6 +2,7 @@ const express = require('express');
 const AssociationRequest = require('../models/AssociationRequest');
 const User = require('../models/User');
 const { requireAuth } = require('../middlewares/auth');
+const { notify } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -279,6 +280,18 @@ router.put('/:requestId/respond', requireAuth, async (req, res) => {
       verifierName: verifier.name
     });
 
+    // Let the student know about the decision
+    await notify({
+      userId: student._id,
+      type: 'ASSOCIATION_RESPONDED',
+      title: `Association request ${newStatus.toLowerCase()}`,
+      message: action === 'approve'
+        ? `${verifier.name} approved your request to join ${associationRequest.institute} as ${associationRequest.requestedRole.toLowerCase()}`
+        : `${verifier.name} rejected your request to join ${associationRequest.institute}${response ? `: ${response.trim()}` : ''}`,
+      link: '/dashboard',
+      data: { requestId: associationRequest._id, institute: associationRequest.institute, status: newStatus }
+    });
+
     if (action === 'approve') {
       // Update student's profile with approved association
       await User.findByIdAndUpdate(student._id, {
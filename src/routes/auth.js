@@ -2,10 +2,40 @@ const express = require('express');
 const passport = require('../config/passport');
 const crypto = require('crypto');
 const User = require('../models/User');
-const { generateToken } = require('../utils/jwt');
+const { verifyToken } = require('../utils/jwt');
+const { hashToken, createSession, rotateRefreshToken, touchSession, revokeSessions } = require('../utils/sessions');
+const {
+  getEmailConfirmExpiry,
+  getPasswordResetExpiry,
+  createEmailConfirmationToken,
+  verifyEmailConfirmationToken,
+  createPasswordResetToken,
+  decodePasswordResetToken,
+  isPasswordResetTokenCurrent
+} = require('../utils/accountTokens');
+const { sendEmailConfirmationEmail, sendPasswordResetEmail } = require('../utils/email');
+const { requireAuth } = require('../middlewares/auth');
 
 const router = express.Router();
 
+const ACCOUNT_EMAIL_INTERVAL_MS = 60 * 1000; // One confirmation / reset email per minute
+
+// Email a confirmation link and remember when it was sent
+const sendConfirmation = async (user) => {
+  const sent = await sendEmailConfirmationEmail(
+    user.email,
+    user.name,
+    createEmailConfirmationToken(user),
+    getEmailConfirmExpiry()
+  );
+
+  if (sent) {
+    await User.updateOne({ _id: user._id }, { emailConfirmationSentAt: new Date() });
+  }
+
+  return sent;
+};
+
 // Register - Simplified registration without role/institute
 router.post('/register', async (req, res) => {
   try {
@@ -43,16 +73,18 @@ router.post('/register', async (req, res) => {
 
     await user.save();
 
-    // Generate JWT
-    const token = generateToken({ 
-      userId: user._id, 
-      email: user.email, 
-      role: user.role 
-    });
+    // Start a session (access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req, 'REGISTER');
+
+    const confirmationSent = await sendConfirmation(user);
+    if (!confirmationSent) {
+      console.warn(`Failed to send confirmation email to ${user.email}, but the account was created`);
+    }
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: user.toJSON()
     });
 
@@ -108,16 +140,13 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT
-    const token = generateToken({ 
-      userId: user._id, 
-      email: user.email, 
-      role: user.role 
-    });
+    // Start a session (access token + rotating refresh token)
+    const { token, refreshToken } = await createSession(user, req, 'PASSWORD');
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: user.toJSON()
     });
 
@@ -130,6 +159,190 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Confirm email address
+router.post('/confirm-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ message: 'Confirmation token is required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyEmailConfirmationToken(token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        message: tokenError.name === 'TokenExpiredError'
+          ? 'Confirmation link has expired. Please request a new one.'
+          : 'Invalid confirmation link'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // The link is only valid for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Invalid confirmation link' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      message: 'Email confirmed successfully',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Confirm email error:', error);
+    res.status(500).json({ 
+      message: 'Failed to confirm email', 
+      error: error.message 
+    });
+  }
+});
+
+// Resend email confirmation link
+router.post('/resend-confirmation', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already confirmed' });
+    }
+
+    if (user.emailConfirmationSentAt && Date.now() - user.emailConfirmationSentAt.getTime() < ACCOUNT_EMAIL_INTERVAL_MS) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another confirmation email' });
+    }
+
+    const emailSent = await sendConfirmation(user);
+
+    if (!emailSent) {
+      return res.status(500).json({ message: 'Failed to send confirmation email' });
+    }
+
+    res.json({ message: 'Confirmation email sent' });
+
+  } catch (error) {
+    console.error('Resend confirmation error:', error);
+    res.status(500).json({ 
+      message: 'Failed to send confirmation email', 
+      error: error.message 
+    });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', async (req, res) => {
+  // Same answer whether or not the account exists
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    if (user.passwordResetSentAt && Date.now() - user.passwordResetSentAt.getTime() < ACCOUNT_EMAIL_INTERVAL_MS) {
+      return res.json(genericResponse);
+    }
+
+    const emailSent = await sendPasswordResetEmail(
+      user.email,
+      user.name,
+      createPasswordResetToken(user),
+      getPasswordResetExpiry()
+    );
+
+    if (emailSent) {
+      await User.updateOne({ _id: user._id }, { passwordResetSentAt: new Date() });
+    } else {
+      console.warn(`Failed to send password reset email to ${user.email}`);
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      message: 'Failed to process password reset request', 
+      error: error.message 
+    });
+  }
+});
+
+// Reset password with a reset link token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ 
+        message: 'Reset token and new password are required' 
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ 
+        message: 'New password must be at least 6 characters long' 
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = decodePasswordResetToken(token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        message: tokenError.name === 'TokenExpiredError'
+          ? 'Reset link has expired. Please request a new one.'
+          : 'Invalid reset link'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // The fingerprint changes with the password, so a link cannot be used twice
+    if (!user || !isPasswordResetTokenCurrent(decoded, user)) {
+      return res.status(400).json({ message: 'Reset link is invalid or has already been used' });
+    }
+
+    user.passwordHash = newPassword; // Will be hashed by pre-save middleware
+
+    // Following the emailed link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+
+    // Sign out every device that used the old password
+    await revokeSessions({ userId: user._id }, 'PASSWORD_CHANGED');
+
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      message: 'Failed to reset password', 
+      error: error.message 
+    });
+  }
+});
+
 // Google Auth routes
 router.get('/google', 
   passport.authenticate('google', { scope: ['profile', 'email'] })
@@ -138,17 +351,13 @@ router.get('/google',
 // Google callback — set cookie AND optionally return JSON { token, user }
 router.get('/google/callback',
   passport.authenticate('google', { session: false }),
-  (req, res) => {
+  async (req, res) => {
     try {
       const user = req.user;
       if (!user) throw new Error('No user from passport');
 
-      // Generate JWT token
-      const token = generateToken({
-        userId: user._id,
-        email: user.email,
-        role: user.role
-      });
+      // Start a session (access token + rotating refresh token)
+      const { token, refreshToken } = await createSession(user, req, 'GOOGLE');
 
       // Set httpOnly cookie for cookie-based flow (keeps old behavior)
       res.cookie('auth_token', token, {
@@ -181,13 +390,14 @@ router.get('/google/callback',
           message: 'Login successful',
           success: true,
           token,
+          refreshToken,
           user: safeUser
         });
       }
 
       // Otherwise default redirect flow: include token+user in fragment (not logged by servers)
       const frontend = (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/$/, '');
-      const payload = { token, user: safeUser };
+      const payload = { token, refreshToken, user: safeUser };
       const fragment = `#auth=${encodeURIComponent(JSON.stringify(payload))}`;
 
       return res.redirect(`${frontend}/oauth-callback${fragment}`);
@@ -208,14 +418,78 @@ router.get('/status', (req, res) => {
   }
 });
 
-// Logout route
-router.post('/logout', (req, res) => {
-  req.logout((err) => {
-    if (err) {
-      return res.status(500).json({ error: 'Logout failed' });
+// Refresh access token (the refresh token is rotated on every use)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
     }
-    res.json({ message: 'Logged out successfully' });
-  });
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: result.token,
+      refreshToken: result.refreshToken,
+      user: result.user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      message: 'Failed to refresh token', 
+      error: error.message 
+    });
+  }
+});
+
+// Logout route - ends the session of the access token or refresh token sent
+router.post('/logout', async (req, res) => {
+  try {
+    const authHeader = req.headers.authorization;
+    const { refreshToken } = req.body || {};
+
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const decoded = verifyToken(authHeader.substring(7));
+        if (decoded.sessionId) {
+          await revokeSessions({ _id: decoded.sessionId, userId: decoded.userId }, 'LOGOUT');
+        }
+      } catch (tokenError) {
+        // An expired access token can still be logged out with the refresh token
+      }
+    }
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      await revokeSessions({ refreshTokenHash: hashToken(refreshToken) }, 'LOGOUT');
+    }
+
+    res.clearCookie('auth_token', { path: '/' });
+
+    if (typeof req.logout !== 'function') {
+      return res.json({ message: 'Logged out successfully' });
+    }
+
+    req.logout((err) => {
+      if (err) {
+        return res.status(500).json({ error: 'Logout failed' });
+      }
+      res.json({ message: 'Logged out successfully' });
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      message: 'Logout failed', 
+      error: error.message 
+    });
+  }
 });
 
 // Token validation endpoint
@@ -225,8 +499,6 @@ router.post('/validate', async (req, res) => {
   console.log('Cookie header:', req.headers.cookie);
   
   try {
-    const { verifyToken } = require('../utils/jwt');
-    
     let token = null;
     
     // 1. Check Authorization header first
@@ -270,6 +542,14 @@ router.post('/validate', async (req, res) => {
     
     const decoded = verifyToken(token);
     console.log('Token decoded:', decoded);
+
+    if (decoded.sessionId && !(await touchSession(decoded.sessionId, req))) {
+      console.log('Session revoked');
+      return res.status(401).json({ 
+        valid: false,
+        message: 'Session has been revoked' 
+      });
+    }
     
     const user = await User.findById(decoded.userId).select('-passwordHash');
     
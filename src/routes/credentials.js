@@ -0,0 +1,152 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Credential = require('../models/Credential');
+const { requireAuth } = require('../middlewares/auth');
+const { getJwks, verifyDocumentSignature } = require('../utils/credentials');
+
+const router = express.Router();
+
+// Build the verification result for a stored credential
+const buildVerificationResult = (credential, document) => {
+  const signature = verifyDocumentSignature(document);
+  const active = credential ? credential.status === 'ACTIVE' : false;
+
+  return {
+    valid: signature.valid && active,
+    checks: {
+      signature: signature.valid,
+      ...(signature.reason && { signatureError: signature.reason }),
+      issuedByTruePortMe: !!credential,
+      status: credential ? credential.status : 'UNKNOWN'
+    },
+    ...(credential && credential.status === 'REVOKED' && {
+      revokedAt: credential.revokedAt,
+      revocationReason: credential.revocationReason
+    })
+  };
+};
+
+// Public keys for offline signature verification (JWKS)
+router.get('/.well-known/jwks.json', (req, res) => {
+  try {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(getJwks());
+  } catch (error) {
+    console.error('Get credential keys error:', error);
+    res.status(500).json({
+      message: 'Failed to load credential keys',
+      error: error.message
+    });
+  }
+});
+
+// Verify a credential document supplied by a third party
+router.post('/verify', async (req, res) => {
+  try {
+    const { credential: document } = req.body;
+
+    if (!document || typeof document !== 'object') {
+      return res.status(400).json({ message: 'Credential document is required' });
+    }
+
+    // Look up the issued record so revoked credentials are reported as such
+    const credentialId = typeof document.id === 'string' ? document.id.split('/').pop() : null;
+    const credential = credentialId && mongoose.Types.ObjectId.isValid(credentialId)
+      ? await Credential.findById(credentialId)
+      : null;
+
+    res.json(buildVerificationResult(credential, document));
+
+  } catch (error) {
+    console.error('Verify supplied credential error:', error);
+    res.status(500).json({
+      message: 'Failed to verify credential',
+      error: error.message
+    });
+  }
+});
+
+// Get the signed-in user's credentials
+router.get('/mine', requireAuth, async (req, res) => {
+  try {
+    const credentials = await Credential.find({ userId: req.user._id })
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      credentials: credentials.map(credential => ({
+        id: credential._id,
+        itemId: credential.itemId,
+        itemType: credential.itemType,
+        verifierEmail: credential.verifierEmail,
+        status: credential.status,
+        issuedAt: credential.issuedAt,
+        document: credential.document
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get my credentials error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch credentials',
+      error: error.message
+    });
+  }
+});
+
+// Get a signed credential (public)
+router.get('/:id', async (req, res) => {
+  try {
+    const credential = await Credential.findById(req.params.id);
+
+    if (!credential) {
+      return res.status(404).json({ message: 'Credential not found' });
+    }
+
+    res.json(credential.document);
+
+  } catch (error) {
+    console.error('Get credential error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid credential ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to fetch credential',
+      error: error.message
+    });
+  }
+});
+
+// Verify an issued credential by ID (public)
+router.get('/:id/verify', async (req, res) => {
+  try {
+    const credential = await Credential.findById(req.params.id);
+
+    if (!credential) {
+      return res.status(404).json({
+        valid: false,
+        message: 'Credential not found'
+      });
+    }
+
+    res.json({
+      ...buildVerificationResult(credential, credential.document),
+      credential: credential.document
+    });
+
+  } catch (error) {
+    console.error('Verify credential error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid credential ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to verify credential',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const Education = require('../models/Education');
 const { requireAuth } = require('../middlewares/auth');
+const { getChangedMaterialFields, withdrawVerification } = require('../utils/verificationLifecycle');
+const { noteItemEdited } = require('../utils/verificationThread');
 
 const router = express.Router();
 
@@ -161,13 +163,6 @@ router.put('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ message: 'Education entry not found' });
     }
 
-    // Don't allow updates to verified education entries
-    if (education.verified) {
-      return res.status(400).json({
-        message: 'Cannot update verified education entry'
-      });
-    }
-
     const updates = {};
     const allowedUpdates = [
       'courseType', 'courseName', 'boardOrUniversity', 'schoolOrCollege',
@@ -198,15 +193,41 @@ router.put('/:id', requireAuth, async (req, res) => {
       updates.courseType = updates.courseType.toUpperCase();
     }
 
-    const updatedEducation = await Education.findByIdAndUpdate(
+    // Editing material fields of a verified entry withdraws its verification
+    const editedFields = getChangedMaterialFields('EDUCATION', education, updates);
+    const changedFields = education.verified ? editedFields : [];
+
+    let updatedEducation = await Education.findByIdAndUpdate(
       req.params.id,
       updates,
       { new: true, runValidators: true }
     ).populate('userId', 'name email');
 
+    if (changedFields.length > 0) {
+      await withdrawVerification({
+        itemType: 'EDUCATION',
+        itemId: education._id,
+        actorEmail: req.user.email,
+        reason: `Education entry edited after verification (${changedFields.join(', ')})`,
+        action: 'INVALIDATED',
+        metadata: { changedFields },
+        notifyStudent: false,
+        req
+      });
+      updatedEducation = await Education.findById(req.params.id).populate('userId', 'name email');
+    } else if (editedFields.length > 0) {
+      // Verifiers of open requests see the edit in the request's conversation
+      await noteItemEdited({ itemType: 'EDUCATION', item: updatedEducation, changedFields: editedFields, user: req.user });
+    }
+
     res.json({
       message: 'Education entry updated successfully',
-      education: updatedEducation
+      education: updatedEducation,
+      verificationInvalidated: changedFields.length > 0,
+      ...(changedFields.length > 0 && {
+        changedFields,
+        notice: 'This education entry must be verified again because verified details were changed'
+      })
     });
 
   } catch (error) {
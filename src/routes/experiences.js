@@ -1,6 +1,8 @@
 const express = require('express');
 const Experience = require('../models/Experience');
 const { requireAuth } = require('../middlewares/auth');
+const { getChangedMaterialFields, withdrawVerification } = require('../utils/verificationLifecycle');
+const { noteItemEdited } = require('../utils/verificationThread');
 const { upload } = require('../utils/cloudinary');
 
 const router = express.Router();
@@ -151,13 +153,6 @@ router.put('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ message: 'Experience not found' });
     }
 
-    // Don't allow updates to verified experiences
-    if (experience.verified) {
-      return res.status(400).json({ 
-        message: 'Cannot update verified experience' 
-      });
-    }
-
     const updates = {};
     const allowedUpdates = ['title', 'description', 'role', 'startDate', 'endDate', 'tags', 'attachments'];
     
@@ -191,15 +186,41 @@ router.put('/:id', requireAuth, async (req, res) => {
       updates.tags = updates.tags.map(tag => tag.trim()).filter(tag => tag);
     }
 
-    const updatedExperience = await Experience.findByIdAndUpdate(
+    // Editing material fields of a verified experience withdraws its verification
+    const editedFields = getChangedMaterialFields('EXPERIENCE', experience, updates);
+    const changedFields = experience.verified ? editedFields : [];
+
+    let updatedExperience = await Experience.findByIdAndUpdate(
       req.params.id,
       updates,
       { new: true, runValidators: true }
     ).populate('userId', 'name email');
 
+    if (changedFields.length > 0) {
+      await withdrawVerification({
+        itemType: 'EXPERIENCE',
+        itemId: experience._id,
+        actorEmail: req.user.email,
+        reason: `Experience edited after verification (${changedFields.join(', ')})`,
+        action: 'INVALIDATED',
+        metadata: { changedFields },
+        notifyStudent: false,
+        req
+      });
+      updatedExperience = await Experience.findById(req.params.id).populate('userId', 'name email');
+    } else if (editedFields.length > 0) {
+      // Verifiers of open requests see the edit in the request's conversation
+      await noteItemEdited({ itemType: 'EXPERIENCE', item: updatedExperience, changedFields: editedFields, user: req.user });
+    }
+
     res.json({
       message: 'Experience updated successfully',
-      experience: updatedExperience
+      experience: updatedExperience,
+      verificationInvalidated: changedFields.length > 0,
+      ...(changedFields.length > 0 && {
+        changedFields,
+        notice: 'This experience must be verified again because verified details were changed'
+      })
     });
 
   } catch (error) {
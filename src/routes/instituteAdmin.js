@@ -3,12 +3,88 @@ const InstituteAdmin = require('../models/InstituteAdmin');
 const Institution = require('../models/Institution');
 const User = require('../models/User');
 const AssociationRequest = require('../models/AssociationRequest');
-const { generateAdminToken, requireInstituteAdmin, requirePermission } = require('../middlewares/adminAuth');
+const AuditEvent = require('../models/AuditEvent');
+const AdminRole = require('../models/AdminRole');
+const Experience = require('../models/Experience');
+const Education = require('../models/Education');
+const Project = require('../models/Project');
+const Verification = require('../models/Verification');
+const Department = require('../models/Department');
+const Program = require('../models/Program');
+const Cohort = require('../models/Cohort');
+const RoutingRule = require('../models/RoutingRule');
+const { generateAdminToken, requireInstituteAdmin, requireInstituteAdminAccount, requirePolicy } = require('../middlewares/adminAuth');
+const {
+  isTwoFactorRequired,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../utils/adminTwoFactor');
 const { generatePassword } = require('../utils/passwordGenerator');
 const { sendWelcomeEmailWithCredentials } = require('../utils/email');
+const { notify } = require('../utils/notifications');
+const { COMMON_MESSAGES, TEMPLATE_NAMES, renderEmail, listTemplates, getSampleData, getTemplateMessageKeys } = require('../utils/emailTemplates');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const { revokeSessions } = require('../utils/sessions');
+const { getItemModel, getItemTitle, withdrawVerification } = require('../utils/verificationLifecycle');
+const { AUDIT_EXPORT_LIMIT, recordAuditEvent, buildAuditQuery, auditEventsToCsv } = require('../utils/audit');
+const {
+  resolveAdminAccess,
+  getUserScopeFilter,
+  isDepartmentInScope,
+  findUngrantablePermission,
+  validateRoleInput,
+  resolveRoleAssignments
+} = require('../utils/adminPolicy');
+const { resolvePlacement, buildPlacementFilter, getStructureTree } = require('../utils/institutionStructure');
+const { getPendingCounts, validateRoutingRuleInput } = require('../utils/verificationRouting');
+const { validateSlaSettings, buildSlaReport } = require('../utils/verificationSla');
+const { PERMISSIONS, SCOPABLE_PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
+// Fields institute admins may set on departments, programs and cohorts
+const DEPARTMENT_FIELDS = ['name', 'code', 'description', 'isActive'];
+const PROGRAM_FIELDS = ['name', 'code', 'degree', 'durationYears', 'isActive'];
+const COHORT_FIELDS = ['name', 'code', 'startYear', 'graduationYear', 'isActive'];
+
+// Audited fields of verification routing rules
+const ROUTING_RULE_FIELDS = ['name', 'priority', 'isActive', 'conditions', 'verifiers'];
+
+const pickFields = (body, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Reset lockout counters and issue the admin token once every login step passed
+const completeLogin = async (admin) => {
+  if (admin.loginAttempts > 0) {
+    await admin.resetLoginAttempts();
+  }
+
+  await admin.updateLastLogin();
+
+  const token = generateAdminToken({
+    adminId: admin._id,
+    email: admin.email,
+    role: admin.role,
+    adminType: 'INSTITUTE_ADMIN',
+    institution: admin.institution
+  });
+
+  return {
+    message: 'Login successful',
+    token,
+    admin: admin.toJSON(),
+    // The dashboard stays closed until mandated 2FA is set up
+    twoFactorSetupRequired: !admin.twoFactorEnabled && await isTwoFactorRequired('INSTITUTE_ADMIN')
+  };
+};
+
 // Institute Admin Login
 router.post('/login', async (req, res) => {
   try {
@@ -43,30 +119,74 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Reset login attempts on successful login
-    if (admin.loginAttempts > 0) {
-      await admin.resetLoginAttempts();
+    // Second step when two-factor authentication is on
+    if (admin.twoFactorEnabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(admin, 'INSTITUTE_ADMIN')
+      });
     }
 
-    // Update last login
-    await admin.updateLastLogin();
+    res.json(await completeLogin(admin));
 
-    const token = generateAdminToken({
-      adminId: admin._id,
-      email: admin.email,
-      role: admin.role,
-      adminType: 'INSTITUTE_ADMIN',
-      institution: admin.institution
+  } catch (error) {
+    console.error('Institute admin login error:', error);
+    res.status(500).json({
+      message: 'Login failed',
+      error: error.message
     });
+  }
+});
+
+// Complete Institute Admin Login with a Two-Factor Code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Challenge token and an authentication code or recovery code are required'
+      });
+    }
+
+    let adminId;
+    try {
+      adminId = verifyLoginChallenge(challengeToken, 'INSTITUTE_ADMIN');
+    } catch (tokenError) {
+      adminId = null;
+    }
+
+    if (!adminId) {
+      return res.status(401).json({ message: 'Login attempt expired, please sign in again' });
+    }
+
+    const admin = await InstituteAdmin.findById(adminId);
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (admin.isLocked) {
+      return res.status(423).json({ 
+        message: 'Account is temporarily locked due to too many failed attempts' 
+      });
+    }
+
+    const result = await verifySecondFactor(admin, { code, recoveryCode });
+
+    if (!result.valid) {
+      await admin.incLoginAttempts();
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
 
     res.json({
-      message: 'Login successful',
-      token,
-      admin: admin.toJSON(),
+      ...(await completeLogin(admin)),
+      ...(result.method === 'RECOVERY_CODE' && { recoveryCodesRemaining: result.recoveryCodesRemaining })
     });
 
   } catch (error) {
-    console.error('Institute admin login error:', error);
+    console.error('Institute admin 2FA login error:', error);
     res.status(500).json({
       message: 'Login failed',
       error: error.message
@@ -74,11 +194,21 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Get Institute Admin Profile
-router.get('/me', requireInstituteAdmin, (req, res) => {
-  res.json({
-    admin: req.admin.toJSON()
-  });
+// Get Institute Admin Profile (with effective permissions)
+router.get('/me', requireInstituteAdminAccount, async (req, res) => {
+  try {
+    res.json({
+      admin: req.admin.toJSON(),
+      access: await resolveAdminAccess(req.admin)
+    });
+
+  } catch (error) {
+    console.error('Get institute admin profile error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch profile',
+      error: error.message
+    });
+  }
 });
 
 // Update Institute Admin Profile
@@ -105,6 +235,16 @@ router.put('/me', requireInstituteAdmin, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_PROFILE_UPDATED',
+      target: { type: 'INSTITUTE_ADMIN', id: admin._id, label: admin.email },
+      institution: req.admin.institution,
+      before: req.admin,
+      after: admin,
+      fields: allowedUpdates
+    });
+
     res.json({
       message: 'Profile updated successfully',
       admin: admin.toJSON()
@@ -120,7 +260,7 @@ router.put('/me', requireInstituteAdmin, async (req, res) => {
 });
 
 // Change Institute Admin Password
-router.put('/change-password', requireInstituteAdmin, async (req, res) => {
+router.put('/change-password', requireInstituteAdminAccount, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -145,6 +285,13 @@ router.put('/change-password', requireInstituteAdmin, async (req, res) => {
     req.admin.passwordHash = newPassword;
     await req.admin.save();
 
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_PASSWORD_CHANGED',
+      target: { type: 'INSTITUTE_ADMIN', id: req.admin._id, label: req.admin.email },
+      institution: req.admin.institution
+    });
+
     res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
@@ -156,280 +303,1652 @@ router.put('/change-password', requireInstituteAdmin, async (req, res) => {
   }
 });
 
-// Get Institute Information
-router.get('/institution', requireInstituteAdmin, async (req, res) => {
+// Get Two-Factor Authentication Status
+router.get('/2fa', requireInstituteAdminAccount, async (req, res) => {
   try {
-    const institution = await Institution.findOne({ name: req.admin.institution });
-    
-    if (!institution) {
-      return res.status(404).json({ message: 'Institution not found' });
-    }
-
     res.json({
-      institution
+      twoFactor: await getTwoFactorStatus(req.admin, 'INSTITUTE_ADMIN')
     });
 
   } catch (error) {
-    console.error('Get institution error:', error);
+    console.error('Get institute admin 2FA status error:', error);
     res.status(500).json({
-      message: 'Failed to fetch institution details',
+      message: 'Failed to fetch two-factor status',
       error: error.message
     });
   }
 });
 
-// Get Institute Users
-router.get('/users', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+// Start Two-Factor Enrollment (returns secret and QR code)
+router.post('/2fa/setup', requireInstituteAdminAccount, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, role, associationStatus } = req.query;
-    
-    let query = { institute: req.admin.institution };
-    
-    if (search) {
-      query.$or = [
-        { name: new RegExp(search, 'i') },
-        { email: new RegExp(search, 'i') },
-        { githubUsername: new RegExp(search, 'i') }
-      ];
-    }
-
-    if (role) {
-      query.role = role;
-    }
-
-    if (associationStatus) {
-      query.associationStatus = associationStatus;
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const [users, total] = await Promise.all([
-      User.find(query)
-        .select('-passwordHash -githubToken')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate('approvedBy', 'name email'),
-      User.countDocuments(query)
-    ]);
+    const enrollment = await startEnrollment(req.admin);
 
     res.json({
-      users,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment
     });
 
   } catch (error) {
-    console.error('Get institute users error:', error);
+    console.error('Start institute admin 2FA setup error:', error);
     res.status(500).json({
-      message: 'Failed to fetch users',
+      message: 'Failed to start two-factor setup',
       error: error.message
     });
   }
 });
 
-// Get Single User Details
-router.get('/users/:userId', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+// Confirm Two-Factor Enrollment
+router.post('/2fa/enable', requireInstituteAdminAccount, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { code } = req.body;
 
-    const user = await User.findOne({ 
-      _id: userId, 
-      institute: req.admin.institution 
-    })
-    .select('-passwordHash -githubToken')
-    .populate('approvedBy', 'name email');
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found in your institution' });
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
     }
 
-    // Get user's association requests
-    const associationRequests = await AssociationRequest.find({ 
-      studentId: userId 
-    }).sort({ createdAt: -1 });
+    if (!req.admin.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.admin, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_TWO_FACTOR_ENABLED',
+      target: { type: 'INSTITUTE_ADMIN', id: req.admin._id, label: req.admin.email },
+      institution: req.admin.institution
+    });
 
     res.json({
-      user: user.toJSON(),
-      associationRequests
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they are shown only once.',
+      recoveryCodes
     });
 
   } catch (error) {
-    console.error('Get user details error:', error);
+    console.error('Enable institute admin 2FA error:', error);
     res.status(500).json({
-      message: 'Failed to fetch user details',
+      message: 'Failed to enable two-factor authentication',
       error: error.message
     });
   }
 });
 
-// Update User Role (Admin action)
-router.put('/users/:userId/role', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+// Regenerate Recovery Codes
+router.post('/2fa/recovery-codes', requireInstituteAdminAccount, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { newRole } = req.body;
+    const { code } = req.body;
 
-    if (!['STUDENT', 'VERIFIER'].includes(newRole)) {
-      return res.status(400).json({
-        message: 'Role must be STUDENT or VERIFIER'
-      });
+    if (!req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
     }
 
-    const user = await User.findOne({ 
-      _id: userId, 
-      institute: req.admin.institution 
-    });
-
-    if (!user) {
-      return res.status(404).json({ message: 'User not found in your institution' });
-    }
+    const result = await verifySecondFactor(req.admin, { code });
 
-    // Check if role is already set permanently
-    if (user.roleSetPermanently) {
-      return res.status(400).json({
-        message: 'User role is already set permanently and cannot be changed'
-      });
+    if (!result.valid) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
     }
 
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      {
-        role: newRole,
-        roleSetPermanently: true,
-        roleSetAt: new Date(),
-        approvedBy: req.admin._id,
-        approvedAt: new Date(),
-        associationStatus: 'APPROVED',
-        profileSetupComplete: true
-      },
-      { new: true, runValidators: true }
-    ).select('-passwordHash -githubToken');
+    const recoveryCodes = await regenerateRecoveryCodes(req.admin);
 
-    // Update institution stats
-    await Institution.updateStats(req.admin.institution);
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_RECOVERY_CODES_REGENERATED',
+      target: { type: 'INSTITUTE_ADMIN', id: req.admin._id, label: req.admin.email },
+      institution: req.admin.institution
+    });
 
     res.json({
-      message: `User role updated to ${newRole} successfully`,
-      user: updatedUser.toJSON()
+      message: 'New recovery codes generated. The previous codes no longer work.',
+      recoveryCodes
     });
 
   } catch (error) {
-    console.error('Update user role error:', error);
+    console.error('Regenerate institute admin recovery codes error:', error);
     res.status(500).json({
-      message: 'Failed to update user role',
+      message: 'Failed to regenerate recovery codes',
       error: error.message
     });
   }
 });
 
-// Add New User (Student or Verifier)
-router.post('/users', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+// Disable Two-Factor Authentication
+router.post('/2fa/disable', requireInstituteAdminAccount, async (req, res) => {
   try {
-    const { name, email, password, role, bio, githubUsername } = req.body;
+    const { password, code, recoveryCode } = req.body;
 
-    // Validation
-    if (!name || !email || !password || !role) {
+    if (!password || (!code && !recoveryCode)) {
       return res.status(400).json({
-        message: 'Name, email, password, and role are required'
+        message: 'Password and an authentication code or recovery code are required'
       });
     }
 
-    if (!['STUDENT', 'VERIFIER'].includes(role)) {
-      return res.status(400).json({
-        message: 'Role must be STUDENT or VERIFIER'
-      });
+    if (!req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        message: 'Password must be at least 6 characters long'
+    if (await isTwoFactorRequired('INSTITUTE_ADMIN')) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for institute admins and cannot be disabled'
       });
     }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email: email.toLowerCase() });
-    if (existingUser) {
-      return res.status(400).json({
-        message: 'User with this email already exists'
-      });
+    const isPasswordValid = await req.admin.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Password is incorrect' });
     }
 
-    // Create new user
-    const newUser = new User({
-      name: name.trim(),
-      email: email.toLowerCase().trim(),
-      passwordHash: password, // Will be hashed by pre-save middleware
-      role,
-      institute: req.admin.institution,
-      bio: bio ? bio.trim() : undefined,
-      githubUsername: githubUsername ? githubUsername.trim() : undefined,
-      profileSetupComplete: true,
-      roleSetPermanently: true,
-      roleSetAt: new Date(),
-      associationStatus: 'APPROVED',
-      approvedBy: req.admin._id,
-      approvedAt: new Date()
-    });
+    const result = await verifySecondFactor(req.admin, { code, recoveryCode });
 
-    await newUser.save();
+    if (!result.valid) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
 
-    // Update institution stats
-    await Institution.updateStats(req.admin.institution);
+    await disableTwoFactor(req.admin);
 
-    res.status(201).json({
-      message: `${role} created successfully`,
-      user: newUser.toJSON()
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_TWO_FACTOR_DISABLED',
+      target: { type: 'INSTITUTE_ADMIN', id: req.admin._id, label: req.admin.email },
+      institution: req.admin.institution,
+      metadata: { method: result.method }
     });
 
+    res.json({ message: 'Two-factor authentication disabled' });
+
   } catch (error) {
-    console.error('Create user error:', error);
+    console.error('Disable institute admin 2FA error:', error);
     res.status(500).json({
-      message: 'Failed to create user',
+      message: 'Failed to disable two-factor authentication',
       error: error.message
     });
   }
 });
 
-// Update User Details (Admin action)
-router.put('/users/:userId', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+// Get Institute Information
+router.get('/institution', requireInstituteAdmin, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { name, email, bio, githubUsername, role } = req.body;
+    const institution = await Institution.findOne({ name: req.admin.institution });
+    
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
 
-    const user = await User.findOne({ 
-      _id: userId, 
-      institute: req.admin.institution 
+    res.json({
+      institution
     });
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found in your institution' });
-    }
+  } catch (error) {
+    console.error('Get institution error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch institution details',
+      error: error.message
+    });
+  }
+});
 
+// Update Institution Settings
+router.put('/institution/settings', requireInstituteAdmin, requirePolicy('settings.manage'), async (req, res) => {
+  try {
     const updates = {};
+    const allowedSettings = ['allowSelfRegistration', 'requireVerifierApproval', 'requireConfirmedEmail'];
 
-    // Validate and set updates
-    if (name !== undefined) {
-      if (!name.trim() || name.length > 100) {
-        return res.status(400).json({
-          message: 'Name must be between 1 and 100 characters'
-        });
+    for (const setting of allowedSettings) {
+      if (req.body[setting] !== undefined) {
+        if (typeof req.body[setting] !== 'boolean') {
+          return res.status(400).json({ message: `${setting} must be a boolean value` });
+        }
+        updates[`settings.${setting}`] = req.body[setting];
       }
-      updates.name = name.trim();
     }
 
-    if (email !== undefined) {
-      if (!email.trim()) {
-        return res.status(400).json({ message: 'Email cannot be empty' });
+    if (req.body.verificationSla !== undefined) {
+      const sla = validateSlaSettings(req.body.verificationSla);
+      if (sla.error) {
+        return res.status(400).json({ message: sla.error });
       }
-      
-      // Check if email is already taken by another user
-      const existingUser = await User.findOne({ 
-        email: email.toLowerCase().trim(),
-        _id: { $ne: userId }
+
+      Object.entries(sla.values).forEach(([field, value]) => {
+        updates[`settings.verificationSla.${field}`] = value;
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No valid updates provided' });
+    }
+
+    updates.updatedAt = new Date();
+
+    const previous = await Institution.findOne({ name: req.admin.institution }).select('settings');
+
+    const institution = await Institution.findOneAndUpdate(
+      { name: req.admin.institution },
+      updates,
+      { new: true, runValidators: true }
+    ).select('settings');
+
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'INSTITUTION_SETTINGS_UPDATED',
+      target: { type: 'INSTITUTION', id: institution._id, label: req.admin.institution },
+      institution: req.admin.institution,
+      before: previous,
+      after: institution,
+      fields: ['settings']
+    });
+
+    res.json({
+      message: 'Institution settings updated successfully',
+      settings: institution.settings
+    });
+
+  } catch (error) {
+    console.error('Update institution settings error:', error);
+    res.status(500).json({
+      message: 'Failed to update institution settings',
+      error: error.message
+    });
+  }
+});
+
+// Get Email Templates with Institution Branding and Overrides
+router.get('/email-templates', requireInstituteAdmin, async (req, res) => {
+  try {
+    const institution = await Institution.findOne({ name: req.admin.institution })
+      .select('name displayName logo emailBranding emailTemplates');
+
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    res.json({
+      templates: [
+        { name: COMMON_MESSAGES, description: 'Greeting, tagline and footer shared by every email', messageKeys: getTemplateMessageKeys(COMMON_MESSAGES) },
+        ...listTemplates()
+      ],
+      locales: SUPPORTED_LOCALES,
+      branding: {
+        logo: institution.logo,
+        ...(institution.toObject().emailBranding || {})
+      },
+      overrides: institution.emailTemplates
+    });
+
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch email templates',
+      error: error.message
+    });
+  }
+});
+
+// Preview an Email Template with Sample Data
+router.get('/email-templates/:template/preview', requireInstituteAdmin, async (req, res) => {
+  try {
+    const template = req.params.template.toUpperCase();
+    const { locale, format } = req.query;
+
+    if (!TEMPLATE_NAMES.includes(template)) {
+      return res.status(400).json({
+        message: `Invalid template. Must be one of: ${TEMPLATE_NAMES.join(', ')}`
+      });
+    }
+
+    if (locale && !SUPPORTED_LOCALES.includes(locale.toLowerCase())) {
+      return res.status(400).json({
+        message: `Invalid locale. Must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      });
+    }
+
+    const institution = await Institution.findOne({ name: req.admin.institution })
+      .select('name displayName logo emailBranding emailTemplates');
+
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    const sample = getSampleData(template);
+    if (template === 'WELCOME_CREDENTIALS') {
+      sample.institutionName = institution.displayName;
+    }
+
+    const preview = renderEmail(template, sample, { locale, institution });
+
+    // Raw HTML for rendering in an iframe
+    if (format === 'html') {
+      return res.type('html').send(preview.html);
+    }
+
+    res.json({
+      template,
+      ...preview
+    });
+
+  } catch (error) {
+    console.error('Preview email template error:', error);
+    res.status(500).json({
+      message: 'Failed to preview email template',
+      error: error.message
+    });
+  }
+});
+
+// Update Email Branding
+router.put('/email-branding', requireInstituteAdmin, requirePolicy('settings.manage'), async (req, res) => {
+  try {
+    const updates = { $set: { updatedAt: new Date() }, $unset: {} };
+    const allowedUpdates = ['primaryColor', 'accentColor', 'senderName', 'footerText'];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        // An empty value resets the field to the default look
+        if (req.body[field]) {
+          updates.$set[`emailBranding.${field}`] = req.body[field];
+        } else {
+          updates.$unset[`emailBranding.${field}`] = 1;
+        }
+      }
+    });
+
+    if (Object.keys(updates.$set).length + Object.keys(updates.$unset).length === 1) {
+      return res.status(400).json({ message: 'No valid updates provided' });
+    }
+
+    if (Object.keys(updates.$unset).length === 0) {
+      delete updates.$unset;
+    }
+
+    const previous = await Institution.findOne({ name: req.admin.institution }).select('emailBranding');
+
+    const institution = await Institution.findOneAndUpdate(
+      { name: req.admin.institution },
+      updates,
+      { new: true, runValidators: true }
+    ).select('emailBranding');
+
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'EMAIL_BRANDING_UPDATED',
+      target: { type: 'INSTITUTION', id: institution._id, label: req.admin.institution },
+      institution: req.admin.institution,
+      before: previous,
+      after: institution,
+      fields: ['emailBranding']
+    });
+
+    res.json({
+      message: 'Email branding updated successfully',
+      branding: institution.emailBranding
+    });
+
+  } catch (error) {
+    console.error('Update email branding error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update email branding',
+      error: error.message
+    });
+  }
+});
+
+// Override Email Template Wording
+router.put('/email-templates/:template', requireInstituteAdmin, requirePolicy('settings.manage'), async (req, res) => {
+  try {
+    const template = req.params.template.toUpperCase();
+    const { messages } = req.body;
+    const locale = req.body.locale ? req.body.locale.toLowerCase() : null;
+
+    if (template !== COMMON_MESSAGES && !TEMPLATE_NAMES.includes(template)) {
+      return res.status(400).json({
+        message: `Invalid template. Must be one of: ${[COMMON_MESSAGES, ...TEMPLATE_NAMES].join(', ')}`
+      });
+    }
+
+    if (locale && !SUPPORTED_LOCALES.includes(locale)) {
+      return res.status(400).json({
+        message: `Invalid locale. Must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+      });
+    }
+
+    if (!messages || typeof messages !== 'object' || Array.isArray(messages)) {
+      return res.status(400).json({ message: 'Messages object is required' });
+    }
+
+    const validKeys = getTemplateMessageKeys(template);
+
+    for (const [key, value] of Object.entries(messages)) {
+      if (!validKeys.includes(key)) {
+        return res.status(400).json({
+          message: `Invalid message key: ${key}. Must be one of: ${validKeys.join(', ')}`
+        });
+      }
+
+      if (typeof value !== 'string' || value.length > 2000) {
+        return res.status(400).json({ message: `${key} must be a string of at most 2000 characters` });
+      }
+    }
+
+    const institution = await Institution.findOne({ name: req.admin.institution });
+
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    // Empty strings fall back to the catalog wording
+    const cleaned = Object.entries(messages).filter(([, value]) => value.trim());
+    const existing = institution.emailTemplates.find(override => override.template === template && (override.locale || null) === locale);
+    const previousMessages = existing ? Object.fromEntries(existing.messages) : {};
+
+    if (existing) {
+      cleaned.forEach(([key, value]) => existing.messages.set(key, value));
+      Object.entries(messages)
+        .filter(([, value]) => !value.trim())
+        .forEach(([key]) => existing.messages.delete(key));
+      existing.updatedAt = new Date();
+    } else {
+      institution.emailTemplates.push({ template, locale, messages: Object.fromEntries(cleaned) });
+    }
+
+    institution.updatedAt = new Date();
+    await institution.save();
+
+    const override = institution.emailTemplates.find(entry => entry.template === template && (entry.locale || null) === locale);
+
+    await recordAuditEvent({
+      req,
+      action: 'EMAIL_TEMPLATE_UPDATED',
+      target: { type: 'INSTITUTION', id: institution._id, label: req.admin.institution },
+      institution: req.admin.institution,
+      before: { messages: previousMessages },
+      after: { messages: Object.fromEntries(override.messages) },
+      metadata: { template, locale }
+    });
+
+    res.json({
+      message: 'Email template updated successfully',
+      override
+    });
+
+  } catch (error) {
+    console.error('Update email template error:', error);
+    res.status(500).json({
+      message: 'Failed to update email template',
+      error: error.message
+    });
+  }
+});
+
+// Reset Email Template Wording to the Defaults
+router.delete('/email-templates/:template', requireInstituteAdmin, requirePolicy('settings.manage'), async (req, res) => {
+  try {
+    const template = req.params.template.toUpperCase();
+    const locale = req.query.locale ? req.query.locale.toLowerCase() : null;
+
+    const institution = await Institution.findOne({ name: req.admin.institution });
+
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    const before = institution.emailTemplates.length;
+    institution.emailTemplates = institution.emailTemplates.filter(override => {
+      return !(override.template === template && (override.locale || null) === locale);
+    });
+
+    if (institution.emailTemplates.length === before) {
+      return res.status(404).json({ message: 'No override found for this template and locale' });
+    }
+
+    institution.updatedAt = new Date();
+    await institution.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'EMAIL_TEMPLATE_RESET',
+      target: { type: 'INSTITUTION', id: institution._id, label: req.admin.institution },
+      institution: req.admin.institution,
+      metadata: { template, locale }
+    });
+
+    res.json({ message: 'Email template reset to the default wording' });
+
+  } catch (error) {
+    console.error('Reset email template error:', error);
+    res.status(500).json({
+      message: 'Failed to reset email template',
+      error: error.message
+    });
+  }
+});
+
+// Get Admin Roles Available to the Institution
+router.get('/roles', requireInstituteAdmin, requirePolicy('roles.manage'), async (req, res) => {
+  try {
+    const roles = await AdminRole.find({ institution: { $in: [null, req.admin.institution] } })
+      .sort({ institution: -1, name: 1 });
+
+    res.json({
+      roles,
+      permissions: PERMISSIONS,
+      scopablePermissions: SCOPABLE_PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('Get admin roles error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch admin roles',
+      error: error.message
+    });
+  }
+});
+
+// Create Admin Role
+router.post('/roles', requireInstituteAdmin, requirePolicy('roles.manage'), async (req, res) => {
+  try {
+    const { values, error } = validateRoleInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const ungrantable = findUngrantablePermission(req.adminAccess, values.permissions);
+    if (ungrantable) {
+      return res.status(403).json({
+        message: `You cannot create a role with the ${ungrantable} permission`
+      });
+    }
+
+    const existing = await AdminRole.findOne({ institution: req.admin.institution, name: values.name });
+    if (existing) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    const role = await new AdminRole({
+      ...values,
+      institution: req.admin.institution,
+      createdBy: { type: 'INSTITUTE_ADMIN', id: req.admin._id }
+    }).save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLE_CREATED',
+      target: { type: 'ADMIN_ROLE', id: role._id, label: role.name },
+      institution: req.admin.institution,
+      after: role,
+      fields: ['name', 'description', 'permissions']
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Create admin role error:', error);
+    res.status(500).json({
+      message: 'Failed to create role',
+      error: error.message
+    });
+  }
+});
+
+// Update Admin Role
+router.put('/roles/:roleId', requireInstituteAdmin, requirePolicy('roles.manage'), async (req, res) => {
+  try {
+    const { values, error } = validateRoleInput(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ message: 'No valid updates provided' });
+    }
+
+    // Platform-wide roles are managed by super admins
+    const role = await AdminRole.findOne({ _id: req.params.roleId, institution: req.admin.institution });
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found in your institution' });
+    }
+
+    const ungrantable = findUngrantablePermission(req.adminAccess, [...role.permissions, ...(values.permissions || [])]);
+    if (ungrantable) {
+      return res.status(403).json({
+        message: `You cannot edit a role with the ${ungrantable} permission`
+      });
+    }
+
+    const previous = role.toObject();
+    Object.assign(role, values);
+    await role.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLE_UPDATED',
+      target: { type: 'ADMIN_ROLE', id: role._id, label: role.name },
+      institution: req.admin.institution,
+      before: previous,
+      after: role,
+      fields: ['name', 'description', 'permissions']
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Update admin role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid role ID' });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update role',
+      error: error.message
+    });
+  }
+});
+
+// Delete Admin Role (unassigns it from every admin)
+router.delete('/roles/:roleId', requireInstituteAdmin, requirePolicy('roles.manage'), async (req, res) => {
+  try {
+    const role = await AdminRole.findOne({ _id: req.params.roleId, institution: req.admin.institution });
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found in your institution' });
+    }
+
+    const ungrantable = findUngrantablePermission(req.adminAccess, role.permissions);
+    if (ungrantable) {
+      return res.status(403).json({
+        message: `You cannot delete a role with the ${ungrantable} permission`
+      });
+    }
+
+    const unassigned = await InstituteAdmin.updateMany(
+      { 'roles.role': role._id },
+      { $pull: { roles: { role: role._id } } }
+    );
+    await AdminRole.deleteOne({ _id: role._id });
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLE_DELETED',
+      target: { type: 'ADMIN_ROLE', id: role._id, label: role.name },
+      institution: req.admin.institution,
+      before: role,
+      fields: ['name', 'description', 'permissions'],
+      metadata: { unassignedFrom: unassigned.modifiedCount }
+    });
+
+    res.json({
+      message: 'Role deleted successfully',
+      unassignedFrom: unassigned.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Delete admin role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid role ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to delete role',
+      error: error.message
+    });
+  }
+});
+
+// Get Institute Admins of the Institution with Their Roles
+router.get('/admins', requireInstituteAdmin, requirePolicy('roles.manage'), async (req, res) => {
+  try {
+    const admins = await InstituteAdmin.find({ institution: req.admin.institution })
+      .select('name email isActive lastLogin permissions roles twoFactorEnabled')
+      .populate('roles.role', 'name permissions institution')
+      .populate('roles.departments', 'name code')
+      .sort({ name: 1 });
+
+    res.json({
+      admins: admins.map(admin => admin.toJSON())
+    });
+
+  } catch (error) {
+    console.error('Get institute admins error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch institute admins',
+      error: error.message
+    });
+  }
+});
+
+// Assign Roles to an Institute Admin
+router.put('/admins/:adminId/roles', requireInstituteAdmin, requirePolicy('roles.manage'), async (req, res) => {
+  try {
+    if (req.params.adminId === req.admin._id.toString()) {
+      return res.status(403).json({ message: 'You cannot change your own roles' });
+    }
+
+    const admin = await InstituteAdmin.findOne({ _id: req.params.adminId, institution: req.admin.institution });
+
+    if (!admin) {
+      return res.status(404).json({ message: 'Institute admin not found in your institution' });
+    }
+
+    const { roles, error } = await resolveRoleAssignments(req.body.roles, req.admin.institution);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Admins can neither hand out nor take away more than they hold themselves.
+    // Removing every role falls back to the permission flags, so check the resulting access too.
+    const currentAccess = await resolveAdminAccess(admin);
+    const nextAccess = await resolveAdminAccess({ roles, permissions: admin.permissions, institution: admin.institution });
+    const checks = [...Object.entries(currentAccess), ...Object.entries(nextAccess)];
+
+    for (const [permission, departments] of checks) {
+      const ungrantable = findUngrantablePermission(req.adminAccess, [permission], departments || []);
+      if (ungrantable) {
+        return res.status(403).json({
+          message: `You cannot change the roles of this admin: ${ungrantable} is outside your own access`
+        });
+      }
+    }
+
+    const previousRoles = admin.roles.map(assignment => assignment.toObject());
+    admin.roles = roles;
+    admin.updatedAt = new Date();
+    await admin.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLES_ASSIGNED',
+      target: { type: 'INSTITUTE_ADMIN', id: admin._id, label: admin.email },
+      institution: req.admin.institution,
+      before: { roles: previousRoles },
+      after: { roles }
+    });
+
+    res.json({
+      message: 'Roles updated successfully',
+      admin: admin.toJSON(),
+      access: await resolveAdminAccess(admin)
+    });
+
+  } catch (error) {
+    console.error('Assign admin roles error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update roles',
+      error: error.message
+    });
+  }
+});
+
+// Get Departments, Programs and Cohorts
+router.get('/departments', requireInstituteAdmin, async (req, res) => {
+  try {
+    const departments = await getStructureTree(req.admin.institution);
+
+    res.json({ departments });
+
+  } catch (error) {
+    console.error('Get institution structure error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch departments',
+      error: error.message
+    });
+  }
+});
+
+// Create Department
+router.post('/departments', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const department = await new Department({
+      ...pickFields(req.body, DEPARTMENT_FIELDS),
+      institution: req.admin.institution
+    }).save();
+
+    await recordAuditEvent({
+      req,
+      action: 'DEPARTMENT_CREATED',
+      target: { type: 'DEPARTMENT', id: department._id, label: department.code },
+      institution: req.admin.institution,
+      after: department,
+      fields: DEPARTMENT_FIELDS
+    });
+
+    res.status(201).json({
+      message: 'Department created successfully',
+      department
+    });
+
+  } catch (error) {
+    console.error('Create department error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A department with this code already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create department',
+      error: error.message
+    });
+  }
+});
+
+// Update Department
+router.put('/departments/:departmentId', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const department = await Department.findOne({ _id: req.params.departmentId, institution: req.admin.institution });
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found in your institution' });
+    }
+
+    const previous = department.toObject();
+    Object.assign(department, pickFields(req.body, DEPARTMENT_FIELDS));
+    await department.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'DEPARTMENT_UPDATED',
+      target: { type: 'DEPARTMENT', id: department._id, label: department.code },
+      institution: req.admin.institution,
+      before: previous,
+      after: department,
+      fields: DEPARTMENT_FIELDS
+    });
+
+    res.json({
+      message: 'Department updated successfully',
+      department
+    });
+
+  } catch (error) {
+    console.error('Update department error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid department ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A department with this code already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update department',
+      error: error.message
+    });
+  }
+});
+
+// Delete Department (only when nothing refers to it)
+router.delete('/departments/:departmentId', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const department = await Department.findOne({ _id: req.params.departmentId, institution: req.admin.institution });
+
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found in your institution' });
+    }
+
+    // Dropping a department from a scoped role assignment or a routing rule would widen it
+    const [programs, users, admins, routingRules] = await Promise.all([
+      Program.countDocuments({ department: department._id }),
+      User.countDocuments({ department: department._id }),
+      InstituteAdmin.countDocuments({ 'roles.departments': department._id }),
+      RoutingRule.countDocuments({ 'conditions.departments': department._id })
+    ]);
+
+    if (programs > 0 || users > 0 || admins > 0 || routingRules > 0) {
+      return res.status(400).json({
+        message: 'Department is still used by programs, users, admin role assignments or routing rules. Move or remove them first.',
+        programs,
+        users,
+        admins,
+        routingRules
+      });
+    }
+
+    await Department.deleteOne({ _id: department._id });
+
+    await recordAuditEvent({
+      req,
+      action: 'DEPARTMENT_DELETED',
+      target: { type: 'DEPARTMENT', id: department._id, label: department.code },
+      institution: req.admin.institution,
+      before: department,
+      fields: DEPARTMENT_FIELDS
+    });
+
+    res.json({ message: 'Department deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete department error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid department ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to delete department',
+      error: error.message
+    });
+  }
+});
+
+// Create Program
+router.post('/programs', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const department = await Department.findOne({ _id: req.body.department, institution: req.admin.institution });
+
+    if (!department) {
+      return res.status(400).json({ message: 'Department not found in your institution' });
+    }
+
+    const program = await new Program({
+      ...pickFields(req.body, PROGRAM_FIELDS),
+      department: department._id,
+      institution: req.admin.institution
+    }).save();
+
+    await recordAuditEvent({
+      req,
+      action: 'PROGRAM_CREATED',
+      target: { type: 'PROGRAM', id: program._id, label: program.code },
+      institution: req.admin.institution,
+      after: program,
+      fields: ['department', ...PROGRAM_FIELDS]
+    });
+
+    res.status(201).json({
+      message: 'Program created successfully',
+      program
+    });
+
+  } catch (error) {
+    console.error('Create program error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid department ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A program with this code already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create program',
+      error: error.message
+    });
+  }
+});
+
+// Update Program (the department of a program cannot change)
+router.put('/programs/:programId', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const program = await Program.findOne({ _id: req.params.programId, institution: req.admin.institution });
+
+    if (!program) {
+      return res.status(404).json({ message: 'Program not found in your institution' });
+    }
+
+    const previous = program.toObject();
+    Object.assign(program, pickFields(req.body, PROGRAM_FIELDS));
+    await program.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'PROGRAM_UPDATED',
+      target: { type: 'PROGRAM', id: program._id, label: program.code },
+      institution: req.admin.institution,
+      before: previous,
+      after: program,
+      fields: PROGRAM_FIELDS
+    });
+
+    res.json({
+      message: 'Program updated successfully',
+      program
+    });
+
+  } catch (error) {
+    console.error('Update program error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid program ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A program with this code already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update program',
+      error: error.message
+    });
+  }
+});
+
+// Delete Program (only when nothing refers to it)
+router.delete('/programs/:programId', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const program = await Program.findOne({ _id: req.params.programId, institution: req.admin.institution });
+
+    if (!program) {
+      return res.status(404).json({ message: 'Program not found in your institution' });
+    }
+
+    const [cohorts, users] = await Promise.all([
+      Cohort.countDocuments({ program: program._id }),
+      User.countDocuments({ program: program._id })
+    ]);
+
+    if (cohorts > 0 || users > 0) {
+      return res.status(400).json({
+        message: 'Program still has cohorts or users. Move or remove them first.',
+        cohorts,
+        users
+      });
+    }
+
+    await Program.deleteOne({ _id: program._id });
+
+    await recordAuditEvent({
+      req,
+      action: 'PROGRAM_DELETED',
+      target: { type: 'PROGRAM', id: program._id, label: program.code },
+      institution: req.admin.institution,
+      before: program,
+      fields: ['department', ...PROGRAM_FIELDS]
+    });
+
+    res.json({ message: 'Program deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete program error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid program ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to delete program',
+      error: error.message
+    });
+  }
+});
+
+// Create Cohort
+router.post('/cohorts', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const program = await Program.findOne({ _id: req.body.program, institution: req.admin.institution });
+
+    if (!program) {
+      return res.status(400).json({ message: 'Program not found in your institution' });
+    }
+
+    const cohort = await new Cohort({
+      ...pickFields(req.body, COHORT_FIELDS),
+      program: program._id,
+      department: program.department,
+      institution: req.admin.institution
+    }).save();
+
+    await recordAuditEvent({
+      req,
+      action: 'COHORT_CREATED',
+      target: { type: 'COHORT', id: cohort._id, label: cohort.code },
+      institution: req.admin.institution,
+      after: cohort,
+      fields: ['program', ...COHORT_FIELDS]
+    });
+
+    res.status(201).json({
+      message: 'Cohort created successfully',
+      cohort
+    });
+
+  } catch (error) {
+    console.error('Create cohort error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid program ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A cohort with this code already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create cohort',
+      error: error.message
+    });
+  }
+});
+
+// Update Cohort (the program of a cohort cannot change)
+router.put('/cohorts/:cohortId', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const cohort = await Cohort.findOne({ _id: req.params.cohortId, institution: req.admin.institution });
+
+    if (!cohort) {
+      return res.status(404).json({ message: 'Cohort not found in your institution' });
+    }
+
+    const previous = cohort.toObject();
+    Object.assign(cohort, pickFields(req.body, COHORT_FIELDS));
+    await cohort.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'COHORT_UPDATED',
+      target: { type: 'COHORT', id: cohort._id, label: cohort.code },
+      institution: req.admin.institution,
+      before: previous,
+      after: cohort,
+      fields: COHORT_FIELDS
+    });
+
+    res.json({
+      message: 'Cohort updated successfully',
+      cohort
+    });
+
+  } catch (error) {
+    console.error('Update cohort error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid cohort ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A cohort with this code already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update cohort',
+      error: error.message
+    });
+  }
+});
+
+// Delete Cohort (only when no user belongs to it)
+router.delete('/cohorts/:cohortId', requireInstituteAdmin, requirePolicy('structure.manage'), async (req, res) => {
+  try {
+    const cohort = await Cohort.findOne({ _id: req.params.cohortId, institution: req.admin.institution });
+
+    if (!cohort) {
+      return res.status(404).json({ message: 'Cohort not found in your institution' });
+    }
+
+    const users = await User.countDocuments({ cohort: cohort._id });
+
+    if (users > 0) {
+      return res.status(400).json({
+        message: 'Cohort still has users. Move or remove them first.',
+        users
+      });
+    }
+
+    await Cohort.deleteOne({ _id: cohort._id });
+
+    await recordAuditEvent({
+      req,
+      action: 'COHORT_DELETED',
+      target: { type: 'COHORT', id: cohort._id, label: cohort.code },
+      institution: req.admin.institution,
+      before: cohort,
+      fields: ['program', ...COHORT_FIELDS]
+    });
+
+    res.json({ message: 'Cohort deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete cohort error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid cohort ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to delete cohort',
+      error: error.message
+    });
+  }
+});
+
+// Get Institute Users
+router.get('/users', requireInstituteAdmin, requirePolicy('users.read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search, role, associationStatus } = req.query;
+
+    const { filter: placementFilter, error: placementError } = buildPlacementFilter(req.query);
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+    
+    let query = { institute: req.admin.institution, ...placementFilter, ...getUserScopeFilter(req) };
+    
+    if (search) {
+      query.$or = [
+        { name: new RegExp(search, 'i') },
+        { email: new RegExp(search, 'i') },
+        { githubUsername: new RegExp(search, 'i') }
+      ];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (associationStatus) {
+      query.associationStatus = associationStatus;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select('-passwordHash -githubToken')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('approvedBy', 'name email')
+        .populate('department program cohort', 'name code'),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get institute users error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+});
+
+// Export Users Data (must come before /users/:userId)
+router.get('/users/export', requireInstituteAdmin, requirePolicy('users.export'), async (req, res) => {
+  try {
+    const { format = 'json', role } = req.query;
+
+    const { filter: placementFilter, error: placementError } = buildPlacementFilter(req.query);
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+
+    let query = { institute: req.admin.institution, ...placementFilter, ...getUserScopeFilter(req) };
+
+    if (role) {
+      query.role = role;
+    }
+
+    const users = await User.find(query)
+      .select('name email role department program cohort bio githubUsername profileSetupComplete associationStatus createdAt approvedAt')
+      .populate('department program cohort', 'name code')
+      .sort({ createdAt: -1 });
+
+    if (format === 'csv') {
+      // Convert to CSV format
+      const csvHeaders = 'Name,Email,Role,Department,Program,Cohort,Bio,GitHub Username,Profile Complete,Association Status,Created At,Approved At\n';
+      const csvData = users.map(user => {
+        return [
+          user.name,
+          user.email,
+          user.role,
+          user.department?.name || '',
+          user.program?.name || '',
+          user.cohort?.name || '',
+          user.bio || '',
+          user.githubUsername || '',
+          user.profileSetupComplete,
+          user.associationStatus,
+          user.createdAt?.toISOString() || '',
+          user.approvedAt?.toISOString() || ''
+        ].map(field => `"${field}"`).join(',');
+      }).join('\n');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="users-${req.admin.institution}-${new Date().toISOString().split('T')[0]}.csv"`);
+      res.send(csvHeaders + csvData);
+    } else {
+      // JSON format
+      res.json({
+        institution: req.admin.institution,
+        exportedAt: new Date().toISOString(),
+        totalUsers: users.length,
+        users: users.map(user => user.toJSON())
+      });
+    }
+
+  } catch (error) {
+    console.error('Export users error:', error);
+    res.status(500).json({
+      message: 'Failed to export users',
+      error: error.message
+    });
+  }
+});
+
+// Get Single User Details
+router.get('/users/:userId', requireInstituteAdmin, requirePolicy('users.read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await User.findOne({ 
+      _id: userId, 
+      institute: req.admin.institution,
+      ...getUserScopeFilter(req)
+    })
+    .select('-passwordHash -githubToken')
+    .populate('approvedBy', 'name email')
+    .populate('department program cohort', 'name code');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found in your institution' });
+    }
+
+    // Get user's association requests
+    const associationRequests = await AssociationRequest.find({ 
+      studentId: userId 
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      user: user.toJSON(),
+      associationRequests
+    });
+
+  } catch (error) {
+    console.error('Get user details error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch user details',
+      error: error.message
+    });
+  }
+});
+
+// Update User Role (Admin action)
+router.put('/users/:userId/role', requireInstituteAdmin, requirePolicy('users.write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { newRole } = req.body;
+
+    if (!['STUDENT', 'VERIFIER'].includes(newRole)) {
+      return res.status(400).json({
+        message: 'Role must be STUDENT or VERIFIER'
+      });
+    }
+
+    const user = await User.findOne({ 
+      _id: userId, 
+      institute: req.admin.institution,
+      ...getUserScopeFilter(req)
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found in your institution' });
+    }
+
+    // Check if role is already set permanently
+    if (user.roleSetPermanently) {
+      return res.status(400).json({
+        message: 'User role is already set permanently and cannot be changed'
+      });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      userId,
+      {
+        role: newRole,
+        roleSetPermanently: true,
+        roleSetAt: new Date(),
+        approvedBy: req.admin._id,
+        approvedAt: new Date(),
+        associationStatus: 'APPROVED',
+        profileSetupComplete: true
+      },
+      { new: true, runValidators: true }
+    ).select('-passwordHash -githubToken');
+
+    await recordAuditEvent({
+      req,
+      action: 'USER_ROLE_CHANGED',
+      target: { type: 'USER', id: user._id, label: user.email },
+      institution: req.admin.institution,
+      before: user,
+      after: updatedUser,
+      fields: ['role', 'roleSetPermanently', 'associationStatus']
+    });
+
+    await notify({
+      userId: user._id,
+      type: 'ROLE_CHANGED',
+      title: 'Your role was updated',
+      message: `An administrator of ${req.admin.institution} set your role to ${newRole.toLowerCase()}`,
+      link: '/dashboard',
+      data: { previousRole: user.role, newRole }
+    });
+
+    // Update institution stats
+    await Institution.updateStats(req.admin.institution);
+
+    res.json({
+      message: `User role updated to ${newRole} successfully`,
+      user: updatedUser.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({
+      message: 'Failed to update user role',
+      error: error.message
+    });
+  }
+});
+
+// Add New User (Student or Verifier)
+router.post('/users', requireInstituteAdmin, requirePolicy('users.write'), async (req, res) => {
+  try {
+    const { name, email, password, role, bio, githubUsername, department, program, cohort } = req.body;
+
+    // Validation
+    if (!name || !email || !password || !role) {
+      return res.status(400).json({
+        message: 'Name, email, password, and role are required'
+      });
+    }
+
+    const { placement, error: placementError } = await resolvePlacement(req.admin.institution, { department, program, cohort });
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+
+    if (!isDepartmentInScope(req, placement.department)) {
+      return res.status(403).json({
+        message: 'You can only add users to your own departments'
+      });
+    }
+
+    if (!['STUDENT', 'VERIFIER'].includes(role)) {
+      return res.status(400).json({
+        message: 'Role must be STUDENT or VERIFIER'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({
+        message: 'User with this email already exists'
+      });
+    }
+
+    // Create new user
+    const newUser = new User({
+      name: name.trim(),
+      email: email.toLowerCase().trim(),
+      passwordHash: password, // Will be hashed by pre-save middleware
+      role,
+      institute: req.admin.institution,
+      ...placement,
+      bio: bio ? bio.trim() : undefined,
+      githubUsername: githubUsername ? githubUsername.trim() : undefined,
+      profileSetupComplete: true,
+      roleSetPermanently: true,
+      roleSetAt: new Date(),
+      associationStatus: 'APPROVED',
+      approvedBy: req.admin._id,
+      approvedAt: new Date()
+    });
+
+    await newUser.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'USER_CREATED',
+      target: { type: 'USER', id: newUser._id, label: newUser.email },
+      institution: req.admin.institution,
+      after: newUser,
+      fields: ['name', 'email', 'role', 'institute', 'department', 'program', 'cohort', 'githubUsername']
+    });
+
+    // Update institution stats
+    await Institution.updateStats(req.admin.institution);
+
+    res.status(201).json({
+      message: `${role} created successfully`,
+      user: newUser.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({
+      message: 'Failed to create user',
+      error: error.message
+    });
+  }
+});
+
+// Update User Details (Admin action)
+router.put('/users/:userId', requireInstituteAdmin, requirePolicy('users.write'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, email, bio, githubUsername, role, department, program, cohort } = req.body;
+
+    const user = await User.findOne({ 
+      _id: userId, 
+      institute: req.admin.institution,
+      ...getUserScopeFilter(req)
+    });
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found in your institution' });
+    }
+
+    const updates = {};
+
+    // Validate and set updates
+    if (name !== undefined) {
+      if (!name.trim() || name.length > 100) {
+        return res.status(400).json({
+          message: 'Name must be between 1 and 100 characters'
+        });
+      }
+      updates.name = name.trim();
+    }
+
+    if (email !== undefined) {
+      if (!email.trim()) {
+        return res.status(400).json({ message: 'Email cannot be empty' });
+      }
+      
+      // Check if email is already taken by another user
+      const existingUser = await User.findOne({ 
+        email: email.toLowerCase().trim(),
+        _id: { $ne: userId }
       });
       
       if (existingUser) {
@@ -468,6 +1987,20 @@ router.put('/users/:userId', requireInstituteAdmin, requirePermission('manageUse
       updates.role = role;
     }
 
+    const { placement, error: placementError } = await resolvePlacement(req.admin.institution, { department, program, cohort });
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+
+    if (Object.keys(placement).length > 0) {
+      if (!isDepartmentInScope(req, placement.department)) {
+        return res.status(403).json({
+          message: 'You can only move users into your own departments'
+        });
+      }
+      Object.assign(updates, placement);
+    }
+
     if (Object.keys(updates).length === 0) {
       return res.status(400).json({ message: 'No valid updates provided' });
     }
@@ -478,11 +2011,23 @@ router.put('/users/:userId', requireInstituteAdmin, requirePermission('manageUse
       { new: true, runValidators: true }
     ).select('-passwordHash -githubToken');
 
+    await recordAuditEvent({
+      req,
+      action: 'USER_UPDATED',
+      target: { type: 'USER', id: user._id, label: user.email },
+      institution: req.admin.institution,
+      before: user,
+      after: updatedUser,
+      fields: Object.keys(updates)
+    });
+
     // Update institution stats if role changed
     if (role && role !== user.role) {
       await Institution.updateStats(req.admin.institution);
     }
 
+    await updatedUser.populate('department program cohort', 'name code');
+
     res.json({
       message: 'User updated successfully',
       user: updatedUser.toJSON()
@@ -498,7 +2043,7 @@ router.put('/users/:userId', requireInstituteAdmin, requirePermission('manageUse
 });
 
 // Reset User Password (Admin action)
-router.put('/users/:userId/reset-password', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+router.put('/users/:userId/reset-password', requireInstituteAdmin, requirePolicy('users.resetPassword'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { newPassword } = req.body;
@@ -511,7 +2056,8 @@ router.put('/users/:userId/reset-password', requireInstituteAdmin, requirePermis
 
     const user = await User.findOne({ 
       _id: userId, 
-      institute: req.admin.institution 
+      institute: req.admin.institution,
+      ...getUserScopeFilter(req)
     });
 
     if (!user) {
@@ -522,6 +2068,17 @@ router.put('/users/:userId/reset-password', requireInstituteAdmin, requirePermis
     user.passwordHash = newPassword; // Will be hashed by pre-save middleware
     await user.save();
 
+    // Sign the user out everywhere
+    const sessionsRevoked = await revokeSessions({ userId: user._id }, 'PASSWORD_CHANGED');
+
+    await recordAuditEvent({
+      req,
+      action: 'USER_PASSWORD_RESET',
+      target: { type: 'USER', id: user._id, label: user.email },
+      institution: req.admin.institution,
+      metadata: { sessionsRevoked }
+    });
+
     res.json({
       message: 'User password reset successfully',
       user: {
@@ -541,14 +2098,15 @@ router.put('/users/:userId/reset-password', requireInstituteAdmin, requirePermis
 });
 
 // Remove User from Institution
-router.delete('/users/:userId', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+router.delete('/users/:userId', requireInstituteAdmin, requirePolicy('users.write'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { action = 'remove' } = req.body; // 'remove' or 'delete'
 
     const user = await User.findOne({ 
       _id: userId, 
-      institute: req.admin.institution 
+      institute: req.admin.institution,
+      ...getUserScopeFilter(req)
     });
 
     if (!user) {
@@ -558,6 +2116,16 @@ router.delete('/users/:userId', requireInstituteAdmin, requirePermission('manage
     if (action === 'delete') {
       // Permanently delete user (use with caution)
       await User.findByIdAndDelete(userId);
+      await revokeSessions({ userId }, 'REVOKED_ALL');
+
+      await recordAuditEvent({
+        req,
+        action: 'USER_DELETED',
+        target: { type: 'USER', id: user._id, label: user.email },
+        institution: req.admin.institution,
+        before: user,
+        fields: ['name', 'email', 'role', 'institute', 'associationStatus']
+      });
       
       // Remove any pending association requests
       await AssociationRequest.deleteMany({ 
@@ -587,6 +2155,16 @@ router.delete('/users/:userId', requireInstituteAdmin, requirePermission('manage
         institute: req.admin.institution 
       });
 
+      await recordAuditEvent({
+        req,
+        action: 'USER_REMOVED_FROM_INSTITUTION',
+        target: { type: 'USER', id: user._id, label: user.email },
+        institution: req.admin.institution,
+        before: user,
+        after: { role: 'STUDENT', institute: null, associationStatus: 'NONE' },
+        fields: ['role', 'institute', 'associationStatus']
+      });
+
       res.json({ 
         message: 'User removed from institution successfully' 
       });
@@ -605,7 +2183,7 @@ router.delete('/users/:userId', requireInstituteAdmin, requirePermission('manage
 });
 
 // Bulk User Operations
-router.post('/users/bulk-action', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+router.post('/users/bulk-action', requireInstituteAdmin, requirePolicy('users.write'), async (req, res) => {
   try {
     const { action, userIds, data } = req.body;
 
@@ -615,16 +2193,17 @@ router.post('/users/bulk-action', requireInstituteAdmin, requirePermission('mana
       });
     }
 
-    if (!['update-role', 'remove', 'activate', 'deactivate'].includes(action)) {
+    if (!['update-role', 'assign', 'remove', 'activate', 'deactivate'].includes(action)) {
       return res.status(400).json({
-        message: 'Invalid action. Supported actions: update-role, remove, activate, deactivate'
+        message: 'Invalid action. Supported actions: update-role, assign, remove, activate, deactivate'
       });
     }
 
-    // Verify all users belong to this institution
+    // Verify all users belong to this institution (and the admin's departments)
     const users = await User.find({
       _id: { $in: userIds },
-      institute: req.admin.institution
+      institute: req.admin.institution,
+      ...getUserScopeFilter(req)
     });
 
     if (users.length !== userIds.length) {
@@ -635,6 +2214,7 @@ router.post('/users/bulk-action', requireInstituteAdmin, requirePermission('mana
 
     let updateResult;
     let message;
+    let placement;
 
     switch (action) {
       case 'update-role':
@@ -659,9 +2239,56 @@ router.post('/users/bulk-action', requireInstituteAdmin, requirePermission('mana
           }
         );
 
+        // Notify the users whose role actually changed
+        for (const user of users.filter(u => !u.roleSetPermanently && u.role !== data.newRole)) {
+          await notify({
+            userId: user._id,
+            type: 'ROLE_CHANGED',
+            title: 'Your role was updated',
+            message: `An administrator of ${req.admin.institution} set your role to ${data.newRole.toLowerCase()}`,
+            link: '/dashboard',
+            data: { previousRole: user.role, newRole: data.newRole }
+          });
+        }
+
         message = `Updated ${updateResult.modifiedCount} users to ${data.newRole} role`;
         break;
 
+      case 'assign': {
+        const resolved = await resolvePlacement(req.admin.institution, {
+          department: data?.department,
+          program: data?.program,
+          cohort: data?.cohort
+        });
+        if (resolved.error) {
+          return res.status(400).json({ message: resolved.error });
+        }
+
+        placement = resolved.placement;
+        if (Object.keys(placement).length === 0) {
+          return res.status(400).json({
+            message: 'A department, program or cohort is required for assign action'
+          });
+        }
+
+        if (!isDepartmentInScope(req, placement.department)) {
+          return res.status(403).json({
+            message: 'You can only move users into your own departments'
+          });
+        }
+
+        updateResult = await User.updateMany(
+          {
+            _id: { $in: userIds },
+            institute: req.admin.institution
+          },
+          placement
+        );
+
+        message = `Assigned ${updateResult.modifiedCount} users`;
+        break;
+      }
+
       case 'remove':
         updateResult = await User.updateMany(
           { 
@@ -693,6 +2320,24 @@ router.post('/users/bulk-action', requireInstituteAdmin, requirePermission('mana
         return res.status(400).json({ message: 'Action not implemented' });
     }
 
+    await recordAuditEvent({
+      req,
+      action: {
+        'update-role': 'USERS_BULK_ROLE_CHANGED',
+        assign: 'USERS_BULK_ASSIGNED',
+        remove: 'USERS_BULK_REMOVED'
+      }[action],
+      target: { type: 'USER', label: `${userIds.length} users` },
+      institution: req.admin.institution,
+      metadata: {
+        userIds,
+        emails: users.map(user => user.email),
+        newRole: data?.newRole,
+        placement,
+        affectedUsers: updateResult.modifiedCount
+      }
+    });
+
     // Update institution stats
     await Institution.updateStats(req.admin.institution);
 
@@ -712,7 +2357,7 @@ router.post('/users/bulk-action', requireInstituteAdmin, requirePermission('mana
 });
 
 // Import Users from CSV/Excel (Bulk Create)
-router.post('/users/bulk-import', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+router.post('/users/bulk-import', requireInstituteAdmin, requirePolicy('users.import'), async (req, res) => {
   try {
     const { users } = req.body; // Array of user objects
 
@@ -744,7 +2389,7 @@ router.post('/users/bulk-import', requireInstituteAdmin, requirePermission('mana
 
     for (const userData of users) {
       try {
-        const { name, email, role, bio, githubUsername } = userData;
+        const { name, email, role, bio, githubUsername, department, program, cohort } = userData;
 
         // Validation - password is no longer required in input
         if (!name || !email || !role) {
@@ -763,6 +2408,24 @@ router.post('/users/bulk-import', requireInstituteAdmin, requirePermission('mana
           continue;
         }
 
+        // Department, program and cohort columns may hold IDs or codes
+        const { placement, error: placementError } = await resolvePlacement(req.admin.institution, { department, program, cohort });
+        if (placementError) {
+          results.failed.push({
+            email,
+            error: placementError
+          });
+          continue;
+        }
+
+        if (!isDepartmentInScope(req, placement.department)) {
+          results.failed.push({
+            email,
+            error: 'Department is outside your scope'
+          });
+          continue;
+        }
+
         // Check if user already exists
         const existingUser = await User.findOne({ email: email.toLowerCase() });
         if (existingUser) {
@@ -789,6 +2452,7 @@ router.post('/users/bulk-import', requireInstituteAdmin, requirePermission('mana
           passwordHash: generatedPassword,
           role,
           institute: req.admin.institution,
+          ...placement,
           bio: bio ? bio.trim() : undefined,
           githubUsername: githubUsername ? githubUsername.trim() : undefined,
           profileSetupComplete: true,
@@ -838,6 +2502,18 @@ router.post('/users/bulk-import', requireInstituteAdmin, requirePermission('mana
     // Update institution stats
     if (results.created.length > 0) {
       await Institution.updateStats(req.admin.institution);
+
+      await recordAuditEvent({
+        req,
+        action: 'USERS_BULK_IMPORTED',
+        target: { type: 'USER', label: `${results.created.length} users` },
+        institution: req.admin.institution,
+        metadata: {
+          created: results.created.map(user => ({ email: user.email, role: user.role })),
+          failed: results.failed.length,
+          duplicates: results.duplicates.length
+        }
+      });
     }
 
     // Generate CSV with passwords for successful creations
@@ -850,95 +2526,48 @@ router.post('/users/bulk-import', requireInstituteAdmin, requirePermission('mana
       csvContent = csvHeaders + csvRows;
     }
 
-    res.json({
-      message: `Bulk import completed. Created: ${results.created.length}, Failed: ${results.failed.length}, Duplicates: ${results.duplicates.length}. Emails sent: ${results.emailResults.sent}, Email failures: ${results.emailResults.failed}`,
-      summary: {
-        totalProcessed: users.length,
-        created: results.created.length,
-        failed: results.failed.length,
-        duplicates: results.duplicates.length,
-        emailsSent: results.emailResults.sent,
-        emailsFailed: results.emailResults.failed
-      },
-      results: {
-        created: results.created.map(user => ({
-          email: user.email,
-          name: user.name,
-          role: user.role
-          // Password removed from results for security (available in CSV)
-        })),
-        failed: results.failed,
-        duplicates: results.duplicates
-      },
-      csvData: csvContent // CSV with passwords for download
-    });
-
-  } catch (error) {
-    console.error('Bulk import error:', error);
-    res.status(500).json({
-      message: 'Failed to import users',
-      error: error.message
-    });
-  }
-});
-
-// Export Users Data
-router.get('/users/export', requireInstituteAdmin, requirePermission('viewAnalytics'), async (req, res) => {
-  try {
-    const { format = 'json', role } = req.query;
-
-let query = { instituteSlug: req.admin.institution }; 
-
-    if (role) {
-      query.role = role;
-    }
-
-    const users = await User.find(query)
-      .select('name email role bio githubUsername profileSetupComplete associationStatus createdAt approvedAt')
-      .sort({ createdAt: -1 });
-
-    if (format === 'csv') {
-      // Convert to CSV format
-      const csvHeaders = 'Name,Email,Role,Bio,GitHub Username,Profile Complete,Association Status,Created At,Approved At\n';
-      const csvData = users.map(user => {
-        return [
-          user.name,
-          user.email,
-          user.role,
-          user.bio || '',
-          user.githubUsername || '',
-          user.profileSetupComplete,
-          user.associationStatus,
-          user.createdAt?.toISOString() || '',
-          user.approvedAt?.toISOString() || ''
-        ].map(field => `"${field}"`).join(',');
-      }).join('\n');
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="users-${req.admin.institution}-${new Date().toISOString().split('T')[0]}.csv"`);
-      res.send(csvHeaders + csvData);
-    } else {
-      // JSON format
-      res.json({
-        institution: req.admin.institution,
-        exportedAt: new Date().toISOString(),
-        totalUsers: users.length,
-        users: users.map(user => user.toJSON())
-      });
-    }
-
+    res.json({
+      message: `Bulk import completed. Created: ${results.created.length}, Failed: ${results.failed.length}, Duplicates: ${results.duplicates.length}. Emails sent: ${results.emailResults.sent}, Email failures: ${results.emailResults.failed}`,
+      summary: {
+        totalProcessed: users.length,
+        created: results.created.length,
+        failed: results.failed.length,
+        duplicates: results.duplicates.length,
+        emailsSent: results.emailResults.sent,
+        emailsFailed: results.emailResults.failed
+      },
+      results: {
+        created: results.created.map(user => ({
+          email: user.email,
+          name: user.name,
+          role: user.role
+          // Password removed from results for security (available in CSV)
+        })),
+        failed: results.failed,
+        duplicates: results.duplicates
+      },
+      csvData: csvContent // CSV with passwords for download
+    });
+
   } catch (error) {
-    console.error('Export users error:', error);
+    console.error('Bulk import error:', error);
     res.status(500).json({
-      message: 'Failed to export users',
+      message: 'Failed to import users',
       error: error.message
     });
   }
 });
 
 // Get Institute Analytics
-router.get('/analytics', requireInstituteAdmin, requirePermission('viewAnalytics'), async (req, res) => {
+router.get('/analytics', requireInstituteAdmin, requirePolicy('analytics.view'), async (req, res) => {
   try {
+    const { filter: placementFilter, error: placementError } = buildPlacementFilter(req.query);
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+
+    const userQuery = { institute: req.admin.institution, ...placementFilter, ...getUserScopeFilter(req) };
+
     const [
       totalUsers,
       totalStudents, 
@@ -946,14 +2575,14 @@ router.get('/analytics', requireInstituteAdmin, requirePermission('viewAnalytics
       pendingAssociations,
       recentUsers
     ] = await Promise.all([
-      User.countDocuments({ institute: req.admin.institution }),
-      User.countDocuments({ institute: req.admin.institution, role: 'STUDENT' }),
-      User.countDocuments({ institute: req.admin.institution, role: 'VERIFIER' }),
+      User.countDocuments(userQuery),
+      User.countDocuments({ ...userQuery, role: 'STUDENT' }),
+      User.countDocuments({ ...userQuery, role: 'VERIFIER' }),
       AssociationRequest.countDocuments({ 
         institute: req.admin.institution, 
         status: 'PENDING' 
       }),
-      User.find({ institute: req.admin.institution })
+      User.find(userQuery)
         .sort({ createdAt: -1 })
         .limit(5)
         .select('name email role createdAt associationStatus')
@@ -962,7 +2591,7 @@ router.get('/analytics', requireInstituteAdmin, requirePermission('viewAnalytics
     const userGrowth = await User.aggregate([
       { 
         $match: { 
-          institute: req.admin.institution,
+          ...userQuery,
           createdAt: { 
             $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Last 30 days
           }
@@ -980,7 +2609,7 @@ router.get('/analytics', requireInstituteAdmin, requirePermission('viewAnalytics
     ]);
 
     const roleDistribution = await User.aggregate([
-      { $match: { institute: req.admin.institution } },
+      { $match: userQuery },
       {
         $group: {
           _id: '$role',
@@ -989,6 +2618,32 @@ router.get('/analytics', requireInstituteAdmin, requirePermission('viewAnalytics
       }
     ]);
 
+    const departmentDistribution = await User.aggregate([
+      { $match: userQuery },
+      {
+        $group: {
+          _id: '$department',
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $lookup: {
+          from: Department.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'department'
+        }
+      },
+      {
+        $project: {
+          count: 1,
+          name: { $ifNull: [{ $arrayElemAt: ['$department.name', 0] }, null] },
+          code: { $ifNull: [{ $arrayElemAt: ['$department.code', 0] }, null] }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
     res.json({
       overview: {
         totalUsers,
@@ -998,7 +2653,8 @@ router.get('/analytics', requireInstituteAdmin, requirePermission('viewAnalytics
       },
       recentUsers,
       userGrowth,
-      roleDistribution
+      roleDistribution,
+      departmentDistribution
     });
 
   } catch (error) {
@@ -1010,8 +2666,353 @@ router.get('/analytics', requireInstituteAdmin, requirePermission('viewAnalytics
   }
 });
 
+// Get Verifications for a User's Items
+router.get('/users/:userId/verifications', requireInstituteAdmin, requirePolicy('verifications.read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status } = req.query;
+
+    const user = await User.findOne({ 
+      _id: userId, 
+      institute: req.admin.institution,
+      ...getUserScopeFilter(req)
+    }).select('name email');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found in your institution' });
+    }
+
+    const [experiences, education, projects] = await Promise.all([
+      Experience.find({ userId }).select('title'),
+      Education.find({ userId }).select('courseName'),
+      Project.find({ userId }).select('title')
+    ]);
+
+    const titles = new Map();
+    experiences.forEach(exp => titles.set(exp._id.toString(), exp.title));
+    education.forEach(edu => titles.set(edu._id.toString(), edu.courseName));
+    projects.forEach(proj => titles.set(proj._id.toString(), proj.title));
+
+    const query = { itemId: { $in: [...experiences, ...education, ...projects].map(item => item._id) } };
+    if (status) {
+      query.status = status.toUpperCase();
+    }
+
+    const verifications = await Verification.find(query)
+      .select('-token')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      user,
+      verifications: verifications.map(verification => ({
+        ...verification.toJSON(),
+        itemTitle: titles.get(verification.itemId.toString())
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get user verifications error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch verifications',
+      error: error.message
+    });
+  }
+});
+
+// Revoke an Approved Verification (Admin action)
+router.post('/verifications/:verificationId/revoke', requireInstituteAdmin, requirePolicy('verifications.revoke'), async (req, res) => {
+  try {
+    const { verificationId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        message: 'A reason is required to revoke a verification'
+      });
+    }
+
+    const verification = await Verification.findOne({
+      _id: verificationId,
+      status: 'APPROVED'
+    });
+
+    if (!verification) {
+      return res.status(404).json({
+        message: 'Approved verification not found'
+      });
+    }
+
+    const Model = getItemModel(verification.itemType);
+    const item = await Model.findById(verification.itemId).populate('userId', 'institute department');
+
+    if (!item || !item.userId || item.userId.institute !== req.admin.institution || !isDepartmentInScope(req, item.userId.department)) {
+      return res.status(404).json({
+        message: 'Verification not found in your institution'
+      });
+    }
+
+    const { itemVerified } = await withdrawVerification({
+      itemType: verification.itemType,
+      itemId: verification.itemId,
+      verification,
+      actorEmail: req.admin.email,
+      actorName: `${req.admin.name} (${req.admin.institution} administrator)`,
+      reason: reason.trim(),
+      metadata: { revokedBy: 'INSTITUTE_ADMIN' },
+      req
+    });
+
+    res.json({
+      message: 'Verification revoked successfully',
+      verification: {
+        id: verification._id,
+        itemType: verification.itemType,
+        itemTitle: getItemTitle(item),
+        status: verification.status,
+        revokedAt: verification.revokedAt,
+        revocationReason: verification.revocationReason
+      },
+      itemVerified
+    });
+
+  } catch (error) {
+    console.error('Revoke verification error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid verification ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to revoke verification',
+      error: error.message
+    });
+  }
+});
+
+// Get Verification SLA Report (response times against the institution's SLA)
+router.get('/verifications/sla-report', requireInstituteAdmin, requirePolicy('verifications.read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    // Department-scoped admins only see requests of students in their departments
+    const studentIds = req.adminScope
+      ? await User.find({ institute: req.admin.institution, ...getUserScopeFilter(req) }).distinct('_id')
+      : undefined;
+
+    const report = await buildSlaReport({
+      institution: req.admin.institution,
+      from: fromDate,
+      to: toDate,
+      studentIds
+    });
+
+    res.json({
+      institution: req.admin.institution,
+      from: fromDate || null,
+      to: toDate || null,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get SLA report error:', error);
+    res.status(500).json({
+      message: 'Failed to build SLA report',
+      error: error.message
+    });
+  }
+});
+
+// Get Verification Routing Rules
+router.get('/routing-rules', requireInstituteAdmin, requirePolicy('routing.manage'), async (req, res) => {
+  try {
+    const rules = await RoutingRule.find({ institution: req.admin.institution })
+      .populate('conditions.departments', 'name code')
+      .populate('verifiers', 'name email')
+      .populate('lastAssignedTo', 'name email')
+      .sort({ priority: 1, createdAt: 1 });
+
+    res.json({ rules });
+
+  } catch (error) {
+    console.error('Get routing rules error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch routing rules',
+      error: error.message
+    });
+  }
+});
+
+// Get Verifier Workload (pending queue used for load balancing)
+router.get('/routing-rules/workload', requireInstituteAdmin, requirePolicy('routing.manage'), async (req, res) => {
+  try {
+    const verifiers = await User.find({ institute: req.admin.institution, role: 'VERIFIER' })
+      .select('name email department')
+      .populate('department', 'name code')
+      .sort({ name: 1 });
+
+    const pending = await getPendingCounts(verifiers.map(verifier => verifier.email));
+
+    res.json({
+      verifiers: verifiers.map(verifier => ({
+        _id: verifier._id,
+        name: verifier.name,
+        email: verifier.email,
+        department: verifier.department,
+        pendingRequests: pending[verifier.email]
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get verifier workload error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch verifier workload',
+      error: error.message
+    });
+  }
+});
+
+// Create Verification Routing Rule
+router.post('/routing-rules', requireInstituteAdmin, requirePolicy('routing.manage'), async (req, res) => {
+  try {
+    const { values, error } = await validateRoutingRuleInput(req.body, req.admin.institution);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const rule = await new RoutingRule({
+      ...values,
+      institution: req.admin.institution
+    }).save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ROUTING_RULE_CREATED',
+      target: { type: 'ROUTING_RULE', id: rule._id, label: rule.name },
+      institution: req.admin.institution,
+      after: rule,
+      fields: ROUTING_RULE_FIELDS
+    });
+
+    res.status(201).json({
+      message: 'Routing rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Create routing rule error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({
+      message: 'Failed to create routing rule',
+      error: error.message
+    });
+  }
+});
+
+// Update Verification Routing Rule
+router.put('/routing-rules/:ruleId', requireInstituteAdmin, requirePolicy('routing.manage'), async (req, res) => {
+  try {
+    const { values, error } = await validateRoutingRuleInput(req.body, req.admin.institution, true);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ message: 'No valid updates provided' });
+    }
+
+    const rule = await RoutingRule.findOne({ _id: req.params.ruleId, institution: req.admin.institution });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Routing rule not found in your institution' });
+    }
+
+    const previous = rule.toObject();
+    Object.assign(rule, values);
+    await rule.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ROUTING_RULE_UPDATED',
+      target: { type: 'ROUTING_RULE', id: rule._id, label: rule.name },
+      institution: req.admin.institution,
+      before: previous,
+      after: rule,
+      fields: ROUTING_RULE_FIELDS
+    });
+
+    res.json({
+      message: 'Routing rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    console.error('Update routing rule error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid routing rule ID' });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update routing rule',
+      error: error.message
+    });
+  }
+});
+
+// Delete Verification Routing Rule (requests it already routed keep their verifier)
+router.delete('/routing-rules/:ruleId', requireInstituteAdmin, requirePolicy('routing.manage'), async (req, res) => {
+  try {
+    const rule = await RoutingRule.findOne({ _id: req.params.ruleId, institution: req.admin.institution });
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Routing rule not found in your institution' });
+    }
+
+    await RoutingRule.deleteOne({ _id: rule._id });
+
+    await recordAuditEvent({
+      req,
+      action: 'ROUTING_RULE_DELETED',
+      target: { type: 'ROUTING_RULE', id: rule._id, label: rule.name },
+      institution: req.admin.institution,
+      before: rule,
+      fields: ROUTING_RULE_FIELDS
+    });
+
+    res.json({ message: 'Routing rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete routing rule error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid routing rule ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to delete routing rule',
+      error: error.message
+    });
+  }
+});
+
 // Get Pending Association Requests
-router.get('/association-requests', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+router.get('/association-requests', requireInstituteAdmin, requirePolicy('associations.review'), async (req, res) => {
   try {
     const { page = 1, limit = 10, status = 'PENDING' } = req.query;
     
@@ -1053,7 +3054,7 @@ router.get('/association-requests', requireInstituteAdmin, requirePermission('ma
 });
 
 // Approve/Reject Association Request (Admin Override)
-router.put('/association-requests/:requestId/respond', requireInstituteAdmin, requirePermission('manageUsers'), async (req, res) => {
+router.put('/association-requests/:requestId/respond', requireInstituteAdmin, requirePolicy('associations.review'), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { action, response } = req.body;
@@ -1096,6 +3097,27 @@ router.put('/association-requests/:requestId/respond', requireInstituteAdmin, re
       verifierName: req.admin.name
     });
 
+    await recordAuditEvent({
+      req,
+      action: action === 'approve' ? 'ASSOCIATION_REQUEST_APPROVED' : 'ASSOCIATION_REQUEST_REJECTED',
+      target: { type: 'ASSOCIATION_REQUEST', id: associationRequest._id, label: student.email },
+      institution: req.admin.institution,
+      changes: [{ field: 'status', before: 'PENDING', after: newStatus }],
+      metadata: { studentId: student._id, requestedRole: associationRequest.requestedRole, response }
+    });
+
+    // Let the student know about the decision
+    await notify({
+      userId: student._id,
+      type: 'ASSOCIATION_RESPONDED',
+      title: `Association request ${newStatus.toLowerCase()}`,
+      message: action === 'approve'
+        ? `Your request to join ${associationRequest.institute} as ${associationRequest.requestedRole.toLowerCase()} was approved by an institute administrator`
+        : `Your request to join ${associationRequest.institute} was rejected by an institute administrator${response ? `: ${response.trim()}` : ''}`,
+      link: '/dashboard',
+      data: { requestId: associationRequest._id, institute: associationRequest.institute, status: newStatus }
+    });
+
     if (action === 'approve') {
       // Update student's profile with approved association
       await User.findByIdAndUpdate(student._id, {
@@ -1142,4 +3164,81 @@ router.put('/association-requests/:requestId/respond', requireInstituteAdmin, re
   }
 });
 
+// Get Audit Events of the Institution
+router.get('/audit-events', requireInstituteAdmin, requirePolicy('audit.view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { query, error } = buildAuditQuery({ ...req.query, institution: req.admin.institution });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get institution audit events error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch audit events',
+      error: error.message
+    });
+  }
+});
+
+// Export Audit Events of the Institution
+router.get('/audit-events/export', requireInstituteAdmin, requirePolicy('audit.view'), async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const { query, error } = buildAuditQuery({ ...req.query, institution: req.admin.institution });
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const events = await AuditEvent.find(query)
+      .sort({ sequence: 1 })
+      .limit(AUDIT_EXPORT_LIMIT);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${req.admin.institution}-${new Date().toISOString().split('T')[0]}.csv"`);
+      res.send(auditEventsToCsv(events));
+    } else {
+      res.json({
+        institution: req.admin.institution,
+        exportedAt: new Date().toISOString(),
+        totalEvents: events.length,
+        truncated: events.length === AUDIT_EXPORT_LIMIT,
+        events
+      });
+    }
+
+  } catch (error) {
+    console.error('Export institution audit events error:', error);
+    res.status(500).json({
+      message: 'Failed to export audit events',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,221 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { requireAuth } = require('../middlewares/auth');
+const { NOTIFICATION_EVENTS, EMAIL_DELIVERY_OPTIONS, getPreference } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Format a user's preferences for every notification type
+const formatPreferences = (user) => {
+  return Object.keys(NOTIFICATION_EVENTS).reduce((preferences, type) => {
+    preferences[NOTIFICATION_EVENTS[type]] = getPreference(user, type);
+    return preferences;
+  }, {});
+};
+
+// Get notification inbox
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = { userId: req.user._id, inApp: true };
+
+    // Filter by read status if specified
+    if (req.query.unread === 'true') {
+      query.read = false;
+    }
+
+    // Filter by notification type if specified
+    if (req.query.type) {
+      query.type = req.query.type.toUpperCase();
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .select('-emailStatus -digestedAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ userId: req.user._id, inApp: true, read: false })
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch notifications',
+      error: error.message
+    });
+  }
+});
+
+// Get unread notification count
+router.get('/unread-count', requireAuth, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      userId: req.user._id,
+      inApp: true,
+      read: false
+    });
+
+    res.json({ unreadCount });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch unread count',
+      error: error.message
+    });
+  }
+});
+
+// Get notification preferences
+router.get('/preferences', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    res.json({
+      preferences: formatPreferences(user),
+      emailOptions: EMAIL_DELIVERY_OPTIONS
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// Update notification preferences
+router.put('/preferences', requireAuth, async (req, res) => {
+  try {
+    const { preferences } = req.body;
+
+    if (!preferences || typeof preferences !== 'object') {
+      return res.status(400).json({ message: 'Preferences object is required' });
+    }
+
+    const validKeys = Object.values(NOTIFICATION_EVENTS);
+    const updates = {};
+
+    for (const [key, preference] of Object.entries(preferences)) {
+      if (!validKeys.includes(key)) {
+        return res.status(400).json({
+          message: `Invalid notification type: ${key}. Must be one of: ${validKeys.join(', ')}`
+        });
+      }
+
+      if (!preference || typeof preference !== 'object') {
+        return res.status(400).json({ message: `${key} must be an object` });
+      }
+
+      if (preference.inApp !== undefined) {
+        if (typeof preference.inApp !== 'boolean') {
+          return res.status(400).json({ message: `${key}.inApp must be a boolean value` });
+        }
+        updates[`notificationPreferences.${key}.inApp`] = preference.inApp;
+      }
+
+      if (preference.email !== undefined) {
+        if (!EMAIL_DELIVERY_OPTIONS.includes(preference.email)) {
+          return res.status(400).json({
+            message: `${key}.email must be one of: ${EMAIL_DELIVERY_OPTIONS.join(', ')}`
+          });
+        }
+        updates[`notificationPreferences.${key}.email`] = preference.email;
+      }
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('notificationPreferences');
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences: formatPreferences(user)
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', requireAuth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user._id, inApp: true, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      message: 'Failed to mark notifications as read',
+      error: error.message
+    });
+  }
+});
+
+// Mark a notification as read
+router.put('/:id/read', requireAuth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      userId: req.user._id,
+      inApp: true
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to mark notification as read',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -4,15 +4,54 @@ const Experience = require('../models/Experience');
 const Education = require('../models/Education');
 const Project = require('../models/Project');
 const axios = require('axios');
+const { getPortfolioContent, getPortfolioUrl } = require('../utils/portfolioContent');
+const { PDF_TEMPLATES, DEFAULT_PDF_TEMPLATE, renderPortfolioPdf } = require('../utils/portfolioPdf');
+const { RESUME_FORMATS, getResumeFormat } = require('../utils/resumeFormats');
+const { looksLikeObjectId, resolvePortfolioSlug } = require('../utils/portfolioSlug');
+const { checkPortfolioAccess } = require('../utils/portfolioAccess');
+const { recordPortfolioView } = require('../utils/portfolioAnalytics');
+const { searchPortfolios } = require('../utils/portfolioSearch');
+const { optionalAuth } = require('../middlewares/auth');
 
 const router = express.Router();
 
-// Get user's public portfolio
-router.get('/:userId', async (req, res) => {
+// Portfolios are addressed by user ID or slug; old slugs redirect to the current address
+router.param('userId', async (req, res, next, value) => {
+  try {
+    if (looksLikeObjectId(value)) {
+      return next();
+    }
+
+    const resolved = await resolvePortfolioSlug(value);
+
+    if (!resolved) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (resolved.redirectTo) {
+      const rest = req.path.slice(value.length + 1);
+      const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      return res.redirect(301, `${req.baseUrl}/${resolved.redirectTo}${rest}${query}`);
+    }
+
+    req.params.userId = String(resolved.userId);
+    next();
+
+  } catch (error) {
+    console.error('Resolve portfolio slug error:', error);
+    res.status(500).json({
+      message: 'Failed to find portfolio',
+      error: error.message
+    });
+  }
+});
+
+// Get a user's portfolio, as far as its visibility allows the requester
+router.get('/:userId', optionalAuth, async (req, res) => {
   try {
     // Get user info with portfolio settings
     const user = await User.findById(req.params.userId)
-      .select('name email githubUsername bio institute profileJson createdAt role portfolioSettings contactInfo contactVisibility');
+      .select('name email githubUsername bio institute profileJson createdAt role portfolioSettings portfolioSlug contactInfo contactVisibility');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -39,24 +78,20 @@ router.get('/:userId', async (req, res) => {
       githubUsername: true
     };
 
-    // Check portfolio visibility
-    if (settings.visibility === 'PRIVATE') {
-      return res.status(403).json({ 
-        message: 'This portfolio is private' 
+    // Check portfolio visibility (private, institute-only, unlisted with share link)
+    const access = await checkPortfolioAccess(req, user, { resource: 'PORTFOLIO' });
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        message: access.message,
+        ...(access.code && { code: access.code })
       });
     }
 
-    // For INSTITUTE_ONLY visibility, check if requester is from same institute
-    // (This would need authentication context to fully implement)
-    if (settings.visibility === 'INSTITUTE_ONLY') {
-      // For now, allow access - in a full implementation, you'd check req.user.institute
-      console.log('Institute-only portfolio accessed');
-    }
-
     // Build response based on visibility settings
     const response = {
       user: {
         id: user._id,
+        slug: user.portfolioSlug,
         name: user.name,
         role: user.role,
         createdAt: user.createdAt,
@@ -121,7 +156,7 @@ router.get('/:userId', async (req, res) => {
       }).sort({ passingYear: -1, createdAt: -1 });
     }
 
-    // Get projects (only public ones, no verification needed)
+    // Get projects (only public ones; verified projects carry a badge but verification is optional)
     let projects = [];
     if (settings.sections.showProjects) {
       projects = await Project.find({
@@ -165,16 +200,22 @@ router.get('/:userId', async (req, res) => {
     // Calculate portfolio stats
     const latestEducation = education.length > 0 ? education[0] : null;
     const latestProject = projects.length > 0 ? projects[0] : null;
+    const verifiedProjects = projects.filter(project => project.verified).length;
     
     const stats = {
       totalExperiences: experiences.length,
       totalEducation: education.length,
       totalProjects: projects.length,
-      totalVerifications: experiences.length + education.length,
+      verifiedProjects,
+      totalVerifications: experiences.length + education.length + verifiedProjects,
       githubRepos: githubRepos.length,
       lastUpdated: experiences.length > 0 ? experiences[0].verifiedAt : user.createdAt
     };
 
+    // Counted in the background so analytics never slow down or break the page
+    recordPortfolioView(req, { ownerId: user._id })
+      .catch(error => console.error('Record portfolio view error:', error));
+
     res.json({
       user: response.user, // Use the filtered user object that respects visibility settings
       experiences,
@@ -200,105 +241,128 @@ router.get('/:userId', async (req, res) => {
   }
 });
 
-// Search portfolios
-router.get('/', async (req, res) => {
+// Search portfolios (full text, facets and cursor pagination over the portfolio search index)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { 
-      search, 
-      tags, 
-      role, 
-      institute,
-      hasGithub,
-      page = 1, 
-      limit = 10 
-    } = req.query;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    // Build user query
-    const userQuery = {};
-    
-    if (search) {
-      userQuery.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { githubUsername: { $regex: search, $options: 'i' } },
-        { institute: { $regex: search, $options: 'i' } }
-      ];
+    const result = await searchPortfolios(req.query, req.user);
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
 
-    if (role && role !== 'ALL') {
-      userQuery.role = role;
+    res.json(result);
+
+  } catch (error) {
+    console.error('Search portfolios error:', error);
+    res.status(500).json({ 
+      message: 'Failed to search portfolios', 
+      error: error.message 
+    });
+  }
+});
+
+// Download a portfolio as a PDF CV
+router.get('/:userId/pdf', optionalAuth, async (req, res) => {
+  try {
+    const template = String(req.query.template || DEFAULT_PDF_TEMPLATE).toLowerCase();
+
+    if (!Object.prototype.hasOwnProperty.call(PDF_TEMPLATES, template)) {
+      return res.status(400).json({
+        message: `Unknown template. Use one of: ${Object.keys(PDF_TEMPLATES).join(', ')}`
+      });
     }
 
-    if (institute) {
-      userQuery.institute = { $regex: institute, $options: 'i' };
+    const user = await User.findById(req.params.userId)
+      .select('name email githubUsername bio institute portfolioSettings portfolioSlug contactInfo contactVisibility');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    if (hasGithub === 'true') {
-      userQuery.githubUsername = { $exists: true, $ne: '' };
+    const access = await checkPortfolioAccess(req, user, { resource: 'PDF' });
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        message: access.message,
+        ...(access.code && { code: access.code })
+      });
     }
 
-    // Find users with verified experiences
-    const usersWithExperiences = await Experience.distinct('userId', { verified: true });
-    userQuery._id = { $in: usersWithExperiences };
-
-    const users = await User.find(userQuery)
-      .select('name email githubUsername bio institute profileJson createdAt role')
-      .skip(skip)
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
-
-    const total = await User.countDocuments(userQuery);
-
-    // Get experience counts for each user
-    const portfolios = await Promise.all(users.map(async (user) => {
-      let experienceQuery = { userId: user._id, verified: true };
-      
-      // Filter by tags if specified
-      if (tags) {
-        const tagArray = tags.split(',').map(tag => tag.trim());
-        experienceQuery.tags = { $in: tagArray };
-      }
+    const content = await getPortfolioContent(user);
+    const pdf = await renderPortfolioPdf(content, { template, portfolioUrl: getPortfolioUrl(user) });
+    const fileName = `${user.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'portfolio'}-cv.pdf`;
 
-      const experienceCount = await Experience.countDocuments(experienceQuery);
-      const latestExperience = await Experience.findOne(experienceQuery)
-        .sort({ verifiedAt: -1 })
-        .select('title verifiedAt');
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
 
-      return {
-        user: user.toJSON(),
-        experienceCount,
-        latestExperience
-      };
-    }));
+  } catch (error) {
+    console.error('Export portfolio PDF error:', error);
 
-    // Filter out users with no matching experiences (if tag filter was applied)
-    const filteredPortfolios = tags 
-      ? portfolios.filter(p => p.experienceCount > 0)
-      : portfolios;
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
 
-    res.json({
-      portfolios: filteredPortfolios,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: tags ? filteredPortfolios.length : total,
-        pages: Math.ceil((tags ? filteredPortfolios.length : total) / parseInt(limit))
-      }
+    res.status(500).json({
+      message: 'Failed to generate portfolio PDF',
+      error: error.message
     });
+  }
+});
+
+// Export a public portfolio as JSON Resume or Europass, with verification details
+router.get('/:userId/export/:format', optionalAuth, async (req, res) => {
+  try {
+    const format = getResumeFormat(req.params.format);
+
+    if (!format) {
+      return res.status(400).json({
+        message: `Unknown format. Use one of: ${Object.keys(RESUME_FORMATS).join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.userId)
+      .select('name email githubUsername bio institute portfolioSettings portfolioSlug contactInfo contactVisibility');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const access = await checkPortfolioAccess(req, user, { resource: 'EXPORT' });
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        message: access.message,
+        ...(access.code && { code: access.code })
+      });
+    }
+
+    const content = await getPortfolioContent(user);
+    const { contentType, extension, body } = format.build(content, { portfolioUrl: getPortfolioUrl(user) });
+
+    res.set({
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="resume-${req.params.format}.${extension}"`
+    });
+    res.send(body);
 
   } catch (error) {
-    console.error('Search portfolios error:', error);
-    res.status(500).json({ 
-      message: 'Failed to search portfolios', 
-      error: error.message 
+    console.error('Export portfolio error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid user ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to export portfolio',
+      error: error.message
     });
   }
 });
 
 // Get portfolio statistics
-router.get('/:userId/stats', async (req, res) => {
+router.get('/:userId/stats', optionalAuth, async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     
@@ -306,6 +370,15 @@ router.get('/:userId/stats', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Stats are fetched alongside the portfolio, so share link use is only logged once
+    const access = await checkPortfolioAccess(req, user);
+    if (!access.allowed) {
+      return res.status(access.status).json({
+        message: access.message,
+        ...(access.code && { code: access.code })
+      });
+    }
+
     const totalExperiences = await Experience.countDocuments({ userId: req.params.userId });
     const verifiedExperiences = await Experience.countDocuments({ 
       userId: req.params.userId, 
@@ -316,6 +389,11 @@ router.get('/:userId/stats', async (req, res) => {
       ? (verifiedExperiences / totalExperiences * 100).toFixed(1)
       : 0;
 
+    const [totalProjects, verifiedProjects] = await Promise.all([
+      Project.countDocuments({ userId: req.params.userId }),
+      Project.countDocuments({ userId: req.params.userId, verified: true })
+    ]);
+
     // Get tag distribution
     const tagAggregation = await Experience.aggregate([
       { $match: { userId: user._id, verified: true } },
@@ -358,6 +436,8 @@ router.get('/:userId/stats', async (req, res) => {
       totalExperiences,
       verifiedExperiences,
       verificationRate: parseFloat(verificationRate),
+      totalProjects,
+      verifiedProjects,
       topTags,
       monthlyTrend,
       joinedAt: user.createdAt
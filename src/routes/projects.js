@@ -1,6 +1,11 @@
 const express = require('express');
 const Project = require('../models/Project');
-const { requireAuth } = require('../middlewares/auth');
+const User = require('../models/User');
+const { requireAuth, optionalAuth } = require('../middlewares/auth');
+const { getChangedMaterialFields, withdrawVerification } = require('../utils/verificationLifecycle');
+const { noteItemEdited } = require('../utils/verificationThread');
+const { recordPortfolioView } = require('../utils/portfolioAnalytics');
+const { checkPortfolioAccess } = require('../utils/portfolioAccess');
 
 const router = express.Router();
 
@@ -149,7 +154,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Get specific project (public access for verification)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const project = await Project.findById(req.params.id)
       .populate('userId', 'name email githubUsername');
@@ -163,9 +168,19 @@ router.get('/:id', async (req, res) => {
       return res.status(403).json({ message: 'This project is private' });
     }
 
+    // Projects follow the visibility of their owner's portfolio; hidden ones do not admit to existing
+    const owner = await User.findById(project.userId._id).select('portfolioSettings institute');
+    const access = owner ? await checkPortfolioAccess(req, owner) : { allowed: false };
+    if (!access.allowed) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
     // Increment view count if not owner
     if (!req.user || project.userId._id.toString() !== req.user._id.toString()) {
       await Project.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+
+      recordPortfolioView(req, { ownerId: project.userId._id, projectId: project._id })
+        .catch(error => console.error('Record project view error:', error));
     }
 
     res.json({ project });
@@ -187,7 +202,7 @@ router.get('/:id', async (req, res) => {
 // Update project
 router.put('/:id', requireAuth, async (req, res) => {
   try {
-    const project = await Project.findOne({
+    let project = await Project.findOne({
       _id: req.params.id,
       userId: req.user._id
     });
@@ -196,20 +211,54 @@ router.put('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ message: 'Project not found or you do not have permission to edit it' });
     }
 
-    // Don't allow updates to verified projects
-    if (project.verified) {
-      return res.status(400).json({
-        message: 'Cannot update verified project'
-      });
-    }
+    // Only the student's own content is editable; verification fields, endorsements
+    // and metrics change through their own flows
+    const updates = {};
+    const allowedUpdates = [
+      'title', 'description', 'category', 'projectType', 'links', 'skillsUsed', 'keyFeatures',
+      'learnings', 'challenges', 'outcome', 'duration', 'teamSize', 'collaborators',
+      'course', 'supervisor', 'grade', 'attachments', 'isPublic'
+    ];
+
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // Editing material fields of a verified project withdraws its verification
+    const editedFields = getChangedMaterialFields('PROJECT', project, updates);
+    const changedFields = project.verified ? editedFields : [];
 
     // Update project with new data
-    Object.assign(project, req.body);
+    Object.assign(project, updates);
     await project.save();
 
+    if (changedFields.length > 0) {
+      await withdrawVerification({
+        itemType: 'PROJECT',
+        itemId: project._id,
+        actorEmail: req.user.email,
+        reason: `Project edited after verification (${changedFields.join(', ')})`,
+        action: 'INVALIDATED',
+        metadata: { changedFields },
+        notifyStudent: false,
+        req
+      });
+      project = await Project.findById(project._id);
+    } else if (editedFields.length > 0) {
+      // Verifiers of open requests see the edit in the request's conversation
+      await noteItemEdited({ itemType: 'PROJECT', item: project, changedFields: editedFields, user: req.user });
+    }
+
     res.json({
       message: 'Project updated successfully',
-      project
+      project,
+      verificationInvalidated: changedFields.length > 0,
+      ...(changedFields.length > 0 && {
+        changedFields,
+        notice: 'This project must be verified again because verified details were changed'
+      })
     });
 
   } catch (error) {
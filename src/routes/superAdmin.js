@@ -3,10 +3,62 @@ const SuperAdmin = require('../models/SuperAdmin');
 const InstituteAdmin = require('../models/InstituteAdmin');
 const Institution = require('../models/Institution');
 const User = require('../models/User');
+const EmailJob = require('../models/EmailJob');
+const EmailLog = require('../models/EmailLog');
+const AuditEvent = require('../models/AuditEvent');
+const AdminRole = require('../models/AdminRole');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const { replayEmailJob } = require('../utils/emailQueue');
+const PlatformSettings = require('../models/PlatformSettings');
 const { generateAdminToken, requireSuperAdmin } = require('../middlewares/adminAuth');
+const {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+} = require('../utils/adminTwoFactor');
+const {
+  AUDIT_EXPORT_LIMIT,
+  recordAuditEvent,
+  verifyAuditChain,
+  buildAuditQuery,
+  auditEventsToCsv
+} = require('../utils/audit');
+const { resolveAdminAccess, validateRoleInput, resolveRoleAssignments } = require('../utils/adminPolicy');
+const { buildSlaReport } = require('../utils/verificationSla');
+const { syncJobs, runJob } = require('../utils/scheduler');
+const { JOB_NAMES } = require('../utils/scheduledJobs');
+const { PERMISSIONS, SCOPABLE_PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
+// Reset lockout counters and issue the admin token once every login step passed
+const completeLogin = async (admin) => {
+  if (admin.loginAttempts > 0) {
+    await admin.resetLoginAttempts();
+  }
+
+  await admin.updateLastLogin();
+
+  const token = generateAdminToken({
+    adminId: admin._id,
+    email: admin.email,
+    role: admin.role,
+    adminType: 'SUPER_ADMIN'
+  });
+
+  return {
+    message: 'Login successful',
+    token,
+    admin: admin.toJSON()
+  };
+};
+
 // Super Admin Login
 router.post('/login', async (req, res) => {
   try {
@@ -41,29 +93,74 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Reset login attempts on successful login
-    if (admin.loginAttempts > 0) {
-      await admin.resetLoginAttempts();
+    // Second step when two-factor authentication is on
+    if (admin.twoFactorEnabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(admin, 'SUPER_ADMIN')
+      });
     }
 
-    // Update last login
-    await admin.updateLastLogin();
+    res.json(await completeLogin(admin));
 
-    const token = generateAdminToken({
-      adminId: admin._id,
-      email: admin.email,
-      role: admin.role,
-      adminType: 'SUPER_ADMIN'
+  } catch (error) {
+    console.error('Super admin login error:', error);
+    res.status(500).json({
+      message: 'Login failed',
+      error: error.message
     });
+  }
+});
+
+// Complete Super Admin Login with a Two-Factor Code
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Challenge token and an authentication code or recovery code are required'
+      });
+    }
+
+    let adminId;
+    try {
+      adminId = verifyLoginChallenge(challengeToken, 'SUPER_ADMIN');
+    } catch (tokenError) {
+      adminId = null;
+    }
+
+    if (!adminId) {
+      return res.status(401).json({ message: 'Login attempt expired, please sign in again' });
+    }
+
+    const admin = await SuperAdmin.findById(adminId);
+
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (admin.isLocked) {
+      return res.status(423).json({ 
+        message: 'Account is temporarily locked due to too many failed attempts' 
+      });
+    }
+
+    const result = await verifySecondFactor(admin, { code, recoveryCode });
+
+    if (!result.valid) {
+      await admin.incLoginAttempts();
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
 
     res.json({
-      message: 'Login successful',
-      token,
-      admin: admin.toJSON()
+      ...(await completeLogin(admin)),
+      ...(result.method === 'RECOVERY_CODE' && { recoveryCodesRemaining: result.recoveryCodesRemaining })
     });
 
   } catch (error) {
-    console.error('Super admin login error:', error);
+    console.error('Super admin 2FA login error:', error);
     res.status(500).json({
       message: 'Login failed',
       error: error.message
@@ -102,6 +199,15 @@ router.put('/me', requireSuperAdmin, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_PROFILE_UPDATED',
+      target: { type: 'SUPER_ADMIN', id: req.admin._id, label: req.admin.email },
+      before: req.admin,
+      after: admin,
+      fields: allowedUpdates
+    });
+
     res.json({
       message: 'Profile updated successfully',
       admin: admin.toJSON()
@@ -142,6 +248,12 @@ router.put('/change-password', requireSuperAdmin, async (req, res) => {
     req.admin.passwordHash = newPassword;
     await req.admin.save();
 
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_PASSWORD_CHANGED',
+      target: { type: 'SUPER_ADMIN', id: req.admin._id, label: req.admin.email }
+    });
+
     res.json({ message: 'Password changed successfully' });
 
   } catch (error) {
@@ -153,6 +265,172 @@ router.put('/change-password', requireSuperAdmin, async (req, res) => {
   }
 });
 
+// Get Two-Factor Authentication Status
+router.get('/2fa', requireSuperAdmin, async (req, res) => {
+  try {
+    res.json({
+      twoFactor: await getTwoFactorStatus(req.admin, 'SUPER_ADMIN')
+    });
+
+  } catch (error) {
+    console.error('Get super admin 2FA status error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch two-factor status',
+      error: error.message
+    });
+  }
+});
+
+// Start Two-Factor Enrollment (returns secret and QR code)
+router.post('/2fa/setup', requireSuperAdmin, async (req, res) => {
+  try {
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await startEnrollment(req.admin);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment
+    });
+
+  } catch (error) {
+    console.error('Start super admin 2FA setup error:', error);
+    res.status(500).json({
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+});
+
+// Confirm Two-Factor Enrollment
+router.post('/2fa/enable', requireSuperAdmin, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!req.admin.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.admin, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_TWO_FACTOR_ENABLED',
+      target: { type: 'SUPER_ADMIN', id: req.admin._id, label: req.admin.email }
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they are shown only once.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Enable super admin 2FA error:', error);
+    res.status(500).json({
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// Regenerate Recovery Codes
+router.post('/2fa/recovery-codes', requireSuperAdmin, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = await verifySecondFactor(req.admin, { code });
+
+    if (!result.valid) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.admin);
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_RECOVERY_CODES_REGENERATED',
+      target: { type: 'SUPER_ADMIN', id: req.admin._id, label: req.admin.email }
+    });
+
+    res.json({
+      message: 'New recovery codes generated. The previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate super admin recovery codes error:', error);
+    res.status(500).json({
+      message: 'Failed to regenerate recovery codes',
+      error: error.message
+    });
+  }
+});
+
+// Disable Two-Factor Authentication
+router.post('/2fa/disable', requireSuperAdmin, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        message: 'Password and an authentication code or recovery code are required'
+      });
+    }
+
+    if (!req.admin.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const isPasswordValid = await req.admin.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const result = await verifySecondFactor(req.admin, { code, recoveryCode });
+
+    if (!result.valid) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await disableTwoFactor(req.admin);
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_TWO_FACTOR_DISABLED',
+      target: { type: 'SUPER_ADMIN', id: req.admin._id, label: req.admin.email },
+      metadata: { method: result.method }
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('Disable super admin 2FA error:', error);
+    res.status(500).json({
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
 // Create Institution
 router.post('/institutions', requireSuperAdmin, async (req, res) => { 
   try {
@@ -202,6 +480,15 @@ router.post('/institutions', requireSuperAdmin, async (req, res) => {
 
     await institution.save();
 
+    await recordAuditEvent({
+      req,
+      action: 'INSTITUTION_CREATED',
+      target: { type: 'INSTITUTION', id: institution._id, label: institution.name },
+      institution: institution.name,
+      after: institution,
+      fields: ['name', 'displayName', 'website', 'settings']
+    });
+
     res.status(201).json({
       message: 'Institution created successfully',
       institution: institution.toJSON()
@@ -278,6 +565,8 @@ router.put('/institutions/:id', requireSuperAdmin, async (req, res) => {
 
     updates.updatedAt = new Date();
 
+    const previous = await Institution.findById(id);
+
     const institution = await Institution.findByIdAndUpdate(
       id,
       updates,
@@ -288,6 +577,16 @@ router.put('/institutions/:id', requireSuperAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Institution not found' });
     }
 
+    await recordAuditEvent({
+      req,
+      action: 'INSTITUTION_UPDATED',
+      target: { type: 'INSTITUTION', id: institution._id, label: institution.name },
+      institution: institution.name,
+      before: previous,
+      after: institution,
+      fields: Object.keys(updates)
+    });
+
     res.json({
       message: 'Institution updated successfully',
       institution
@@ -333,6 +632,15 @@ router.delete('/institutions/:id', requireSuperAdmin, async (req, res) => {
 
     await Institution.findByIdAndDelete(id);
 
+    await recordAuditEvent({
+      req,
+      action: 'INSTITUTION_DELETED',
+      target: { type: 'INSTITUTION', id: institution._id, label: institution.name },
+      institution: institution.name,
+      before: institution,
+      fields: ['name', 'displayName', 'website', 'status']
+    });
+
     res.json({ message: 'Institution deleted successfully' });
 
   } catch (error) {
@@ -344,6 +652,46 @@ router.delete('/institutions/:id', requireSuperAdmin, async (req, res) => {
   }
 });
 
+// Get Verification SLA Report of an Institution
+router.get('/institutions/:id/sla-report', requireSuperAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const institution = await Institution.findById(req.params.id).select('name');
+
+    if (!institution) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    const report = await buildSlaReport({ institution: institution.name, from: fromDate, to: toDate });
+
+    res.json({
+      institution: institution.name,
+      from: fromDate || null,
+      to: toDate || null,
+      ...report
+    });
+
+  } catch (error) {
+    console.error('Get institution SLA report error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid institution ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to build SLA report',
+      error: error.message
+    });
+  }
+});
+
 // Create Institute Admin
 router.post('/institute-admins', requireSuperAdmin, async (req, res) => {
   try {
@@ -394,6 +742,15 @@ router.post('/institute-admins', requireSuperAdmin, async (req, res) => {
 
     await admin.save();
 
+    await recordAuditEvent({
+      req,
+      action: 'INSTITUTE_ADMIN_CREATED',
+      target: { type: 'INSTITUTE_ADMIN', id: admin._id, label: admin.email },
+      institution: admin.institution,
+      after: admin,
+      fields: ['name', 'email', 'phone', 'institution', 'permissions']
+    });
+
     res.status(201).json({
       message: 'Institute admin created successfully',
       admin: admin.toJSON()
@@ -471,9 +828,12 @@ router.put('/institute-admins/:id', requireSuperAdmin, async (req, res) => {
     delete updates.createdBy;
     delete updates.createdAt;
     delete updates.passwordHash; // Use separate route for password changes
+    delete updates.roles; // Use separate route for role assignments
 
     updates.updatedAt = new Date();
 
+    const previous = await InstituteAdmin.findById(id);
+
     const admin = await InstituteAdmin.findByIdAndUpdate(
       id,
       updates,
@@ -484,6 +844,16 @@ router.put('/institute-admins/:id', requireSuperAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Institute admin not found' });
     }
 
+    await recordAuditEvent({
+      req,
+      action: 'INSTITUTE_ADMIN_UPDATED',
+      target: { type: 'INSTITUTE_ADMIN', id: admin._id, label: admin.email },
+      institution: admin.institution,
+      before: previous,
+      after: admin,
+      fields: Object.keys(updates)
+    });
+
     res.json({
       message: 'Institute admin updated successfully',
       admin: admin.toJSON()
@@ -509,6 +879,15 @@ router.delete('/institute-admins/:id', requireSuperAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Institute admin not found' });
     }
 
+    await recordAuditEvent({
+      req,
+      action: 'INSTITUTE_ADMIN_DELETED',
+      target: { type: 'INSTITUTE_ADMIN', id: admin._id, label: admin.email },
+      institution: admin.institution,
+      before: admin,
+      fields: ['name', 'email', 'institution', 'permissions', 'isActive']
+    });
+
     res.json({ message: 'Institute admin deleted successfully' });
 
   } catch (error) {
@@ -520,6 +899,893 @@ router.delete('/institute-admins/:id', requireSuperAdmin, async (req, res) => {
   }
 });
 
+// Get Admin Roles
+router.get('/admin-roles', requireSuperAdmin, async (req, res) => {
+  try {
+    const { institution } = req.query;
+    const query = {};
+
+    // institution=none lists the platform-wide roles only
+    if (institution) {
+      query.institution = institution === 'none' ? null : institution;
+    }
+
+    const roles = await AdminRole.find(query).sort({ institution: 1, name: 1 });
+
+    res.json({
+      roles,
+      permissions: PERMISSIONS,
+      scopablePermissions: SCOPABLE_PERMISSIONS
+    });
+
+  } catch (error) {
+    console.error('Get admin roles error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch admin roles',
+      error: error.message
+    });
+  }
+});
+
+// Create Admin Role (platform-wide without an institution)
+router.post('/admin-roles', requireSuperAdmin, async (req, res) => {
+  try {
+    const { values, error } = validateRoleInput(req.body);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const institution = req.body.institution || null;
+
+    if (institution && !(await Institution.exists({ name: institution }))) {
+      return res.status(404).json({ message: 'Institution not found' });
+    }
+
+    const existing = await AdminRole.findOne({ institution, name: values.name });
+    if (existing) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    const role = await new AdminRole({
+      ...values,
+      institution,
+      createdBy: { type: 'SUPER_ADMIN', id: req.admin._id }
+    }).save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLE_CREATED',
+      target: { type: 'ADMIN_ROLE', id: role._id, label: role.name },
+      institution,
+      after: role,
+      fields: ['name', 'description', 'permissions']
+    });
+
+    res.status(201).json({
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Create admin role error:', error);
+    res.status(500).json({
+      message: 'Failed to create role',
+      error: error.message
+    });
+  }
+});
+
+// Update Admin Role
+router.put('/admin-roles/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const { values, error } = validateRoleInput(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ message: 'No valid updates provided' });
+    }
+
+    const role = await AdminRole.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const previous = role.toObject();
+    Object.assign(role, values);
+    await role.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLE_UPDATED',
+      target: { type: 'ADMIN_ROLE', id: role._id, label: role.name },
+      institution: role.institution,
+      before: previous,
+      after: role,
+      fields: ['name', 'description', 'permissions']
+    });
+
+    res.json({
+      message: 'Role updated successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Update admin role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid role ID' });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update role',
+      error: error.message
+    });
+  }
+});
+
+// Delete Admin Role (unassigns it from every admin)
+router.delete('/admin-roles/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const role = await AdminRole.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const unassigned = await InstituteAdmin.updateMany(
+      { 'roles.role': role._id },
+      { $pull: { roles: { role: role._id } } }
+    );
+    await AdminRole.deleteOne({ _id: role._id });
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLE_DELETED',
+      target: { type: 'ADMIN_ROLE', id: role._id, label: role.name },
+      institution: role.institution,
+      before: role,
+      fields: ['name', 'description', 'permissions'],
+      metadata: { unassignedFrom: unassigned.modifiedCount }
+    });
+
+    res.json({
+      message: 'Role deleted successfully',
+      unassignedFrom: unassigned.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Delete admin role error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid role ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to delete role',
+      error: error.message
+    });
+  }
+});
+
+// Assign Roles to an Institute Admin
+router.put('/institute-admins/:id/roles', requireSuperAdmin, async (req, res) => {
+  try {
+    const admin = await InstituteAdmin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({ message: 'Institute admin not found' });
+    }
+
+    const { roles, error } = await resolveRoleAssignments(req.body.roles, admin.institution);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const previousRoles = admin.roles.map(assignment => assignment.toObject());
+    admin.roles = roles;
+    admin.updatedAt = new Date();
+    await admin.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_ROLES_ASSIGNED',
+      target: { type: 'INSTITUTE_ADMIN', id: admin._id, label: admin.email },
+      institution: admin.institution,
+      before: { roles: previousRoles },
+      after: { roles }
+    });
+
+    res.json({
+      message: 'Roles updated successfully',
+      admin: admin.toJSON(),
+      access: await resolveAdminAccess(admin)
+    });
+
+  } catch (error) {
+    console.error('Assign admin roles error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to update roles',
+      error: error.message
+    });
+  }
+});
+
+// Get Security Policy
+router.get('/security-policy', requireSuperAdmin, async (req, res) => {
+  try {
+    const settings = await PlatformSettings.getSettings({ fresh: true });
+
+    const [totalInstituteAdmins, enrolledInstituteAdmins] = await Promise.all([
+      InstituteAdmin.countDocuments({ isActive: true }),
+      InstituteAdmin.countDocuments({ isActive: true, twoFactorEnabled: true })
+    ]);
+
+    res.json({
+      security: settings.security,
+      instituteAdminTwoFactor: {
+        total: totalInstituteAdmins,
+        enrolled: enrolledInstituteAdmins
+      }
+    });
+
+  } catch (error) {
+    console.error('Get security policy error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch security policy',
+      error: error.message
+    });
+  }
+});
+
+// Update Security Policy
+router.put('/security-policy', requireSuperAdmin, async (req, res) => {
+  try {
+    const { requireInstituteAdminTwoFactor } = req.body;
+
+    if (typeof requireInstituteAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        message: 'requireInstituteAdminTwoFactor must be a boolean value'
+      });
+    }
+
+    const settings = await PlatformSettings.getSettings({ fresh: true });
+    const previous = settings.toObject();
+
+    if (requireInstituteAdminTwoFactor && !settings.security.requireInstituteAdminTwoFactor) {
+      settings.security.requireInstituteAdminTwoFactorSince = new Date();
+    }
+    settings.security.requireInstituteAdminTwoFactor = requireInstituteAdminTwoFactor;
+    settings.updatedBy = req.admin._id;
+    await settings.save();
+
+    await recordAuditEvent({
+      req,
+      action: 'SECURITY_POLICY_UPDATED',
+      target: { type: 'PLATFORM_SETTINGS', id: settings._id, label: 'Security policy' },
+      before: previous,
+      after: settings,
+      fields: ['security']
+    });
+
+    res.json({
+      message: requireInstituteAdminTwoFactor
+        ? 'Two-factor authentication is now required for all institute admins'
+        : 'Two-factor authentication is now optional for institute admins',
+      security: settings.security
+    });
+
+  } catch (error) {
+    console.error('Update security policy error:', error);
+    res.status(500).json({
+      message: 'Failed to update security policy',
+      error: error.message
+    });
+  }
+});
+
+// Reset an Institute Admin's Two-Factor Authentication (lost device)
+router.post('/institute-admins/:id/reset-2fa', requireSuperAdmin, async (req, res) => {
+  try {
+    const admin = await InstituteAdmin.findById(req.params.id);
+
+    if (!admin) {
+      return res.status(404).json({ message: 'Institute admin not found' });
+    }
+
+    if (!admin.twoFactorEnabled && !admin.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Two-factor authentication is not set up for this admin' });
+    }
+
+    await disableTwoFactor(admin);
+
+    await recordAuditEvent({
+      req,
+      action: 'ADMIN_TWO_FACTOR_RESET',
+      target: { type: 'INSTITUTE_ADMIN', id: admin._id, label: admin.email },
+      institution: admin.institution
+    });
+
+    res.json({
+      message: 'Two-factor authentication reset. The admin must enroll again on next login if it is required.'
+    });
+
+  } catch (error) {
+    console.error('Reset institute admin 2FA error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid institute admin ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to reset two-factor authentication',
+      error: error.message
+    });
+  }
+});
+
+// Get Email Jobs
+router.get('/email-jobs', requireSuperAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, template, to } = req.query;
+
+    let query = {};
+
+    if (status) {
+      query.status = status.toUpperCase();
+    }
+
+    if (template) {
+      query.template = template.toUpperCase();
+    }
+
+    if (to) {
+      query.to = to.toLowerCase();
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [jobs, total] = await Promise.all([
+      EmailJob.find(query)
+        .select('-html -text')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EmailJob.countDocuments(query)
+    ]);
+
+    res.json({
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email jobs error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch email jobs',
+      error: error.message
+    });
+  }
+});
+
+// Get Email Queue Stats
+router.get('/email-jobs/stats', requireSuperAdmin, async (req, res) => {
+  try {
+    const counts = await EmailJob.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = { QUEUED: 0, SENDING: 0, SENT: 0, FAILED: 0, DEAD: 0 };
+    counts.forEach(entry => {
+      byStatus[entry._id] = entry.count;
+    });
+
+    res.json({
+      byStatus,
+      total: counts.reduce((sum, entry) => sum + entry.count, 0)
+    });
+
+  } catch (error) {
+    console.error('Get email stats error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch email stats',
+      error: error.message
+    });
+  }
+});
+
+// Replay All Dead Email Jobs
+router.post('/email-jobs/replay-dead', requireSuperAdmin, async (req, res) => {
+  try {
+    const query = { status: 'DEAD', html: { $exists: true } };
+
+    if (req.body.template) {
+      query.template = req.body.template.toUpperCase();
+    }
+
+    const deadJobs = await EmailJob.find(query).select('_id').limit(500);
+
+    let replayed = 0;
+    for (const job of deadJobs) {
+      if (await replayEmailJob(job._id, req.admin.email)) {
+        replayed += 1;
+      }
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'EMAIL_JOBS_REPLAYED',
+      target: { type: 'EMAIL_JOB', label: `${replayed} dead jobs` },
+      metadata: { template: query.template, replayed }
+    });
+
+    res.json({
+      message: `${replayed} email job(s) queued for delivery`,
+      replayed
+    });
+
+  } catch (error) {
+    console.error('Replay dead email jobs error:', error);
+    res.status(500).json({
+      message: 'Failed to replay email jobs',
+      error: error.message
+    });
+  }
+});
+
+// Get Email Job with Delivery Attempts
+router.get('/email-jobs/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const job = await EmailJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Email job not found' });
+    }
+
+    const attempts = await EmailLog.find({ jobId: job._id }).sort({ timestamp: 1 });
+
+    // Sensitive bodies hold passwords or reset links until they are sent
+    const jobData = job.toObject();
+    if (job.sensitive) {
+      delete jobData.html;
+      delete jobData.text;
+    }
+
+    res.json({ job: jobData, attempts });
+
+  } catch (error) {
+    console.error('Get email job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid email job ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to fetch email job',
+      error: error.message
+    });
+  }
+});
+
+// Replay Failed Email Job
+router.post('/email-jobs/:id/replay', requireSuperAdmin, async (req, res) => {
+  try {
+    const existing = await EmailJob.findById(req.params.id).select('status html');
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Email job not found' });
+    }
+
+    if (!['FAILED', 'DEAD'].includes(existing.status)) {
+      return res.status(400).json({
+        message: `Only failed or dead email jobs can be replayed (current status: ${existing.status})`
+      });
+    }
+
+    if (!existing.html) {
+      return res.status(400).json({
+        message: 'Email body is no longer stored for this job and cannot be replayed'
+      });
+    }
+
+    const job = await replayEmailJob(existing._id, req.admin.email);
+
+    if (!job) {
+      return res.status(409).json({ message: 'Email job was picked up by the queue, try again' });
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'EMAIL_JOB_REPLAYED',
+      target: { type: 'EMAIL_JOB', id: job._id, label: job.to.join(', ') },
+      changes: [{ field: 'status', before: existing.status, after: job.status }]
+    });
+
+    res.json({
+      message: 'Email job queued for delivery',
+      job
+    });
+
+  } catch (error) {
+    console.error('Replay email job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid email job ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to replay email job',
+      error: error.message
+    });
+  }
+});
+
+// Get Email Delivery Log
+router.get('/email-logs', requireSuperAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, to, jobId } = req.query;
+
+    let query = {};
+
+    if (status) {
+      query.status = status.toUpperCase();
+    }
+
+    if (to) {
+      query.to = to.toLowerCase();
+    }
+
+    if (jobId) {
+      query.jobId = jobId;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [logs, total] = await Promise.all([
+      EmailLog.find(query)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      EmailLog.countDocuments(query)
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get email logs error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid email job ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to fetch email logs',
+      error: error.message
+    });
+  }
+});
+
+// Get Scheduled Jobs
+router.get('/jobs', requireSuperAdmin, async (req, res) => {
+  try {
+    await syncJobs();
+
+    const jobs = await ScheduledJob.find({ name: { $in: Object.values(JOB_NAMES) } }).sort({ name: 1 });
+
+    res.json({ jobs });
+
+  } catch (error) {
+    console.error('Get scheduled jobs error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch scheduled jobs',
+      error: error.message
+    });
+  }
+});
+
+// Get Run History of a Scheduled Job
+router.get('/jobs/:name/runs', requireSuperAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { page = 1, limit = 20, status } = req.query;
+
+    if (!Object.values(JOB_NAMES).includes(name)) {
+      return res.status(404).json({ message: 'Scheduled job not found' });
+    }
+
+    const query = { jobName: name };
+
+    if (status) {
+      query.status = status.toUpperCase();
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      JobRun.countDocuments(query)
+    ]);
+
+    res.json({
+      runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch job runs',
+      error: error.message
+    });
+  }
+});
+
+// Update a Scheduled Job (pause, resume or change its interval)
+router.put('/jobs/:name', requireSuperAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { isPaused, intervalMinutes } = req.body;
+
+    if (!Object.values(JOB_NAMES).includes(name)) {
+      return res.status(404).json({ message: 'Scheduled job not found' });
+    }
+
+    const updates = {};
+
+    if (isPaused !== undefined) {
+      if (typeof isPaused !== 'boolean') {
+        return res.status(400).json({ message: 'isPaused must be a boolean value' });
+      }
+      updates.isPaused = isPaused;
+      updates.pausedBy = isPaused ? req.admin.email : null;
+      updates.pausedAt = isPaused ? new Date() : null;
+    }
+
+    if (intervalMinutes !== undefined) {
+      if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 7 * 24 * 60) {
+        return res.status(400).json({ message: 'intervalMinutes must be a whole number between 1 and 10080 (one week)' });
+      }
+      updates.intervalMinutes = intervalMinutes;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No valid updates provided' });
+    }
+
+    await syncJobs();
+
+    const previous = await ScheduledJob.findOne({ name });
+
+    // A new interval applies from the last run, so a shorter one takes effect right away
+    if (updates.intervalMinutes && previous.lastRunAt) {
+      updates.nextRunAt = new Date(previous.lastRunAt.getTime() + updates.intervalMinutes * 60 * 1000);
+    }
+
+    const job = await ScheduledJob.findOneAndUpdate({ name }, updates, { new: true, runValidators: true });
+
+    await recordAuditEvent({
+      req,
+      action: 'SCHEDULED_JOB_UPDATED',
+      target: { type: 'SCHEDULED_JOB', id: job._id, label: job.name },
+      before: previous,
+      after: job,
+      fields: ['isPaused', 'intervalMinutes']
+    });
+
+    res.json({
+      message: 'Scheduled job updated successfully',
+      job
+    });
+
+  } catch (error) {
+    console.error('Update scheduled job error:', error);
+    res.status(500).json({
+      message: 'Failed to update scheduled job',
+      error: error.message
+    });
+  }
+});
+
+// Trigger a Scheduled Job Now
+router.post('/jobs/:name/run', requireSuperAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!Object.values(JOB_NAMES).includes(name)) {
+      return res.status(404).json({ message: 'Scheduled job not found' });
+    }
+
+    const { run, error } = await runJob(name, { trigger: 'MANUAL', triggeredBy: req.admin.email });
+
+    if (error === 'RUNNING') {
+      return res.status(409).json({ message: 'The job is already running' });
+    }
+
+    await recordAuditEvent({
+      req,
+      action: 'SCHEDULED_JOB_TRIGGERED',
+      target: { type: 'SCHEDULED_JOB', label: name },
+      metadata: { runId: run._id }
+    });
+
+    res.status(202).json({
+      message: 'Job started',
+      run
+    });
+
+  } catch (error) {
+    console.error('Trigger scheduled job error:', error);
+    res.status(500).json({
+      message: 'Failed to start job',
+      error: error.message
+    });
+  }
+});
+
+// Get Audit Events
+router.get('/audit-events', requireSuperAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { query, error } = buildAuditQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (parseInt(page) - 1) * pageSize;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(pageSize),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit events error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch audit events',
+      error: error.message
+    });
+  }
+});
+
+// Export Audit Events
+router.get('/audit-events/export', requireSuperAdmin, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    const { query, error } = buildAuditQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const events = await AuditEvent.find(query)
+      .sort({ sequence: 1 })
+      .limit(AUDIT_EXPORT_LIMIT);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().split('T')[0]}.csv"`);
+      res.send(auditEventsToCsv(events));
+    } else {
+      res.json({
+        exportedAt: new Date().toISOString(),
+        totalEvents: events.length,
+        truncated: events.length === AUDIT_EXPORT_LIMIT,
+        events
+      });
+    }
+
+  } catch (error) {
+    console.error('Export audit events error:', error);
+    res.status(500).json({
+      message: 'Failed to export audit events',
+      error: error.message
+    });
+  }
+});
+
+// Verify the Audit Log Hash Chain
+router.get('/audit-events/verify', requireSuperAdmin, async (req, res) => {
+  try {
+    const fromSequence = req.query.fromSequence ? parseInt(req.query.fromSequence) : 1;
+    const toSequence = req.query.toSequence ? parseInt(req.query.toSequence) : undefined;
+
+    if (isNaN(fromSequence) || fromSequence < 1 || (toSequence !== undefined && (isNaN(toSequence) || toSequence < fromSequence))) {
+      return res.status(400).json({ message: 'Invalid sequence range' });
+    }
+
+    const result = await verifyAuditChain({ fromSequence, toSequence });
+
+    res.json({
+      message: result.valid
+        ? `Audit log intact (${result.checked} events checked)`
+        : `Audit log broken at event ${result.brokenAt.sequence} (${result.brokenAt.reason})`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Verify audit chain error:', error);
+    res.status(500).json({
+      message: 'Failed to verify audit log',
+      error: error.message
+    });
+  }
+});
+
+// Get Audit Event
+router.get('/audit-events/:id', requireSuperAdmin, async (req, res) => {
+  try {
+    const event = await AuditEvent.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: 'Audit event not found' });
+    }
+
+    res.json({ event });
+
+  } catch (error) {
+    console.error('Get audit event error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid audit event ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to fetch audit event',
+      error: error.message
+    });
+  }
+});
+
 // Get System Analytics
 router.get('/analytics', requireSuperAdmin, async (req, res) => {
   try {
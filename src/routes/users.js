@@ -1,9 +1,42 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { requireAuth } = require('../middlewares/auth');
+const { revokeSessions } = require('../utils/sessions');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const { RESUME_FORMATS, getResumeFormat } = require('../utils/resumeFormats');
+const { planResumeImport, applyResumeImport } = require('../utils/resumeImport');
+const { getPortfolioContent, getPortfolioUrl } = require('../utils/portfolioContent');
+const { checkSlugAvailability, claimPortfolioSlug } = require('../utils/portfolioSlug');
+const SlugChange = require('../models/SlugChange');
+const PortfolioShareLink = require('../models/PortfolioShareLink');
+const PortfolioAccessLog = require('../models/PortfolioAccessLog');
+const { createShareLink } = require('../utils/portfolioAccess');
+const { DEFAULT_ANALYTICS_DAYS, MAX_ANALYTICS_DAYS, getPortfolioAnalytics } = require('../utils/portfolioAnalytics');
 
 const router = express.Router();
 
+// Slug availability is checked while typing; keep it from being used to enumerate users
+const slugAvailabilityLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // limit each IP to 30 checks per windowMs
+  message: { message: 'Too many slug checks, please slow down.' }
+});
+
+// Share link as shown to its owner; the token cannot be recovered after creation
+const formatShareLink = (link) => ({
+  id: link._id,
+  label: link.label,
+  recipientEmail: link.recipientEmail,
+  status: link.getStatus(),
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  accessCount: link.accessCount,
+  lastAccessedAt: link.lastAccessedAt
+});
+
 // Get current user profile
 router.get('/me', requireAuth, async (req, res) => {
   try {
@@ -171,7 +204,7 @@ router.put('/me/contact-visibility', requireAuth, async (req, res) => {
 router.put('/me', requireAuth, async (req, res) => {
   try {
     const updates = {};
-    const allowedUpdates = ['name', 'githubUsername', 'bio', 'institute', 'profileJson', 'role'];
+    const allowedUpdates = ['name', 'githubUsername', 'bio', 'institute', 'profileJson', 'role', 'locale'];
     
     // Only include allowed fields
     allowedUpdates.forEach(field => {
@@ -201,6 +234,13 @@ router.put('/me', requireAuth, async (req, res) => {
       });
     }
 
+    // Validate locale if provided
+    if (updates.locale !== undefined && !SUPPORTED_LOCALES.includes(String(updates.locale).toLowerCase())) {
+      return res.status(400).json({ 
+        message: `Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` 
+      });
+    }
+
     // Validate role if provided
     if (updates.role && !['STUDENT', 'VERIFIER'].includes(updates.role)) {
       return res.status(400).json({ 
@@ -376,6 +416,94 @@ router.get('/institute/:instituteName', async (req, res) => {
   }
 });
 
+// List signed-in devices
+router.get('/me/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('loginMethod userAgent createdIp lastSeenIp lastSeenAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        loginMethod: session.loginMethod,
+        userAgent: session.userAgent,
+        createdIp: session.createdIp,
+        lastSeenIp: session.lastSeenIp,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        current: req.sessionId ? session._id.equals(req.sessionId) : false
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch sessions', 
+      error: error.message 
+    });
+  }
+});
+
+// Sign out all devices (except this one unless includeCurrent=true)
+router.delete('/me/sessions', requireAuth, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const query = { userId: req.user._id };
+
+    if (!includeCurrent && req.sessionId) {
+      query._id = { $ne: req.sessionId };
+    }
+
+    const revoked = await revokeSessions(query, 'REVOKED_ALL');
+
+    res.json({
+      message: includeCurrent ? 'Signed out of all devices' : 'Signed out of all other devices',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ 
+      message: 'Failed to revoke sessions', 
+      error: error.message 
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/me/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(
+      { _id: req.params.sessionId, userId: req.user._id },
+      'REVOKED_BY_USER'
+    );
+
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found or already signed out' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to revoke session', 
+      error: error.message 
+    });
+  }
+});
+
 // Update password
 router.put('/me/password', requireAuth, async (req, res) => {
   try {
@@ -407,8 +535,15 @@ router.put('/me/password', requireAuth, async (req, res) => {
     user.passwordHash = newPassword; // Will be hashed by pre-save middleware
     await user.save();
 
+    // Sign out every other device that knew the old password
+    const revokedSessions = await revokeSessions(
+      { userId: user._id, ...(req.sessionId && { _id: { $ne: req.sessionId } }) },
+      'PASSWORD_CHANGED'
+    );
+
     res.json({
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      revokedSessions
     });
 
   } catch (error) {
@@ -727,6 +862,246 @@ router.get('/me/portfolio-settings', requireAuth, async (req, res) => {
   }
 });
 
+// Check whether a portfolio slug can be claimed
+router.get('/me/portfolio-slug/availability', requireAuth, slugAvailabilityLimiter, async (req, res) => {
+  try {
+    if (!req.query.slug) {
+      return res.status(400).json({ message: 'slug query parameter is required' });
+    }
+
+    res.json(await checkSlugAvailability(req.query.slug, req.user._id));
+
+  } catch (error) {
+    console.error('Check slug availability error:', error);
+    res.status(500).json({
+      message: 'Failed to check slug availability',
+      error: error.message
+    });
+  }
+});
+
+// Get the portfolio slug and every change made to it
+router.get('/me/portfolio-slug', requireAuth, async (req, res) => {
+  try {
+    const history = await SlugChange.find({ userId: req.user._id })
+      .sort({ changedAt: -1 })
+      .select('fromSlug toSlug changedAt -_id');
+
+    res.json({
+      slug: req.user.portfolioSlug || null,
+      claimedAt: req.user.portfolioSlugClaimedAt || null,
+      url: getPortfolioUrl(req.user),
+      history
+    });
+
+  } catch (error) {
+    console.error('Get portfolio slug error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch portfolio slug',
+      error: error.message
+    });
+  }
+});
+
+// Claim or change the portfolio slug; the previous slug keeps redirecting
+router.put('/me/portfolio-slug', requireAuth, slugAvailabilityLimiter, async (req, res) => {
+  try {
+    const { slug } = req.body;
+
+    if (typeof slug !== 'string' || !slug.trim()) {
+      return res.status(400).json({ message: 'slug is required' });
+    }
+
+    const result = await claimPortfolioSlug(req.user, slug);
+
+    if (result.error) {
+      const status = result.reason === 'TAKEN' || result.reason === 'CONFLICT'
+        ? 409
+        : result.reason === 'TOO_MANY_CHANGES' ? 429 : 400;
+
+      return res.status(status).json({
+        message: result.error,
+        reason: result.reason,
+        ...(result.suggestions && { suggestions: result.suggestions })
+      });
+    }
+
+    res.json({
+      message: 'Portfolio slug updated',
+      slug: result.slug,
+      previousSlug: result.previousSlug,
+      claimedAt: result.claimedAt,
+      url: getPortfolioUrl({ _id: req.user._id, portfolioSlug: result.slug })
+    });
+
+  } catch (error) {
+    console.error('Update portfolio slug error:', error);
+    res.status(500).json({
+      message: 'Failed to update portfolio slug',
+      error: error.message
+    });
+  }
+});
+
+// Create a share link to the portfolio (for UNLISTED portfolios, or to let outsiders see an INSTITUTE_ONLY one)
+router.post('/me/share-links', requireAuth, async (req, res) => {
+  try {
+    const { label, recipientEmail, expiresInDays } = req.body;
+
+    const result = await createShareLink(req.user, { label, recipientEmail, expiresInDays });
+
+    if (result.error) {
+      return res.status(400).json({
+        message: result.error,
+        ...(result.errors && { errors: result.errors })
+      });
+    }
+
+    res.status(201).json({
+      message: 'Share link created. Copy it now, it will not be shown again.',
+      shareLink: formatShareLink(result.link),
+      url: result.url
+    });
+
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({
+      message: 'Failed to create share link',
+      error: error.message
+    });
+  }
+});
+
+// List share links with how often each was opened
+router.get('/me/share-links', requireAuth, async (req, res) => {
+  try {
+    const links = await PortfolioShareLink.find({ userId: req.user._id })
+      .select('-tokenHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      visibility: req.user.portfolioSettings?.visibility || 'PUBLIC',
+      shareLinks: links.map(formatShareLink)
+    });
+
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch share links',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a share link; it stops working immediately
+router.delete('/me/share-links/:linkId', requireAuth, async (req, res) => {
+  try {
+    const link = await PortfolioShareLink.findOneAndUpdate(
+      { _id: req.params.linkId, userId: req.user._id, revokedAt: { $exists: false } },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found or already revoked' });
+    }
+
+    res.json({
+      message: 'Share link revoked successfully',
+      shareLink: formatShareLink(link)
+    });
+
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid share link ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to revoke share link',
+      error: error.message
+    });
+  }
+});
+
+// Who opened a share link and when
+router.get('/me/share-links/:linkId/access-log', requireAuth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const link = await PortfolioShareLink.findOne({ _id: req.params.linkId, userId: req.user._id });
+
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    const [accesses, total] = await Promise.all([
+      PortfolioAccessLog.find({ shareLinkId: link._id })
+        .populate('viewerId', 'name institute')
+        .sort({ accessedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PortfolioAccessLog.countDocuments({ shareLinkId: link._id })
+    ]);
+
+    res.json({
+      shareLink: formatShareLink(link),
+      accesses: accesses.map(access => ({
+        resource: access.resource,
+        accessedAt: access.accessedAt,
+        ip: access.ip,
+        userAgent: access.userAgent,
+        // Only known when the visitor was signed in
+        viewer: access.viewerId
+          ? { name: access.viewerId.name, institute: access.viewerId.institute }
+          : null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get share link access log error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid share link ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to fetch share link access log',
+      error: error.message
+    });
+  }
+});
+
+// Who looks at my portfolio: daily views, referrers, countries and institutions
+router.get('/me/portfolio-analytics', requireAuth, async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? DEFAULT_ANALYTICS_DAYS : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_ANALYTICS_DAYS) {
+      return res.status(400).json({
+        message: `days must be a whole number between 1 and ${MAX_ANALYTICS_DAYS}`
+      });
+    }
+
+    res.json(await getPortfolioAnalytics(req.user._id, days));
+
+  } catch (error) {
+    console.error('Get portfolio analytics error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch portfolio analytics',
+      error: error.message
+    });
+  }
+});
+
 // Update portfolio visibility and section settings
 router.put('/me/portfolio-settings', requireAuth, async (req, res) => {
   try {
@@ -735,7 +1110,7 @@ router.put('/me/portfolio-settings', requireAuth, async (req, res) => {
     const updates = {};
 
     // Validate and update visibility
-    if (visibility && ['PUBLIC', 'PRIVATE', 'INSTITUTE_ONLY'].includes(visibility)) {
+    if (visibility && ['PUBLIC', 'PRIVATE', 'INSTITUTE_ONLY', 'UNLISTED'].includes(visibility)) {
       updates['portfolioSettings.visibility'] = visibility;
     }
 
@@ -821,7 +1196,7 @@ router.put('/me/portfolio-item/:itemType/:itemId/visibility', requireAuth, async
       message: `${itemType} visibility updated successfully`,
       item: {
         id: item._id,
-        title: item.title || item.courseName || item.projectName,
+        title: item.title || item.courseName,
         isPublic: item.isPublic
       }
     });
@@ -941,7 +1316,7 @@ router.get('/me/portfolio-items', requireAuth, async (req, res) => {
     // Get all projects with visibility status
     const Project = require('../models/Project');
     const projects = await Project.find({ userId: req.user._id })
-      .select('title description skillsUsed category projectType isPublic createdAt')
+      .select('title description skillsUsed category projectType verified isPublic createdAt')
       .sort({ createdAt: -1 });
 
     res.json({
@@ -975,6 +1350,7 @@ router.get('/me/portfolio-items', requireAuth, async (req, res) => {
         skillsUsed: proj.skillsUsed,
         category: proj.category,
         projectType: proj.projectType,
+        verified: proj.verified,
         isPublic: proj.isPublic,
         createdAt: proj.createdAt,
         type: 'project'
@@ -1125,4 +1501,98 @@ router.get('/me/portfolio-preview', requireAuth, async (req, res) => {
   }
 });
 
+// Import experiences, education and projects from a JSON Resume or Europass document (?dryRun=true to preview)
+router.post(
+  '/me/import/:format',
+  requireAuth,
+  express.text({ type: ['application/xml', 'text/xml'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      const format = getResumeFormat(req.params.format);
+
+      if (!format) {
+        return res.status(400).json({
+          message: `Unknown format. Use one of: ${Object.keys(RESUME_FORMATS).join(', ')}`
+        });
+      }
+
+      // XML arrives as the raw body; JSON Resume as the body itself or wrapped in { document }
+      const document = typeof req.body === 'string'
+        ? req.body
+        : (req.body && req.body.document !== undefined ? req.body.document : req.body);
+
+      const { resume, error: parseError } = format.parse(document);
+      if (parseError) {
+        return res.status(400).json({ message: parseError });
+      }
+
+      const plan = await planResumeImport(req.user, resume);
+      if (plan.error) {
+        return res.status(400).json({ message: plan.error });
+      }
+
+      const dryRun = req.query.dryRun === 'true';
+      const created = dryRun ? undefined : await applyResumeImport(req.user, plan);
+
+      res.status(dryRun ? 200 : 201).json({
+        message: dryRun
+          ? `${format.name} preview: nothing was saved`
+          : `Imported ${plan.summary.create} item(s) from ${format.name}`,
+        dryRun,
+        summary: plan.summary,
+        profile: plan.profile,
+        experiences: plan.experiences,
+        education: plan.education,
+        projects: plan.projects,
+        ...(created && { created })
+      });
+
+    } catch (error) {
+      console.error('Resume import error:', error);
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: messages
+        });
+      }
+
+      res.status(500).json({
+        message: 'Failed to import resume',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Export all of the user's own items as JSON Resume or Europass, with verification details
+router.get('/me/export/:format', requireAuth, async (req, res) => {
+  try {
+    const format = getResumeFormat(req.params.format);
+
+    if (!format) {
+      return res.status(400).json({
+        message: `Unknown format. Use one of: ${Object.keys(RESUME_FORMATS).join(', ')}`
+      });
+    }
+
+    const content = await getPortfolioContent(req.user, { includeAll: true });
+    const { contentType, extension, body } = format.build(content, { portfolioUrl: getPortfolioUrl(req.user) });
+
+    res.set({
+      'Content-Type': `${contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="resume-${req.params.format}.${extension}"`
+    });
+    res.send(body);
+
+  } catch (error) {
+    console.error('Resume export error:', error);
+    res.status(500).json({
+      message: 'Failed to export resume',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,16 +1,26 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Experience = require('../models/Experience');
 const Education = require('../models/Education');
 const Project = require('../models/Project');
 const Verification = require('../models/Verification');
 const VerificationLog = require('../models/VerificationLog');
-const { requireAuth } = require('../middlewares/auth');
+const { requireAuth, requireConfirmedEmail } = require('../middlewares/auth');
 const { generateVerificationToken } = require('../utils/jwt');
 const { sendVerificationEmail } = require('../utils/email');
+const { notify } = require('../utils/notifications');
+const { resolveQuorum, describeEndorsements, recordDecision } = require('../utils/verificationLifecycle');
+const { routeVerificationRequest } = require('../utils/verificationRouting');
+const { getInstitutionSla, getDueAt } = require('../utils/verificationSla');
+const { resolveEvidence, describeEvidence, verifyEvidenceLink, getEvidenceDownloadUrl } = require('../utils/evidence');
+const { getOpenRequestFilter, validateMessageText, postVerificationMessage } = require('../utils/verificationThread');
 
 const router = express.Router();
 
+// Upper bound on endorsers for a single request
+const MAX_ENDORSERS = 10;
+
 // Helper function to get model and item based on type
 const getModelAndItem = async (itemType, itemId, userId = null) => {
   let Model, item;
@@ -22,6 +32,10 @@ const getModelAndItem = async (itemType, itemId, userId = null) => {
     case 'EDUCATION':
       Model = Education;
       break;
+    case 'PROJECT':
+    case 'GITHUB_PROJECT':
+      Model = Project;
+      break;
     default:
       throw new Error('Invalid item type');
   }
@@ -35,20 +49,57 @@ const getModelAndItem = async (itemType, itemId, userId = null) => {
   return { Model, item };
 };
 
-// Request verification for any item type
-router.post('/request/:itemType/:itemId', requireAuth, async (req, res) => {
+// Request verification for any item type (one or several endorsers,
+// or routeTo: INSTITUTION to let the institution's routing rules pick the verifier)
+router.post('/request/:itemType/:itemId', requireAuth, requireConfirmedEmail, async (req, res) => {
   try {
-    const { verifierEmail, verifierId } = req.body;
+    const {
+      verifierEmail,
+      verifierId,
+      verifierEmails = [],
+      verifierIds = [],
+      quorum: requestedQuorum,
+      routeTo,
+      evidence: requestedEvidence
+    } = req.body;
     const { itemType, itemId } = req.params;
 
-    if (!verifierEmail && !verifierId) {
+    if (!Array.isArray(verifierEmails) || !Array.isArray(verifierIds)) {
+      return res.status(400).json({
+        message: 'verifierEmails and verifierIds must be arrays'
+      });
+    }
+
+    // Single-verifier fields are still supported alongside the lists
+    const requestedIds = [...new Set([verifierId, ...verifierIds].filter(Boolean).map(String))];
+    const requestedEmails = [...new Set([verifierEmail, ...verifierEmails].filter(Boolean).map(email => email.toLowerCase()))];
+
+    const autoRouted = routeTo !== undefined;
+
+    if (autoRouted && routeTo !== 'INSTITUTION') {
+      return res.status(400).json({ message: 'routeTo must be INSTITUTION' });
+    }
+
+    if (autoRouted && (requestedIds.length > 0 || requestedEmails.length > 0)) {
+      return res.status(400).json({
+        message: 'Send either routeTo or verifiers, not both'
+      });
+    }
+
+    if (!autoRouted && requestedIds.length === 0 && requestedEmails.length === 0) {
       return res.status(400).json({ 
         message: 'Either verifier email or verifier ID is required' 
       });
     }
 
+    if (requestedIds.length + requestedEmails.length > MAX_ENDORSERS) {
+      return res.status(400).json({
+        message: `A request can go to at most ${MAX_ENDORSERS} verifiers`
+      });
+    }
+
     // Validate item type
-    const validTypes = ['EXPERIENCE', 'EDUCATION'];
+    const validTypes = ['EXPERIENCE', 'EDUCATION', 'PROJECT'];
     if (!validTypes.includes(itemType.toUpperCase())) {
       return res.status(400).json({
         message: 'Invalid item type. Must be one of: ' + validTypes.join(', ')
@@ -56,7 +107,7 @@ router.post('/request/:itemType/:itemId', requireAuth, async (req, res) => {
     }
 
     // Check if item exists and belongs to user
-    const { Model, item } = await getModelAndItem(itemType, itemId, req.user._id);
+    const { item } = await getModelAndItem(itemType, itemId, req.user._id);
 
     if (!item) {
       return res.status(404).json({ 
@@ -70,114 +121,378 @@ router.post('/request/:itemType/:itemId', requireAuth, async (req, res) => {
       });
     }
 
-    // Find verifier by email or ID
-    let verifier;
-    if (verifierId) {
-      verifier = await User.findOne({ 
-        _id: verifierId,
-        role: 'VERIFIER' 
-      });
-    } else {
-      verifier = await User.findOne({ 
-        email: verifierEmail.toLowerCase(),
-        role: 'VERIFIER' 
-      });
+    // Attachments the student pins for the verifier to review
+    const { evidence, error: evidenceError } = resolveEvidence(itemType, item, requestedEvidence);
+    if (evidenceError) {
+      return res.status(400).json({ message: evidenceError });
     }
 
-    if (!verifier) {
+    // Check for existing pending verification (including one waiting for more evidence)
+    const existingVerification = await Verification.findOne({
+      itemId: itemId,
+      itemType: itemType.toUpperCase(),
+      $or: [
+        { status: 'PENDING', expiresAt: { $gt: new Date() } },
+        { status: 'CHANGES_REQUESTED' }
+      ]
+    });
+
+    if (existingVerification) {
       return res.status(400).json({ 
-        message: 'Verifier not found or not registered as verifier' 
+        message: `Verification request already pending for this ${itemType.toLowerCase()}` 
       });
     }
 
     const student = await User.findById(req.user._id);
+    let verifiers;
+    let routingRule;
+
+    if (autoRouted) {
+      if (!student.institute) {
+        return res.status(400).json({
+          message: 'You must be associated with an institution to submit to it'
+        });
+      }
+
+      const routed = await routeVerificationRequest({ itemType: itemType.toUpperCase(), item, student });
+      if (routed.error) {
+        return res.status(400).json({ message: routed.error });
+      }
+
+      verifiers = [routed.verifier];
+      routingRule = routed.rule;
+    } else {
+      // Find verifiers by email or ID
+      const invalidIds = requestedIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+      if (invalidIds.length > 0) {
+        return res.status(400).json({
+          message: 'Invalid verifier ID',
+          invalidIds
+        });
+      }
+
+      verifiers = await User.find({
+        role: 'VERIFIER',
+        $or: [
+          { _id: { $in: requestedIds } },
+          { email: { $in: requestedEmails } }
+        ]
+      });
+
+      const missing = [
+        ...requestedIds.filter(id => !verifiers.some(verifier => verifier._id.toString() === id)),
+        ...requestedEmails.filter(email => !verifiers.some(verifier => verifier.email === email))
+      ];
+
+      if (verifiers.length === 0 || missing.length > 0) {
+        return res.status(400).json({ 
+          message: 'Verifier not found or not registered as verifier',
+          ...(missing.length > 0 && { missing })
+        });
+      }
+    }
     
-    if (!student.institute || !verifier.institute) {
+    if (!student.institute || verifiers.some(verifier => !verifier.institute)) {
       return res.status(400).json({ 
         message: 'Both student and verifier must have institutes associated' 
       });
     }
 
-    if (student.institute !== verifier.institute) {
+    if (verifiers.some(verifier => verifier.institute !== student.institute)) {
       return res.status(403).json({ 
         message: 'Verification can only be requested from verifiers in your institution' 
       });
     }
 
-    // Check for existing pending verification
-    const existingVerification = await Verification.findOne({
-      itemId: itemId,
-      itemType: itemType.toUpperCase(),
-      status: 'PENDING',
-      expiresAt: { $gt: new Date() }
-    });
+    const quorum = resolveQuorum(requestedQuorum || {}, verifiers.length);
+    if (quorum.error) {
+      return res.status(400).json({ message: quorum.error });
+    }
 
-    if (existingVerification) {
-      return res.status(400).json({ 
-        message: `Verification request already pending for this ${itemType.toLowerCase()}` 
+    // Endorsers of one request share a group so their approvals count towards the quorum
+    const endorsementGroup = verifiers.length > 1 ? new mongoose.Types.ObjectId() : undefined;
+    const itemTitle = item.title || item.courseName || 'Item';
+    const dueAt = getDueAt(await getInstitutionSla(student.institute));
+    const verifications = [];
+
+    for (const verifier of verifiers) {
+      // Each endorser gets their own token
+      const token = generateVerificationToken();
+
+      // Create verification record
+      const verification = new Verification({
+        itemId: itemId,
+        itemType: itemType.toUpperCase(),
+        studentId: student._id,
+        institution: student.institute,
+        verifierEmail: verifier.email.toLowerCase(),
+        token,
+        evidence,
+        dueAt,
+        endorsementGroup,
+        quorum,
+        ...(routingRule && { routing: { rule: routingRule._id, automatic: true } })
       });
+
+      await verification.save();
+
+      // Log the verification request
+      await new VerificationLog({
+        verificationId: verification._id,
+        action: 'CREATED',
+        actorEmail: req.user.email,
+        metadata: { 
+          verifierEmail: verifier.email, 
+          verifierName: verifier.name,
+          itemType,
+          ...(evidence.length > 0 && { evidence: evidence.map(document => document.url) }),
+          ...(endorsementGroup && { endorsementGroup, quorum }),
+          ...(routingRule && { routingRule: routingRule._id, routingRuleName: routingRule.name })
+        }
+      }).save();
+
+      // Notify the verifier (the email carries their personal verification link)
+      await notify({
+        userId: verifier._id,
+        type: 'VERIFICATION_REQUESTED',
+        title: 'New verification request',
+        message: `${item.userId.name} asked you to verify their ${itemType.toLowerCase()} "${itemTitle}"`,
+        link: `/verify/${token}`,
+        data: { verificationId: verification._id, itemType: verification.itemType, itemId },
+        sendEmail: () => sendVerificationEmail(
+          verifier.email,
+          token,
+          itemTitle,
+          item.userId.name,
+          itemType.toUpperCase()
+        )
+      });
+
+      verifications.push(verification);
     }
 
-    // Generate verification token
-    const token = generateVerificationToken();
+    const formatVerification = (verification) => ({
+      id: verification._id,
+      itemType: verification.itemType,
+      verifierEmail: verification.verifierEmail,
+      status: verification.status,
+      evidence: verification.evidence,
+      dueAt: verification.dueAt,
+      expiresAt: verification.expiresAt
+    });
 
-    // Create verification record
-    const verification = new Verification({
-      itemId: itemId,
-      itemType: itemType.toUpperCase(),
-      verifierEmail: verifier.email.toLowerCase(),
-      token
+    res.status(201).json({
+      message: 'Verification request sent successfully',
+      verification: formatVerification(verifications[0]),
+      verifications: verifications.map(formatVerification),
+      quorum,
+      ...(routingRule && {
+        routing: {
+          rule: { id: routingRule._id, name: routingRule.name },
+          verifier: { id: verifiers[0]._id, name: verifiers[0].name, email: verifiers[0].email }
+        }
+      })
     });
 
+  } catch (error) {
+    console.error('Verification request error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid item ID' });
+    }
+
+    res.status(500).json({ 
+      message: 'Failed to create verification request', 
+      error: error.message 
+    });
+  }
+});
+
+// Open a pinned evidence document through a signed, time-limited link
+router.get('/evidence/:linkToken', async (req, res) => {
+  try {
+    let claims;
+    try {
+      claims = verifyEvidenceLink(req.params.linkToken);
+    } catch (error) {
+      return res.status(410).json({ message: 'This evidence link is invalid or has expired' });
+    }
+
+    const verification = await Verification.findById(claims.verificationId).select('evidence');
+    const document = verification && verification.evidence.id(claims.evidenceId);
+
+    if (!document) {
+      return res.status(404).json({ message: 'Evidence not found' });
+    }
+
+    res.redirect(302, getEvidenceDownloadUrl(document));
+
+  } catch (error) {
+    console.error('Open evidence error:', error);
+    res.status(500).json({
+      message: 'Failed to open evidence',
+      error: error.message
+    });
+  }
+});
+
+// Answer a verifier's request for more evidence (Student)
+router.post('/requests/:verificationId/respond', requireAuth, async (req, res) => {
+  try {
+    const { message, evidence: requestedEvidence } = req.body;
+
+    if (message !== undefined && (typeof message !== 'string' || message.length > 1000)) {
+      return res.status(400).json({ message: 'Message must be text of at most 1000 characters' });
+    }
+
+    const verification = await Verification.findOne({
+      _id: req.params.verificationId,
+      status: 'CHANGES_REQUESTED'
+    });
+
+    if (!verification) {
+      return res.status(404).json({ message: 'No verification request is waiting for your changes' });
+    }
+
+    // Only the owner of the item can answer
+    const { item } = await getModelAndItem(verification.itemType, verification.itemId, req.user._id);
+
+    if (!item) {
+      return res.status(404).json({ message: 'No verification request is waiting for your changes' });
+    }
+
+    const { evidence, error: evidenceError } = resolveEvidence(
+      verification.itemType,
+      item,
+      requestedEvidence,
+      verification.evidence.map(document => document.url)
+    );
+    if (evidenceError) {
+      return res.status(400).json({ message: evidenceError });
+    }
+
+    if (!(message && message.trim()) && evidence.length === 0) {
+      return res.status(400).json({ message: 'Send a message or pin additional evidence' });
+    }
+
+    const now = new Date();
+    const changeRequest = verification.changeRequests[verification.changeRequests.length - 1];
+    changeRequest.response = message ? message.trim() : undefined;
+    changeRequest.respondedAt = now;
+    verification.messages.push({
+      authorRole: 'STUDENT',
+      authorEmail: req.user.email,
+      authorName: req.user.name,
+      kind: 'CHANGES_SUBMITTED',
+      text: changeRequest.response || `Pinned ${evidence.length} more document(s)`
+    });
+
+    // Back in the verifier's queue with a fresh deadline
+    verification.evidence.push(...evidence);
+    verification.status = 'PENDING';
+    verification.submittedAt = now;
+    verification.dueAt = getDueAt(await getInstitutionSla(verification.institution || req.user.institute), now);
+    verification.expiresAt = new Date(now.getTime() + 72 * 60 * 60 * 1000);
+    verification.reminders.scheduled = 0;
+    verification.escalation = undefined;
     await verification.save();
 
-    // Log the verification request
     await new VerificationLog({
       verificationId: verification._id,
-      action: 'CREATED',
+      action: 'CHANGES_SUBMITTED',
       actorEmail: req.user.email,
-      metadata: { 
-        verifierEmail: verifier.email, 
-        verifierName: verifier.name,
-        itemType 
-      }
+      metadata: { message: changeRequest.response, evidence: evidence.map(document => document.url) }
     }).save();
 
-    // Send verification email
-    const itemTitle = item.title || item.courseName || 'Item';
-    const emailSent = await sendVerificationEmail(
-      verifier.email,
-      token,
-      itemTitle,
-      item.userId.name,
-      itemType.toUpperCase()
-    );
-
-    if (!emailSent) {
-      console.warn('Failed to send verification email, but request was created');
+    const verifier = await User.findOne({ email: verification.verifierEmail }).select('_id');
+    if (verifier) {
+      const itemTitle = item.title || item.courseName || 'Item';
+      await notify({
+        userId: verifier._id,
+        type: 'VERIFICATION_REQUESTED',
+        title: `Changes submitted: ${itemTitle}`,
+        message: `${req.user.name} answered your request for more evidence on "${itemTitle}"${evidence.length > 0 ? ` and pinned ${evidence.length} more document(s)` : ''}`,
+        link: `/verify/${verification.token}`,
+        data: { verificationId: verification._id, itemType: verification.itemType, itemId: verification.itemId }
+      });
     }
 
-    res.status(201).json({
-      message: 'Verification request sent successfully',
+    res.json({
+      message: 'Your changes were sent to the verifier',
       verification: {
         id: verification._id,
-        itemType: verification.itemType,
-        verifierEmail: verification.verifierEmail,
         status: verification.status,
+        evidence: verification.evidence,
+        changeRequests: verification.changeRequests,
+        messages: verification.messages,
+        dueAt: verification.dueAt,
         expiresAt: verification.expiresAt
       }
     });
 
   } catch (error) {
-    console.error('Verification request error:', error);
-    
+    console.error('Respond to change request error:', error);
+
     if (error.name === 'CastError') {
-      return res.status(400).json({ message: 'Invalid item ID' });
+      return res.status(400).json({ message: 'Invalid verification ID' });
     }
 
-    res.status(500).json({ 
-      message: 'Failed to create verification request', 
-      error: error.message 
+    res.status(500).json({
+      message: 'Failed to send your changes',
+      error: error.message
+    });
+  }
+});
+
+// Reply to the verifier on an open request (Student)
+router.post('/requests/:verificationId/messages', requireAuth, async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateMessageText(text);
+    if (textError) {
+      return res.status(400).json({ message: textError });
+    }
+
+    const verification = await Verification.findOne({
+      _id: req.params.verificationId,
+      ...getOpenRequestFilter()
+    });
+
+    // Only the owner of the item can post
+    const { item } = verification
+      ? await getModelAndItem(verification.itemType, verification.itemId, req.user._id)
+      : {};
+
+    if (!item) {
+      return res.status(404).json({ message: 'Open verification request not found' });
+    }
+
+    const entry = await postVerificationMessage({
+      verification,
+      item,
+      authorRole: 'STUDENT',
+      authorEmail: req.user.email,
+      authorName: req.user.name,
+      text
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      entry,
+      messages: verification.messages
+    });
+
+  } catch (error) {
+    console.error('Post verification message error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid verification ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to send message',
+      error: error.message
     });
   }
 });
@@ -240,14 +555,26 @@ router.get('/:token', async (req, res) => {
         startDate: item.startDate,
         endDate: item.endDate,
         passingYear: item.passingYear,
-        attachments: item.attachments || []
+        // Project details
+        projectType: item.projectType,
+        category: item.category,
+        skillsUsed: item.skillsUsed,
+        duration: item.duration,
+        course: item.course,
+        supervisor: item.supervisor,
+        collaborators: item.collaborators,
+        links: item.links
       },
       status: verification.status,
       requestedAt: verification.createdAt,
       comment: verification.comment,
       actedBy: verification.actedBy,
       actedAt: verification.actedAt,
-      expiresAt: verification.expiresAt
+      expiresAt: verification.expiresAt,
+      evidence: describeEvidence(verification),
+      changeRequests: verification.changeRequests,
+      messages: verification.messages,
+      endorsement: await describeEndorsements(verification)
     });
 
   } catch (error) {
@@ -259,6 +586,57 @@ router.get('/:token', async (req, res) => {
   }
 });
 
+// Post a message to the student from the verification link (public, as the verifier)
+router.post('/:token/messages', async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateMessageText(text);
+    if (textError) {
+      return res.status(400).json({ message: textError });
+    }
+
+    const verification = await Verification.findOne({
+      token: req.params.token,
+      ...getOpenRequestFilter()
+    });
+
+    if (!verification) {
+      return res.status(404).json({ message: 'Verification not found, already processed, or expired' });
+    }
+
+    const { item } = await getModelAndItem(verification.itemType, verification.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Associated item not found' });
+    }
+
+    const verifier = await User.findOne({ email: verification.verifierEmail }).select('name');
+
+    const entry = await postVerificationMessage({
+      verification,
+      item,
+      authorRole: 'VERIFIER',
+      authorEmail: verification.verifierEmail,
+      authorName: verifier ? verifier.name : undefined,
+      text
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      entry,
+      messages: verification.messages
+    });
+
+  } catch (error) {
+    console.error('Post verification message error:', error);
+    res.status(500).json({
+      message: 'Failed to send message',
+      error: error.message
+    });
+  }
+});
+
 // Approve verification
 router.post('/:token/approve', async (req, res) => {
   try {
@@ -270,7 +648,7 @@ router.post('/:token/approve', async (req, res) => {
       });
     }
 
-    const verification = await Verification.findOne({ 
+    let verification = await Verification.findOne({ 
       token: req.params.token,
       status: 'PENDING',
       expiresAt: { $gt: new Date() }
@@ -282,31 +660,29 @@ router.post('/:token/approve', async (req, res) => {
       });
     }
 
-    // Update verification
-    verification.status = 'APPROVED';
-    verification.comment = comment || '';
-    verification.actedBy = actorEmail.toLowerCase();
-    await verification.save();
+    const verifier = await User.findOne({ email: verification.verifierEmail }).select('name');
 
-    // Update the actual item as verified with verifier details
-    const { Model } = await getModelAndItem(verification.itemType, verification.itemId);
-    await Model.findByIdAndUpdate(verification.itemId, {
-      verified: true,
-      verifiedAt: new Date(),
-      verifiedBy: actorEmail.toLowerCase(),
-      verifierComment: comment || ''
+    // Record the endorsement; the item is verified once the quorum is met
+    const decided = await recordDecision({
+      verification,
+      decision: 'APPROVED',
+      actorEmail,
+      actorName: verifier ? verifier.name : undefined,
+      comment: comment || '',
+      req
     });
 
-    // Log the approval
-    await new VerificationLog({
-      verificationId: verification._id,
-      action: 'APPROVED',
-      actorEmail: actorEmail.toLowerCase(),
-      metadata: { comment: comment || '' }
-    }).save();
+    if (decided.error) {
+      return res.status(409).json({ message: decided.error });
+    }
+
+    const { outcome, quorum, credential } = decided;
+    verification = decided.verification;
 
     res.json({
-      message: `${verification.itemType.toLowerCase()} verified successfully`,
+      message: outcome === 'VERIFIED'
+        ? `${verification.itemType.toLowerCase()} verified successfully`
+        : 'Endorsement recorded, waiting for more verifiers',
       verification: {
         id: verification._id,
         itemType: verification.itemType,
@@ -314,7 +690,10 @@ router.post('/:token/approve', async (req, res) => {
         comment: verification.comment,
         actedBy: verification.actedBy,
         actedAt: verification.actedAt
-      }
+      },
+      outcome,
+      quorum,
+      credentialId: credential ? credential._id : null
     });
 
   } catch (error) {
@@ -337,7 +716,7 @@ router.post('/:token/reject', async (req, res) => {
       });
     }
 
-    const verification = await Verification.findOne({ 
+    let verification = await Verification.findOne({ 
       token: req.params.token,
       status: 'PENDING',
       expiresAt: { $gt: new Date() }
@@ -349,26 +728,24 @@ router.post('/:token/reject', async (req, res) => {
       });
     }
 
-    // Update verification
-    verification.status = 'REJECTED';
-    verification.comment = comment || '';
-    verification.actedBy = actorEmail.toLowerCase();
-    await verification.save();
+    const verifier = await User.findOne({ email: verification.verifierEmail }).select('name');
 
-    // Update the actual item with rejection details (but keep verified as false)
-    const { Model } = await getModelAndItem(verification.itemType, verification.itemId);
-    await Model.findByIdAndUpdate(verification.itemId, {
-      verifiedBy: actorEmail.toLowerCase(),
-      verifierComment: comment || ''
+    // The item is only rejected once the quorum can no longer be reached
+    const decided = await recordDecision({
+      verification,
+      decision: 'REJECTED',
+      actorEmail,
+      actorName: verifier ? verifier.name : undefined,
+      comment: comment || '',
+      req
     });
 
-    // Log the rejection
-    await new VerificationLog({
-      verificationId: verification._id,
-      action: 'REJECTED',
-      actorEmail: actorEmail.toLowerCase(),
-      metadata: { comment: comment || '' }
-    }).save();
+    if (decided.error) {
+      return res.status(409).json({ message: decided.error });
+    }
+
+    const { outcome, quorum } = decided;
+    verification = decided.verification;
 
     res.json({
       message: 'Verification rejected',
@@ -379,7 +756,9 @@ router.post('/:token/reject', async (req, res) => {
         comment: verification.comment,
         actedBy: verification.actedBy,
         actedAt: verification.actedAt
-      }
+      },
+      outcome,
+      quorum
     });
 
   } catch (error) {
@@ -405,10 +784,13 @@ router.get('/history/:itemType/:itemId', requireAuth, async (req, res) => {
       });
     }
 
+    // Endorser tokens act on the request, so they and the verifiers' notes and routing stay out
     const verifications = await Verification.find({
       itemId: itemId,
       itemType: itemType.toUpperCase()
-    }).sort({ createdAt: -1 });
+    })
+      .select('-token -evidence.notes -routing')
+      .sort({ createdAt: -1 });
 
     res.json({ verifications });
 
@@ -427,7 +809,7 @@ router.get('/history/:itemType/:itemId', requireAuth, async (req, res) => {
 });
 
 // Legacy route for backward compatibility (experiences only)
-router.post('/request/:experienceId', requireAuth, async (req, res) => {
+router.post('/request/:experienceId', requireAuth, requireConfirmedEmail, async (req, res) => {
   req.params.itemType = 'EXPERIENCE';
   req.params.itemId = req.params.experienceId;
   return router.handle(req, res);
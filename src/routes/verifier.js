@@ -1,15 +1,37 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Experience = require('../models/Experience');
 const Education = require('../models/Education');
-const GithubProject = require('../models/Project');
+const Project = require('../models/Project');
 const Verification = require('../models/Verification');
 const VerificationLog = require('../models/VerificationLog');
 const { requireAuth } = require('../middlewares/auth');
-const { sendVerificationEmail, sendVerificationDecisionEmail } = require('../utils/email');
+const { describeEndorsements, recordDecision, withdrawVerification, getItemTitle } = require('../utils/verificationLifecycle');
+const { notify } = require('../utils/notifications');
+const { sendVerificationBulkDecisionEmail } = require('../utils/email');
+const { buildPlacementFilter } = require('../utils/institutionStructure');
+const { sendVerificationReminder } = require('../utils/verificationSla');
+const { describeEvidence } = require('../utils/evidence');
+const { getOpenRequestFilter, validateMessageText, postVerificationMessage } = require('../utils/verificationThread');
 
 const router = express.Router();
 
+// Upper bound on requests decided in one bulk call
+const MAX_BULK_DECISIONS = 100;
+// Titles named in the bulk summary notification; the rest are counted (notification messages hold 2000 characters)
+const SUMMARY_TITLES = 5;
+const SUMMARY_TITLE_LENGTH = 100;
+
+const summarizeTitles = (titles) => {
+  const named = titles.slice(0, SUMMARY_TITLES).map(title => (
+    title.length > SUMMARY_TITLE_LENGTH ? `"${title.substring(0, SUMMARY_TITLE_LENGTH - 3)}..."` : `"${title}"`
+  ));
+  const remaining = titles.length - named.length;
+
+  return remaining > 0 ? `${named.join(', ')} and ${remaining} more` : named.join(', ');
+};
+
 // Middleware to ensure user is a verifier
 const requireVerifier = (req, res, next) => {
   if (req.user.role !== 'VERIFIER') {
@@ -43,7 +65,8 @@ const getModel = (itemType) => {
   switch (itemType.toUpperCase()) {
     case 'EXPERIENCE': return Experience;
     case 'EDUCATION': return Education;
-    case 'GITHUB_PROJECT': return GithubProject;
+    case 'PROJECT':
+    case 'GITHUB_PROJECT': return Project;
     default: throw new Error('Invalid item type');
   }
 };
@@ -60,12 +83,16 @@ router.get('/stats', requireAuth, requireVerifier, async (req, res) => {
     }
 
     // Get stats for this verifier's email
-    const [pendingVerifications, studentsInInstitute, completedVerifications, totalRequests] = await Promise.all([
+    const [pendingVerifications, awaitingChanges, studentsInInstitute, completedVerifications, totalRequests] = await Promise.all([
       Verification.countDocuments({
         verifierEmail: req.user.email,
         status: 'PENDING',
         expiresAt: { $gt: new Date() }
       }),
+      Verification.countDocuments({
+        verifierEmail: req.user.email,
+        status: 'CHANGES_REQUESTED'
+      }),
       User.countDocuments({
         institute: verifierInstitute,
         role: 'STUDENT'
@@ -81,6 +108,7 @@ router.get('/stats', requireAuth, requireVerifier, async (req, res) => {
 
     res.json({
       pendingVerifications,
+      awaitingChanges,
       studentsInInstitute,
       completedVerifications,
       totalRequests
@@ -123,7 +151,7 @@ router.get('/pending-requests', requireAuth, requireVerifier, async (req, res) =
             studentName: item.userId.name,
             studentEmail: item.userId.email,
             type: verification.itemType,
-            title: item.title || item.courseName || item.projectName,
+            title: item.title || item.courseName,
             description: item.description,
             createdAt: verification.createdAt
           };
@@ -197,7 +225,7 @@ router.get('/requests', requireAuth, requireVerifier, async (req, res) => {
           if (search) {
             const searchLower = search.toLowerCase();
             const studentName = item.userId.name.toLowerCase();
-            const itemTitle = (item.title || item.courseName || item.projectName || '').toLowerCase();
+            const itemTitle = (item.title || item.courseName || '').toLowerCase();
             
             if (!studentName.includes(searchLower) && !itemTitle.includes(searchLower)) {
               return null;
@@ -215,18 +243,18 @@ router.get('/requests', requireAuth, requireVerifier, async (req, res) => {
             itemType: verification.itemType,
             itemId: verification.itemId,
             item: {
-              title: item.title || item.courseName || item.projectName,
+              title: item.title || item.courseName,
               description: item.description,
               startDate: item.startDate,
               endDate: item.endDate,
-              passingYear: item.passingYear,
-              attachments: item.attachments || []
+              passingYear: item.passingYear
             },
             status: verification.status,
             requestedAt: verification.createdAt,
             verifierEmail: verification.verifierEmail,
             comment: verification.comment,
-            actedAt: verification.actedAt
+            actedAt: verification.actedAt,
+            ...(verification.endorsementGroup && { quorum: verification.quorum })
           };
         } catch (error) {
           console.error('Error processing verification:', error);
@@ -298,12 +326,18 @@ router.get('/request/:requestId', requireAuth, requireVerifier, async (req, res)
       item: {
         id: item._id,
         type: verification.itemType,
-        title: item.title || item.courseName || item.projectName,
+        title: item.title || item.courseName,
         description: item.description,
         startDate: item.startDate,
         endDate: item.endDate,
         passingYear: item.passingYear,
-        files: item.attachments || []
+        // Project details
+        projectType: item.projectType,
+        skillsUsed: item.skillsUsed,
+        duration: item.duration,
+        supervisor: item.supervisor,
+        collaborators: item.collaborators,
+        links: item.links
       },
       student: {
         id: item.userId._id,
@@ -316,7 +350,12 @@ router.get('/request/:requestId', requireAuth, requireVerifier, async (req, res)
         actionBy: log.actorEmail,
         createdAt: log.createdAt,
         metadata: log.metadata
-      }))
+      })),
+      // Documents pinned by the student, as signed links that expire
+      evidence: describeEvidence(verification),
+      changeRequests: verification.changeRequests,
+      messages: verification.messages,
+      endorsement: await describeEndorsements(verification)
     };
 
     res.json({ request });
@@ -330,11 +369,126 @@ router.get('/request/:requestId', requireAuth, requireVerifier, async (req, res)
   }
 });
 
-// Approve verification request
-router.post('/approve/:requestId', requireAuth, requireVerifier, async (req, res) => {
+// Add a note to a pinned evidence document
+router.post('/request/:requestId/evidence/:evidenceId/notes', requireAuth, requireVerifier, async (req, res) => {
+  try {
+    const { requestId, evidenceId } = req.params;
+    const { text } = req.body;
+
+    if (typeof text !== 'string' || !text.trim() || text.length > 1000) {
+      return res.status(400).json({ message: 'Note text is required and must be at most 1000 characters' });
+    }
+
+    const verification = await Verification.findOne({
+      _id: requestId,
+      verifierEmail: req.user.email,
+      status: { $in: ['PENDING', 'CHANGES_REQUESTED'] }
+    });
+
+    if (!verification) {
+      return res.status(404).json({ message: 'Open verification request not found' });
+    }
+
+    const document = verification.evidence.id(evidenceId);
+
+    if (!document) {
+      return res.status(404).json({ message: 'Evidence not found on this request' });
+    }
+
+    document.notes.push({ authorEmail: req.user.email, text: text.trim() });
+    await verification.save();
+
+    await new VerificationLog({
+      verificationId: verification._id,
+      action: 'EVIDENCE_NOTE_ADDED',
+      actorEmail: req.user.email,
+      metadata: { evidenceId: document._id, text: text.trim() }
+    }).save();
+
+    res.status(201).json({
+      message: 'Note added',
+      evidence: describeEvidence(verification).find(entry => entry._id.equals(document._id))
+    });
+
+  } catch (error) {
+    console.error('Add evidence note error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid request or evidence ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to add note',
+      error: error.message
+    });
+  }
+});
+
+// Post a message to the student on an open request (e.g. ask a question before deciding)
+router.post('/request/:requestId/messages', requireAuth, requireVerifier, async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const textError = validateMessageText(text);
+    if (textError) {
+      return res.status(400).json({ message: textError });
+    }
+
+    const verification = await Verification.findOne({
+      _id: req.params.requestId,
+      verifierEmail: req.user.email,
+      ...getOpenRequestFilter()
+    });
+
+    if (!verification) {
+      return res.status(404).json({ message: 'Open verification request not found' });
+    }
+
+    const Model = getModel(verification.itemType);
+    const item = await Model.findById(verification.itemId);
+
+    if (!item) {
+      return res.status(404).json({ message: 'Associated item not found' });
+    }
+
+    const entry = await postVerificationMessage({
+      verification,
+      item,
+      authorRole: 'VERIFIER',
+      authorEmail: req.user.email,
+      authorName: req.user.name,
+      text
+    });
+
+    res.status(201).json({
+      message: 'Message sent',
+      entry,
+      messages: verification.messages
+    });
+
+  } catch (error) {
+    console.error('Post verification message error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid request ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to send message',
+      error: error.message
+    });
+  }
+});
+
+// Ask the student for additional evidence before deciding
+router.post('/request/:requestId/request-changes', requireAuth, requireVerifier, async (req, res) => {
   try {
-    const { comment } = req.body;
     const { requestId } = req.params;
+    const { message } = req.body;
+
+    if (typeof message !== 'string' || !message.trim() || message.length > 1000) {
+      return res.status(400).json({ message: 'A message of at most 1000 characters is required' });
+    }
 
     const verification = await Verification.findOne({
       _id: requestId,
@@ -349,58 +503,117 @@ router.post('/approve/:requestId', requireAuth, requireVerifier, async (req, res
       });
     }
 
-    // Get the item to verify student belongs to same institute
     const Model = getModel(verification.itemType);
     const item = await Model.findById(verification.itemId).populate('userId', 'institute name email');
 
-    if (!item || item.userId.institute !== req.user.institute) {
+    if (!item || !item.userId || item.userId.institute !== req.user.institute) {
       return res.status(403).json({
         message: 'Can only verify items from students in your institution'
       });
     }
 
-    // Update verification
-    verification.status = 'APPROVED';
-    verification.comment = comment || '';
-    verification.actedBy = req.user.email;
-    verification.actedAt = new Date();
-    await verification.save();
-
-    // Update the actual item as verified
-    await Model.findByIdAndUpdate(verification.itemId, {
-      verified: true,
-      verifiedAt: new Date(),
-      verifiedBy: req.user.email,
-      verifierComment: comment || ''
+    verification.status = 'CHANGES_REQUESTED';
+    verification.changeRequests.push({ message: message.trim(), requestedBy: req.user.email });
+    verification.messages.push({
+      authorRole: 'VERIFIER',
+      authorEmail: req.user.email,
+      authorName: req.user.name,
+      kind: 'CHANGES_REQUESTED',
+      text: message.trim()
     });
+    await verification.save();
 
-    // Log the approval
     await new VerificationLog({
       verificationId: verification._id,
-      action: 'APPROVED',
+      action: 'CHANGES_REQUESTED',
       actorEmail: req.user.email,
-      metadata: { comment: comment || '' }
+      metadata: { message: message.trim() }
     }).save();
 
-    // Send notification email to student
-    const itemTitle = item.title || item.courseName || item.projectName || 'Item';
-    try {
-      await sendVerificationDecisionEmail(
-        item.userId.email,
-        itemTitle,
-        verification.itemType,
-        'APPROVED',
-        comment,
-        req.user.name
-      );
-    } catch (emailError) {
-      console.warn('Failed to send approval notification email:', emailError);
+    const itemTitle = getItemTitle(item);
+    await notify({
+      userId: item.userId._id,
+      type: 'VERIFICATION_DECIDED',
+      title: `More evidence needed: ${itemTitle}`,
+      message: `${req.user.name} needs more information before verifying your ${verification.itemType.toLowerCase()} "${itemTitle}": ${message.trim()}`,
+      link: '/portfolio',
+      data: { verificationId: verification._id, itemType: verification.itemType, itemId: item._id, status: 'CHANGES_REQUESTED' }
+    });
+
+    res.json({
+      ok: true,
+      requestId: verification._id,
+      status: verification.status,
+      changeRequests: verification.changeRequests,
+      messages: verification.messages
+    });
+
+  } catch (error) {
+    console.error('Request changes error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid request ID' });
+    }
+
+    res.status(500).json({
+      message: 'Failed to request changes',
+      error: error.message
+    });
+  }
+});
+
+// Approve verification request
+router.post('/approve/:requestId', requireAuth, requireVerifier, async (req, res) => {
+  try {
+    const { comment } = req.body;
+    const { requestId } = req.params;
+
+    const verification = await Verification.findOne({
+      _id: requestId,
+      verifierEmail: req.user.email,
+      status: 'PENDING',
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!verification) {
+      return res.status(404).json({
+        message: 'Verification request not found or already processed'
+      });
+    }
+
+    // Get the item to verify student belongs to same institute
+    const Model = getModel(verification.itemType);
+    const item = await Model.findById(verification.itemId).populate('userId', 'institute name email');
+
+    if (!item || item.userId.institute !== req.user.institute) {
+      return res.status(403).json({
+        message: 'Can only verify items from students in your institution'
+      });
+    }
+
+    // Record the endorsement; the item is verified once the quorum is met
+    const decided = await recordDecision({
+      verification,
+      decision: 'APPROVED',
+      actorEmail: req.user.email,
+      actorName: req.user.name,
+      comment: comment || '',
+      req
+    });
+
+    if (decided.error) {
+      return res.status(409).json({ message: decided.error });
     }
 
+    const { outcome, quorum, credential } = decided;
+
     res.json({
       ok: true,
       requestId: verification._id,
-      status: 'APPROVED'
+      status: 'APPROVED',
+      outcome,
+      quorum,
+      credentialId: credential ? credential._id : null
     });
 
   } catch (error) {
@@ -441,46 +654,28 @@ router.post('/reject/:requestId', requireAuth, requireVerifier, async (req, res)
       });
     }
 
-    // Update verification
-    verification.status = 'REJECTED';
-    verification.comment = comment || '';
-    verification.actedBy = req.user.email;
-    verification.actedAt = new Date();
-    await verification.save();
-
-    // Update the actual item with rejection details
-    await Model.findByIdAndUpdate(verification.itemId, {
-      verifiedBy: req.user.email,
-      verifierComment: comment || ''
-    });
-
-    // Log the rejection
-    await new VerificationLog({
-      verificationId: verification._id,
-      action: 'REJECTED',
+    // The item is only rejected once the quorum can no longer be reached
+    const decided = await recordDecision({
+      verification,
+      decision: 'REJECTED',
       actorEmail: req.user.email,
-      metadata: { comment: comment || '' }
-    }).save();
+      actorName: req.user.name,
+      comment: comment || '',
+      req
+    });
 
-    // Send notification email to student
-    const itemTitle = item.title || item.courseName || item.projectName || 'Item';
-    try {
-      await sendVerificationDecisionEmail(
-        item.userId.email,
-        itemTitle,
-        verification.itemType,
-        'REJECTED',
-        comment,
-        req.user.name
-      );
-    } catch (emailError) {
-      console.warn('Failed to send rejection notification email:', emailError);
+    if (decided.error) {
+      return res.status(409).json({ message: decided.error });
     }
 
+    const { outcome, quorum } = decided;
+
     res.json({
       ok: true,
       requestId: verification._id,
-      status: 'REJECTED'
+      status: 'REJECTED',
+      outcome,
+      quorum
     });
 
   } catch (error) {
@@ -492,6 +687,235 @@ router.post('/reject/:requestId', requireAuth, requireVerifier, async (req, res)
   }
 });
 
+// Approve or reject several verification requests at once
+router.post('/bulk-decision', requireAuth, requireVerifier, async (req, res) => {
+  try {
+    const { action, comment = '', requests } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        message: 'Invalid action. Supported actions: approve, reject'
+      });
+    }
+
+    if (!Array.isArray(requests) || requests.length === 0) {
+      return res.status(400).json({
+        message: 'requests must be a non-empty array of request IDs or { requestId, comment }'
+      });
+    }
+
+    if (requests.length > MAX_BULK_DECISIONS) {
+      return res.status(400).json({
+        message: `At most ${MAX_BULK_DECISIONS} requests can be decided at once`
+      });
+    }
+
+    const decision = action === 'approve' ? 'APPROVED' : 'REJECTED';
+
+    // A comment given with a request replaces the shared one
+    const entries = requests.map(entry => (
+      entry && typeof entry === 'object'
+        ? { requestId: String(entry.requestId), comment: entry.comment !== undefined ? entry.comment : comment }
+        : { requestId: String(entry), comment }
+    ));
+
+    const results = [];
+    const seen = new Set();
+    const settledByStudent = new Map();
+
+    for (const { requestId, comment: itemComment } of entries) {
+      const fail = (error) => results.push({ requestId, ok: false, error });
+
+      if (seen.has(requestId)) {
+        fail('Duplicate request ID');
+        continue;
+      }
+      seen.add(requestId);
+
+      if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        fail('Invalid request ID');
+        continue;
+      }
+
+      if (typeof itemComment !== 'string' || itemComment.length > 1000) {
+        fail('Comment must be text of at most 1000 characters');
+        continue;
+      }
+
+      try {
+        const verification = await Verification.findOne({
+          _id: requestId,
+          verifierEmail: req.user.email,
+          status: 'PENDING',
+          expiresAt: { $gt: new Date() }
+        });
+
+        if (!verification) {
+          fail('Verification request not found or already processed');
+          continue;
+        }
+
+        // Each item must belong to a student of the verifier's institution
+        const Model = getModel(verification.itemType);
+        const item = await Model.findById(verification.itemId).populate('userId', 'institute name email');
+
+        if (!item || !item.userId || item.userId.institute !== req.user.institute) {
+          fail('Can only verify items from students in your institution');
+          continue;
+        }
+
+        const decided = await recordDecision({
+          verification,
+          decision,
+          actorEmail: req.user.email,
+          actorName: req.user.name,
+          comment: itemComment,
+          req,
+          notifyStudent: false
+        });
+
+        if (decided.error) {
+          fail(decided.error);
+          continue;
+        }
+
+        const { outcome, quorum, credential, settled, item: decidedItem } = decided;
+
+        results.push({
+          requestId,
+          ok: true,
+          status: decision,
+          outcome,
+          quorum,
+          credentialId: credential ? credential._id : null
+        });
+
+        // Students hear about settled items in one message once the batch is done
+        if (settled) {
+          const studentId = decidedItem.userId._id.toString();
+          if (!settledByStudent.has(studentId)) settledByStudent.set(studentId, []);
+          settledByStudent.get(studentId).push({
+            verificationId: verification._id,
+            itemId: decidedItem._id,
+            itemType: verification.itemType,
+            itemTitle: getItemTitle(decidedItem),
+            status: outcome === 'VERIFIED' ? 'APPROVED' : 'REJECTED',
+            comment: itemComment
+          });
+        }
+      } catch (error) {
+        console.error(`Bulk decision error for request ${requestId}:`, error);
+        fail(error.message);
+      }
+    }
+
+    for (const [studentId, decisions] of settledByStudent) {
+      const approved = decisions.filter(entry => entry.status === 'APPROVED').length;
+      const rejected = decisions.length - approved;
+
+      await notify({
+        userId: studentId,
+        type: 'VERIFICATION_DECIDED',
+        title: `${decisions.length} verification decision${decisions.length === 1 ? '' : 's'} from ${req.user.name}`,
+        message: `${req.user.name} approved ${approved} and rejected ${rejected} of your items: ${summarizeTitles(decisions.map(entry => entry.itemTitle))}`,
+        link: '/portfolio',
+        data: {
+          decisions: decisions.map(({ verificationId, itemId, itemType, status }) => ({ verificationId, itemId, itemType, status }))
+        },
+        sendEmail: (student) => sendVerificationBulkDecisionEmail(student.email, req.user.name, decisions)
+      });
+    }
+
+    const succeeded = results.filter(result => result.ok);
+    const countOutcome = (outcome) => succeeded.filter(result => result.outcome === outcome).length;
+
+    res.json({
+      message: `Bulk ${action} completed. Succeeded: ${succeeded.length}, Failed: ${results.length - succeeded.length}`,
+      summary: {
+        total: results.length,
+        succeeded: succeeded.length,
+        failed: results.length - succeeded.length,
+        verified: countOutcome('VERIFIED'),
+        rejected: countOutcome('REJECTED'),
+        awaitingQuorum: countOutcome('AWAITING_QUORUM'),
+        studentsNotified: settledByStudent.size
+      },
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk verification decision error:', error);
+    res.status(500).json({
+      message: 'Failed to process bulk decision',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a previously approved verification
+router.post('/revoke/:requestId', requireAuth, requireVerifier, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const { requestId } = req.params;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        message: 'A reason is required to revoke a verification'
+      });
+    }
+
+    const verification = await Verification.findOne({
+      _id: requestId,
+      status: 'APPROVED',
+      $or: [
+        { verifierEmail: req.user.email },
+        { actedBy: req.user.email }
+      ]
+    });
+
+    if (!verification) {
+      return res.status(404).json({
+        message: 'Approved verification not found'
+      });
+    }
+
+    // Get the item to verify student belongs to same institute
+    const Model = getModel(verification.itemType);
+    const item = await Model.findById(verification.itemId).populate('userId', 'institute');
+
+    if (!item || !item.userId || item.userId.institute !== req.user.institute) {
+      return res.status(403).json({
+        message: 'Can only revoke verifications for students in your institution'
+      });
+    }
+
+    const { itemVerified } = await withdrawVerification({
+      itemType: verification.itemType,
+      itemId: verification.itemId,
+      verification,
+      actorEmail: req.user.email,
+      actorName: req.user.name,
+      reason: reason.trim(),
+      metadata: { revokedBy: 'VERIFIER' },
+      req
+    });
+
+    res.json({
+      ok: true,
+      requestId: verification._id,
+      status: 'REVOKED',
+      itemVerified
+    });
+
+  } catch (error) {
+    console.error('Revoke verification error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke verification',
+      error: error.message
+    });
+  }
+});
+
 // Get students from same institution
 router.get('/institute-students', requireAuth, requireVerifier, async (req, res) => {
   try {
@@ -510,10 +934,16 @@ router.get('/institute-students', requireAuth, requireVerifier, async (req, res)
       });
     }
 
+    const { filter: placementFilter, error: placementError } = buildPlacementFilter(req.query);
+    if (placementError) {
+      return res.status(400).json({ message: placementError });
+    }
+
     // Build query for students
     const studentQuery = {
       institute: verifierInstitute,
-      role: 'STUDENT'
+      role: 'STUDENT',
+      ...placementFilter
     };
 
     if (search) {
@@ -525,7 +955,8 @@ router.get('/institute-students', requireAuth, requireVerifier, async (req, res)
     }
 
     const students = await User.find(studentQuery)
-      .select('name email institute profileJson createdAt')
+      .select('name email institute department program cohort profileJson createdAt')
+      .populate('department program cohort', 'name code')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -545,14 +976,17 @@ router.get('/institute-students', requireAuth, requireVerifier, async (req, res)
           Experience.countDocuments({ userId: student._id, verified: true }),
           Education.countDocuments({ userId: student._id }),
           Education.countDocuments({ userId: student._id, verified: true }),
-          GithubProject.countDocuments({ userId: student._id }),
-          GithubProject.countDocuments({ userId: student._id, verified: true })
+          Project.countDocuments({ userId: student._id }),
+          Project.countDocuments({ userId: student._id, verified: true })
         ]);
 
         return {
           _id: student._id,
           name: student.name,
           email: student.email,
+          department: student.department,
+          program: student.program,
+          cohort: student.cohort,
           createdAt: student.createdAt,
           stats: {
             experiences: totalExperiences,
@@ -604,7 +1038,7 @@ router.get('/student/:studentId', requireAuth, requireVerifier, requireSameInsti
     const [experiences, education, projects] = await Promise.all([
       Experience.find({ userId: studentId }).select('title description verified verifiedBy verifiedAt createdAt'),
       Education.find({ userId: studentId }).select('courseName description verified verifiedBy verifiedAt createdAt'),
-      GithubProject.find({ userId: studentId }).select('projectName description verified verifiedBy verifiedAt createdAt')
+      Project.find({ userId: studentId }).select('title description verified verifiedBy verifiedAt createdAt')
     ]);
 
     // Format items
@@ -630,9 +1064,9 @@ router.get('/student/:studentId', requireAuth, requireVerifier, requireSameInsti
         createdAt: edu.createdAt
       })),
       ...projects.map(proj => ({
-        type: 'GITHUB_PROJECT',
+        type: 'PROJECT',
         id: proj._id,
-        title: proj.projectName,
+        title: proj.title,
         description: proj.description,
         verified: proj.verified,
         verifier: proj.verifiedBy,
@@ -736,27 +1170,11 @@ router.post('/notify-resend/:requestId', requireAuth, requireVerifier, async (re
       });
     }
 
-    // Get the item details
-    const Model = getModel(verification.itemType);
-    const item = await Model.findById(verification.itemId).populate('userId', 'name email');
-
-    if (!item) {
-      return res.status(404).json({
-        message: 'Associated item not found'
-      });
-    }
-
-    // Send email (use override email if provided, otherwise original verifier email)
-    const targetEmail = email || verification.verifierEmail;
-    const itemTitle = item.title || item.courseName || item.projectName || 'Item';
-    
-    const emailSent = await sendVerificationEmail(
-      targetEmail,
-      verification.token,
-      itemTitle,
-      item.userId.name,
-      verification.itemType
-    );
+    // Send a reminder (use override email if provided, otherwise original verifier email)
+    const emailSent = await sendVerificationReminder(verification, {
+      actorEmail: req.user.email,
+      targetEmail: email
+    });
 
     if (!emailSent) {
       return res.status(500).json({
@@ -764,14 +1182,6 @@ router.post('/notify-resend/:requestId', requireAuth, requireVerifier, async (re
       });
     }
 
-    // Log the resend action
-    await new VerificationLog({
-      verificationId: verification._id,
-      action: 'EMAIL_RESENT',
-      actorEmail: req.user.email,
-      metadata: { targetEmail, originalEmail: verification.verifierEmail }
-    }).save();
-
     const verificationLink = `${process.env.FRONTEND_URL}/verify/${verification.token}`;
 
     res.json({
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Generate an Ed25519 key pair for signing verifiable credentials
+const generateCredentialKey = () => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+  console.log('✅ New credential signing key generated');
+  console.log('Add this line to your .env file (keep it secret):\n');
+  console.log(`CREDENTIAL_SIGNING_KEY=${Buffer.from(pem).toString('base64')}`);
+  console.log('\n⚠️  Rotating this key invalidates signatures on previously issued credentials.');
+};
+
+generateCredentialKey();
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { runJob } = require('../utils/scheduler');
+const { JOB_NAMES } = require('../utils/scheduledJobs');
+
+// Expire, remind and escalate pending verification requests now (the scheduler also runs this every 15 minutes)
+const runVerificationSla = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/trueportme';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    // Run through the scheduler so it never overlaps with a scheduled run and shows up in the job history
+    const { run, error } = await runJob(JOB_NAMES.PROCESS_VERIFICATION_SLA, { trigger: 'SCRIPT', wait: true });
+
+    if (error) {
+      console.log('⚠️  The job is already running on another instance');
+      return;
+    }
+    if (run.status === 'FAILED') {
+      throw new Error(run.error);
+    }
+
+    const { result } = run;
+
+    console.log(`✅ Expired ${result.expired} requests and sent ${result.reminded} reminders`);
+    console.log(`✅ Escalated ${result.escalated} overdue requests (${result.reassigned} reassigned to another verifier)`);
+
+  } catch (error) {
+    console.error('Error processing verification SLA:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+runVerificationSla();
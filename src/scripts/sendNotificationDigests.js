@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const { runJob } = require('../utils/scheduler');
+const { JOB_NAMES } = require('../utils/scheduledJobs');
+
+// Send queued daily digest emails now (the scheduler also sends them once a day)
+const sendNotificationDigests = async () => {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/trueportme';
+    await mongoose.connect(mongoUri);
+    console.log('Connected to MongoDB');
+
+    // Run through the scheduler so it never overlaps with a scheduled run and shows up in the job history
+    const { run, error } = await runJob(JOB_NAMES.SEND_NOTIFICATION_DIGESTS, { trigger: 'SCRIPT', wait: true });
+
+    if (error) {
+      console.log('⚠️  The job is already running on another instance');
+      return;
+    }
+    if (run.status === 'FAILED') {
+      throw new Error(run.error);
+    }
+
+    const { result } = run;
+
+    console.log(`✅ Sent ${result.notifications} notifications in ${result.users} digest emails`);
+    if (result.failed > 0) {
+      console.log(`⚠️  ${result.failed} digest emails failed and will be retried on the next run`);
+    }
+
+  } catch (error) {
+    console.error('Error sending notification digests:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+sendNotificationDigests();
@@ -7,6 +7,9 @@ require('dotenv').config();
 const cookieParser = require('cookie-parser'); 
 const connectDB = require('./config/db');
 const passport = require('./config/passport');
+const { startEmailWorker } = require('./utils/emailQueue');
+const { startScheduler } = require('./utils/scheduler');
+require('./utils/scheduledJobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -19,6 +22,8 @@ const verificationRoutes = require('./routes/verificationUnified');
 const verifierRoutes = require('./routes/verifier');
 const portfolioRoutes = require('./routes/portfolio');
 const githubRoutes = require('./routes/github');
+const credentialRoutes = require('./routes/credentials');
+const notificationRoutes = require('./routes/notifications');
 
 // Admin routes
 const superAdminRoutes = require('./routes/superAdmin');
@@ -28,6 +33,12 @@ const app = express();
 
 // Connect to MongoDB
 connectDB();
+
+// Deliver queued emails and retry failed ones in the background
+startEmailWorker();
+
+// Run recurring maintenance jobs (stats, cleanup, digests, verification SLA)
+startScheduler();
 // near top of your express setup (before routes)
 app.set('trust proxy', 1);
 
@@ -82,6 +93,8 @@ app.use('/api/verify', verificationRoutes);
 app.use('/api/verifier', verifierRoutes);
 app.use('/api/portfolio', portfolioRoutes);
 app.use('/api/github', githubRoutes);
+app.use('/api/credentials', credentialRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Admin routes
 app.use('/api/super-admin', superAdminRoutes);
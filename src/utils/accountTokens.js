@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { generatePurposeToken, verifyPurposeToken } = require('./jwt');
+
+const EMAIL_CONFIRM_PURPOSE = 'email-confirm';
+const PASSWORD_RESET_PURPOSE = 'password-reset';
+
+const getEmailConfirmExpiry = () => process.env.EMAIL_CONFIRM_TOKEN_EXPIRES_IN || '24h';
+const getPasswordResetExpiry = () => process.env.PASSWORD_RESET_TOKEN_EXPIRES_IN || '1h';
+
+// Changes whenever the password does, so a reset link works only once
+const getPasswordFingerprint = (user) => {
+  return crypto.createHash('sha256').update(`${user._id}:${user.passwordHash || ''}`).digest('hex').substring(0, 32);
+};
+
+/**
+ * Create a signed email-confirmation token bound to the user's current address
+ * @param {object} user - User document
+ * @returns {string} Token
+ */
+const createEmailConfirmationToken = (user) => {
+  return generatePurposeToken(EMAIL_CONFIRM_PURPOSE, { userId: user._id, email: user.email }, getEmailConfirmExpiry());
+};
+
+/**
+ * Verify an email-confirmation token
+ * @param {string} token - Token from the confirmation link
+ * @returns {object} { userId, email }
+ */
+const verifyEmailConfirmationToken = (token) => {
+  const { userId, email } = verifyPurposeToken(token, EMAIL_CONFIRM_PURPOSE);
+  return { userId, email };
+};
+
+/**
+ * Create a signed password-reset token that stops working once the password changes
+ * @param {object} user - User document (with passwordHash)
+ * @returns {string} Token
+ */
+const createPasswordResetToken = (user) => {
+  return generatePurposeToken(PASSWORD_RESET_PURPOSE, {
+    userId: user._id,
+    fingerprint: getPasswordFingerprint(user)
+  }, getPasswordResetExpiry());
+};
+
+/**
+ * Decode a password-reset token
+ * @param {string} token - Token from the reset link
+ * @returns {object} { userId, fingerprint }
+ */
+const decodePasswordResetToken = (token) => {
+  const { userId, fingerprint } = verifyPurposeToken(token, PASSWORD_RESET_PURPOSE);
+  return { userId, fingerprint };
+};
+
+/**
+ * Check a decoded reset token against the user's current password
+ * @param {object} decoded - Result of decodePasswordResetToken
+ * @param {object} user - User document (with passwordHash)
+ * @returns {boolean} True when the token has not been used yet
+ */
+const isPasswordResetTokenCurrent = (decoded, user) => {
+  const expected = Buffer.from(getPasswordFingerprint(user));
+  const actual = Buffer.from(String(decoded.fingerprint || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  getEmailConfirmExpiry,
+  getPasswordResetExpiry,
+  createEmailConfirmationToken,
+  verifyEmailConfirmationToken,
+  createPasswordResetToken,
+  decodePasswordResetToken,
+  isPasswordResetTokenCurrent
+};
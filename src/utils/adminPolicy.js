@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const AdminRole = require('../models/AdminRole');
+const Department = require('../models/Department');
+const { PERMISSION_NAMES, SCOPABLE_PERMISSIONS, LEGACY_PERMISSIONS } = require('../config/permissions');
+
+// Department scopes are kept as ID strings so they compare with ===
+const normalizeDepartment = (department) => String(department && department._id ? department._id : department);
+
+/**
+ * Effective permissions of an institute admin. Admins with roles get the union of
+ * their roles; admins without roles keep the legacy permission flags.
+ * @param {object} admin - InstituteAdmin document
+ * @returns {Promise<object>} permission -> null (whole institution) or list of department IDs
+ */
+const resolveAdminAccess = async (admin) => {
+  const access = {};
+
+  const grant = (permission, departments) => {
+    if (!(permission in access)) {
+      access[permission] = departments;
+    } else if (access[permission] !== null) {
+      access[permission] = departments === null ? null : [...new Set([...access[permission], ...departments])];
+    }
+  };
+
+  if (!admin.roles || admin.roles.length === 0) {
+    Object.entries(LEGACY_PERMISSIONS).forEach(([flag, permissions]) => {
+      if (admin.permissions && admin.permissions[flag]) {
+        permissions.forEach(permission => grant(permission, null));
+      }
+    });
+    return access;
+  }
+
+  const roles = await AdminRole.find({
+    _id: { $in: admin.roles.map(assignment => assignment.role) },
+    institution: { $in: [null, admin.institution] }
+  });
+
+  for (const assignment of admin.roles) {
+    const role = roles.find(entry => entry._id.equals(assignment.role));
+    if (!role) continue;
+
+    const departments = assignment.departments && assignment.departments.length > 0
+      ? assignment.departments.map(normalizeDepartment)
+      : null;
+
+    role.permissions.forEach(permission => {
+      grant(permission, SCOPABLE_PERMISSIONS.includes(permission) ? departments : null);
+    });
+  }
+
+  return access;
+};
+
+/**
+ * User query conditions for the department scope set by requirePolicy
+ * @param {object} req - Express request
+ * @returns {object} Extra User conditions ({} when the admin sees the whole institution)
+ */
+const getUserScopeFilter = (req) => {
+  if (!req.adminScope) return {};
+  // ObjectIds so the filter also works in aggregation $match stages, wrapped in $and
+  // so it can be combined with a department filter from the query string
+  const departments = req.adminScope.map(id => new mongoose.Types.ObjectId(id));
+  return { $and: [{ department: { $in: departments } }] };
+};
+
+/**
+ * Whether a department falls in the department scope set by requirePolicy
+ * @param {object} req - Express request
+ * @param {object|string} [department] - Department (or its ID) of a user
+ * @returns {boolean}
+ */
+const isDepartmentInScope = (req, department) => {
+  if (!req.adminScope) return true;
+  return !!department && req.adminScope.includes(normalizeDepartment(department));
+};
+
+/**
+ * Whether an admin may hand out permissions, optionally limited to departments:
+ * an admin can only grant what they hold themselves, within their own scope
+ * @param {object} access - Result of resolveAdminAccess for the granting admin
+ * @param {string[]} permissions - Permissions being granted
+ * @param {string[]} [departments] - Department IDs the grant is scoped to
+ * @returns {string|null} First permission that cannot be granted, or null
+ */
+const findUngrantablePermission = (access, permissions, departments = []) => {
+  const granted = departments.map(normalizeDepartment);
+
+  return permissions.find(permission => {
+    if (!(permission in access)) return true;
+    if (access[permission] === null) return false;
+
+    // A scoped admin can only grant scoped access to their own departments
+    return !SCOPABLE_PERMISSIONS.includes(permission) ||
+      granted.length === 0 ||
+      granted.some(department => !access[permission].includes(department));
+  }) || null;
+};
+
+/**
+ * Validate the fields of a role definition
+ * @param {object} body - { name, description, permissions }
+ * @param {boolean} [partial] - Allow missing fields (updates)
+ * @returns {object} { values } or { error }
+ */
+const validateRoleInput = ({ name, description, permissions }, partial = false) => {
+  const values = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return { error: 'Role name is required and must be at most 100 characters' };
+    }
+    values.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.length > 500) {
+      return { error: 'Description must be at most 500 characters' };
+    }
+    values.description = description.trim();
+  }
+
+  if (permissions !== undefined || !partial) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      return { error: 'Permissions must be a non-empty array' };
+    }
+
+    const invalid = permissions.find(permission => !PERMISSION_NAMES.includes(permission));
+    if (invalid) {
+      return { error: `Invalid permission: ${invalid}. Must be one of: ${PERMISSION_NAMES.join(', ')}` };
+    }
+    values.permissions = [...new Set(permissions)];
+  }
+
+  return { values };
+};
+
+/**
+ * Validate role assignments for an institute admin
+ * @param {Array} assignments - [{ roleId, departments }]
+ * @param {string} institution - Institution of the admin receiving the roles
+ * @returns {Promise<object>} { roles: [{ role, departments }] } or { error }
+ */
+const resolveRoleAssignments = async (assignments, institution) => {
+  if (!Array.isArray(assignments)) {
+    return { error: 'Roles must be an array of { roleId, departments }' };
+  }
+
+  const roleIds = assignments.map(assignment => assignment && assignment.roleId);
+  const definitions = await AdminRole.find({
+    _id: { $in: roleIds.filter(Boolean) },
+    institution: { $in: [null, institution] }
+  });
+
+  const roles = [];
+  for (const assignment of assignments) {
+    const definition = definitions.find(role => assignment && role._id.equals(assignment.roleId));
+    if (!definition) {
+      return { error: `Role not found for this institution: ${assignment && assignment.roleId}` };
+    }
+
+    const departments = assignment.departments || [];
+    if (!Array.isArray(departments) || departments.some(department => !mongoose.Types.ObjectId.isValid(department))) {
+      return { error: 'Departments must be an array of department IDs' };
+    }
+
+    roles.push({ role: definition._id, departments: [...new Set(departments.map(String))] });
+  }
+
+  const departmentIds = [...new Set(roles.flatMap(role => role.departments))];
+  if (departmentIds.length > 0) {
+    const found = await Department.find({ _id: { $in: departmentIds }, institution }).select('_id');
+    const missing = departmentIds.find(id => !found.some(department => department._id.equals(id)));
+    if (missing) {
+      return { error: `Department not found for this institution: ${missing}` };
+    }
+  }
+
+  return { roles };
+};
+
+module.exports = {
+  resolveAdminAccess,
+  getUserScopeFilter,
+  isDepartmentInScope,
+  findUngrantablePermission,
+  validateRoleInput,
+  resolveRoleAssignments
+};
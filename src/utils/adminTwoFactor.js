@@ -0,0 +1,202 @@
+const QRCode = require('qrcode');
+const PlatformSettings = require('../models/PlatformSettings');
+const { generatePurposeToken, verifyPurposeToken } = require('./jwt');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpAuthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  encryptSecret,
+  decryptSecret
+} = require('./totp');
+
+const LOGIN_CHALLENGE_PURPOSE = 'admin-2fa';
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'TruePortMe';
+
+/**
+ * Whether an admin must have two-factor authentication enabled
+ * @param {string} adminType - SUPER_ADMIN or INSTITUTE_ADMIN
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async (adminType) => {
+  if (adminType !== 'INSTITUTE_ADMIN') return false;
+
+  const settings = await PlatformSettings.getSettings();
+  return !!(settings.security && settings.security.requireInstituteAdminTwoFactor);
+};
+
+/**
+ * Short-lived token proving the password step of a login succeeded
+ * @param {object} admin - SuperAdmin or InstituteAdmin document
+ * @param {string} adminType - SUPER_ADMIN or INSTITUTE_ADMIN
+ * @returns {string} Challenge token
+ */
+const createLoginChallenge = (admin, adminType) => {
+  return generatePurposeToken(LOGIN_CHALLENGE_PURPOSE, {
+    adminId: admin._id,
+    challengeAdminType: adminType
+  }, LOGIN_CHALLENGE_EXPIRES_IN);
+};
+
+/**
+ * Verify a login challenge token for the expected admin type
+ * @param {string} token - Challenge token from the password step
+ * @param {string} adminType - SUPER_ADMIN or INSTITUTE_ADMIN
+ * @returns {string|null} Admin ID, or null when the token is for another admin type
+ */
+const verifyLoginChallenge = (token, adminType) => {
+  const decoded = verifyPurposeToken(token, LOGIN_CHALLENGE_PURPOSE);
+  return decoded.challengeAdminType === adminType ? decoded.adminId : null;
+};
+
+/**
+ * Start enrollment: store a pending secret and return what the authenticator app needs
+ * @param {object} admin - SuperAdmin or InstituteAdmin document
+ * @returns {Promise<object>} { secret, otpauthUrl, qrCode (PNG data URL) }
+ */
+const startEnrollment = async (admin) => {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpAuthUrl({ secret, accountName: admin.email, issuer: getIssuer() });
+
+  admin.twoFactorPendingSecret = encryptSecret(secret);
+  await admin.save();
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+const replaceRecoveryCodes = (admin) => {
+  const { codes, hashes } = generateRecoveryCodes();
+  admin.twoFactorRecoveryCodes = hashes.map(hash => ({ hash }));
+  return codes;
+};
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @param {object} admin - SuperAdmin or InstituteAdmin document
+ * @param {string} code - 6-digit code
+ * @returns {Promise<string[]|null>} Recovery codes (shown once), or null when the code is wrong
+ */
+const confirmEnrollment = async (admin, code) => {
+  if (!admin.twoFactorPendingSecret) return null;
+
+  const secret = decryptSecret(admin.twoFactorPendingSecret);
+  const counter = verifyTotp(secret, code);
+  if (counter === null) return null;
+
+  admin.twoFactorEnabled = true;
+  admin.twoFactorEnabledAt = new Date();
+  admin.twoFactorSecret = admin.twoFactorPendingSecret;
+  admin.twoFactorPendingSecret = undefined;
+  admin.twoFactorLastCounter = counter;
+  const codes = replaceRecoveryCodes(admin);
+
+  await admin.save();
+  return codes;
+};
+
+/**
+ * Check a second factor: a TOTP code or an unused recovery code
+ * @param {object} admin - SuperAdmin or InstituteAdmin document
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<object>} { valid, method, recoveryCodesRemaining }
+ */
+const verifySecondFactor = async (admin, { code, recoveryCode }) => {
+  const Model = admin.constructor;
+
+  if (!admin.twoFactorEnabled || !admin.twoFactorSecret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const counter = verifyTotp(decryptSecret(admin.twoFactorSecret), code, {
+      lastCounter: admin.twoFactorLastCounter ?? -1
+    });
+    if (counter === null) return { valid: false };
+
+    // Claim the time step atomically so a code cannot be replayed in parallel
+    const result = await Model.updateOne(
+      {
+        _id: admin._id,
+        $or: [{ twoFactorLastCounter: { $lt: counter } }, { twoFactorLastCounter: { $exists: false } }]
+      },
+      { twoFactorLastCounter: counter }
+    );
+
+    return { valid: result.modifiedCount === 1, method: 'TOTP' };
+  }
+
+  if (recoveryCode) {
+    const result = await Model.updateOne(
+      {
+        _id: admin._id,
+        twoFactorRecoveryCodes: { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: { $exists: false } } }
+      },
+      { $set: { 'twoFactorRecoveryCodes.$.usedAt': new Date() } }
+    );
+
+    if (result.modifiedCount !== 1) return { valid: false };
+
+    const remaining = admin.twoFactorRecoveryCodes.filter(entry => !entry.usedAt).length - 1;
+    return { valid: true, method: 'RECOVERY_CODE', recoveryCodesRemaining: remaining };
+  }
+
+  return { valid: false };
+};
+
+/**
+ * Issue a fresh set of recovery codes, invalidating the old ones
+ * @param {object} admin - SuperAdmin or InstituteAdmin document
+ * @returns {Promise<string[]>} Recovery codes (shown once)
+ */
+const regenerateRecoveryCodes = async (admin) => {
+  const codes = replaceRecoveryCodes(admin);
+  await admin.save();
+  return codes;
+};
+
+/**
+ * Turn off two-factor authentication and forget the secret
+ * @param {object} admin - SuperAdmin or InstituteAdmin document
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (admin) => {
+  admin.twoFactorEnabled = false;
+  admin.twoFactorEnabledAt = undefined;
+  admin.twoFactorSecret = undefined;
+  admin.twoFactorPendingSecret = undefined;
+  admin.twoFactorLastCounter = undefined;
+  admin.twoFactorRecoveryCodes = [];
+  await admin.save();
+};
+
+/**
+ * Two-factor state of an admin for the client
+ * @param {object} admin - SuperAdmin or InstituteAdmin document
+ * @param {string} adminType - SUPER_ADMIN or INSTITUTE_ADMIN
+ * @returns {Promise<object>} { enabled, enabledAt, required, recoveryCodesRemaining }
+ */
+const getTwoFactorStatus = async (admin, adminType) => ({
+  enabled: !!admin.twoFactorEnabled,
+  enabledAt: admin.twoFactorEnabledAt,
+  required: await isTwoFactorRequired(adminType),
+  recoveryCodesRemaining: (admin.twoFactorRecoveryCodes || []).filter(entry => !entry.usedAt).length
+});
+
+module.exports = {
+  isTwoFactorRequired,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  getTwoFactorStatus
+};
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+const { canonicalize } = require('./credentials');
+const { getClientInfo } = require('./sessions');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 10;
+const AUDIT_EXPORT_LIMIT = 10000;
+const ACTOR_TYPES = AuditEvent.schema.path('actor.type').enumValues;
+
+// Bookkeeping fields that say nothing about what an admin changed
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+// Secrets are never copied into the audit trail, only the fact that they changed
+const SENSITIVE_FIELDS = [
+  'passwordHash', 'password', 'githubToken',
+  'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes', 'twoFactorLastCounter'
+];
+const REDACTED = '[REDACTED]';
+
+// Plain JSON copy: ObjectIds become strings and dates ISO strings,
+// so a stored event hashes the same after a round trip through MongoDB
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Flatten nested objects into dot paths (arrays are compared as a whole)
+const flatten = (value, prefix = '', output = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    Object.entries(value).forEach(([key, entry]) => flatten(entry, prefix ? `${prefix}.${key}` : key, output));
+  } else if (prefix) {
+    output[prefix] = value;
+  }
+  return output;
+};
+
+const isIgnored = (path) => path.split('.').some(segment => IGNORED_FIELDS.includes(segment));
+const isSensitive = (path) => path.split('.').some(segment => SENSITIVE_FIELDS.includes(segment));
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {object} before - Record before the change (document or plain object)
+ * @param {object} after - Record after the change (document or plain object)
+ * @param {string[]} [fields] - Only compare these top-level fields
+ * @returns {object[]} [{ field, before, after }] with secrets redacted
+ */
+const diffChanges = (before, after, fields) => {
+  const pick = (record) => {
+    const plain = toPlain(record) || {};
+    if (!fields) return plain;
+    return Object.fromEntries(fields.filter(field => plain[field] !== undefined).map(field => [field, plain[field]]));
+  };
+
+  const flatBefore = flatten(pick(before));
+  const flatAfter = flatten(pick(after));
+  const paths = [...new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)])].sort();
+
+  return paths
+    .filter(path => !isIgnored(path))
+    .filter(path => canonicalize(flatBefore[path] ?? null) !== canonicalize(flatAfter[path] ?? null))
+    .map(path => (isSensitive(path)
+      ? { field: path, before: REDACTED, after: REDACTED }
+      : { field: path, before: flatBefore[path] ?? null, after: flatAfter[path] ?? null }));
+};
+
+// Keep only the set members of an embedded object; null when nothing is set
+const compact = (value, keys) => {
+  const entries = keys
+    .filter(key => value && value[key] !== undefined && value[key] !== null)
+    .map(key => [key, value[key]]);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+};
+
+/**
+ * Hash of an event's content chained to its predecessor
+ * @param {object} event - AuditEvent document or plain object
+ * @returns {string} SHA-256 hex digest
+ */
+const hashEvent = (event) => {
+  const content = {
+    sequence: event.sequence,
+    timestamp: new Date(event.timestamp).toISOString(),
+    actor: compact(event.actor, ['type', 'id', 'email', 'name']),
+    action: event.action,
+    target: compact(event.target, ['type', 'id', 'label']),
+    institution: event.institution || null,
+    changes: (event.changes || []).map(change => ({
+      field: change.field,
+      before: change.before ?? null,
+      after: change.after ?? null
+    })),
+    metadata: event.metadata || {},
+    ip: event.ip || null,
+    userAgent: event.userAgent || null,
+    prevHash: event.prevHash
+  };
+
+  return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+};
+
+// Append at the end of the chain; a concurrent writer taking the same
+// sequence number makes the insert fail on the unique index, so retry
+const appendEvent = async (fields) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditEvent.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+    const event = new AuditEvent({
+      ...fields,
+      sequence: last ? last.sequence + 1 : 1,
+      timestamp: new Date(),
+      prevHash: last ? last.hash : GENESIS_HASH
+    });
+    event.hash = hashEvent(event.toObject());
+
+    try {
+      return await event.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Who performed the request: the signed-in admin or user
+ * @param {object} req - Express request
+ * @returns {object} { type, id, email, name }
+ */
+const getAuditActor = (req) => {
+  if (req && req.admin) {
+    return { type: req.adminType, id: String(req.admin._id), email: req.admin.email, name: req.admin.name };
+  }
+
+  if (req && req.user) {
+    return { type: 'USER', id: String(req.user._id), email: req.user.email, name: req.user.name };
+  }
+
+  return { type: 'SYSTEM' };
+};
+
+/**
+ * Append an event to the audit log. Never throws: a failure is logged
+ * so the action that was audited still completes.
+ * @param {object} params
+ * @param {string} params.action - What happened, e.g. USER_ROLE_CHANGED
+ * @param {object} [params.req] - Express request (actor, IP and user agent)
+ * @param {object} [params.actor] - { type, id, email, name } when not taken from req
+ * @param {object} [params.target] - { type, id, label } of the affected record
+ * @param {string} [params.institution] - Institution name the event belongs to
+ * @param {object} [params.before] - Record before the change
+ * @param {object} [params.after] - Record after the change
+ * @param {string[]} [params.fields] - Only diff these fields of before/after
+ * @param {object[]} [params.changes] - Precomputed [{ field, before, after }]
+ * @param {object} [params.metadata] - Extra details
+ * @returns {Promise<object|null>} Saved AuditEvent, or null when recording failed
+ */
+const recordAuditEvent = async ({
+  action,
+  req,
+  actor,
+  target,
+  institution,
+  before,
+  after,
+  fields,
+  changes,
+  metadata = {}
+}) => {
+  try {
+    const { ip, userAgent } = req ? getClientInfo(req) : {};
+
+    return await appendEvent({
+      actor: actor || getAuditActor(req),
+      action,
+      target: target ? { ...target, id: target.id ? String(target.id) : undefined } : undefined,
+      institution: institution || undefined,
+      changes: toPlain(changes) || (before || after ? diffChanges(before, after, fields) : []),
+      metadata: toPlain(metadata),
+      ip,
+      userAgent
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Recompute the hash chain and report the first event that does not match
+ * @param {object} [range]
+ * @param {number} [range.fromSequence] - First sequence number to check (default 1)
+ * @param {number} [range.toSequence] - Last sequence number to check (default: latest)
+ * @returns {Promise<object>} { valid, checked, lastSequence, lastHash, brokenAt }
+ */
+const verifyAuditChain = async ({ fromSequence = 1, toSequence } = {}) => {
+  let expectedSequence = fromSequence;
+  let expectedPrevHash = GENESIS_HASH;
+
+  if (fromSequence > 1) {
+    const previous = await AuditEvent.findOne({ sequence: fromSequence - 1 }).select('hash').lean();
+    expectedPrevHash = previous ? previous.hash : null;
+  }
+
+  const query = { sequence: { $gte: fromSequence } };
+  if (toSequence) {
+    query.sequence.$lte = toSequence;
+  }
+
+  let checked = 0;
+  const broken = (sequence, reason) => ({
+    valid: false,
+    checked,
+    lastSequence: expectedSequence - 1,
+    lastHash: expectedPrevHash,
+    brokenAt: { sequence, reason }
+  });
+
+  const cursor = AuditEvent.find(query).sort({ sequence: 1 }).lean().cursor();
+
+  for await (const event of cursor) {
+    if (event.sequence !== expectedSequence) {
+      return broken(expectedSequence, 'MISSING_EVENT');
+    }
+
+    if (event.prevHash !== expectedPrevHash) {
+      return broken(event.sequence, 'PREVIOUS_HASH_MISMATCH');
+    }
+
+    if (hashEvent(event) !== event.hash) {
+      return broken(event.sequence, 'HASH_MISMATCH');
+    }
+
+    expectedPrevHash = event.hash;
+    expectedSequence++;
+    checked++;
+  }
+
+  return {
+    valid: true,
+    checked,
+    lastSequence: expectedSequence - 1,
+    lastHash: checked > 0 ? expectedPrevHash : null
+  };
+};
+
+/**
+ * Build an AuditEvent query from request query parameters
+ * @param {object} params - { action, actorType, actorId, actorEmail, targetType, targetId, institution, from, to }
+ * @returns {object} { query } or { error }
+ */
+const buildAuditQuery = ({ action, actorType, actorId, actorEmail, targetType, targetId, institution, from, to }) => {
+  const query = {};
+
+  if (action) {
+    query.action = { $in: action.split(',').map(entry => entry.trim().toUpperCase()) };
+  }
+
+  if (actorType) {
+    if (!ACTOR_TYPES.includes(actorType.toUpperCase())) {
+      return { error: `Invalid actorType. Must be one of: ${ACTOR_TYPES.join(', ')}` };
+    }
+    query['actor.type'] = actorType.toUpperCase();
+  }
+
+  if (actorId) query['actor.id'] = actorId;
+  if (actorEmail) query['actor.email'] = actorEmail.toLowerCase().trim();
+  if (targetType) query['target.type'] = targetType.toUpperCase();
+  if (targetId) query['target.id'] = targetId;
+  if (institution) query.institution = institution;
+
+  for (const [name, value, operator] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+    if (!value) continue;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${name} date` };
+    }
+    query.timestamp = { ...query.timestamp, [operator]: date };
+  }
+
+  return { query };
+};
+
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Render audit events as CSV
+ * @param {object[]} events - AuditEvent documents
+ * @returns {string} CSV with a header row
+ */
+const auditEventsToCsv = (events) => {
+  const headers = 'Sequence,Timestamp,Action,Actor Type,Actor Email,Target Type,Target ID,Target Label,Institution,Changes,Metadata,IP,Hash\n';
+  const rows = events.map(event => [
+    event.sequence,
+    event.timestamp.toISOString(),
+    event.action,
+    event.actor && event.actor.type,
+    event.actor && event.actor.email,
+    event.target && event.target.type,
+    event.target && event.target.id,
+    event.target && event.target.label,
+    event.institution,
+    event.changes,
+    event.metadata,
+    event.ip,
+    event.hash
+  ].map(csvField).join(','));
+
+  return headers + rows.join('\n');
+};
+
+module.exports = {
+  AUDIT_EXPORT_LIMIT,
+  diffChanges,
+  hashEvent,
+  getAuditActor,
+  recordAuditEvent,
+  verifyAuditChain,
+  buildAuditQuery,
+  auditEventsToCsv
+};
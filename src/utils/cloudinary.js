@@ -60,8 +60,38 @@ const deleteFile = async (publicId) => {
   }
 };
 
+// Delivery URL of a file uploaded to our cloud: /<resource_type>/<type>/v<version>/<public_id>.<format>
+const DELIVERY_URL_PATTERN = /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/(image|video|raw)\/(upload|private|authenticated)\/(?:v\d+\/)?([^?#]+)$/;
+
+/**
+ * Signed download URL of an uploaded file that stops working after a while,
+ * so the permanent delivery URL does not have to be handed out
+ * @param {string} url - Delivery URL of the file
+ * @param {number} expiresInSeconds - Lifetime of the signed URL
+ * @returns {string|null} Signed URL, or null when the URL is not a file in our cloud
+ */
+const getSignedDownloadUrl = (url, expiresInSeconds) => {
+  const match = typeof url === 'string' && url.match(DELIVERY_URL_PATTERN);
+  if (!match || match[1] !== process.env.CLOUDINARY_CLOUD_NAME) return null;
+
+  const [, , resourceType, type, path] = match;
+  // Raw files keep their extension in the public ID
+  const extension = resourceType === 'raw' ? null : path.match(/^(.+)\.([a-z0-9]+)$/i);
+
+  return cloudinary.utils.private_download_url(
+    extension ? extension[1] : path,
+    extension ? extension[2] : '',
+    {
+      resource_type: resourceType,
+      type,
+      expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds
+    }
+  );
+};
+
 module.exports = {
   cloudinary,
   upload,
-  deleteFile
+  deleteFile,
+  getSignedDownloadUrl
 };
\ No newline at end of file
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const Credential = require('../models/Credential');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const CRYPTOSUITE = 'eddsa-jcs-2022';
+
+// Fields embedded in the credential for each verifiable item type
+const ITEM_FIELDS = {
+  EXPERIENCE: ['title', 'role', 'description', 'startDate', 'endDate', 'tags'],
+  EDUCATION: ['courseType', 'courseName', 'boardOrUniversity', 'schoolOrCollege', 'passingYear', 'grade', 'percentage', 'cgpa'],
+  PROJECT: ['title', 'description', 'category', 'projectType', 'skillsUsed', 'duration', 'course', 'supervisor', 'grade', 'links']
+};
+
+let signingKey;
+
+/**
+ * Public address of this API, without trailing slash (API_URL)
+ * @returns {string}
+ */
+const getApiBaseUrl = () => {
+  return (process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+};
+
+const getFrontendUrl = () => {
+  return (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/$/, '');
+};
+
+const getJwksUrl = () => `${getApiBaseUrl()}/api/credentials/.well-known/jwks.json`;
+
+// Load the Ed25519 signing key (PEM or base64-encoded PEM) from the environment
+const getSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  let privateKey;
+  const configuredKey = process.env.CREDENTIAL_SIGNING_KEY;
+
+  if (configuredKey) {
+    const pem = configuredKey.includes('BEGIN')
+      ? configuredKey.replace(/\\n/g, '\n')
+      : Buffer.from(configuredKey, 'base64').toString('utf8');
+    privateKey = crypto.createPrivateKey(pem);
+  } else {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('CREDENTIAL_SIGNING_KEY must be configured in production');
+    }
+    // Development fallback: credentials signed with this key stop verifying after a restart
+    console.warn('⚠️  CREDENTIAL_SIGNING_KEY not set, using an ephemeral Ed25519 key');
+    ({ privateKey } = crypto.generateKeyPairSync('ed25519'));
+  }
+
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('CREDENTIAL_SIGNING_KEY must be an Ed25519 private key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const { kty, crv, x } = publicKey.export({ format: 'jwk' });
+
+  // RFC 7638 thumbprint of the public key doubles as the key id
+  const kid = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ crv, kty, x }))
+    .digest('base64url');
+
+  signingKey = {
+    privateKey,
+    publicKey,
+    kid,
+    jwk: { kty, crv, x, kid, use: 'sig', alg: 'EdDSA' }
+  };
+
+  return signingKey;
+};
+
+// Public keys in JWKS format for third-party verification
+const getJwks = () => ({
+  keys: [getSigningKey().jwk]
+});
+
+// JSON Canonicalization Scheme (RFC 8785) for the JSON values we produce
+const canonicalize = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(entry => canonicalize(entry === undefined ? null : entry)).join(',')}]`;
+  }
+
+  const members = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+
+  return `{${members.join(',')}}`;
+};
+
+const base58Encode = (buffer) => {
+  const digits = [];
+
+  for (const byte of buffer) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  let result = '';
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) {
+    result += BASE58_ALPHABET[0];
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result += BASE58_ALPHABET[digits[i]];
+  }
+
+  return result;
+};
+
+const base58Decode = (string) => {
+  const bytes = [];
+
+  for (const char of string) {
+    const value = BASE58_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base58 character');
+    }
+
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  let leadingZeros = 0;
+  while (leadingZeros < string.length && string[leadingZeros] === BASE58_ALPHABET[0]) {
+    leadingZeros++;
+  }
+
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(bytes.reverse())]);
+};
+
+// Hash data as defined by eddsa-jcs-2022: sha256(proof config) || sha256(document)
+const hashForProof = (unsecuredDocument, proofConfig) => {
+  return Buffer.concat([
+    crypto.createHash('sha256').update(canonicalize(proofConfig)).digest(),
+    crypto.createHash('sha256').update(canonicalize(unsecuredDocument)).digest()
+  ]);
+};
+
+const signDocument = (unsecuredDocument) => {
+  const { privateKey, kid } = getSigningKey();
+
+  const proofConfig = {
+    type: 'DataIntegrityProof',
+    cryptosuite: CRYPTOSUITE,
+    created: new Date().toISOString(),
+    verificationMethod: `${getJwksUrl()}#${kid}`,
+    proofPurpose: 'assertionMethod',
+    '@context': unsecuredDocument['@context']
+  };
+
+  const signature = crypto.sign(null, hashForProof(unsecuredDocument, proofConfig), privateKey);
+
+  const proof = { ...proofConfig, proofValue: `z${base58Encode(signature)}` };
+  delete proof['@context'];
+
+  return { ...unsecuredDocument, proof };
+};
+
+// Check the proof of a signed credential against our published keys
+const verifyDocumentSignature = (document) => {
+  if (!document || typeof document !== 'object' || !document.proof) {
+    return { valid: false, reason: 'Credential has no proof' };
+  }
+
+  const { proof, ...unsecuredDocument } = document;
+
+  if (proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE) {
+    return { valid: false, reason: 'Unsupported proof type' };
+  }
+
+  if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith('z')) {
+    return { valid: false, reason: 'Malformed proof value' };
+  }
+
+  const { publicKey, kid } = getSigningKey();
+  const proofKeyId = (proof.verificationMethod || '').split('#').pop();
+
+  if (proofKeyId !== kid) {
+    return { valid: false, reason: 'Credential was signed with an unknown key' };
+  }
+
+  try {
+    const { proofValue, ...proofOptions } = proof;
+    const proofConfig = { ...proofOptions, '@context': unsecuredDocument['@context'] };
+    const signature = base58Decode(proofValue.slice(1));
+
+    const valid = crypto.verify(null, hashForProof(unsecuredDocument, proofConfig), publicKey, signature);
+    return valid ? { valid: true } : { valid: false, reason: 'Signature does not match credential contents' };
+  } catch (error) {
+    return { valid: false, reason: 'Malformed proof value' };
+  }
+};
+
+// Pick the credential-relevant fields of an item as plain JSON
+const summarizeItem = (itemType, item) => {
+  const summary = { type: itemType };
+  const source = typeof item.toObject === 'function' ? item.toObject() : item;
+
+  ITEM_FIELDS[itemType].forEach(field => {
+    const value = source[field];
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value) && value.length === 0) return;
+    summary[field] = value instanceof Date ? value.toISOString() : value;
+  });
+
+  return JSON.parse(JSON.stringify(summary));
+};
+
+/**
+ * Issue and persist a signed credential for an approved item
+ * @param {object} params
+ * @param {string} params.itemType - EXPERIENCE, EDUCATION or PROJECT
+ * @param {object} params.item - The verified item document
+ * @param {object} params.student - Owner of the item (name, email, institute)
+ * @param {object} params.verification - The approved Verification document
+ * @param {string} params.verifierEmail - Email of the person who approved
+ * @param {string} [params.verifierName] - Display name of the approver, if known
+ * @param {object[]} [params.endorsements] - All endorsements when several verifiers approved the item
+ * @returns {Promise<object>} Saved Credential document
+ */
+const issueCredential = async ({ itemType, item, student, verification, verifierEmail, verifierName, endorsements }) => {
+  if (!ITEM_FIELDS[itemType]) {
+    throw new Error(`Credentials are not supported for ${itemType}`);
+  }
+
+  const { kid } = getSigningKey();
+  const credential = new Credential({
+    userId: student._id,
+    itemId: item._id,
+    itemType,
+    verificationId: verification._id,
+    verifierEmail,
+    keyId: kid,
+    document: {}
+  });
+
+  const actedAt = verification.actedAt || new Date();
+  const attestations = endorsements && endorsements.length > 0
+    ? endorsements
+    : [{ verificationId: verification._id, verifierEmail, verifierName, endorsedAt: actedAt }];
+  const credentialUrl = `${getApiBaseUrl()}/api/credentials/${credential._id}`;
+
+  const unsecuredDocument = {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    id: credentialUrl,
+    type: ['VerifiableCredential', 'TruePortMeVerifiedItemCredential'],
+    issuer: {
+      id: getApiBaseUrl(),
+      name: 'TruePortMe'
+    },
+    validFrom: credential.issuedAt.toISOString(),
+    credentialSubject: {
+      id: `${getFrontendUrl()}/portfolio/${student._id}`,
+      name: student.name,
+      email: student.email,
+      institution: student.institute || null,
+      verifiedItem: {
+        id: item._id.toString(),
+        ...summarizeItem(itemType, item)
+      }
+    },
+    evidence: attestations.map(attestation => ({
+      type: ['VerifierAttestation'],
+      verificationId: attestation.verificationId.toString(),
+      verifierEmail: attestation.verifierEmail,
+      ...(attestation.verifierName && { verifierName: attestation.verifierName }),
+      institution: student.institute || null,
+      actedAt: new Date(attestation.endorsedAt || actedAt).toISOString()
+    })),
+    credentialStatus: {
+      id: `${credentialUrl}/verify`,
+      type: 'TruePortMeCredentialStatus'
+    }
+  };
+
+  credential.document = signDocument(JSON.parse(JSON.stringify(unsecuredDocument)));
+  await credential.save();
+
+  return credential;
+};
+
+module.exports = {
+  getApiBaseUrl,
+  getJwks,
+  canonicalize,
+  verifyDocumentSignature,
+  issueCredential
+};
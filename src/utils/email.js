@@ -1,290 +1,173 @@
-const { Resend } = require('resend');
+const User = require('../models/User');
+const Institution = require('../models/Institution');
+const { enqueueEmail } = require('./emailQueue');
+const { renderEmail } = require('./emailTemplates');
 
-let resend;
-if (process.env.RESEND_API_KEY) {
-  resend = new Resend(process.env.RESEND_API_KEY);
-}
-
-const sendVerificationEmail = async (verifierEmail, token, itemTitle, userName, itemType = 'experience') => {
-  const verificationUrl = `${process.env.FRONTEND_URL}/verify/${token}`;
-  const dashboardUrl = `${process.env.FRONTEND_URL}/verifier/dashboard`;
-  
-  const itemTypeDisplay = itemType.toLowerCase().replace('_', ' ');
-  
-  const emailData = {
-    from: process.env.FROM_EMAIL || 'TruePortMe <onboarding@resend.dev>',
-    to: [verifierEmail],
-    subject: `🔔 Verification Request: ${itemTitle}`,
-    html: `
-      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
-        <!-- Header -->
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
-          <h1 style="color: white; margin: 0; font-size: 24px;">TruePortMe</h1>
-          <p style="color: rgba(255,255,255,0.9); margin: 5px 0 0 0; font-size: 14px;">Portfolio Verification System</p>
-        </div>
-        
-        <!-- Main Content -->
-        <div style="padding: 30px 20px;">
-          <h2 style="color: #333; margin: 0 0 20px 0; font-size: 20px;">New ${itemTypeDisplay.charAt(0).toUpperCase() + itemTypeDisplay.slice(1)} Verification Request</h2>
-          
-          <p style="color: #555; font-size: 16px; line-height: 1.5;">Hello,</p>
-          <p style="color: #555; font-size: 16px; line-height: 1.5;">
-            <strong>${userName}</strong> has requested you to verify their ${itemTypeDisplay}:
-          </p>
-          
-          <!-- Item Card -->
-          <div style="background: #f8f9fa; border: 1px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 20px 0;">
-            <h3 style="margin: 0 0 10px 0; color: #495057; font-size: 18px;">${itemTitle}</h3>
-            <div style="display: flex; align-items: center; gap: 10px;">
-              <span style="background: #007bff; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px; font-weight: bold;">
-                ${itemType.replace('_', ' ')}
-              </span>
-              <span style="color: #6c757d; font-size: 14px;">• Requested by ${userName}</span>
-            </div>
-          </div>
-          
-          <!-- Action Buttons -->
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${verificationUrl}" 
-               style="background: linear-gradient(135deg, #28a745, #20c997); color: white; padding: 14px 28px; 
-                      text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold; 
-                      box-shadow: 0 2px 4px rgba(40, 167, 69, 0.3); margin-right: 10px;">
-              🔍 Review & Verify
-            </a>
-            <a href="${dashboardUrl}" 
-               style="background: #6c757d; color: white; padding: 14px 28px; 
-                      text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
-              📊 Go to Dashboard
-            </a>
-          </div>
-          
-          <!-- Login Info -->
-          <div style="background: #e3f2fd; border-left: 4px solid #2196f3; padding: 15px; margin: 20px 0; border-radius: 4px;">
-            <h4 style="margin: 0 0 10px 0; color: #1976d2; font-size: 14px;">📋 Quick Access</h4>
-            <p style="margin: 0; color: #1565c0; font-size: 14px;">
-              The verification link above will take you directly to the review page. You can also access your verifier dashboard to see all pending requests.
-            </p>
-          </div>
-          
-          <!-- Expiry Notice -->
-          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 4px; padding: 12px; margin: 20px 0;">
-            <p style="margin: 0; color: #856404; font-size: 14px;">
-              ⏰ <strong>Important:</strong> This verification link will expire in 72 hours.
-            </p>
-          </div>
-          
-          <!-- Manual Link -->
-          <details style="margin: 20px 0;">
-            <summary style="color: #007bff; cursor: pointer; font-size: 14px;">Can't click the button? Use manual link</summary>
-            <div style="background: #f8f9fa; padding: 10px; margin-top: 10px; border-radius: 4px;">
-              <code style="word-break: break-all; font-size: 12px; color: #495057;">${verificationUrl}</code>
-            </div>
-          </details>
-        </div>
-        
-        <!-- Footer -->
-        <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e9ecef;">
-          <p style="color: #6c757d; font-size: 12px; margin: 0;">
-            This email was sent by TruePortMe Portfolio Verification System.<br>
-            If you believe this was sent in error, please ignore this email.
-          </p>
-        </div>
-      </div>
-    `
-  };
+const DEFAULT_FROM = 'TruePortMe <onboarding@resend.dev>';
 
+// Queue an email for durable delivery; resolves to false only if it could not be queued
+const queueEmail = async (emailData, options) => {
   try {
-    if (resend && process.env.RESEND_API_KEY) {
-      const { data, error } = await resend.emails.send(emailData);
-      
-      if (error) {
-        console.error('❌ Resend API error:', error);
-        return false;
-      }
-      
-      console.log(`✅ Verification email sent to ${verifierEmail} (ID: ${data.id})`);
-    } else {
-      // Fallback to console.log for development
-      console.log('📧 Email would be sent (no Resend API key configured):');
-      console.log(`To: ${verifierEmail}`);
-      console.log(`Subject: ${emailData.subject}`);
-      console.log(`Verification URL: ${verificationUrl}`);
-    }
+    await enqueueEmail(emailData, options);
     return true;
   } catch (error) {
-    console.error('❌ Email sending failed:', error);
+    console.error(`❌ Failed to queue email "${emailData.subject}":`, error);
     return false;
   }
 };
 
-const sendVerificationDecisionEmail = async (studentEmail, itemTitle, itemType, status, comment, verifierName) => {
-  const itemTypeDisplay = itemType.toLowerCase().replace('_', ' ');
-  const statusColor = status === 'APPROVED' ? '#28a745' : '#dc3545';
-  const statusText = status === 'APPROVED' ? 'Approved' : 'Rejected';
-  
-  const emailData = {
-    from: process.env.FROM_EMAIL || 'TruePortMe <onboarding@resend.dev>',
-    to: [studentEmail],
-    subject: `Verification ${statusText}: ${itemTitle}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: ${statusColor};">Verification ${statusText}</h2>
-        <p>Hello,</p>
-        <p>Your ${itemTypeDisplay} has been <strong style="color: ${statusColor};">${statusText.toLowerCase()}</strong> by ${verifierName}:</p>
-        <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
-          <h3 style="margin: 0; color: #555;">${itemTitle}</h3>
-        </div>
-        ${comment ? `
-          <div style="background-color: #e9ecef; padding: 15px; margin: 20px 0; border-radius: 5px; border-left: 4px solid ${statusColor};">
-            <h4 style="margin: 0 0 10px 0; color: #333;">Verifier Comments:</h4>
-            <p style="margin: 0; color: #555;">${comment}</p>
-          </div>
-        ` : ''}
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${process.env.FRONTEND_URL}/portfolio" 
-             style="background-color: #007bff; color: white; padding: 12px 24px; 
-                    text-decoration: none; border-radius: 5px; display: inline-block;">
-            View Your Portfolio
-          </a>
-        </div>
-        <hr style="margin: 30px 0; border: none; border-top: 1px solid #eee;">
-        <p style="color: #999; font-size: 12px;">
-          This email was sent by TruePortMe.
-        </p>
-      </div>
-    `
-  };
+// Sender address, using the institution's sender name when it has one
+const getFromAddress = (institution) => {
+  const from = process.env.FROM_EMAIL || DEFAULT_FROM;
+  const senderName = institution && institution.emailBranding && institution.emailBranding.senderName;
+
+  if (!senderName) return from;
 
+  const address = from.match(/<([^>]+)>/);
+  return `${senderName.replace(/[<>"]/g, '')} <${address ? address[1] : from.trim()}>`;
+};
+
+// Locale and institution branding for a recipient; explicit options win over their profile
+const getRecipientContext = async (email, options = {}) => {
   try {
-    if (resend && process.env.RESEND_API_KEY) {
-      const { data, error } = await resend.emails.send(emailData);
-      
-      if (error) {
-        console.error('❌ Resend API error:', error);
-        return false;
-      }
-      
-      console.log(`✅ Verification decision email sent to ${studentEmail} (ID: ${data.id})`);
-    } else {
-      // Fallback to console.log for development
-      console.log('📧 Decision email would be sent (no Resend API key configured):');
-      console.log(`To: ${studentEmail}`);
-      console.log(`Subject: ${emailData.subject}`);
-      console.log(`Status: ${status}`);
-    }
-    return true;
+    const user = await User.findOne({ email: email.toLowerCase() }).select('locale institute');
+    const institutionName = options.institution || (user && user.institute);
+
+    const institution = institutionName
+      ? await Institution.findOne({ name: institutionName, status: 'ACTIVE' })
+        .select('name displayName logo emailBranding emailTemplates')
+      : null;
+
+    return {
+      locale: options.locale || (user && user.locale),
+      institution
+    };
   } catch (error) {
-    console.error('❌ Decision email sending failed:', error);
-    return false;
+    console.warn('Failed to resolve email branding, using defaults:', error.message);
+    return { locale: options.locale, institution: null };
   }
 };
 
-const sendWelcomeEmailWithCredentials = async (userEmail, userName, password, institutionName) => {
-  const loginUrl = `${process.env.FRONTEND_URL}/login`;
-  
-  const emailData = {
-    from: process.env.FROM_EMAIL || 'TruePortMe <onboarding@resend.dev>',
-    to: [userEmail],
-    subject: '🎉 Welcome to TruePortMe - Your Account Has Been Created',
-    html: `
-      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
-        <!-- Header -->
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; text-align: center;">
-          <h1 style="color: white; margin: 0; font-size: 24px;">TruePortMe</h1>
-          <p style="color: rgba(255,255,255,0.9); margin: 5px 0 0 0; font-size: 14px;">Portfolio Verification System</p>
-        </div>
-        
-        <!-- Main Content -->
-        <div style="padding: 30px 20px;">
-          <h2 style="color: #333; margin: 0 0 20px 0; font-size: 20px;">Welcome to TruePortMe!</h2>
-          
-          <p style="color: #555; font-size: 16px; line-height: 1.5;">Hello <strong>${userName}</strong>,</p>
-          <p style="color: #555; font-size: 16px; line-height: 1.5;">
-            Your account has been successfully created by the administrators at <strong>${institutionName}</strong>. 
-            You can now access your TruePortMe account using the credentials below.
-          </p>
-          
-          <!-- Credentials Card -->
-          <div style="background: #f8f9fa; border: 2px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 20px 0;">
-            <h3 style="margin: 0 0 15px 0; color: #495057; font-size: 18px;">Your Login Credentials</h3>
-            <div style="margin: 10px 0;">
-              <strong style="color: #333;">Email:</strong> 
-              <span style="color: #007bff; font-family: monospace;">${userEmail}</span>
-            </div>
-            <div style="margin: 10px 0;">
-              <strong style="color: #333;">Password:</strong> 
-              <span style="background: #e9ecef; padding: 4px 8px; border-radius: 4px; font-family: monospace; color: #495057;">${password}</span>
-            </div>
-          </div>
-          
-          <!-- Security Notice -->
-          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 6px; padding: 15px; margin: 20px 0;">
-            <h4 style="margin: 0 0 10px 0; color: #856404; font-size: 14px;">🔒 Security Notice</h4>
-            <p style="margin: 0; color: #856404; font-size: 14px;">
-              For your security, we recommend changing your password after your first login. 
-              Please keep your credentials secure and do not share them with anyone.
-            </p>
-          </div>
-          
-          <!-- Action Button -->
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${loginUrl}" 
-               style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 14px 28px; 
-                      text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold; 
-                      font-size: 16px; transition: all 0.3s ease;">
-              Login to Your Account
-            </a>
-          </div>
-          
-          <!-- Getting Started -->
-          <div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0;">
-            <h4 style="margin: 0 0 15px 0; color: #495057;">Getting Started</h4>
-            <ul style="color: #555; font-size: 14px; line-height: 1.6; margin: 0; padding-left: 20px;">
-              <li>Complete your profile setup</li>
-              <li>Add your experiences and education</li>
-              <li>Upload your projects for verification</li>
-              <li>Build your verified digital portfolio</li>
-            </ul>
-          </div>
-        </div>
-        
-        <!-- Footer -->
-        <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e9ecef;">
-          <p style="color: #6c757d; font-size: 12px; margin: 0;">
-            This email was sent by TruePortMe. If you have any questions, please contact your institution administrator.
-          </p>
-        </div>
-      </div>
-    `
-  };
+// Render a template for one recipient and queue it.
+// Every send function accepts { locale, institution } options that override the recipient's profile.
+const sendTemplatedEmail = async (to, template, data, options = {}, queueOptions = {}) => {
+  const context = await getRecipientContext(to, options);
+  const { subject, html, text, locale } = renderEmail(template, data, context);
 
-  try {
-    if (resend && process.env.RESEND_API_KEY) {
-      const { data, error } = await resend.emails.send(emailData);
-      
-      if (error) {
-        console.error('❌ Resend API error:', error);
-        return false;
-      }
-      
-      console.log(`✅ Welcome email sent to ${userEmail} (ID: ${data.id})`);
-    } else {
-      // Fallback to console.log for development
-      console.log('📧 Welcome email would be sent (no Resend API key configured):');
-      console.log(`To: ${userEmail}`);
-      console.log(`Subject: ${emailData.subject}`);
-      console.log(`Name: ${userName}`);
-      console.log(`Password: ${password}`);
-    }
-    return true;
-  } catch (error) {
-    console.error('❌ Welcome email sending failed:', error);
-    return false;
-  }
+  return queueEmail(
+    { from: getFromAddress(context.institution), to: [to], subject, html, text },
+    { template, metadata: { locale, institution: context.institution && context.institution.name }, ...queueOptions }
+  );
+};
+
+const sendVerificationEmail = async (verifierEmail, token, itemTitle, userName, itemType = 'experience', options) => {
+  return sendTemplatedEmail(verifierEmail, 'VERIFICATION_REQUEST', {
+    token,
+    itemTitle,
+    studentName: userName,
+    itemType: itemType.toUpperCase()
+  }, options);
+};
+
+// Deadlines in emails are shown in UTC, e.g. "2025-09-30 15:30 UTC"
+const formatDeadline = (date) => `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+const sendVerificationReminderEmail = async (verifierEmail, token, itemTitle, userName, itemType, dueAt, options) => {
+  return sendTemplatedEmail(verifierEmail, 'VERIFICATION_REMINDER', {
+    token,
+    itemTitle,
+    studentName: userName,
+    itemType: itemType.toUpperCase(),
+    dueAt: dueAt ? formatDeadline(dueAt) : null,
+    overdue: !!dueAt && new Date(dueAt) < new Date()
+  }, options);
+};
+
+// requests: [{ itemTitle, studentName, verifierEmail, dueAt, reassignedTo }]
+const sendVerificationEscalatedEmail = async (adminEmail, institutionName, requests, options = {}) => {
+  return sendTemplatedEmail(adminEmail, 'VERIFICATION_ESCALATED', {
+    institutionName,
+    requests: requests.map(request => ({ ...request, dueAt: formatDeadline(request.dueAt) }))
+  }, { institution: institutionName, ...options });
+};
+
+const sendVerificationDecisionEmail = async (studentEmail, itemTitle, itemType, status, comment, verifierName, options) => {
+  return sendTemplatedEmail(studentEmail, 'VERIFICATION_DECISION', {
+    itemTitle,
+    itemType: itemType.toUpperCase(),
+    status,
+    comment,
+    verifierName
+  }, options);
+};
+
+// decisions: [{ itemTitle, itemType, status, comment }]
+const sendVerificationBulkDecisionEmail = async (studentEmail, verifierName, decisions, options) => {
+  return sendTemplatedEmail(studentEmail, 'VERIFICATION_BULK_DECISION', {
+    verifierName,
+    decisions: decisions.map(decision => ({ ...decision, itemType: decision.itemType.toUpperCase() }))
+  }, options);
+};
+
+const sendVerificationRevokedEmail = async (studentEmail, itemTitle, itemType, reason, revokedByName, options) => {
+  return sendTemplatedEmail(studentEmail, 'VERIFICATION_REVOKED', {
+    itemTitle,
+    itemType: itemType.toUpperCase(),
+    reason,
+    revokedByName
+  }, options);
+};
+
+const sendWelcomeEmailWithCredentials = async (userEmail, userName, password, institutionName, options = {}) => {
+  return sendTemplatedEmail(userEmail, 'WELCOME_CREDENTIALS', {
+    userEmail,
+    userName,
+    password,
+    institutionName
+  }, { institution: institutionName, ...options }, { sensitive: true });
+};
+
+const sendEmailConfirmationEmail = async (userEmail, userName, token, expiresIn, options) => {
+  return sendTemplatedEmail(userEmail, 'EMAIL_CONFIRMATION', {
+    userName,
+    email: userEmail,
+    token,
+    expiresIn
+  }, options);
+};
+
+const sendPasswordResetEmail = async (userEmail, userName, token, expiresIn, options) => {
+  return sendTemplatedEmail(userEmail, 'PASSWORD_RESET', {
+    userName,
+    token,
+    expiresIn
+  }, options, { sensitive: true });
+};
+
+const sendNotificationEmail = async (userEmail, title, message, link, options) => {
+  return sendTemplatedEmail(userEmail, 'NOTIFICATION', { title, message, link }, options);
+};
+
+const sendNotificationDigestEmail = async (userEmail, userName, notifications, options) => {
+  return sendTemplatedEmail(userEmail, 'NOTIFICATION_DIGEST', {
+    userName,
+    notifications: notifications.map(notification => ({
+      title: notification.title,
+      message: notification.message
+    }))
+  }, options);
 };
 
 module.exports = {
   sendVerificationEmail,
+  sendVerificationReminderEmail,
+  sendVerificationEscalatedEmail,
   sendVerificationDecisionEmail,
-  sendWelcomeEmailWithCredentials
-};
\ No newline at end of file
+  sendVerificationBulkDecisionEmail,
+  sendVerificationRevokedEmail,
+  sendWelcomeEmailWithCredentials,
+  sendEmailConfirmationEmail,
+  sendPasswordResetEmail,
+  sendNotificationEmail,
+  sendNotificationDigestEmail
+};
@@ -0,0 +1,221 @@
+const EmailJob = require('../models/EmailJob');
+const EmailLog = require('../models/EmailLog');
+const { getTransport } = require('./emailTransports');
+
+const RETRY_BASE_DELAY_MS = 30 * 1000; // 30 seconds, doubled after every failure
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // 1 hour
+const STALE_LOCK_MS = 5 * 60 * 1000; // Jobs stuck in SENDING (e.g. after a crash) are retried
+const DEFAULT_POLL_INTERVAL_MS = 15 * 1000;
+
+let processing = false;
+let workerTimer = null;
+
+// Exponential backoff for the given number of failed attempts
+const getRetryDelay = (attempts) => {
+  return Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), RETRY_MAX_DELAY_MS);
+};
+
+// Atomically take the next due job so concurrent workers never send twice
+const claimNextJob = () => {
+  const now = new Date();
+
+  return EmailJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: { $in: ['QUEUED', 'FAILED'] }, nextAttemptAt: { $lte: now } },
+        { status: 'SENDING', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }
+      ]
+    },
+    { status: 'SENDING', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Send one claimed job and record the attempt
+const deliverJob = async (job) => {
+  const startedAt = Date.now();
+  let transportName = 'unknown';
+
+  try {
+    const transport = getTransport();
+    transportName = transport.name;
+
+    const result = await transport.send({
+      from: job.from,
+      to: job.to,
+      subject: job.subject,
+      html: job.html,
+      ...(job.text && { text: job.text })
+    });
+
+    await new EmailLog({
+      jobId: job._id,
+      to: job.to,
+      subject: job.subject,
+      template: job.template,
+      transport: transportName,
+      attempt: job.attempts,
+      status: 'SENT',
+      providerMessageId: result && result.id,
+      durationMs: Date.now() - startedAt
+    }).save();
+
+    const update = {
+      status: 'SENT',
+      sentAt: new Date(),
+      transport: transportName,
+      providerMessageId: result && result.id,
+      $unset: { lockedAt: 1, lastError: 1 }
+    };
+
+    if (job.sensitive) {
+      update.$unset.html = 1;
+      update.$unset.text = 1;
+    }
+
+    await EmailJob.findByIdAndUpdate(job._id, update);
+    return true;
+
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+
+    await new EmailLog({
+      jobId: job._id,
+      to: job.to,
+      subject: job.subject,
+      template: job.template,
+      transport: transportName,
+      attempt: job.attempts,
+      status: 'FAILED',
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    }).save();
+
+    await EmailJob.findByIdAndUpdate(job._id, {
+      status: dead ? 'DEAD' : 'FAILED',
+      transport: transportName,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(job.attempts)),
+      $unset: { lockedAt: 1 }
+    });
+
+    console.error(`❌ Email to ${job.to.join(', ')} failed (attempt ${job.attempts}/${job.maxAttempts})${dead ? ', moved to dead letter' : ''}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Send all due email jobs
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of jobs to send in this run
+ * @returns {Promise<object>} { sent, failed }
+ */
+const processEmailQueue = async ({ limit = 50 } = {}) => {
+  const result = { sent: 0, failed: 0 };
+
+  // A run is already in progress in this process
+  if (processing) return result;
+  processing = true;
+
+  try {
+    for (let i = 0; i < limit; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      if (await deliverJob(job)) {
+        result.sent += 1;
+      } else {
+        result.failed += 1;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  return result;
+};
+
+// Send right away without waiting for the next poll
+const processSoon = () => {
+  setImmediate(() => {
+    processEmailQueue().catch(error => console.error('Email queue error:', error));
+  });
+};
+
+/**
+ * Queue an email for delivery with retries
+ * @param {object} message - { from, to, subject, html, text }
+ * @param {object} [options]
+ * @param {string} [options.template] - Which email this is (e.g. VERIFICATION_REQUEST)
+ * @param {boolean} [options.sensitive] - Erase the body once sent (e.g. contains a password)
+ * @param {object} [options.metadata] - Extra details for inspection
+ * @returns {Promise<object>} Saved EmailJob
+ */
+const enqueueEmail = async (message, { template, sensitive = false, metadata = {} } = {}) => {
+  const job = await new EmailJob({
+    from: message.from,
+    to: Array.isArray(message.to) ? message.to : [message.to],
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+    template,
+    sensitive,
+    metadata,
+    maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5
+  }).save();
+
+  processSoon();
+  return job;
+};
+
+/**
+ * Put a failed or dead job back into the queue
+ * @param {string} jobId - EmailJob ID
+ * @param {string} replayedBy - Email of the admin replaying the job
+ * @returns {Promise<object|null>} Updated EmailJob, or null when it cannot be replayed
+ */
+const replayEmailJob = async (jobId, replayedBy) => {
+  const job = await EmailJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['FAILED', 'DEAD'] }, html: { $exists: true } },
+    {
+      status: 'QUEUED',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      replayedBy,
+      replayedAt: new Date(),
+      $unset: { lockedAt: 1 }
+    },
+    { new: true }
+  );
+
+  if (job) processSoon();
+  return job;
+};
+
+// Poll the queue for due retries
+const startEmailWorker = () => {
+  if (workerTimer) return;
+
+  const interval = parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+  workerTimer = setInterval(() => {
+    processEmailQueue().catch(error => console.error('Email queue error:', error));
+  }, interval);
+  workerTimer.unref();
+
+  console.log(`📬 Email queue worker started (every ${interval / 1000}s)`);
+};
+
+const stopEmailWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  enqueueEmail,
+  processEmailQueue,
+  replayEmailJob,
+  startEmailWorker,
+  stopEmailWorker
+};
@@ -0,0 +1,591 @@
+const { translate, interpolate, normalizeLocale, getMessages } = require('./i18n');
+
+const DEFAULT_BRANDING = {
+  primaryColor: '#667eea',
+  accentColor: '#764ba2'
+};
+
+const TONES = {
+  info: { background: '#e3f2fd', border: '#2196f3', color: '#1565c0' },
+  warning: { background: '#fff3cd', border: '#ffeaa7', color: '#856404' },
+  success: { background: '#e9f7ef', border: '#28a745', color: '#1e7e34' },
+  danger: { background: '#fbeaea', border: '#dc3545', color: '#a71d2a' },
+  neutral: { background: '#e9ecef', border: '#adb5bd', color: '#495057' }
+};
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/$/, '');
+
+const escapeHtml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Messages may mark emphasis with **bold**
+const formatHtml = (text) => escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+const formatText = (text) => String(text).replace(/\*\*(.+?)\*\*/g, '$1');
+
+/*
+ * Template registry. Each template builds a subject and a list of content
+ * blocks from its data; the blocks are rendered to both HTML and plaintext.
+ * Wording comes from src/locales/<locale>.json under templates.<NAME> and can
+ * be overridden per institution.
+ */
+const TEMPLATES = {
+  VERIFICATION_REQUEST: {
+    description: 'Sent to a verifier when a student requests verification',
+    sample: {
+      token: 'sample-verification-token',
+      itemTitle: 'Software Engineering Intern at Acme Corp',
+      studentName: 'Priya Sharma',
+      itemType: 'EXPERIENCE'
+    },
+    build: ({ m, common, data }) => {
+      const itemType = common(`itemTypes.${data.itemType}`);
+      const verificationUrl = `${getFrontendUrl()}/verify/${data.token}`;
+
+      return {
+        subject: m('subject', { itemTitle: data.itemTitle }),
+        blocks: [
+          { type: 'heading', text: m('heading', { itemType }) },
+          { type: 'paragraph', text: common('greetingAnonymous') },
+          { type: 'paragraph', text: m('intro', { studentName: data.studentName, itemType }) },
+          { type: 'card', title: data.itemTitle, badge: itemType, subtitle: m('requestedBy', { studentName: data.studentName }) },
+          {
+            type: 'buttons',
+            items: [
+              { label: m('reviewButton'), url: verificationUrl },
+              { label: m('dashboardButton'), url: `${getFrontendUrl()}/verifier/dashboard`, secondary: true }
+            ]
+          },
+          { type: 'notice', tone: 'info', title: m('quickAccessTitle'), text: m('quickAccess') },
+          { type: 'notice', tone: 'warning', text: m('expiry') },
+          { type: 'link', label: common('manualLink'), url: verificationUrl }
+        ],
+        footer: m('footer')
+      };
+    }
+  },
+
+  VERIFICATION_REMINDER: {
+    description: 'Reminds a verifier of a pending request (sent on the institution SLA schedule or on demand)',
+    sample: {
+      token: 'sample-verification-token',
+      itemTitle: 'Software Engineering Intern at Acme Corp',
+      studentName: 'Priya Sharma',
+      itemType: 'EXPERIENCE',
+      dueAt: '2025-09-30 15:30 UTC',
+      overdue: false
+    },
+    build: ({ m, common, data }) => {
+      const itemType = common(`itemTypes.${data.itemType}`);
+      const verificationUrl = `${getFrontendUrl()}/verify/${data.token}`;
+
+      return {
+        subject: m('subject', { itemTitle: data.itemTitle }),
+        blocks: [
+          { type: 'heading', text: m('heading') },
+          { type: 'paragraph', text: common('greetingAnonymous') },
+          { type: 'paragraph', text: m('intro', { studentName: data.studentName, itemType }) },
+          { type: 'card', title: data.itemTitle, badge: itemType, subtitle: m('requestedBy', { studentName: data.studentName }) },
+          ...(data.dueAt ? [{
+            type: 'notice',
+            tone: data.overdue ? 'danger' : 'warning',
+            text: m(data.overdue ? 'overdue' : 'dueAt', { dueAt: data.dueAt })
+          }] : []),
+          { type: 'buttons', items: [{ label: m('reviewButton'), url: verificationUrl }] },
+          { type: 'link', label: common('manualLink'), url: verificationUrl }
+        ],
+        footer: m('footer')
+      };
+    }
+  },
+
+  VERIFICATION_ESCALATED: {
+    description: 'Sent to institute admins when verification requests breach the response SLA',
+    sample: {
+      institutionName: 'Example Institute of Technology',
+      requests: [
+        {
+          itemTitle: 'Software Engineering Intern at Acme Corp',
+          studentName: 'Priya Sharma',
+          verifierEmail: 'anil.kumar@example.edu',
+          dueAt: '2025-09-30 15:30 UTC'
+        },
+        {
+          itemTitle: 'B.Tech in Computer Science',
+          studentName: 'Rahul Verma',
+          verifierEmail: 'meera.iyer@example.edu',
+          dueAt: '2025-10-01 09:00 UTC',
+          reassignedTo: 'sanjay.rao@example.edu'
+        }
+      ]
+    },
+    build: ({ m, data }) => {
+      const count = data.requests.length;
+
+      return {
+        subject: m(count === 1 ? 'subjectOne' : 'subjectOther', { count }),
+        blocks: [
+          { type: 'heading', tone: 'warning', text: m('heading') },
+          { type: 'paragraph', text: m('intro', { institutionName: data.institutionName }) },
+          ...data.requests.map(request => ({
+            type: 'card',
+            title: request.itemTitle,
+            subtitle: m('requestSubtitle', request),
+            ...(request.reassignedTo && { badge: m('reassigned', { verifierEmail: request.reassignedTo }) })
+          })),
+          { type: 'buttons', items: [{ label: m('button'), url: `${getFrontendUrl()}/institute-admin` }] }
+        ]
+      };
+    }
+  },
+
+  VERIFICATION_DECISION: {
+    description: 'Sent to a student when a verification is approved or rejected',
+    sample: {
+      itemTitle: 'B.Tech in Computer Science',
+      itemType: 'EDUCATION',
+      status: 'APPROVED',
+      comment: 'Confirmed with the registrar records.',
+      verifierName: 'Dr. Anil Kumar'
+    },
+    build: ({ m, common, data }) => {
+      const itemType = common(`itemTypes.${data.itemType}`);
+      const approved = data.status === 'APPROVED';
+      const tone = approved ? 'success' : 'danger';
+
+      return {
+        subject: m(approved ? 'subjectApproved' : 'subjectRejected', { itemTitle: data.itemTitle }),
+        blocks: [
+          { type: 'heading', tone, text: m(approved ? 'headingApproved' : 'headingRejected') },
+          { type: 'paragraph', text: common('greetingAnonymous') },
+          { type: 'paragraph', text: m(approved ? 'introApproved' : 'introRejected', { itemType, verifierName: data.verifierName }) },
+          { type: 'card', title: data.itemTitle },
+          ...(data.comment ? [{ type: 'notice', tone, title: m('commentsTitle'), text: data.comment }] : []),
+          { type: 'buttons', items: [{ label: m('button'), url: `${getFrontendUrl()}/portfolio` }] }
+        ]
+      };
+    }
+  },
+
+  VERIFICATION_BULK_DECISION: {
+    description: 'Sent to a student when a verifier decided several of their requests at once',
+    sample: {
+      verifierName: 'Dr. Anil Kumar',
+      decisions: [
+        { itemTitle: 'Class 12 (CBSE)', itemType: 'EDUCATION', status: 'APPROVED', comment: 'Confirmed with the board results.' },
+        { itemTitle: 'Class 10 (CBSE)', itemType: 'EDUCATION', status: 'REJECTED', comment: 'The marksheet does not match our records.' }
+      ]
+    },
+    build: ({ m, common, data }) => {
+      const count = data.decisions.length;
+
+      return {
+        subject: m(count === 1 ? 'subjectOne' : 'subjectOther', { count, verifierName: data.verifierName }),
+        blocks: [
+          { type: 'heading', text: m('heading') },
+          { type: 'paragraph', text: common('greetingAnonymous') },
+          { type: 'paragraph', text: m('intro', { verifierName: data.verifierName }) },
+          ...data.decisions.map(decision => ({
+            type: 'card',
+            title: decision.itemTitle,
+            subtitle: decision.comment
+              ? m('commentSubtitle', { itemType: common(`itemTypes.${decision.itemType}`), comment: decision.comment })
+              : common(`itemTypes.${decision.itemType}`),
+            badge: m(decision.status === 'APPROVED' ? 'approved' : 'rejected')
+          })),
+          { type: 'buttons', items: [{ label: m('button'), url: `${getFrontendUrl()}/portfolio` }] }
+        ]
+      };
+    }
+  },
+
+  VERIFICATION_REVOKED: {
+    description: 'Sent to a student when an approved verification is revoked',
+    sample: {
+      itemTitle: 'Research Assistant at IISc',
+      itemType: 'EXPERIENCE',
+      reason: 'The supervising department could not confirm the dates.',
+      revokedByName: 'Dr. Anil Kumar'
+    },
+    build: ({ m, common, data }) => {
+      const itemType = common(`itemTypes.${data.itemType}`);
+
+      return {
+        subject: m('subject', { itemTitle: data.itemTitle }),
+        blocks: [
+          { type: 'heading', tone: 'danger', text: m('heading') },
+          { type: 'paragraph', text: common('greetingAnonymous') },
+          { type: 'paragraph', text: m('intro', { itemType, revokedByName: data.revokedByName }) },
+          { type: 'card', title: data.itemTitle },
+          { type: 'notice', tone: 'danger', title: m('reasonTitle'), text: data.reason },
+          { type: 'paragraph', text: m('nextSteps', { itemType }) },
+          { type: 'buttons', items: [{ label: m('button'), url: `${getFrontendUrl()}/portfolio` }] }
+        ]
+      };
+    }
+  },
+
+  WELCOME_CREDENTIALS: {
+    description: 'Sent to users created by an institute admin, with their login credentials',
+    sample: {
+      userEmail: 'priya.sharma@example.edu',
+      userName: 'Priya Sharma',
+      password: 'Sample#Pass123',
+      institutionName: 'Example Institute of Technology'
+    },
+    build: ({ m, common, data }) => ({
+      subject: m('subject'),
+      blocks: [
+        { type: 'heading', text: m('heading') },
+        { type: 'paragraph', text: common('greeting', { name: `**${data.userName}**` }) },
+        { type: 'paragraph', text: m('intro', { institutionName: data.institutionName }) },
+        {
+          type: 'card',
+          title: m('credentialsTitle'),
+          fields: [
+            { label: m('emailLabel'), value: data.userEmail, monospace: true },
+            { label: m('passwordLabel'), value: data.password, monospace: true }
+          ]
+        },
+        { type: 'notice', tone: 'warning', title: m('securityTitle'), text: m('security') },
+        { type: 'buttons', items: [{ label: m('button'), url: `${getFrontendUrl()}/login` }] },
+        { type: 'list', title: m('gettingStartedTitle'), items: [m('step1'), m('step2'), m('step3'), m('step4')] }
+      ],
+      footer: m('footer')
+    })
+  },
+
+  EMAIL_CONFIRMATION: {
+    description: 'Sent after registration (or on request) to confirm the email address',
+    sample: {
+      userName: 'Priya Sharma',
+      email: 'priya.sharma@example.edu',
+      token: 'sample-confirmation-token',
+      expiresIn: '24h'
+    },
+    build: ({ m, common, data }) => {
+      const confirmUrl = `${getFrontendUrl()}/confirm-email?token=${encodeURIComponent(data.token)}`;
+
+      return {
+        subject: m('subject'),
+        blocks: [
+          { type: 'heading', text: m('heading') },
+          { type: 'paragraph', text: common('greeting', { name: data.userName }) },
+          { type: 'paragraph', text: m('intro', { email: data.email }) },
+          { type: 'buttons', items: [{ label: m('button'), url: confirmUrl }] },
+          { type: 'notice', tone: 'warning', text: m('expiry', { expiresIn: data.expiresIn }) },
+          { type: 'link', label: common('manualLink'), url: confirmUrl }
+        ],
+        footer: m('footer')
+      };
+    }
+  },
+
+  PASSWORD_RESET: {
+    description: 'Sent when a user asks to reset a forgotten password',
+    sample: {
+      userName: 'Priya Sharma',
+      token: 'sample-reset-token',
+      expiresIn: '1h'
+    },
+    build: ({ m, common, data }) => {
+      const resetUrl = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(data.token)}`;
+
+      return {
+        subject: m('subject'),
+        blocks: [
+          { type: 'heading', text: m('heading') },
+          { type: 'paragraph', text: common('greeting', { name: data.userName }) },
+          { type: 'paragraph', text: m('intro') },
+          { type: 'buttons', items: [{ label: m('button'), url: resetUrl }] },
+          { type: 'notice', tone: 'warning', text: m('expiry', { expiresIn: data.expiresIn }) },
+          { type: 'link', label: common('manualLink'), url: resetUrl }
+        ],
+        footer: m('footer')
+      };
+    }
+  },
+
+  NOTIFICATION: {
+    description: 'Immediate email for an in-app notification',
+    sample: {
+      title: 'Your role was changed',
+      message: 'An administrator at Example Institute of Technology changed your role to VERIFIER.',
+      link: '/notifications'
+    },
+    build: ({ m, common, data }) => ({
+      subject: data.title,
+      blocks: [
+        { type: 'heading', text: data.title },
+        { type: 'paragraph', text: common('greetingAnonymous') },
+        { type: 'paragraph', text: data.message },
+        { type: 'buttons', items: [{ label: m('button'), url: `${getFrontendUrl()}${data.link || '/notifications'}` }] }
+      ],
+      footer: common('footerPreferences')
+    })
+  },
+
+  NOTIFICATION_DIGEST: {
+    description: 'Daily digest of queued notifications',
+    sample: {
+      userName: 'Priya Sharma',
+      notifications: [
+        { title: 'Verification approved', message: 'Your experience "Software Engineering Intern" was approved.' },
+        { title: 'Association request approved', message: 'Example Institute of Technology approved your association request.' }
+      ]
+    },
+    build: ({ m, common, data }) => {
+      const count = data.notifications.length;
+
+      return {
+        subject: m(count === 1 ? 'subjectOne' : 'subjectOther', { count }),
+        blocks: [
+          { type: 'heading', text: m('heading') },
+          { type: 'paragraph', text: common('greeting', { name: data.userName }) },
+          { type: 'paragraph', text: m('intro') },
+          ...data.notifications.map(notification => ({
+            type: 'card',
+            title: notification.title,
+            subtitle: notification.message
+          })),
+          { type: 'buttons', items: [{ label: m('button'), url: `${getFrontendUrl()}/notifications` }] }
+        ],
+        footer: common('footerPreferences')
+      };
+    }
+  }
+};
+
+// Template name used for overrides of the shared (common) messages
+const COMMON_MESSAGES = 'COMMON';
+
+const renderBlockHtml = (block, theme) => {
+  switch (block.type) {
+    case 'heading': {
+      const color = block.tone ? TONES[block.tone].border : '#333';
+      return `<h2 style="color: ${color}; margin: 0 0 20px 0; font-size: 20px;">${formatHtml(block.text)}</h2>`;
+    }
+
+    case 'paragraph':
+      return `<p style="color: #555; font-size: 16px; line-height: 1.5;">${formatHtml(block.text)}</p>`;
+
+    case 'card':
+      return `
+          <div style="background: #f8f9fa; border: 1px solid #e9ecef; border-radius: 8px; padding: 20px; margin: 20px 0;">
+            <h3 style="margin: 0 0 10px 0; color: #495057; font-size: 18px;">${formatHtml(block.title)}</h3>
+            ${block.badge ? `<span style="background: ${theme.primaryColor}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px; font-weight: bold;">${escapeHtml(block.badge)}</span>` : ''}
+            ${block.subtitle ? `<p style="margin: 8px 0 0 0; color: #6c757d; font-size: 14px;">${formatHtml(block.subtitle)}</p>` : ''}
+            ${(block.fields || []).map(field => `
+            <div style="margin: 10px 0;">
+              <strong style="color: #333;">${escapeHtml(field.label)}:</strong>
+              <span style="${field.monospace ? 'font-family: monospace; ' : ''}background: #e9ecef; padding: 4px 8px; border-radius: 4px; color: #495057;">${escapeHtml(field.value)}</span>
+            </div>`).join('')}
+          </div>`;
+
+    case 'notice': {
+      const tone = TONES[block.tone] || TONES.neutral;
+      return `
+          <div style="background: ${tone.background}; border-left: 4px solid ${tone.border}; padding: 15px; margin: 20px 0; border-radius: 4px;">
+            ${block.title ? `<h4 style="margin: 0 0 10px 0; color: ${tone.color}; font-size: 14px;">${formatHtml(block.title)}</h4>` : ''}
+            <p style="margin: 0; color: ${tone.color}; font-size: 14px;">${formatHtml(block.text)}</p>
+          </div>`;
+    }
+
+    case 'buttons':
+      return `
+          <div style="text-align: center; margin: 30px 0;">
+            ${block.items.map(button => `
+            <a href="${escapeHtml(button.url)}"
+               style="background: ${button.secondary ? '#6c757d' : theme.primaryColor}; color: white; padding: 14px 28px;
+                      text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold; margin: 5px;">
+              ${escapeHtml(button.label)}
+            </a>`).join('')}
+          </div>`;
+
+    case 'list':
+      return `
+          <div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 20px 0;">
+            ${block.title ? `<h4 style="margin: 0 0 15px 0; color: #495057;">${formatHtml(block.title)}</h4>` : ''}
+            <ul style="color: #555; font-size: 14px; line-height: 1.6; margin: 0; padding-left: 20px;">
+              ${block.items.map(item => `<li>${formatHtml(item)}</li>`).join('')}
+            </ul>
+          </div>`;
+
+    case 'link':
+      return `
+          <p style="color: #6c757d; font-size: 13px; margin: 20px 0 5px 0;">${formatHtml(block.label)}</p>
+          <div style="background: #f8f9fa; padding: 10px; border-radius: 4px;">
+            <code style="word-break: break-all; font-size: 12px; color: #495057;">${escapeHtml(block.url)}</code>
+          </div>`;
+
+    default:
+      return '';
+  }
+};
+
+const renderBlockText = (block) => {
+  switch (block.type) {
+    case 'heading':
+    case 'paragraph':
+      return formatText(block.text);
+
+    case 'card':
+      return [
+        block.badge ? `${formatText(block.title)} [${block.badge}]` : formatText(block.title),
+        block.subtitle && formatText(block.subtitle),
+        ...(block.fields || []).map(field => `${field.label}: ${field.value}`)
+      ].filter(Boolean).join('\n');
+
+    case 'notice':
+      return [block.title && formatText(block.title), formatText(block.text)].filter(Boolean).join('\n');
+
+    case 'buttons':
+      return block.items.map(button => `${button.label}: ${button.url}`).join('\n');
+
+    case 'list':
+      return [block.title && formatText(block.title), ...block.items.map(item => `- ${formatText(item)}`)]
+        .filter(Boolean)
+        .join('\n');
+
+    case 'link':
+      return `${formatText(block.label)}\n${block.url}`;
+
+    default:
+      return '';
+  }
+};
+
+const renderLayoutHtml = ({ blocks, footerLines, theme, header }) => `
+      <div style="font-family: 'Segoe UI', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #ffffff;">
+        <div style="background: linear-gradient(135deg, ${theme.primaryColor} 0%, ${theme.accentColor} 100%); padding: 20px; text-align: center;">
+          ${header.logo ? `<img src="${escapeHtml(header.logo)}" alt="${escapeHtml(header.title)}" style="max-height: 48px; margin-bottom: 8px;">` : ''}
+          <h1 style="color: white; margin: 0; font-size: 24px;">${escapeHtml(header.title)}</h1>
+          <p style="color: rgba(255,255,255,0.9); margin: 5px 0 0 0; font-size: 14px;">${escapeHtml(header.tagline)}</p>
+        </div>
+
+        <div style="padding: 30px 20px;">
+          ${blocks.map(block => renderBlockHtml(block, theme)).join('\n')}
+        </div>
+
+        <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #e9ecef;">
+          <p style="color: #6c757d; font-size: 12px; margin: 0;">
+            ${footerLines.map(formatHtml).join('<br>')}
+          </p>
+        </div>
+      </div>
+    `;
+
+// Find an institution's override for a message, preferring the exact locale
+const findOverride = (institution, template, locale, key) => {
+  const overrides = (institution && institution.emailTemplates) || [];
+  const candidates = [
+    overrides.find(override => override.template === template && override.locale === locale),
+    overrides.find(override => override.template === template && !override.locale)
+  ];
+
+  for (const override of candidates) {
+    if (!override || !override.messages) continue;
+
+    const message = override.messages instanceof Map ? override.messages.get(key) : override.messages[key];
+    if (typeof message === 'string' && message.trim()) return message;
+  }
+
+  return null;
+};
+
+/**
+ * Render a registered email template
+ * @param {string} name - Template name (e.g. VERIFICATION_REQUEST)
+ * @param {object} data - Template data
+ * @param {object} [options]
+ * @param {string} [options.locale] - Recipient locale
+ * @param {object} [options.institution] - Institution whose branding and wording overrides apply
+ * @returns {object} { subject, html, text, locale }
+ */
+const renderEmail = (name, data, { locale, institution } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const resolvedLocale = normalizeLocale(locale);
+
+  const resolve = (scope, overrideName, key, vars) => {
+    const override = findOverride(institution, overrideName, resolvedLocale, key);
+    return override !== null ? interpolate(override, vars) : translate(resolvedLocale, `${scope}.${key}`, vars);
+  };
+
+  const common = (key, vars) => resolve('common', COMMON_MESSAGES, key, { appName: translate(resolvedLocale, 'common.appName'), ...vars });
+  const m = (key, vars) => resolve(`templates.${name}`, name, key, vars);
+
+  const { subject, blocks, footer } = template.build({ m, common, data });
+
+  const branding = (institution && institution.emailBranding) || {};
+  const theme = {
+    primaryColor: branding.primaryColor || DEFAULT_BRANDING.primaryColor,
+    accentColor: branding.accentColor || DEFAULT_BRANDING.accentColor
+  };
+  const header = {
+    title: (institution && institution.displayName) || common('appName'),
+    tagline: common('tagline'),
+    logo: institution && institution.logo
+  };
+  const footerLines = [branding.footerText, footer, common('footer')].filter(Boolean);
+
+  const text = [
+    header.title,
+    ...blocks.map(renderBlockText).filter(Boolean),
+    '---',
+    ...footerLines.map(formatText)
+  ].join('\n\n');
+
+  return {
+    subject: formatText(subject),
+    html: renderLayoutHtml({ blocks, footerLines, theme, header }),
+    text,
+    locale: resolvedLocale
+  };
+};
+
+/**
+ * Message keys an institution may override for a template (or COMMON)
+ * @param {string} name - Template name
+ * @returns {string[]} Keys
+ */
+const getTemplateMessageKeys = (name) => {
+  const messages = getMessages(name === COMMON_MESSAGES ? 'common' : `templates.${name}`);
+  return Object.keys(messages).filter(key => typeof messages[key] === 'string');
+};
+
+/**
+ * Describe every registered template for admin tooling
+ * @returns {object[]} [{ name, description, messageKeys }]
+ */
+const listTemplates = () => {
+  return Object.keys(TEMPLATES).map(name => ({
+    name,
+    description: TEMPLATES[name].description,
+    messageKeys: getTemplateMessageKeys(name)
+  }));
+};
+
+/**
+ * Sample data used to preview a template
+ * @param {string} name - Template name
+ * @returns {object|null} Sample data
+ */
+const getSampleData = (name) => (TEMPLATES[name] ? { ...TEMPLATES[name].sample } : null);
+
+module.exports = {
+  COMMON_MESSAGES,
+  TEMPLATE_NAMES: Object.keys(TEMPLATES),
+  renderEmail,
+  listTemplates,
+  getSampleData,
+  getTemplateMessageKeys
+};
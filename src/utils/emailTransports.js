@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Rough plaintext rendering of an HTML body for logs
+const htmlToText = (html = '') => {
+  return html
+    .replace(/<style[\s\S]*?<\/style>/gi, '')
+    .replace(/<a [^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<(br|\/p|\/div|\/h[1-6]|\/li)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+};
+
+// Resend (https://resend.com)
+const createResendTransport = () => {
+  const { Resend } = require('resend');
+
+  if (!process.env.RESEND_API_KEY) {
+    throw new Error('RESEND_API_KEY must be configured for the resend email transport');
+  }
+
+  const resend = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    send: async (message) => {
+      const { data, error } = await resend.emails.send(message);
+      if (error) {
+        throw new Error(error.message || JSON.stringify(error));
+      }
+      return { id: data && data.id };
+    }
+  };
+};
+
+// SendGrid (https://sendgrid.com)
+const createSendgridTransport = () => {
+  const sgMail = require('@sendgrid/mail');
+
+  if (!process.env.SENDGRID_API_KEY) {
+    throw new Error('SENDGRID_API_KEY must be configured for the sendgrid email transport');
+  }
+
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+  return {
+    name: 'sendgrid',
+    send: async (message) => {
+      const [response] = await sgMail.send({
+        to: message.to,
+        from: message.from,
+        subject: message.subject,
+        html: message.html,
+        ...(message.text && { text: message.text })
+      });
+      return { id: response && response.headers ? response.headers['x-message-id'] : undefined };
+    }
+  };
+};
+
+// Writes every message to a JSON file (local development and tests)
+const createFileTransport = () => {
+  const directory = path.resolve(process.env.EMAIL_FILE_DIR || 'temp/emails');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(directory, `${id}.json`),
+        JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+      );
+      return { id };
+    }
+  };
+};
+
+// Prints messages to the console (default when no provider is configured)
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Email (console transport):');
+    console.log(`To: ${message.to.join(', ')}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text || htmlToText(message.html));
+    return { id: `console-${Date.now()}` };
+  }
+});
+
+const TRANSPORTS = {
+  resend: createResendTransport,
+  sendgrid: createSendgridTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport;
+
+/**
+ * Get the email transport selected by EMAIL_TRANSPORT
+ * (resend, sendgrid, file or console). Without it, Resend is used when
+ * RESEND_API_KEY is set and the console otherwise.
+ * @returns {{ name: string, send: Function }}
+ */
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = (process.env.EMAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : 'console')).toLowerCase();
+
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Must be one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+
+  transport = TRANSPORTS[name]();
+  return transport;
+};
+
+module.exports = {
+  getTransport,
+  htmlToText
+};
@@ -0,0 +1,123 @@
+const { generatePurposeToken, verifyPurposeToken } = require('./jwt');
+const { getApiBaseUrl } = require('./credentials');
+const { getSignedDownloadUrl } = require('./cloudinary');
+
+const EVIDENCE_LINK_PURPOSE = 'evidence';
+// Lifetime of the links verifiers get to pinned documents
+const EVIDENCE_LINK_TTL = process.env.EVIDENCE_LINK_EXPIRES_IN || '15m';
+const MAX_EVIDENCE = 10;
+// Lifetime of the download URL an evidence link redirects to
+const EVIDENCE_DOWNLOAD_TTL_SECONDS = 5 * 60;
+
+// Last path segment of a file URL, for display
+const getFileName = (url) => {
+  const name = url.split('?')[0].split('/').pop();
+  try {
+    return decodeURIComponent(name);
+  } catch (error) {
+    return name;
+  }
+};
+
+/**
+ * Attachment URLs of an experience, education entry or project
+ * @param {string} itemType - EXPERIENCE, EDUCATION or PROJECT
+ * @param {object} item - Item document
+ * @returns {string[]}
+ */
+const getItemAttachments = (itemType, item) => {
+  if (!item.attachments) return [];
+
+  if (itemType.toUpperCase() === 'PROJECT') {
+    const { images = [], videos = [], documents = [] } = item.attachments;
+    return [...documents, ...images, ...videos];
+  }
+
+  return [...item.attachments];
+};
+
+/**
+ * Validate the attachments a student pins as evidence for a verification request
+ * @param {string} itemType - EXPERIENCE, EDUCATION or PROJECT
+ * @param {object} item - Item document
+ * @param {Array} input - Attachment URLs or { url, label }
+ * @param {string[]} [alreadyPinned] - URLs pinned earlier, skipped when given again
+ * @returns {object} { evidence: [{ url, label }] } or { error }
+ */
+const resolveEvidence = (itemType, item, input, alreadyPinned = []) => {
+  if (input === undefined || input === null) return { evidence: [] };
+
+  if (!Array.isArray(input)) {
+    return { error: 'evidence must be an array of attachment URLs or { url, label }' };
+  }
+
+  const attachments = getItemAttachments(itemType, item);
+  const evidence = [];
+
+  for (const entry of input) {
+    const url = entry && typeof entry === 'object' ? entry.url : entry;
+    const label = entry && typeof entry === 'object' && entry.label ? String(entry.label).trim().slice(0, 200) : undefined;
+
+    if (typeof url !== 'string' || !attachments.includes(url)) {
+      return { error: `Evidence must be one of the item's attachments: ${url}` };
+    }
+
+    if (alreadyPinned.includes(url) || evidence.some(pinned => pinned.url === url)) continue;
+    evidence.push({ url, ...(label && { label }) });
+  }
+
+  if (alreadyPinned.length + evidence.length > MAX_EVIDENCE) {
+    return { error: `At most ${MAX_EVIDENCE} documents can be pinned as evidence` };
+  }
+
+  return { evidence };
+};
+
+/**
+ * Pinned evidence of a request with signed, time-limited links in place of the file URLs
+ * @param {object} verification - Verification document
+ * @returns {object[]} [{ _id, label, fileName, link, pinnedAt, notes }]
+ */
+const describeEvidence = (verification) => {
+  return (verification.evidence || []).map(document => ({
+    _id: document._id,
+    label: document.label,
+    fileName: getFileName(document.url),
+    link: `${getApiBaseUrl()}/api/verify/evidence/${generatePurposeToken(
+      EVIDENCE_LINK_PURPOSE,
+      { verificationId: String(verification._id), evidenceId: String(document._id) },
+      EVIDENCE_LINK_TTL
+    )}`,
+    pinnedAt: document.pinnedAt,
+    notes: document.notes
+  }));
+};
+
+/**
+ * Read a signed evidence link
+ * @param {string} token - Token from the link
+ * @returns {object} { verificationId, evidenceId }; throws when invalid or expired
+ */
+const verifyEvidenceLink = (token) => {
+  const { verificationId, evidenceId } = verifyPurposeToken(token, EVIDENCE_LINK_PURPOSE);
+  return { verificationId, evidenceId };
+};
+
+/**
+ * Where an opened evidence link sends the verifier: uploaded files get a signed download URL
+ * that expires, links to other sites are passed on as they are
+ * @param {object} document - Evidence entry of a Verification
+ * @returns {string}
+ */
+const getEvidenceDownloadUrl = (document) => {
+  return getSignedDownloadUrl(document.url, EVIDENCE_DOWNLOAD_TTL_SECONDS) || document.url;
+};
+
+module.exports = {
+  MAX_EVIDENCE,
+  getItemAttachments,
+  resolveEvidence,
+  describeEvidence,
+  verifyEvidenceLink,
+  getEvidenceDownloadUrl
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '../locales');
+const DEFAULT_LOCALE = 'en';
+
+// Every <locale>.json in src/locales is a message catalog
+const catalogs = fs.readdirSync(LOCALES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .reduce((loaded, file) => {
+    loaded[path.basename(file, '.json')] = require(path.join(LOCALES_DIR, file));
+    return loaded;
+  }, {});
+
+const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// Map a requested locale (e.g. "hi-IN") to a supported one
+const normalizeLocale = (locale) => {
+  if (!locale || typeof locale !== 'string') return DEFAULT_LOCALE;
+
+  const requested = locale.toLowerCase().trim();
+  if (catalogs[requested]) return requested;
+
+  const language = requested.split(/[-_]/)[0];
+  return catalogs[language] ? language : DEFAULT_LOCALE;
+};
+
+// Replace {{name}} placeholders with values
+const interpolate = (message, vars = {}) => {
+  return message.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    return vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match;
+  });
+};
+
+const lookup = (catalog, key) => {
+  return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalog);
+};
+
+/**
+ * Translate a catalog key, falling back to the default locale
+ * @param {string} locale - Requested locale
+ * @param {string} key - Dot separated key (e.g. "templates.WELCOME_CREDENTIALS.subject")
+ * @param {object} [vars] - Values for {{placeholders}}
+ * @returns {string} Translated message, or the key itself when it is missing everywhere
+ */
+const translate = (locale, key, vars) => {
+  let message = lookup(catalogs[normalizeLocale(locale)], key);
+
+  if (typeof message !== 'string') {
+    message = lookup(catalogs[DEFAULT_LOCALE], key);
+  }
+
+  return typeof message === 'string' ? interpolate(message, vars) : key;
+};
+
+/**
+ * Get the raw messages stored under a key in the default catalog
+ * @param {string} key - Dot separated key (e.g. "templates.NOTIFICATION")
+ * @returns {object} Messages, or an empty object
+ */
+const getMessages = (key) => {
+  const messages = lookup(catalogs[DEFAULT_LOCALE], key);
+  return messages && typeof messages === 'object' ? messages : {};
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  interpolate,
+  translate,
+  getMessages
+};
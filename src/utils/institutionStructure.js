@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Department = require('../models/Department');
+const Program = require('../models/Program');
+const Cohort = require('../models/Cohort');
+
+const PLACEMENT_LEVELS = ['department', 'program', 'cohort'];
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value) && String(new mongoose.Types.ObjectId(value)) === String(value);
+
+// Find a department, program or cohort of the institution by ID or code
+const findUnit = async (Model, institution, value) => {
+  const reference = String(value).trim();
+  const query = isObjectId(reference) ? { _id: reference } : { code: reference.toUpperCase() };
+  return Model.findOne({ ...query, institution });
+};
+
+/**
+ * Resolve where a user sits in the institution. The deepest level with a value decides:
+ * its parents are filled in and the levels below it are cleared.
+ * @param {string} institution - Institution name
+ * @param {object} input - { department, program, cohort } as IDs or codes; null or '' clears
+ * @returns {Promise<object>} { placement: { department, program, cohort } } ({} when nothing given) or { error }
+ */
+const resolvePlacement = async (institution, input = {}) => {
+  if (!PLACEMENT_LEVELS.some(level => input[level] !== undefined)) {
+    return { placement: {} };
+  }
+
+  const placement = { department: null, program: null, cohort: null };
+  const deepest = [...PLACEMENT_LEVELS].reverse().find(level => input[level]);
+  if (!deepest) return { placement };
+
+  const value = input[deepest];
+
+  if (deepest === 'cohort') {
+    const cohort = await findUnit(Cohort, institution, value);
+    if (!cohort) return { error: `Cohort not found: ${value}` };
+
+    placement.cohort = cohort._id;
+    placement.program = cohort.program;
+    placement.department = cohort.department;
+  } else if (deepest === 'program') {
+    const program = await findUnit(Program, institution, value);
+    if (!program) return { error: `Program not found: ${value}` };
+
+    placement.program = program._id;
+    placement.department = program.department;
+  } else {
+    const department = await findUnit(Department, institution, value);
+    if (!department) return { error: `Department not found: ${value}` };
+
+    placement.department = department._id;
+  }
+
+  // Parents given alongside must agree with the deepest level
+  for (const level of PLACEMENT_LEVELS.slice(0, PLACEMENT_LEVELS.indexOf(deepest))) {
+    if (!input[level]) continue;
+
+    const Model = level === 'department' ? Department : Program;
+    const unit = await findUnit(Model, institution, input[level]);
+    if (!unit || !unit._id.equals(placement[level])) {
+      return { error: `The ${deepest} does not belong to ${level} ${input[level]}` };
+    }
+  }
+
+  return { placement };
+};
+
+/**
+ * User query conditions for department/program/cohort filters from query parameters
+ * (as ObjectIds, so they can be used in aggregation $match stages too)
+ * @param {object} params - { department, program, cohort } (IDs)
+ * @returns {object} { filter } or { error }
+ */
+const buildPlacementFilter = (params) => {
+  const filter = {};
+
+  for (const level of PLACEMENT_LEVELS) {
+    if (!params[level]) continue;
+
+    if (params[level] === 'none') {
+      filter[level] = null;
+    } else if (isObjectId(params[level])) {
+      filter[level] = new mongoose.Types.ObjectId(params[level]);
+    } else {
+      return { error: `Invalid ${level} ID` };
+    }
+  }
+
+  return { filter };
+};
+
+/**
+ * Departments, programs and cohorts of an institution as a tree
+ * @param {string} institution - Institution name
+ * @returns {Promise<object[]>} Departments with their programs, each with its cohorts
+ */
+const getStructureTree = async (institution) => {
+  const [departments, programs, cohorts] = await Promise.all([
+    Department.find({ institution }).sort({ name: 1 }).lean(),
+    Program.find({ institution }).sort({ name: 1 }).lean(),
+    Cohort.find({ institution }).sort({ startYear: -1, name: 1 }).lean()
+  ]);
+
+  return departments.map(department => ({
+    ...department,
+    programs: programs
+      .filter(program => program.department.equals(department._id))
+      .map(program => ({
+        ...program,
+        cohorts: cohorts.filter(cohort => cohort.program.equals(program._id))
+      }))
+  }));
+};
+
+module.exports = {
+  PLACEMENT_LEVELS,
+  resolvePlacement,
+  buildPlacementFilter,
+  getStructureTree
+};
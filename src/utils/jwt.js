@@ -7,7 +7,41 @@ const generateToken = (payload) => {
 };
 
 const verifyToken = (token) => {
-  return jwt.verify(token, process.env.JWT_SECRET);
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Single-purpose tokens (email confirmation, password reset) are not access tokens
+  if (decoded.purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign a short-lived token that is only accepted for one purpose
+ * @param {string} purpose - e.g. 'email-confirm' or 'password-reset'
+ * @param {object} payload - Claims to include
+ * @param {string} expiresIn - Lifetime (e.g. '1h')
+ * @returns {string} Signed token
+ */
+const generatePurposeToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, process.env.JWT_SECRET, { expiresIn });
+};
+
+/**
+ * Verify a token made by generatePurposeToken
+ * @param {string} token - Signed token
+ * @param {string} purpose - Expected purpose
+ * @returns {object} Decoded claims
+ */
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('invalid token purpose');
+  }
+
+  return decoded;
 };
 
 const generateVerificationToken = () => {
@@ -18,5 +52,7 @@ const generateVerificationToken = () => {
 module.exports = {
   generateToken,
   verifyToken,
+  generatePurposeToken,
+  verifyPurposeToken,
   generateVerificationToken
-};
\ No newline at end of file
+};
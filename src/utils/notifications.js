@@ -0,0 +1,125 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendNotificationEmail, sendNotificationDigestEmail } = require('./email');
+
+// Notification type -> key in User.notificationPreferences
+const NOTIFICATION_EVENTS = {
+  VERIFICATION_REQUESTED: 'verificationRequested',
+  VERIFICATION_DECIDED: 'verificationDecided',
+  ASSOCIATION_RESPONDED: 'associationResponded',
+  ROLE_CHANGED: 'roleChanged'
+};
+
+const EMAIL_DELIVERY_OPTIONS = ['IMMEDIATE', 'DAILY_DIGEST', 'NONE'];
+
+// Resolve a user's preference for an event, falling back to the defaults
+const getPreference = (user, type) => {
+  const preferences = (user.notificationPreferences || {})[NOTIFICATION_EVENTS[type]] || {};
+
+  return {
+    inApp: preferences.inApp !== false,
+    email: EMAIL_DELIVERY_OPTIONS.includes(preferences.email) ? preferences.email : 'IMMEDIATE'
+  };
+};
+
+/**
+ * Notify a user about an event according to their preferences:
+ * stores an inbox entry, sends the email now, or queues it for the daily digest
+ * @param {object} params
+ * @param {string} params.userId - Recipient user ID
+ * @param {string} params.type - One of NOTIFICATION_EVENTS
+ * @param {string} params.title - Short headline
+ * @param {string} params.message - Notification text
+ * @param {string} [params.link] - Frontend path the notification points to
+ * @param {object} [params.data] - Extra details for the client
+ * @param {Function} [params.sendEmail] - Sends the event's dedicated email; receives the user and resolves to a boolean
+ * @returns {Promise<object|null>} Saved Notification, or null when nothing was stored
+ */
+const notify = async ({ userId, type, title, message, link, data = {}, sendEmail }) => {
+  try {
+    if (!NOTIFICATION_EVENTS[type]) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const user = await User.findById(userId).select('name email notificationPreferences');
+    if (!user) return null;
+
+    const preference = getPreference(user, type);
+    let emailStatus = preference.email === 'DAILY_DIGEST' ? 'PENDING_DIGEST' : 'NOT_REQUIRED';
+
+    if (preference.email === 'IMMEDIATE') {
+      const sent = sendEmail
+        ? await sendEmail(user)
+        : await sendNotificationEmail(user.email, title, message, link);
+      emailStatus = sent ? 'SENT' : 'FAILED';
+    }
+
+    // Nothing to keep when the user wants neither an inbox entry nor a digest
+    if (!preference.inApp && emailStatus !== 'PENDING_DIGEST') {
+      return null;
+    }
+
+    return await new Notification({
+      userId: user._id,
+      type,
+      title,
+      message,
+      link,
+      data,
+      inApp: preference.inApp,
+      emailDelivery: preference.email,
+      emailStatus
+    }).save();
+  } catch (error) {
+    console.warn('Failed to deliver notification:', error);
+    return null;
+  }
+};
+
+/**
+ * Email every user their queued digest notifications in a single message
+ * @returns {Promise<object>} { users, notifications, failed }
+ */
+const sendDailyDigests = async () => {
+  const pending = await Notification.find({ emailStatus: 'PENDING_DIGEST' }).sort({ createdAt: 1 });
+
+  const byUser = new Map();
+  pending.forEach(notification => {
+    const key = notification.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(notification);
+  });
+
+  const result = { users: 0, notifications: 0, failed: 0 };
+
+  for (const [userId, notifications] of byUser) {
+    const ids = notifications.map(notification => notification._id);
+    const user = await User.findById(userId).select('name email');
+
+    if (!user) {
+      await Notification.updateMany({ _id: { $in: ids } }, { emailStatus: 'NOT_REQUIRED' });
+      continue;
+    }
+
+    const sent = await sendNotificationDigestEmail(user.email, user.name, notifications);
+
+    if (sent) {
+      await Notification.updateMany({ _id: { $in: ids } }, { emailStatus: 'SENT', digestedAt: new Date() });
+      result.users += 1;
+      result.notifications += notifications.length;
+    } else {
+      // Leave them queued so the next digest run retries
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  EMAIL_DELIVERY_OPTIONS,
+  getPreference,
+  notify,
+  sendDailyDigests
+};
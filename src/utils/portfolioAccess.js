@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const PortfolioShareLink = require('../models/PortfolioShareLink');
+const PortfolioAccessLog = require('../models/PortfolioAccessLog');
+const { hashToken, getClientInfo } = require('./sessions');
+const { getPortfolioUrl } = require('./portfolioContent');
+
+const DEFAULT_SHARE_LINK_DAYS = 14;
+const MAX_SHARE_LINK_DAYS = 90;
+const MAX_ACTIVE_SHARE_LINKS = 20;
+
+const SHARE_LINK_ERRORS = {
+  REVOKED: { code: 'SHARE_LINK_REVOKED', message: 'This share link has been revoked' },
+  EXPIRED: { code: 'SHARE_LINK_EXPIRED', message: 'This share link has expired' },
+  UNKNOWN: { code: 'SHARE_LINK_INVALID', message: 'This share link is not valid' }
+};
+
+// Address of a portfolio opened through a share link
+const getShareLinkUrl = (user, token) => `${getPortfolioUrl(user)}?share=${encodeURIComponent(token)}`;
+
+/**
+ * Create a share link to a user's portfolio
+ * @param {object} user - Portfolio owner
+ * @param {object} options - { label, recipientEmail, expiresInDays }
+ * @returns {Promise<object>} { link, token, url } or { error, errors? }; the token is only available here
+ */
+const createShareLink = async (user, { label, recipientEmail, expiresInDays } = {}) => {
+  const days = expiresInDays === undefined || expiresInDays === null
+    ? DEFAULT_SHARE_LINK_DAYS
+    : Number(expiresInDays);
+
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_LINK_DAYS) {
+    return { error: `expiresInDays must be a whole number between 1 and ${MAX_SHARE_LINK_DAYS}` };
+  }
+
+  const activeLinks = await PortfolioShareLink.countDocuments({
+    userId: user._id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (activeLinks >= MAX_ACTIVE_SHARE_LINKS) {
+    return { error: `You can have at most ${MAX_ACTIVE_SHARE_LINKS} active share links. Revoke one first.` };
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const link = new PortfolioShareLink({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    label,
+    recipientEmail: recipientEmail || undefined,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  const invalid = link.validateSync();
+  if (invalid) {
+    return { error: 'Validation error', errors: Object.values(invalid.errors).map(error => error.message) };
+  }
+
+  await link.save();
+
+  return { link, token, url: getShareLinkUrl(user, token) };
+};
+
+const recordShareLinkAccess = async (req, shareLink, resource) => {
+  const { ip, userAgent } = getClientInfo(req);
+  const accessedAt = new Date();
+
+  await Promise.all([
+    PortfolioAccessLog.create({
+      shareLinkId: shareLink._id,
+      userId: shareLink.userId,
+      resource,
+      viewerId: req.user ? req.user._id : undefined,
+      ip,
+      userAgent,
+      accessedAt
+    }),
+    PortfolioShareLink.updateOne(
+      { _id: shareLink._id },
+      { $inc: { accessCount: 1 }, $set: { lastAccessedAt: accessedAt } }
+    )
+  ]);
+};
+
+/**
+ * Decide whether the requester may see a portfolio, following its visibility:
+ * PUBLIC for everyone, INSTITUTE_ONLY for signed-in members of the owner's institute,
+ * UNLISTED only through a share link, PRIVATE for nobody. The owner always gets in.
+ * A valid ?share= token also opens INSTITUTE_ONLY portfolios and is logged.
+ * @param {object} req - Express request, with req.user when signed in (optionalAuth)
+ * @param {object} user - Portfolio owner, with portfolioSettings and institute selected
+ * @param {object} [options]
+ * @param {string} [options.resource] - PORTFOLIO, PDF or EXPORT to log share link use; omit to not log
+ * @returns {Promise<object>} { allowed: true } or { allowed: false, status, message, code? }
+ */
+const checkPortfolioAccess = async (req, user, { resource } = {}) => {
+  const visibility = (user.portfolioSettings && user.portfolioSettings.visibility) || 'PUBLIC';
+
+  if (req.user && req.user._id.equals(user._id)) {
+    return { allowed: true };
+  }
+
+  if (visibility === 'PRIVATE') {
+    return { allowed: false, status: 403, message: 'This portfolio is private' };
+  }
+
+  const shareToken = typeof req.query.share === 'string' ? req.query.share : null;
+  let shareLinkStatus = null;
+
+  if (shareToken) {
+    const shareLink = await PortfolioShareLink.findOne({ tokenHash: hashToken(shareToken), userId: user._id });
+    shareLinkStatus = shareLink ? shareLink.getStatus() : 'UNKNOWN';
+
+    if (shareLinkStatus === 'ACTIVE') {
+      if (resource) {
+        await recordShareLinkAccess(req, shareLink, resource);
+      }
+      return { allowed: true };
+    }
+  }
+
+  if (visibility === 'PUBLIC') {
+    return { allowed: true };
+  }
+
+  const sameInstitute = req.user && req.user.institute && req.user.institute === user.institute;
+  if (visibility === 'INSTITUTE_ONLY' && sameInstitute) {
+    return { allowed: true };
+  }
+
+  if (shareLinkStatus) {
+    return { allowed: false, status: 403, ...SHARE_LINK_ERRORS[shareLinkStatus] };
+  }
+
+  if (visibility === 'INSTITUTE_ONLY') {
+    return req.user
+      ? { allowed: false, status: 403, code: 'INSTITUTE_ONLY', message: 'This portfolio is only visible to members of the same institute' }
+      : { allowed: false, status: 401, code: 'SIGN_IN_REQUIRED', message: 'Sign in to view this portfolio' };
+  }
+
+  // Unlisted portfolios do not admit to existing without a link
+  return { allowed: false, status: 404, message: 'Portfolio not found' };
+};
+
+module.exports = {
+  DEFAULT_SHARE_LINK_DAYS,
+  MAX_SHARE_LINK_DAYS,
+  MAX_ACTIVE_SHARE_LINKS,
+  createShareLink,
+  checkPortfolioAccess
+};
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const maxmind = require('maxmind');
+const PortfolioViewEvent = require('../models/PortfolioViewEvent');
+const PortfolioViewRollup = require('../models/PortfolioViewRollup');
+const Project = require('../models/Project');
+const { getClientInfo } = require('./sessions');
+
+const DEFAULT_ANALYTICS_DAYS = 30;
+const MAX_ANALYTICS_DAYS = 365;
+const TOP_ENTRIES = 10;
+const MAX_ROLLUP_ENTRIES = 50; // Per list and day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Crawlers, link previews and scripts are not visitors
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|curl|wget|python-requests|axios/i;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+const startOfDay = (day) => new Date(`${day}T00:00:00.000Z`);
+
+let geoReader = null;
+
+// The GeoLite2 Country (or City) database is a local file; without it views have no country
+const getGeoReader = () => {
+  if (!process.env.GEOIP_DATABASE_PATH) return Promise.resolve(null);
+
+  if (!geoReader) {
+    geoReader = maxmind.open(process.env.GEOIP_DATABASE_PATH).catch(error => {
+      console.warn(`GeoIP database could not be opened, views are recorded without country: ${error.message}`);
+      return null;
+    });
+  }
+
+  return geoReader;
+};
+
+const lookupCountry = async (ip) => {
+  const address = String(ip || '').replace(/^::ffff:/, '');
+  if (!maxmind.validate(address)) return undefined;
+
+  const reader = await getGeoReader();
+  const result = reader && reader.get(address);
+  return (result && result.country && result.country.iso_code) || undefined;
+};
+
+// Same visitor, same portfolio, same day gives the same ID; it cannot be linked across days or portfolios
+const getVisitorId = ({ ip, userAgent }, ownerId, day) => {
+  const salt = process.env.ANALYTICS_SALT || process.env.JWT_SECRET || '';
+  return crypto.createHmac('sha256', salt).update(`${day}|${ownerId}|${ip}|${userAgent}`).digest('hex').substring(0, 16);
+};
+
+const getHost = (value) => {
+  try {
+    return new URL(value).hostname.replace(/^www\./, '') || undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// The frontend forwards document.referrer in X-Page-Referrer; the Referer of an API call is
+// usually the frontend page itself, so it only counts when it points elsewhere
+const getReferrerHost = (req) => {
+  if (req.headers['x-page-referrer']) {
+    return getHost(req.headers['x-page-referrer']);
+  }
+
+  const host = getHost(req.headers.referer);
+  return host && host !== getHost(process.env.FRONTEND_URL || 'http://localhost:3001') ? host : undefined;
+};
+
+const hasOptedOut = (req) => req.headers.dnt === '1' || req.headers['sec-gpc'] === '1';
+
+/**
+ * Record a read of a portfolio or one of its projects. Reads by the owner and by crawlers are not counted.
+ * Visitors sending DNT or GPC are counted without visitor ID, referrer, country or institution.
+ * @param {object} req - Express request, with req.user when signed in (optionalAuth)
+ * @param {object} options
+ * @param {object} options.ownerId - Owner of the portfolio
+ * @param {object} [options.projectId] - Set for a project read
+ * @returns {Promise<void>}
+ */
+const recordPortfolioView = async (req, { ownerId, projectId } = {}) => {
+  if (req.user && req.user._id.equals(ownerId)) return;
+
+  const client = getClientInfo(req);
+  if (!client.userAgent || BOT_PATTERN.test(client.userAgent)) return;
+
+  const occurredAt = new Date();
+  const event = {
+    userId: ownerId,
+    kind: projectId ? 'PROJECT' : 'PORTFOLIO',
+    projectId,
+    occurredAt
+  };
+
+  if (!hasOptedOut(req)) {
+    event.visitorId = getVisitorId(client, ownerId, toDay(occurredAt));
+    event.referrerHost = getReferrerHost(req);
+    event.country = await lookupCountry(client.ip);
+    event.viewerInstitute = (req.user && req.user.institute) || undefined;
+  }
+
+  await PortfolioViewEvent.create(event);
+};
+
+const countValues = (values) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+
+  return [...counts]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_ROLLUP_ENTRIES);
+};
+
+// Daily figures per user, counted from raw events between from (inclusive) and to (exclusive)
+const aggregateViewEvents = async (match, from, to) => {
+  const groups = await PortfolioViewEvent.aggregate([
+    { $match: { ...match, occurredAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: {
+          userId: '$userId',
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$occurredAt' } }
+        },
+        views: { $sum: 1 },
+        portfolioViews: { $sum: { $cond: [{ $eq: ['$kind', 'PORTFOLIO'] }, 1, 0] } },
+        projectViews: { $sum: { $cond: [{ $eq: ['$kind', 'PROJECT'] }, 1, 0] } },
+        visitors: { $addToSet: '$visitorId' },
+        referrers: { $push: '$referrerHost' },
+        countries: { $push: '$country' },
+        institutions: { $push: '$viewerInstitute' },
+        projects: { $push: '$projectId' }
+      }
+    }
+  ]);
+
+  return groups.map(group => ({
+    userId: group._id.userId,
+    day: group._id.day,
+    views: group.views,
+    portfolioViews: group.portfolioViews,
+    projectViews: group.projectViews,
+    uniqueVisitors: group.visitors.filter(Boolean).length,
+    referrers: countValues(group.referrers),
+    countries: countValues(group.countries),
+    institutions: countValues(group.institutions),
+    projects: countValues(group.projects)
+  }));
+};
+
+// First day not yet completely rolled up: the day of the latest rollup, which may have been partial
+const getRollupFrontier = async () => {
+  const latest = await PortfolioViewRollup.findOne().sort({ day: -1 }).select('day');
+  return latest ? startOfDay(latest.day) : null;
+};
+
+/**
+ * Build daily rollups from raw view events. Whole days are recomputed, so running it again is safe.
+ * @param {object} [options]
+ * @param {Date} [options.since] - First day to recompute; defaults to the day of the latest rollup
+ * @returns {Promise<object>} { from, rollups }
+ */
+const rollupPortfolioViews = async ({ since } = {}) => {
+  let from = since ? startOfDay(toDay(since)) : await getRollupFrontier();
+
+  if (!from) {
+    const oldest = await PortfolioViewEvent.findOne().sort({ occurredAt: 1 }).select('occurredAt');
+    from = startOfDay(toDay(oldest ? oldest.occurredAt : new Date()));
+  }
+
+  const to = new Date(startOfDay(toDay(new Date())).getTime() + DAY_MS);
+  const rollups = await aggregateViewEvents({}, from, to);
+
+  if (rollups.length > 0) {
+    await PortfolioViewRollup.bulkWrite(rollups.map(({ userId, day, ...figures }) => ({
+      updateOne: {
+        filter: { userId, day },
+        update: { $set: figures },
+        upsert: true
+      }
+    })));
+  }
+
+  return { from: toDay(from), rollups: rollups.length };
+};
+
+// Sum keyed counts over several days and keep the largest
+const mergeCounts = (entries, field) => {
+  const totals = new Map();
+  entries.forEach(entry => entry[field].forEach(({ key, count }) => totals.set(key, (totals.get(key) || 0) + count)));
+
+  return [...totals]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, TOP_ENTRIES);
+};
+
+/**
+ * View analytics of a user's portfolio over the last days, today included.
+ * Days that are rolled up come from PortfolioViewRollup, the rest is counted from raw events.
+ * @param {object} userId - Portfolio owner
+ * @param {number} days - Number of days
+ * @returns {Promise<object>} { range, totals, timeSeries, topReferrers, countries, institutions, topProjects }
+ */
+const getPortfolioAnalytics = async (userId, days) => {
+  const today = toDay(new Date());
+  const from = new Date(startOfDay(today).getTime() - (days - 1) * DAY_MS);
+  const to = new Date(startOfDay(today).getTime() + DAY_MS);
+  const frontier = await getRollupFrontier();
+  const liveFrom = frontier && frontier > from ? frontier : from;
+
+  const [rollups, live] = await Promise.all([
+    PortfolioViewRollup.find({ userId, day: { $gte: toDay(from), $lt: toDay(liveFrom) } }),
+    aggregateViewEvents({ userId }, liveFrom, to)
+  ]);
+
+  const byDay = new Map([...rollups, ...live].map(entry => [entry.day, entry]));
+  const entries = [...byDay.values()];
+
+  const timeSeries = [];
+  for (let time = from.getTime(); time < to.getTime(); time += DAY_MS) {
+    const day = toDay(new Date(time));
+    const entry = byDay.get(day);
+
+    timeSeries.push({
+      date: day,
+      views: entry ? entry.views : 0,
+      portfolioViews: entry ? entry.portfolioViews : 0,
+      projectViews: entry ? entry.projectViews : 0,
+      uniqueVisitors: entry ? entry.uniqueVisitors : 0
+    });
+  }
+
+  const totals = ['views', 'portfolioViews', 'projectViews', 'uniqueVisitors'].reduce((sums, field) => ({
+    ...sums,
+    [field]: timeSeries.reduce((sum, point) => sum + point[field], 0)
+  }), {});
+
+  const topProjectCounts = mergeCounts(entries, 'projects');
+  const projects = await Project.find({ _id: { $in: topProjectCounts.map(({ key }) => key) }, userId })
+    .select('title');
+  const titles = new Map(projects.map(project => [String(project._id), project.title]));
+
+  return {
+    range: { from: toDay(from), to: today, days },
+    totals,
+    timeSeries,
+    topReferrers: mergeCounts(entries, 'referrers').map(({ key, count }) => ({ host: key, views: count })),
+    countries: mergeCounts(entries, 'countries').map(({ key, count }) => ({ country: key, views: count })),
+    institutions: mergeCounts(entries, 'institutions').map(({ key, count }) => ({ institute: key, views: count })),
+    topProjects: topProjectCounts.map(({ key, count }) => ({
+      projectId: key,
+      title: titles.get(key) || null,
+      views: count
+    }))
+  };
+};
+
+module.exports = {
+  DEFAULT_ANALYTICS_DAYS,
+  MAX_ANALYTICS_DAYS,
+  recordPortfolioView,
+  rollupPortfolioViews,
+  getPortfolioAnalytics
+};
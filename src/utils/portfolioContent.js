@@ -0,0 +1,80 @@
+const Experience = require('../models/Experience');
+const Education = require('../models/Education');
+const Project = require('../models/Project');
+
+const DEFAULT_SECTIONS = {
+  showExperiences: true,
+  showEducation: true,
+  showProjects: true,
+  showGithubRepos: true,
+  showBio: true,
+  showInstitute: true
+};
+
+const DEFAULT_CONTACT_VISIBILITY = {
+  email: true,
+  phone: false,
+  linkedinUrl: true,
+  githubUsername: true
+};
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3001').replace(/\/$/, '');
+
+// Link to the live portfolio page of a user, by slug when they claimed one
+const getPortfolioUrl = (user) => `${getFrontendUrl()}/portfolio/${user.portfolioSlug || user._id}`;
+
+/**
+ * What a user's public portfolio shows, for exports (PDF, resume formats).
+ * Honors portfolioSettings.sections and contactVisibility like GET /api/portfolio/:userId:
+ * verified experiences and education, public projects, visible contact details.
+ * @param {object} user - User with portfolioSettings, contactInfo and contactVisibility selected
+ * @param {object} [options]
+ * @param {boolean} [options.includeAll] - The owner's own copy: every item and contact detail, ignoring the settings
+ * @returns {Promise<object>} { profile: { name, bio, institute, contact }, experiences, education, projects }
+ */
+const getPortfolioContent = async (user, { includeAll = false } = {}) => {
+  const sections = includeAll
+    ? DEFAULT_SECTIONS
+    : { ...DEFAULT_SECTIONS, ...(user.portfolioSettings?.sections?.toObject?.() || user.portfolioSettings?.sections) };
+  const visibility = includeAll
+    ? { email: true, phone: true, linkedinUrl: true, githubUsername: true }
+    : { ...DEFAULT_CONTACT_VISIBILITY, ...(user.contactVisibility?.toObject?.() || user.contactVisibility) };
+  const published = includeAll ? {} : { isPublic: true };
+
+  const contact = {};
+  if (visibility.email && user.email) contact.email = user.email;
+  if (visibility.phone && user.contactInfo?.phone) contact.phone = user.contactInfo.phone;
+  if (visibility.linkedinUrl && user.contactInfo?.linkedinUrl) contact.linkedinUrl = user.contactInfo.linkedinUrl;
+  if (visibility.githubUsername && user.githubUsername) contact.githubUsername = user.githubUsername;
+
+  const [experiences, education, projects] = await Promise.all([
+    sections.showExperiences
+      ? Experience.find({ userId: user._id, ...published, ...(!includeAll && { verified: true }) }).sort({ startDate: -1 })
+      : [],
+    sections.showEducation
+      ? Education.find({ userId: user._id, ...published, ...(!includeAll && { verified: true }) }).sort({ passingYear: -1, createdAt: -1 })
+      : [],
+    sections.showProjects
+      ? Project.find({ userId: user._id, ...published }).sort({ verified: -1, createdAt: -1 })
+      : []
+  ]);
+
+  return {
+    profile: {
+      name: user.name,
+      ...(sections.showBio && user.bio && { bio: user.bio }),
+      ...(sections.showInstitute && user.institute && { institute: user.institute }),
+      contact
+    },
+    experiences,
+    education,
+    projects
+  };
+};
+
+module.exports = {
+  DEFAULT_SECTIONS,
+  DEFAULT_CONTACT_VISIBILITY,
+  getPortfolioUrl,
+  getPortfolioContent
+};
@@ -0,0 +1,341 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// The built-in PDF fonts only cover Latin-1, so names and text in Devanagari (or with
+// other characters outside it) need embedded Unicode fonts; these cover Latin as well
+const FONT_FILES = {
+  Serif: require.resolve('@expo-google-fonts/noto-serif-devanagari/400Regular/NotoSerifDevanagari_400Regular.ttf'),
+  'Serif-Bold': require.resolve('@expo-google-fonts/noto-serif-devanagari/700Bold/NotoSerifDevanagari_700Bold.ttf'),
+  Sans: require.resolve('@expo-google-fonts/noto-sans-devanagari/400Regular/NotoSansDevanagari_400Regular.ttf'),
+  'Sans-Bold': require.resolve('@expo-google-fonts/noto-sans-devanagari/700Bold/NotoSansDevanagari_700Bold.ttf')
+};
+
+// Layouts a portfolio can be downloaded in (?template=)
+const PDF_TEMPLATES = {
+  classic: {
+    description: 'Serif type, centered header',
+    header: 'CENTERED',
+    fonts: { regular: 'Serif', bold: 'Serif-Bold' },
+    colors: { text: '#111827', muted: '#4b5563', accent: '#111827' },
+    sizes: { name: 24, heading: 13, title: 11.5, body: 10.5, small: 8.5 },
+    spacing: 0.8
+  },
+  modern: {
+    description: 'Sans-serif type, colored header band',
+    header: 'BAND',
+    fonts: { regular: 'Sans', bold: 'Sans-Bold' },
+    colors: { text: '#1f2937', muted: '#6b7280', accent: '#2563eb' },
+    sizes: { name: 22, heading: 12, title: 11, body: 10, small: 8 },
+    spacing: 0.8
+  },
+  compact: {
+    description: 'Smaller type and shortened descriptions, to fit on fewer pages',
+    header: 'LEFT',
+    fonts: { regular: 'Sans', bold: 'Sans-Bold' },
+    colors: { text: '#111827', muted: '#6b7280', accent: '#0f766e' },
+    sizes: { name: 18, heading: 10.5, title: 9.5, body: 8.5, small: 7.5 },
+    spacing: 0.4,
+    descriptionLength: 280
+  }
+};
+
+const DEFAULT_PDF_TEMPLATE = 'classic';
+const VERIFIED_COLOR = '#15803d';
+const PAGE_MARGIN = 50;
+const QR_SIZE = 64;
+
+const PROJECT_TYPE_LABELS = {
+  PERSONAL: 'Personal project',
+  ACADEMIC: 'Academic project',
+  PROFESSIONAL: 'Professional project',
+  OPEN_SOURCE: 'Open source',
+  HACKATHON: 'Hackathon',
+  COMPETITION: 'Competition',
+  INTERNSHIP: 'Internship',
+  FREELANCE: 'Freelance',
+  OTHER: 'Project'
+};
+
+const formatMonth = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+const formatPeriod = (start, end, ongoing) => {
+  if (!start) return end ? formatMonth(end) : null;
+  return `${formatMonth(start)} - ${end && !ongoing ? formatMonth(end) : 'Present'}`;
+};
+
+const truncate = (text, length) => {
+  if (!text || !length || text.length <= length) return text;
+  return `${text.slice(0, length).replace(/\s+\S*$/, '')}...`;
+};
+
+const getContentWidth = (doc) => doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+// Start a new page when the next block would not fit
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+};
+
+// Who verified the item and when, shown next to the badge
+const describeVerification = (item) => {
+  const endorsers = (item.endorsements || []).length;
+  const by = item.verifiedBy
+    ? ` by ${item.verifiedBy}${endorsers > 1 ? ` and ${endorsers - 1} other${endorsers > 2 ? 's' : ''}` : ''}`
+    : '';
+  const on = item.verifiedAt ? ` on ${new Date(item.verifiedAt).toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' })}` : '';
+  return `Verified${by}${on}`;
+};
+
+const drawHeader = (doc, theme, profile, qrCode) => {
+  const { fonts, colors, sizes } = theme;
+  const left = doc.page.margins.left;
+  const width = getContentWidth(doc) - QR_SIZE - 12;
+  const top = doc.page.margins.top;
+  const contact = [
+    profile.contact.email,
+    profile.contact.phone,
+    profile.contact.linkedinUrl,
+    profile.contact.githubUsername && `github.com/${profile.contact.githubUsername}`
+  ].filter(Boolean).join('  |  ');
+  const onBand = theme.header === 'BAND';
+  const align = theme.header === 'CENTERED' ? 'center' : 'left';
+
+  if (onBand) {
+    doc.rect(0, 0, doc.page.width, top + QR_SIZE + 20).fill(colors.accent);
+  }
+
+  // The centered layout keeps the name centered on the page, the QR code sits beside it
+  const textLeft = align === 'center' ? left + QR_SIZE + 12 : left;
+  const textWidth = align === 'center' ? width - QR_SIZE - 12 : width;
+
+  doc.font(fonts.bold).fontSize(sizes.name).fillColor(onBand ? '#ffffff' : colors.accent)
+    .text(profile.name, textLeft, top, { width: textWidth, align });
+
+  if (profile.institute) {
+    doc.font(fonts.regular).fontSize(sizes.body).fillColor(onBand ? '#ffffff' : colors.muted)
+      .text(profile.institute, textLeft, doc.y, { width: textWidth, align });
+  }
+
+  if (contact) {
+    doc.font(fonts.regular).fontSize(sizes.small).fillColor(onBand ? '#ffffff' : colors.muted)
+      .text(contact, textLeft, doc.y + 2, { width: textWidth, align });
+  }
+
+  const qrLeft = doc.page.width - doc.page.margins.right - QR_SIZE;
+  doc.image(qrCode, qrLeft, top, { width: QR_SIZE });
+  doc.font(fonts.regular).fontSize(sizes.small - 1).fillColor(onBand ? '#ffffff' : colors.muted)
+    .text('Scan to verify', qrLeft, top + QR_SIZE + 2, { width: QR_SIZE, align: 'center' });
+
+  doc.x = left;
+  doc.y = Math.max(doc.y, top + QR_SIZE + (onBand ? 34 : 14));
+
+  if (profile.bio) {
+    doc.font(fonts.regular).fontSize(sizes.body).fillColor(colors.text)
+      .text(truncate(profile.bio, theme.descriptionLength), left, doc.y, { width: getContentWidth(doc) });
+  }
+};
+
+const drawSectionHeading = (doc, theme, title) => {
+  const { fonts, colors, sizes } = theme;
+  const left = doc.page.margins.left;
+
+  ensureSpace(doc, sizes.heading + 60);
+  doc.moveDown(theme.spacing + 0.4);
+  doc.font(fonts.bold).fontSize(sizes.heading).fillColor(colors.accent)
+    .text(title.toUpperCase(), left, doc.y, { width: getContentWidth(doc), characterSpacing: 1 });
+
+  const ruleY = doc.y + 2;
+  doc.moveTo(left, ruleY).lineTo(left + getContentWidth(doc), ruleY)
+    .lineWidth(theme.header === 'CENTERED' ? 0.75 : 1.5).strokeColor(colors.accent).stroke();
+  doc.y = ruleY + 6;
+};
+
+const drawBadge = (doc, theme, item) => {
+  const { fonts, sizes } = theme;
+  const left = doc.page.margins.left;
+  const top = doc.y + 2;
+  const label = 'VERIFIED';
+
+  doc.font(fonts.bold).fontSize(sizes.small);
+  const badgeWidth = doc.widthOfString(label) + 10;
+  const badgeHeight = sizes.small + 5;
+
+  doc.roundedRect(left, top, badgeWidth, badgeHeight, 3).fill(VERIFIED_COLOR);
+  doc.fillColor('#ffffff').text(label, left + 5, top + 3, { lineBreak: false });
+  doc.font(fonts.regular).fillColor(VERIFIED_COLOR)
+    .text(describeVerification(item), left + badgeWidth + 6, top + 3, { lineBreak: false });
+
+  doc.x = left;
+  doc.y = top + badgeHeight + 3;
+};
+
+const drawEntry = (doc, theme, entry) => {
+  const { fonts, colors, sizes } = theme;
+  const left = doc.page.margins.left;
+  const width = getContentWidth(doc);
+  const periodWidth = 120;
+
+  ensureSpace(doc, sizes.title * 4);
+  const top = doc.y;
+
+  if (entry.period) {
+    doc.font(fonts.regular).fontSize(sizes.small).fillColor(colors.muted)
+      .text(entry.period, left + width - periodWidth, top + 1, { width: periodWidth, align: 'right' });
+  }
+
+  doc.font(fonts.bold).fontSize(sizes.title).fillColor(colors.text)
+    .text(entry.title, left, top, { width: width - periodWidth - 8 });
+
+  // The fonts have no italic, so subtitles are slanted
+  if (entry.subtitle) {
+    doc.font(fonts.regular).fontSize(sizes.body).fillColor(colors.muted)
+      .text(entry.subtitle, left, doc.y, { width, oblique: true });
+  }
+
+  if (entry.item.verified) {
+    drawBadge(doc, theme, entry.item);
+  }
+
+  if (entry.description) {
+    doc.font(fonts.regular).fontSize(sizes.body).fillColor(colors.text)
+      .text(truncate(entry.description, theme.descriptionLength), left, doc.y + 2, { width });
+  }
+
+  entry.details.filter(Boolean).forEach(detail => {
+    doc.font(fonts.regular).fontSize(sizes.small).fillColor(colors.muted)
+      .text(detail, left, doc.y + 1, { width });
+  });
+
+  doc.moveDown(theme.spacing);
+};
+
+const toExperienceEntry = (experience) => ({
+  item: experience,
+  title: experience.title,
+  subtitle: experience.role,
+  period: formatPeriod(experience.startDate, experience.endDate),
+  description: experience.description,
+  details: [experience.tags && experience.tags.length > 0 && experience.tags.join(', ')]
+});
+
+const toEducationEntry = (education) => {
+  const score = education.cgpa !== undefined && education.cgpa !== null
+    ? `CGPA ${education.cgpa}`
+    : education.percentage !== undefined && education.percentage !== null
+      ? `${education.percentage}%`
+      : education.grade && `Grade ${education.grade}`;
+
+  return {
+    item: education,
+    title: education.courseName,
+    subtitle: [education.schoolOrCollege, education.boardOrUniversity].filter(Boolean).join(', '),
+    period: education.isExpected ? `Expected ${education.passingYear}` : String(education.passingYear),
+    description: education.description,
+    details: [score]
+  };
+};
+
+const toProjectEntry = (project) => {
+  const duration = project.duration || {};
+  const links = project.links || {};
+
+  return {
+    item: project,
+    title: project.title,
+    subtitle: [PROJECT_TYPE_LABELS[project.projectType], project.course].filter(Boolean).join(' - '),
+    period: formatPeriod(duration.startDate, duration.endDate, duration.isOngoing),
+    description: project.description,
+    details: [
+      project.skillsUsed && project.skillsUsed.length > 0 && `Skills: ${project.skillsUsed.join(', ')}`,
+      [links.liveUrl, links.githubUrl].filter(Boolean).join('  |  ')
+    ]
+  };
+};
+
+// Footer with the live portfolio link and page numbers, once every page is laid out
+const drawFooters = (doc, theme, portfolioUrl) => {
+  const { fonts, colors, sizes } = theme;
+  const range = doc.bufferedPageRange();
+  const generatedOn = new Date().toLocaleDateString('en-US', { day: 'numeric', month: 'short', year: 'numeric' });
+
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+
+    // Writing below the bottom margin would otherwise start a new page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    doc.font(fonts.regular).fontSize(sizes.small - 0.5).fillColor(colors.muted)
+      .text(
+        `Generated ${generatedOn} from ${portfolioUrl}  ·  Page ${index + 1} of ${range.count}`,
+        doc.page.margins.left,
+        doc.page.height - bottomMargin / 2 - sizes.small,
+        { width: getContentWidth(doc), align: 'center', lineBreak: false }
+      );
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+};
+
+/**
+ * Lay out a portfolio as a PDF CV
+ * @param {object} content - From getPortfolioContent (utils/portfolioContent)
+ * @param {object} options
+ * @param {string} options.portfolioUrl - Live portfolio page, encoded in the QR code
+ * @param {string} [options.template] - Key of PDF_TEMPLATES
+ * @returns {Promise<Buffer>}
+ */
+const renderPortfolioPdf = async (content, { portfolioUrl, template = DEFAULT_PDF_TEMPLATE }) => {
+  const theme = Object.prototype.hasOwnProperty.call(PDF_TEMPLATES, template)
+    ? PDF_TEMPLATES[template]
+    : PDF_TEMPLATES[DEFAULT_PDF_TEMPLATE];
+  const qrCode = await QRCode.toBuffer(portfolioUrl, { margin: 1, width: QR_SIZE * 4 });
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `${content.profile.name} - CV`,
+      Author: content.profile.name,
+      Subject: `Portfolio: ${portfolioUrl}`,
+      Creator: 'TruePortMe'
+    }
+  });
+
+  Object.entries(FONT_FILES).forEach(([name, file]) => doc.registerFont(name, file));
+
+  const rendered = new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, theme, content.profile, qrCode);
+
+  const sections = [
+    ['Experience', content.experiences.map(toExperienceEntry)],
+    ['Education', content.education.map(toEducationEntry)],
+    ['Projects', content.projects.map(toProjectEntry)]
+  ];
+
+  sections.forEach(([title, entries]) => {
+    if (entries.length === 0) return;
+
+    drawSectionHeading(doc, theme, title);
+    entries.forEach(entry => drawEntry(doc, theme, entry));
+  });
+
+  drawFooters(doc, theme, portfolioUrl);
+  doc.end();
+
+  return rendered;
+};
+
+module.exports = {
+  PDF_TEMPLATES,
+  DEFAULT_PDF_TEMPLATE,
+  renderPortfolioPdf
+};
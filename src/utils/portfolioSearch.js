@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Education = require('../models/Education');
+const PortfolioSearchIndex = require('../models/PortfolioSearchIndex');
+const { getPortfolioContent } = require('./portfolioContent');
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+const MAX_SKILL_FILTERS = 10;
+const FACET_SIZE = 20;
+// Added to the text score per verified item (up to 10 items)
+const VERIFIED_ITEM_BOOST = 0.1;
+
+// Visibilities that are listed in search; UNLISTED and PRIVATE portfolios are never indexed
+const LISTED_VISIBILITIES = ['PUBLIC', 'INSTITUTE_ONLY'];
+const COURSE_TYPES = Education.schema.path('courseType').enumValues;
+
+const normalizeSkill = (skill) => String(skill || '').trim().toLowerCase();
+const unique = (values) => [...new Set(values.filter(value => value !== undefined && value !== null && value !== ''))];
+
+/**
+ * Rebuild the search index entry of one portfolio from what the portfolio shows.
+ * Removes the entry when the user is gone or their portfolio is not listed.
+ * @param {object} userId - Portfolio owner
+ * @returns {Promise<object|null>} The entry, or null when the portfolio is not listed
+ */
+const refreshPortfolioSearchEntry = async (userId) => {
+  const user = await User.findById(userId)
+    .select('name email githubUsername bio institute role portfolioSettings portfolioSlug contactInfo contactVisibility');
+  const visibility = (user && user.portfolioSettings && user.portfolioSettings.visibility) || 'PUBLIC';
+
+  if (!user || !LISTED_VISIBILITIES.includes(visibility)) {
+    await PortfolioSearchIndex.deleteOne({ userId });
+    return null;
+  }
+
+  const { profile, experiences, education, projects } = await getPortfolioContent(user);
+  const verifiedProjects = projects.filter(project => project.verified);
+  const unverifiedProjects = projects.filter(project => !project.verified);
+
+  // Experiences and education only appear in a portfolio once verified
+  const experienceSkills = experiences.flatMap(experience => experience.tags);
+  const verifiedProjectSkills = verifiedProjects.flatMap(project => project.skillsUsed);
+
+  const entry = {
+    audience: visibility === 'INSTITUTE_ONLY' ? `institute:${user.institute || ''}` : 'PUBLIC',
+    name: user.name,
+    slug: user.portfolioSlug,
+    role: user.role,
+    bio: profile.bio,
+    institute: profile.institute,
+    hasGithub: Boolean(profile.contact.githubUsername),
+    skills: unique([...experienceSkills, ...projects.flatMap(project => project.skillsUsed)].map(normalizeSkill)),
+    verifiedSkills: unique([...experienceSkills, ...verifiedProjectSkills].map(normalizeSkill)),
+    courseTypes: unique(education.map(item => item.courseType)),
+    graduationYears: unique(education.map(item => item.passingYear)),
+    verifiedTerms: unique([
+      ...experiences.map(experience => experience.title),
+      ...experienceSkills,
+      ...education.map(item => item.courseName),
+      ...verifiedProjects.map(project => project.title),
+      ...verifiedProjectSkills
+    ]),
+    terms: unique([
+      ...unverifiedProjects.map(project => project.title),
+      ...unverifiedProjects.flatMap(project => project.skillsUsed)
+    ]),
+    counts: {
+      experiences: experiences.length,
+      education: education.length,
+      projects: projects.length,
+      verifiedProjects: verifiedProjects.length
+    },
+    verifiedCount: experiences.length + education.length + verifiedProjects.length,
+    indexedAt: new Date()
+  };
+
+  // Fields the portfolio stopped showing are removed from the entry
+  const hidden = ['slug', 'bio', 'institute'].filter(field => !entry[field]);
+  hidden.forEach(field => delete entry[field]);
+
+  return PortfolioSearchIndex.findOneAndUpdate(
+    { userId: user._id },
+    {
+      $set: entry,
+      ...(hidden.length > 0 && { $unset: Object.fromEntries(hidden.map(field => [field, 1])) })
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Rebuild the whole search index, dropping entries of users that no longer exist
+ * @returns {Promise<object>} { indexed, removed }
+ */
+const rebuildPortfolioSearchIndex = async () => {
+  const startedAt = new Date();
+  let indexed = 0;
+
+  for await (const user of User.find().select('_id').cursor()) {
+    if (await refreshPortfolioSearchEntry(user._id)) indexed++;
+  }
+
+  // Every remaining user was refreshed above, so older entries belong to deleted users
+  const { deletedCount } = await PortfolioSearchIndex.deleteMany({ indexedAt: { $lt: startedAt } });
+
+  return { indexed, removed: deletedCount };
+};
+
+const encodeCursor = (entry) => Buffer.from(JSON.stringify({ s: entry.score, id: String(entry._id) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof s !== 'number' || !mongoose.Types.ObjectId.isValid(id)) return null;
+    return { score: s, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Turn query string parameters into search filters
+const parseSearchQuery = (query) => {
+  const text = String(query.q || query.search || '').trim();
+  if (text.length > MAX_QUERY_LENGTH) {
+    return { error: `Search text cannot exceed ${MAX_QUERY_LENGTH} characters` };
+  }
+
+  const skills = unique(String(query.skills || query.tags || '').split(',').map(normalizeSkill));
+  if (skills.length > MAX_SKILL_FILTERS) {
+    return { error: `At most ${MAX_SKILL_FILTERS} skills can be filtered on` };
+  }
+
+  if (query.courseType && !COURSE_TYPES.includes(query.courseType)) {
+    return { error: `Unknown course type. Use one of: ${COURSE_TYPES.join(', ')}` };
+  }
+
+  const graduationYear = query.graduationYear === undefined ? null : Number(query.graduationYear);
+  if (graduationYear !== null && !Number.isInteger(graduationYear)) {
+    return { error: 'graduationYear must be a year' };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    return { error: `limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}` };
+  }
+
+  const cursor = query.cursor ? decodeCursor(String(query.cursor)) : null;
+  if (query.cursor && !cursor) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return {
+    text,
+    skills,
+    institute: query.institute ? String(query.institute) : null,
+    courseType: query.courseType || null,
+    graduationYear,
+    verifiedOnly: query.verifiedOnly === 'true',
+    role: query.role && query.role !== 'ALL' ? String(query.role) : null,
+    hasGithub: query.hasGithub === 'true',
+    limit,
+    cursor
+  };
+};
+
+const countValues = (field) => [
+  { $unwind: `$${field}` },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_SIZE }
+];
+
+/**
+ * Search listed portfolios. Text matches in verified items weigh more than in the rest,
+ * and each verified item adds a little to the score. Without search text, portfolios
+ * with the most verified items come first. Facets and the total are only computed for the first page.
+ * @param {object} query - Query string: q, skills, institute, courseType, graduationYear,
+ *   verifiedOnly, role, hasGithub, limit, cursor (search and tags are accepted for q and skills)
+ * @param {object} [viewer] - Signed-in user; sees INSTITUTE_ONLY portfolios of their own institute
+ * @returns {Promise<object>} { portfolios, pagination, total?, facets? } or { error }
+ */
+const searchPortfolios = async (query, viewer) => {
+  const filters = parseSearchQuery(query);
+  if (filters.error) return filters;
+
+  const match = {
+    audience: { $in: viewer && viewer.institute ? ['PUBLIC', `institute:${viewer.institute}`] : ['PUBLIC'] }
+  };
+  const skillsField = filters.verifiedOnly ? 'verifiedSkills' : 'skills';
+
+  if (filters.text) match.$text = { $search: filters.text };
+  if (filters.skills.length > 0) match[skillsField] = { $all: filters.skills };
+  if (filters.verifiedOnly) match.verifiedCount = { $gt: 0 };
+  if (filters.institute) match.institute = filters.institute;
+  if (filters.courseType) match.courseTypes = filters.courseType;
+  if (filters.graduationYear !== null) match.graduationYears = filters.graduationYear;
+  if (filters.role) match.role = filters.role;
+  if (filters.hasGithub) match.hasGithub = true;
+
+  const score = filters.text
+    ? { $add: [{ $meta: 'textScore' }, { $multiply: [{ $min: ['$verifiedCount', 10] }, VERIFIED_ITEM_BOOST] }] }
+    : '$verifiedCount';
+
+  const resultsPipeline = [
+    { $match: match },
+    { $addFields: { score } },
+    ...(filters.cursor ? [{
+      $match: {
+        $or: [
+          { score: { $lt: filters.cursor.score } },
+          { score: filters.cursor.score, _id: { $gt: filters.cursor.id } }
+        ]
+      }
+    }] : []),
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: filters.limit + 1 },
+    { $project: { verifiedTerms: 0, terms: 0, audience: 0 } }
+  ];
+
+  const facetsPipeline = [
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        skills: countValues(skillsField),
+        institutes: countValues('institute'),
+        courseTypes: countValues('courseTypes'),
+        graduationYears: [
+          { $unwind: '$graduationYears' },
+          { $group: { _id: '$graduationYears', count: { $sum: 1 } } },
+          { $sort: { _id: -1 } },
+          { $limit: FACET_SIZE }
+        ],
+        verified: [{ $group: { _id: { $gt: ['$verifiedCount', 0] }, count: { $sum: 1 } } }]
+      }
+    }
+  ];
+
+  const [results, facetResults] = await Promise.all([
+    PortfolioSearchIndex.aggregate(resultsPipeline),
+    filters.cursor ? null : PortfolioSearchIndex.aggregate(facetsPipeline)
+  ]);
+
+  const hasMore = results.length > filters.limit;
+  const page = results.slice(0, filters.limit);
+
+  const response = {
+    portfolios: page.map(entry => ({
+      user: {
+        id: entry.userId,
+        slug: entry.slug,
+        name: entry.name,
+        role: entry.role,
+        bio: entry.bio,
+        institute: entry.institute
+      },
+      skills: entry.skills,
+      verifiedSkills: entry.verifiedSkills,
+      courseTypes: entry.courseTypes,
+      graduationYears: entry.graduationYears,
+      counts: entry.counts,
+      verifiedCount: entry.verifiedCount,
+      hasGithub: entry.hasGithub,
+      ...(filters.text && { score: Math.round(entry.score * 100) / 100 })
+    })),
+    pagination: {
+      limit: filters.limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    }
+  };
+
+  if (facetResults) {
+    const [facets] = facetResults;
+    const toCounts = (buckets, key) => buckets.map(bucket => ({ [key]: bucket._id, count: bucket.count }));
+    const verifiedBucket = facets.verified.find(bucket => bucket._id === true);
+
+    response.total = facets.total.length > 0 ? facets.total[0].count : 0;
+    response.facets = {
+      skills: toCounts(facets.skills, 'skill'),
+      institutes: toCounts(facets.institutes, 'institute'),
+      courseTypes: toCounts(facets.courseTypes, 'courseType'),
+      graduationYears: toCounts(facets.graduationYears, 'year'),
+      verified: {
+        withVerifiedItems: verifiedBucket ? verifiedBucket.count : 0,
+        all: response.total
+      }
+    };
+  }
+
+  return response;
+};
+
+module.exports = {
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  refreshPortfolioSearchEntry,
+  rebuildPortfolioSearchIndex,
+  searchPortfolios
+};
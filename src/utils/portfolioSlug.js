@@ -0,0 +1,203 @@
+const User = require('../models/User');
+const SlugRedirect = require('../models/SlugRedirect');
+const SlugChange = require('../models/SlugChange');
+
+const SLUG_MIN_LENGTH = 3;
+const SLUG_MAX_LENGTH = 40;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// Slug changes allowed per user in SLUG_CHANGE_WINDOW_DAYS; every old slug stays reserved for its owner
+const MAX_SLUG_CHANGES = 3;
+const SLUG_CHANGE_WINDOW_DAYS = 30;
+
+// Words that would clash with app routes or could pass for official pages
+const RESERVED_SLUGS = new Set([
+  'about', 'account', 'admin', 'administrator', 'api', 'app', 'auth', 'blog', 'contact', 'dashboard',
+  'docs', 'edit', 'explore', 'export', 'help', 'home', 'import', 'institute', 'institute-admin',
+  'institution', 'institutions', 'login', 'logout', 'me', 'new', 'notifications', 'official', 'pdf',
+  'portfolio', 'portfolios', 'privacy', 'register', 'reset-password', 'root', 'search', 'security',
+  'settings', 'signin', 'signup', 'stats', 'status', 'super-admin', 'support', 'system', 'terms',
+  'trueport', 'trueportme', 'undefined', 'null', 'verifier', 'verify', 'www'
+]);
+
+const normalizeSlug = (value) => String(value || '').trim().toLowerCase();
+
+// User IDs and slugs share the same URL segment
+const looksLikeObjectId = (value) => /^[0-9a-f]{24}$/i.test(value);
+
+/**
+ * Check the shape of a slug
+ * @param {string} slug - Normalized slug
+ * @returns {object|null} { reason: INVALID | RESERVED, message } or null when valid
+ */
+const validateSlug = (slug) => {
+  if (slug.length < SLUG_MIN_LENGTH || slug.length > SLUG_MAX_LENGTH) {
+    return { reason: 'INVALID', message: `Slug must be ${SLUG_MIN_LENGTH}-${SLUG_MAX_LENGTH} characters long` };
+  }
+
+  if (!SLUG_PATTERN.test(slug)) {
+    return { reason: 'INVALID', message: 'Slug can only contain lowercase letters, numbers and single hyphens between them' };
+  }
+
+  if (looksLikeObjectId(slug)) {
+    return { reason: 'INVALID', message: 'Slug cannot look like a user ID' };
+  }
+
+  if (RESERVED_SLUGS.has(slug)) {
+    return { reason: 'RESERVED', message: 'This slug is reserved' };
+  }
+
+  return null;
+};
+
+// User holding a slug, either as current address or as an old one that redirects
+const findSlugHolder = async (slug) => {
+  const [owner, redirect] = await Promise.all([
+    User.findOne({ portfolioSlug: slug }).select('_id'),
+    SlugRedirect.findOne({ slug }).select('userId')
+  ]);
+
+  if (owner) return owner._id;
+  return redirect ? redirect.userId : null;
+};
+
+/**
+ * Whether a user can claim a slug; their own current and old slugs count as available
+ * @param {string} value - Requested slug
+ * @param {object} userId - The asking user
+ * @returns {Promise<object>} { slug, available, reason?, message?, suggestions? }
+ */
+const checkSlugAvailability = async (value, userId) => {
+  const slug = normalizeSlug(value);
+  const invalid = validateSlug(slug);
+
+  if (invalid) {
+    return { slug, available: false, ...invalid };
+  }
+
+  const holder = await findSlugHolder(slug);
+  if (!holder || holder.equals(userId)) {
+    return { slug, available: true };
+  }
+
+  // Offer a few free variants of a taken slug
+  const base = slug.slice(0, SLUG_MAX_LENGTH - 3);
+  const candidates = [2, 3, 4, 5, 6].map(number => `${base}-${number}`);
+  const [owners, redirects] = await Promise.all([
+    User.find({ portfolioSlug: { $in: candidates } }).select('portfolioSlug'),
+    SlugRedirect.find({ slug: { $in: candidates } }).select('slug')
+  ]);
+  const taken = new Set([...owners.map(user => user.portfolioSlug), ...redirects.map(redirect => redirect.slug)]);
+
+  return {
+    slug,
+    available: false,
+    reason: 'TAKEN',
+    message: 'This slug is already taken',
+    suggestions: candidates.filter(candidate => !taken.has(candidate)).slice(0, 3)
+  };
+};
+
+/**
+ * Give a user a new portfolio slug; the previous one becomes a redirect
+ * @param {object} user - User document
+ * @param {string} value - Requested slug
+ * @returns {Promise<object>} { slug, previousSlug, claimedAt } or { error, reason }
+ */
+const claimPortfolioSlug = async (user, value) => {
+  const availability = await checkSlugAvailability(value, user._id);
+  const { slug } = availability;
+
+  if (!availability.available) {
+    return { error: availability.message, reason: availability.reason, suggestions: availability.suggestions };
+  }
+
+  if (slug === user.portfolioSlug) {
+    return { slug, previousSlug: null, claimedAt: user.portfolioSlugClaimedAt };
+  }
+
+  if (user.portfolioSlug) {
+    const since = new Date(Date.now() - SLUG_CHANGE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const recentChanges = await SlugChange.countDocuments({
+      userId: user._id,
+      fromSlug: { $exists: true },
+      changedAt: { $gte: since }
+    });
+
+    if (recentChanges >= MAX_SLUG_CHANGES) {
+      return {
+        error: `You can change your slug at most ${MAX_SLUG_CHANGES} times in ${SLUG_CHANGE_WINDOW_DAYS} days`,
+        reason: 'TOO_MANY_CHANGES'
+      };
+    }
+  }
+
+  const claimedAt = new Date();
+  const previousSlug = user.portfolioSlug || null;
+
+  try {
+    // Only succeeds if the slug was not changed concurrently
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, portfolioSlug: user.portfolioSlug || null },
+      { portfolioSlug: slug, portfolioSlugClaimedAt: claimedAt },
+      { new: true }
+    );
+
+    if (!updated) {
+      return { error: 'Your slug was changed in the meantime, please try again', reason: 'CONFLICT' };
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'This slug is already taken', reason: 'TAKEN' };
+    }
+    throw error;
+  }
+
+  await SlugChange.create({ userId: user._id, fromSlug: previousSlug || undefined, toSlug: slug, changedAt: claimedAt });
+
+  // Taking back one of the user's own old slugs makes it current again
+  await SlugRedirect.deleteOne({ slug, userId: user._id });
+
+  if (previousSlug) {
+    await SlugRedirect.updateOne(
+      { slug: previousSlug },
+      { userId: user._id, claimedAt: user.portfolioSlugClaimedAt, replacedAt: claimedAt },
+      { upsert: true }
+    );
+  }
+
+  return { slug, previousSlug, claimedAt };
+};
+
+/**
+ * Find the portfolio a slug points to
+ * @param {string} value - Slug from the URL
+ * @returns {Promise<object|null>} { userId } for a current slug, { redirectTo } for an old one, null if unknown
+ */
+const resolvePortfolioSlug = async (value) => {
+  const slug = normalizeSlug(value);
+
+  const owner = await User.findOne({ portfolioSlug: slug }).select('_id');
+  if (owner) return { userId: owner._id };
+
+  const redirect = await SlugRedirect.findOne({ slug });
+  if (!redirect) return null;
+
+  const user = await User.findById(redirect.userId).select('portfolioSlug');
+  if (!user) return null;
+
+  return { redirectTo: user.portfolioSlug || String(user._id) };
+};
+
+module.exports = {
+  SLUG_MIN_LENGTH,
+  SLUG_MAX_LENGTH,
+  RESERVED_SLUGS,
+  MAX_SLUG_CHANGES,
+  SLUG_CHANGE_WINDOW_DAYS,
+  normalizeSlug,
+  looksLikeObjectId,
+  validateSlug,
+  checkSlugAvailability,
+  claimPortfolioSlug,
+  resolvePortfolioSlug
+};
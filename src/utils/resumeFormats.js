@@ -0,0 +1,589 @@
+const { XMLParser, XMLBuilder, XMLValidator } = require('fast-xml-parser');
+
+// Key of our own data in JSON Resume entries; other tools ignore unknown keys
+const JSON_RESUME_EXTENSION = 'x-trueportme';
+// Namespace of our own elements in Europass documents
+const EUROPASS_EXTENSION_NS = 'https://trueportme.com/schemas/europass-extension';
+const EUROPASS_PROJECTS_CODE = 'projects';
+
+const COURSE_TYPE_LABELS = {
+  '10TH': 'Secondary (10th)',
+  '12TH': 'Higher Secondary (12th)',
+  DIPLOMA: 'Diploma',
+  BACHELORS: 'Bachelor',
+  MASTERS: 'Master',
+  PHD: 'PhD',
+  CERTIFICATE: 'Certificate',
+  OTHER: 'Other'
+};
+
+// First match wins, so the more specific patterns come first
+const COURSE_TYPE_PATTERNS = [
+  ['PHD', /\bph\.?\s?d\b|doctor/i],
+  ['MASTERS', /master|\bm\.?\s?(tech|sc|s|a|e|com)\b|\bmba\b|\bmca\b|post\s?graduate/i],
+  ['BACHELORS', /bachelor|\bb\.?\s?(tech|sc|s|a|e|com)\b|\bbba\b|\bbca\b|undergraduate/i],
+  ['DIPLOMA', /diploma/i],
+  ['CERTIFICATE', /certific/i],
+  ['12TH', /12th|\bxii\b|higher secondary|senior secondary|\bhsc\b/i],
+  ['10TH', /10th|\bx\b|secondary|\bssc\b|matric/i]
+];
+
+const PROJECT_TYPES = ['PERSONAL', 'ACADEMIC', 'PROFESSIONAL', 'OPEN_SOURCE', 'HACKATHON', 'COMPETITION', 'INTERNSHIP', 'FREELANCE', 'OTHER'];
+
+const GITHUB_REPO_URL = /^https:\/\/github\.com\/[\w\-.]+\/[\w\-.]+\/?$/;
+
+const asArray = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+// Entries of a list that are objects; anything else in the document is ignored
+const asObjects = (value) => asArray(value).filter(entry => entry && typeof entry === 'object');
+
+const asText = (value) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') return asText(value['#text']);
+  const text = String(value).trim();
+  return text || undefined;
+};
+
+// YYYY, YYYY-MM or YYYY-MM-DD
+const parseDate = (value) => {
+  const match = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/.exec(asText(value) || '');
+  if (!match) return undefined;
+  return new Date(Date.UTC(Number(match[1]), match[2] ? Number(match[2]) - 1 : 0, match[3] ? Number(match[3]) : 1));
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+const guessCourseType = (...labels) => {
+  const text = labels.filter(Boolean).join(' ');
+  const match = COURSE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'OTHER';
+};
+
+const guessProjectType = (type) => {
+  const normalized = (asText(type) || '').toUpperCase().replace(/[\s-]+/g, '_');
+  return PROJECT_TYPES.includes(normalized) ? normalized : undefined;
+};
+
+// "8.4", "8.4 CGPA", "85%", "A+"
+const parseScore = (score) => {
+  const text = asText(score);
+  if (!text) return {};
+
+  const percentage = /(\d+(?:\.\d+)?)\s*%/.exec(text);
+  if (percentage) return { percentage: Number(percentage[1]) };
+
+  const number = /^(\d+(?:\.\d+)?)\b/.exec(text);
+  if (number && Number(number[1]) <= 10) return { cgpa: Number(number[1]) };
+  if (number && Number(number[1]) <= 100) return { percentage: Number(number[1]) };
+
+  return { grade: text.slice(0, 50) };
+};
+
+const formatScore = (education) => {
+  if (education.cgpa !== undefined && education.cgpa !== null) return `${education.cgpa} CGPA`;
+  if (education.percentage !== undefined && education.percentage !== null) return `${education.percentage}%`;
+  return education.grade || undefined;
+};
+
+// Experience titles are written as "<position> at <organization>" when both are known
+const joinTitle = (position, organization) => {
+  if (position && organization) return `${position} at ${organization}`;
+  return position || organization;
+};
+
+const splitTitle = (title) => {
+  const index = title.lastIndexOf(' at ');
+  if (index <= 0) return { position: title };
+  return { position: title.slice(0, index), organization: title.slice(index + 4) };
+};
+
+const toLinks = (url) => {
+  if (!url) return {};
+  return GITHUB_REPO_URL.test(url) ? { githubUrl: url } : { liveUrl: url };
+};
+
+// Verification state is exported for readers but never imported
+const describeVerification = (item) => ({
+  id: String(item._id),
+  verified: Boolean(item.verified),
+  ...(item.verified && {
+    verifiedAt: item.verifiedAt ? new Date(item.verifiedAt).toISOString() : undefined,
+    verifiedBy: item.verifiedBy,
+    endorsements: (item.endorsements || []).length
+  })
+});
+
+const withoutEmpty = (object) => {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => {
+    if (value === undefined || value === null || value === '') return false;
+    return !Array.isArray(value) || value.length > 0;
+  }));
+};
+
+/* ---------- JSON Resume (https://jsonresume.org/schema) ---------- */
+
+const parseJsonResume = (document) => {
+  if (typeof document === 'string') {
+    try {
+      document = JSON.parse(document);
+    } catch (error) {
+      return { error: 'The document is not valid JSON' };
+    }
+  }
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { error: 'A JSON Resume document must be an object' };
+  }
+
+  const basics = document.basics && typeof document.basics === 'object' ? document.basics : {};
+  const profiles = asObjects(basics.profiles);
+  const linkedin = profiles.find(profile => /linkedin/i.test(profile.network || profile.url || ''));
+
+  const experiences = [...asObjects(document.work), ...asObjects(document.volunteer)].map(entry => {
+    const extension = entry[JSON_RESUME_EXTENSION] || {};
+    const position = asText(entry.position);
+    const organization = asText(entry.name) || asText(entry.organization);
+    const endDate = parseDate(entry.endDate);
+
+    return withoutEmpty({
+      sourceId: extension.id,
+      title: asText(extension.title) || joinTitle(position, organization),
+      role: asText(extension.role) || position || organization,
+      description: asText(entry.summary) || asArray(entry.highlights).map(asText).filter(Boolean).join('\n'),
+      startDate: parseDate(entry.startDate),
+      ...(endDate && { endDate }),
+      tags: asArray(extension.tags).map(asText).filter(Boolean)
+    });
+  });
+
+  const education = asObjects(document.education).map(entry => {
+    const extension = entry[JSON_RESUME_EXTENSION] || {};
+    const institution = asText(entry.institution);
+    const endDate = parseDate(entry.endDate);
+
+    return withoutEmpty({
+      sourceId: extension.id,
+      courseType: COURSE_TYPE_LABELS[extension.courseType] ? extension.courseType : guessCourseType(entry.studyType, entry.area),
+      courseName: asText(entry.area) || asText(entry.studyType),
+      boardOrUniversity: asText(extension.boardOrUniversity) || institution,
+      schoolOrCollege: institution,
+      passingYear: endDate ? endDate.getUTCFullYear() : undefined,
+      isExpected: extension.isExpected !== undefined ? Boolean(extension.isExpected) : Boolean(endDate && endDate > new Date()),
+      ...parseScore(entry.score),
+      description: asArray(entry.courses).length > 0 ? `Courses: ${asArray(entry.courses).map(asText).filter(Boolean).join(', ')}` : undefined
+    });
+  });
+
+  const projects = asObjects(document.projects).map(entry => {
+    const extension = entry[JSON_RESUME_EXTENSION] || {};
+    const startDate = parseDate(entry.startDate);
+    const endDate = parseDate(entry.endDate);
+
+    return withoutEmpty({
+      sourceId: extension.id,
+      title: asText(entry.name),
+      description: asText(entry.description) || asArray(entry.highlights).map(asText).filter(Boolean).join('\n'),
+      projectType: guessProjectType(extension.projectType) || guessProjectType(entry.type),
+      category: asText(extension.category),
+      skillsUsed: asArray(entry.keywords).map(asText).filter(Boolean),
+      ...(startDate && { duration: { startDate, endDate, isOngoing: !endDate } }),
+      links: toLinks(asText(entry.url))
+    });
+  });
+
+  return {
+    resume: {
+      profile: withoutEmpty({
+        bio: asText(basics.summary),
+        phone: asText(basics.phone),
+        linkedinUrl: linkedin && asText(linkedin.url)
+      }),
+      experiences,
+      education,
+      projects
+    }
+  };
+};
+
+const buildJsonResume = (content, { portfolioUrl }) => {
+  const { profile } = content;
+
+  const resume = {
+    $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    basics: withoutEmpty({
+      name: profile.name,
+      email: profile.contact.email,
+      phone: profile.contact.phone,
+      url: portfolioUrl,
+      summary: profile.bio,
+      profiles: [
+        profile.contact.linkedinUrl && { network: 'LinkedIn', url: profile.contact.linkedinUrl },
+        profile.contact.githubUsername && {
+          network: 'GitHub',
+          username: profile.contact.githubUsername,
+          url: `https://github.com/${profile.contact.githubUsername}`
+        }
+      ].filter(Boolean)
+    }),
+    work: content.experiences.map(experience => {
+      const { position, organization } = splitTitle(experience.title);
+
+      return withoutEmpty({
+        name: organization,
+        position,
+        startDate: formatDate(experience.startDate),
+        endDate: formatDate(experience.endDate),
+        summary: experience.description,
+        [JSON_RESUME_EXTENSION]: withoutEmpty({
+          ...describeVerification(experience),
+          title: experience.title,
+          role: experience.role,
+          tags: experience.tags
+        })
+      });
+    }),
+    education: content.education.map(education => withoutEmpty({
+      institution: education.schoolOrCollege,
+      area: education.courseName,
+      studyType: COURSE_TYPE_LABELS[education.courseType],
+      endDate: String(education.passingYear),
+      score: formatScore(education),
+      [JSON_RESUME_EXTENSION]: withoutEmpty({
+        ...describeVerification(education),
+        courseType: education.courseType,
+        boardOrUniversity: education.boardOrUniversity,
+        isExpected: education.isExpected
+      })
+    })),
+    projects: content.projects.map(project => {
+      const duration = project.duration || {};
+      const links = project.links || {};
+
+      return withoutEmpty({
+        name: project.title,
+        description: project.description,
+        keywords: project.skillsUsed,
+        startDate: formatDate(duration.startDate),
+        endDate: duration.isOngoing ? undefined : formatDate(duration.endDate),
+        url: links.liveUrl || links.githubUrl,
+        type: project.projectType && project.projectType.toLowerCase().replace(/_/g, ' '),
+        [JSON_RESUME_EXTENSION]: withoutEmpty({
+          ...describeVerification(project),
+          projectType: project.projectType,
+          category: project.category
+        })
+      });
+    }),
+    meta: {
+      version: 'v1.0.0',
+      lastModified: new Date().toISOString()
+    },
+    [JSON_RESUME_EXTENSION]: withoutEmpty({
+      portfolioUrl,
+      institute: profile.institute
+    })
+  };
+
+  return {
+    contentType: 'application/json',
+    extension: 'json',
+    body: JSON.stringify(resume, null, 2)
+  };
+};
+
+/* ---------- Europass CV XML (SkillsPassport, XSD V3.x) ---------- */
+
+const europassParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  isArray: (name) => ['WorkExperience', 'Education', 'Achievement', 'Telephone', 'Website'].includes(name)
+});
+
+const europassBuilder = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  format: true,
+  suppressEmptyNode: true,
+  suppressBooleanAttributes: false
+});
+
+// <From year="2023" month="--06" day="---01"/>
+const parseEuropassDate = (node) => {
+  if (!node || !node['@_year']) return undefined;
+  const month = /(\d{1,2})$/.exec(node['@_month'] || '');
+  const day = /(\d{1,2})$/.exec(node['@_day'] || '');
+  return new Date(Date.UTC(Number(node['@_year']), month ? Number(month[1]) - 1 : 0, day ? Number(day[1]) : 1));
+};
+
+const formatEuropassDate = (date) => {
+  if (!date) return undefined;
+  const value = new Date(date);
+  return {
+    '@_year': String(value.getUTCFullYear()),
+    '@_month': `--${String(value.getUTCMonth() + 1).padStart(2, '0')}`,
+    '@_day': `---${String(value.getUTCDate()).padStart(2, '0')}`
+  };
+};
+
+// Attributes of our extension element, read back on import
+const getEuropassExtension = (node) => {
+  const extension = node && node.TruePortMe;
+  if (!extension) return {};
+
+  return Object.fromEntries(Object.entries(extension)
+    .filter(([key]) => key.startsWith('@_'))
+    .map(([key, value]) => [key.slice(2), value]));
+};
+
+const buildEuropassExtension = (fields) => {
+  return {
+    'tp:TruePortMe': Object.fromEntries(Object.entries(withoutEmpty(fields)).map(([key, value]) => [
+      `@_${key}`,
+      Array.isArray(value) ? value.join(', ') : String(value)
+    ]))
+  };
+};
+
+const splitList = (value) => (asText(value) || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+const parseEuropass = (document) => {
+  if (typeof document !== 'string' || !document.trim()) {
+    return { error: 'A Europass document must be sent as XML' };
+  }
+
+  // Entity declarations are not needed in a CV and can expand without bound
+  if (/<!DOCTYPE/i.test(document)) {
+    return { error: 'DOCTYPE declarations are not allowed' };
+  }
+
+  const validation = XMLValidator.validate(document);
+  if (validation !== true) {
+    return { error: `The document is not valid XML: ${validation.err.msg} (line ${validation.err.line})` };
+  }
+
+  const parsed = europassParser.parse(document);
+
+  const learner = parsed && parsed.SkillsPassport && parsed.SkillsPassport.LearnerInfo;
+  if (!learner) {
+    return { error: 'Not a Europass CV: SkillsPassport/LearnerInfo is missing' };
+  }
+
+  const contactInfo = (learner.Identification && learner.Identification.ContactInfo) || {};
+  const telephone = asObjects(contactInfo.TelephoneList && contactInfo.TelephoneList.Telephone)[0];
+  const linkedin = asObjects(contactInfo.WebsiteList && contactInfo.WebsiteList.Website)
+    .map(website => asText(website.Contact))
+    .find(url => url && /linkedin\.com/i.test(url));
+  const headline = learner.Headline && learner.Headline.Description;
+
+  const experiences = asObjects(learner.WorkExperienceList && learner.WorkExperienceList.WorkExperience).map(entry => {
+    const extension = getEuropassExtension(entry);
+    const period = entry.Period || {};
+    const position = asText(entry.Position && entry.Position.Label);
+    const employer = asText(entry.Employer && entry.Employer.Name);
+    const endDate = asText(period.Current) === 'true' ? undefined : parseEuropassDate(period.To);
+
+    return withoutEmpty({
+      sourceId: extension.id,
+      title: asText(extension.title) || joinTitle(position, employer),
+      role: asText(extension.role) || position || employer,
+      description: asText(entry.Activities),
+      startDate: parseEuropassDate(period.From),
+      ...(endDate && { endDate }),
+      tags: splitList(extension.tags)
+    });
+  });
+
+  const education = asObjects(learner.EducationList && learner.EducationList.Education).map(entry => {
+    const extension = getEuropassExtension(entry);
+    const period = entry.Period || {};
+    const title = asText(entry.Title);
+    const organisation = asText(entry.Organisation && entry.Organisation.Name);
+    const level = asText(entry.Level && entry.Level.Label);
+    const endDate = parseEuropassDate(period.To);
+
+    return withoutEmpty({
+      sourceId: extension.id,
+      courseType: COURSE_TYPE_LABELS[extension.courseType] ? extension.courseType : guessCourseType(level, title),
+      courseName: title,
+      boardOrUniversity: asText(extension.boardOrUniversity) || organisation,
+      schoolOrCollege: organisation,
+      passingYear: endDate ? endDate.getUTCFullYear() : undefined,
+      isExpected: extension.isExpected !== undefined ? extension.isExpected === 'true' : Boolean(endDate && endDate > new Date()),
+      ...parseScore(extension.score),
+      description: asText(entry.Activities)
+    });
+  });
+
+  // Europass has no project section; projects travel as achievements coded "projects"
+  const projects = asObjects(learner.AchievementList && learner.AchievementList.Achievement)
+    .filter(entry => asText(entry.Title && entry.Title.Code) === EUROPASS_PROJECTS_CODE)
+    .map(entry => {
+      const extension = getEuropassExtension(entry);
+      const [firstLine, ...rest] = (asText(entry.Description) || '').split('\n');
+      const startDate = extension.startDate ? parseDate(extension.startDate) : undefined;
+      const endDate = extension.endDate ? parseDate(extension.endDate) : undefined;
+
+      return withoutEmpty({
+        sourceId: extension.id,
+        title: asText(extension.title) || asText(firstLine),
+        description: asText(rest.join('\n')) || asText(firstLine),
+        projectType: guessProjectType(extension.projectType),
+        category: asText(extension.category),
+        skillsUsed: splitList(extension.skills),
+        ...(startDate && { duration: { startDate, endDate, isOngoing: !endDate } }),
+        links: toLinks(asText(extension.url))
+      });
+    });
+
+  return {
+    resume: {
+      profile: withoutEmpty({
+        bio: asText(headline && headline.Label),
+        phone: telephone && asText(telephone.Contact),
+        linkedinUrl: linkedin
+      }),
+      experiences,
+      education,
+      projects
+    }
+  };
+};
+
+const buildEuropass = (content, { portfolioUrl }) => {
+  const { profile } = content;
+  const [firstName, ...surname] = profile.name.trim().split(/\s+/);
+
+  const learnerInfo = {
+    Identification: {
+      PersonName: {
+        FirstName: firstName,
+        Surname: surname.join(' ') || undefined
+      },
+      ContactInfo: withoutEmpty({
+        Email: profile.contact.email && { Contact: profile.contact.email },
+        TelephoneList: profile.contact.phone && { Telephone: [{ Contact: profile.contact.phone }] },
+        WebsiteList: {
+          Website: [
+            portfolioUrl,
+            profile.contact.linkedinUrl,
+            profile.contact.githubUsername && `https://github.com/${profile.contact.githubUsername}`
+          ].filter(Boolean).map(url => ({ Contact: url }))
+        }
+      })
+    },
+    ...(profile.bio && {
+      Headline: {
+        Type: { Code: 'personal_statement', Label: 'Personal statement' },
+        Description: { Label: profile.bio }
+      }
+    }),
+    WorkExperienceList: {
+      WorkExperience: content.experiences.map(experience => {
+        const { position, organization } = splitTitle(experience.title);
+
+        return {
+          Period: withoutEmpty({
+            From: formatEuropassDate(experience.startDate),
+            To: formatEuropassDate(experience.endDate),
+            Current: String(!experience.endDate)
+          }),
+          Position: { Label: position },
+          Activities: experience.description,
+          ...(organization && { Employer: { Name: organization } }),
+          ...buildEuropassExtension({
+            ...describeVerification(experience),
+            title: experience.title,
+            role: experience.role,
+            tags: experience.tags
+          })
+        };
+      })
+    },
+    EducationList: {
+      Education: content.education.map(education => ({
+        Period: {
+          To: { '@_year': String(education.passingYear) },
+          Current: String(Boolean(education.isExpected))
+        },
+        Title: education.courseName,
+        Activities: education.description,
+        Organisation: { Name: education.schoolOrCollege },
+        Level: { Label: COURSE_TYPE_LABELS[education.courseType] },
+        ...buildEuropassExtension({
+          ...describeVerification(education),
+          courseType: education.courseType,
+          boardOrUniversity: education.boardOrUniversity,
+          isExpected: education.isExpected,
+          score: formatScore(education)
+        })
+      }))
+    },
+    AchievementList: {
+      Achievement: content.projects.map(project => {
+        const duration = project.duration || {};
+        const links = project.links || {};
+
+        return {
+          Title: { Code: EUROPASS_PROJECTS_CODE, Label: 'Projects' },
+          Description: `${project.title}\n${project.description}`,
+          ...buildEuropassExtension({
+            ...describeVerification(project),
+            title: project.title,
+            projectType: project.projectType,
+            category: project.category,
+            skills: project.skillsUsed,
+            startDate: formatDate(duration.startDate),
+            endDate: duration.isOngoing ? undefined : formatDate(duration.endDate),
+            url: links.liveUrl || links.githubUrl
+          })
+        };
+      })
+    }
+  };
+
+  const body = europassBuilder.build({
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    SkillsPassport: {
+      '@_xmlns': 'http://europass.cedefop.europa.eu/Europass',
+      '@_xmlns:tp': EUROPASS_EXTENSION_NS,
+      '@_locale': 'en',
+      DocumentInfo: {
+        DocumentType: 'ECV',
+        CreationDate: new Date().toISOString(),
+        XSDVersion: 'V3.4',
+        Generator: 'TruePortMe'
+      },
+      LearnerInfo: learnerInfo
+    }
+  });
+
+  return {
+    contentType: 'application/xml',
+    extension: 'xml',
+    body
+  };
+};
+
+// Supported formats by URL name
+const RESUME_FORMATS = {
+  'json-resume': { name: 'JSON Resume', parse: parseJsonResume, build: buildJsonResume },
+  europass: { name: 'Europass CV', parse: parseEuropass, build: buildEuropass }
+};
+
+// Format by URL name, or null for anything else (including inherited property names)
+const getResumeFormat = (name) => {
+  return Object.prototype.hasOwnProperty.call(RESUME_FORMATS, name) ? RESUME_FORMATS[name] : null;
+};
+
+module.exports = {
+  RESUME_FORMATS,
+  getResumeFormat,
+  JSON_RESUME_EXTENSION,
+  EUROPASS_EXTENSION_NS
+};
@@ -0,0 +1,158 @@
+const User = require('../models/User');
+const Experience = require('../models/Experience');
+const Education = require('../models/Education');
+const Project = require('../models/Project');
+
+// Upper bound on entries per section in one import
+const MAX_IMPORT_ENTRIES = 100;
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const monthOf = (date) => (date ? new Date(date).toISOString().slice(0, 7) : '');
+
+// How an entry is recognised as already present, per section
+const SECTIONS = {
+  experiences: {
+    Model: Experience,
+    key: (entry) => `${normalize(entry.title)}|${monthOf(entry.startDate)}`,
+    label: (entry) => entry.title
+  },
+  education: {
+    Model: Education,
+    key: (entry) => `${normalize(entry.courseName)}|${normalize(entry.schoolOrCollege)}|${entry.passingYear || ''}`,
+    label: (entry) => entry.courseName
+  },
+  projects: {
+    Model: Project,
+    key: (entry) => normalize(entry.title),
+    label: (entry) => entry.title
+  }
+};
+
+// Profile fields an import may fill in; existing values are never overwritten
+const PROFILE_FIELDS = {
+  bio: 'bio',
+  phone: 'contactInfo.phone',
+  linkedinUrl: 'contactInfo.linkedinUrl'
+};
+
+const getValidationErrors = (document, paths) => {
+  const result = document.validateSync(paths);
+  return result ? Object.values(result.errors).map(error => error.message) : [];
+};
+
+const planSection = async (user, name, entries) => {
+  const { Model, key, label } = SECTIONS[name];
+  const existing = await Model.find({ userId: user._id });
+  const existingByKey = new Map(existing.map(item => [key(item), item]));
+  const seen = new Map();
+
+  return entries.map((entry, index) => {
+    const { sourceId, ...data } = entry;
+    const entryKey = key(data);
+
+    // Our own export carries item IDs; re-importing it must not copy the items
+    const duplicate = (sourceId && existing.find(item => String(item._id) === String(sourceId)))
+      || existingByKey.get(entryKey);
+
+    if (duplicate) {
+      return { index, action: 'DUPLICATE', data, duplicateOf: { id: duplicate._id, title: label(duplicate) } };
+    }
+
+    if (seen.has(entryKey)) {
+      return { index, action: 'DUPLICATE', data, duplicateOf: { index: seen.get(entryKey) } };
+    }
+    seen.set(entryKey, index);
+
+    const errors = getValidationErrors(new Model({ ...data, userId: user._id }));
+    if (errors.length > 0) {
+      return { index, action: 'INVALID', data, errors };
+    }
+
+    return { index, action: 'CREATE', data };
+  });
+};
+
+/**
+ * Work out what importing a parsed resume would change, without writing anything
+ * @param {object} user - The importing user
+ * @param {object} resume - From RESUME_FORMATS[format].parse (utils/resumeFormats)
+ * @returns {Promise<object>} { profile: { changes }, experiences, education, projects, summary } or { error }
+ */
+const planResumeImport = async (user, resume) => {
+  const tooLarge = Object.keys(SECTIONS).find(name => resume[name].length > MAX_IMPORT_ENTRIES);
+  if (tooLarge) {
+    return { error: `At most ${MAX_IMPORT_ENTRIES} ${tooLarge} can be imported at once` };
+  }
+
+  const plan = { profile: { changes: [] } };
+
+  for (const name of Object.keys(SECTIONS)) {
+    plan[name] = await planSection(user, name, resume[name]);
+  }
+
+  const probe = new User({ bio: resume.profile.bio, contactInfo: { phone: resume.profile.phone, linkedinUrl: resume.profile.linkedinUrl } });
+
+  Object.entries(PROFILE_FIELDS).forEach(([field, path]) => {
+    const imported = resume.profile[field];
+    const current = user.get(path);
+    if (!imported || current) return;
+
+    const errors = getValidationErrors(probe, [path]);
+    plan.profile.changes.push({
+      field: path,
+      imported,
+      action: errors.length > 0 ? 'INVALID' : 'SET',
+      ...(errors.length > 0 && { errors })
+    });
+  });
+
+  const entries = Object.keys(SECTIONS).flatMap(name => plan[name]);
+  plan.summary = {
+    create: entries.filter(entry => entry.action === 'CREATE').length,
+    duplicates: entries.filter(entry => entry.action === 'DUPLICATE').length,
+    invalid: entries.filter(entry => entry.action === 'INVALID').length,
+    profileFields: plan.profile.changes.filter(change => change.action === 'SET').length
+  };
+
+  return plan;
+};
+
+/**
+ * Write the CREATE entries and SET profile fields of an import plan
+ * @param {object} user - The importing user
+ * @param {object} plan - From planResumeImport
+ * @returns {Promise<object>} IDs of the created items per section
+ */
+const applyResumeImport = async (user, plan) => {
+  const created = {};
+
+  for (const name of Object.keys(SECTIONS)) {
+    const { Model } = SECTIONS[name];
+    const entries = plan[name].filter(entry => entry.action === 'CREATE');
+    const documents = entries.length > 0
+      ? await Model.insertMany(entries.map(entry => ({ ...entry.data, userId: user._id })))
+      : [];
+
+    documents.forEach((document, position) => {
+      entries[position].id = document._id;
+    });
+    created[name] = documents.map(document => document._id);
+  }
+
+  const profileUpdates = Object.fromEntries(plan.profile.changes
+    .filter(change => change.action === 'SET')
+    .map(change => [change.field, change.imported]));
+
+  if (Object.keys(profileUpdates).length > 0) {
+    await User.findByIdAndUpdate(user._id, profileUpdates, { runValidators: true });
+  }
+
+  return created;
+};
+
+module.exports = {
+  MAX_IMPORT_ENTRIES,
+  planResumeImport,
+  applyResumeImport
+};
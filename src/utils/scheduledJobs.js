@@ -0,0 +1,99 @@
+const Institution = require('../models/Institution');
+const AssociationRequest = require('../models/AssociationRequest');
+const { defineJob } = require('./scheduler');
+const { sendDailyDigests } = require('./notifications');
+const { processVerificationSla } = require('./verificationSla');
+const { rollupPortfolioViews } = require('./portfolioAnalytics');
+const { rebuildPortfolioSearchIndex } = require('./portfolioSearch');
+
+// Jobs the platform runs; super admins can pause or trigger them by name
+const JOB_NAMES = {
+  RECOMPUTE_INSTITUTION_STATS: 'recompute-institution-stats',
+  CLEANUP_EXPIRED_ASSOCIATION_REQUESTS: 'cleanup-expired-association-requests',
+  SEND_NOTIFICATION_DIGESTS: 'send-notification-digests',
+  PROCESS_VERIFICATION_SLA: 'process-verification-sla',
+  ROLLUP_PORTFOLIO_VIEWS: 'rollup-portfolio-views',
+  REBUILD_PORTFOLIO_SEARCH_INDEX: 'rebuild-portfolio-search-index'
+};
+
+let ttlIndexChecked = false;
+
+// Association requests used to be deleted by a TTL index on expiresAt; the cleanup job replaces it
+const removeAssociationTtlIndex = async () => {
+  if (ttlIndexChecked) return;
+
+  try {
+    const indexes = await AssociationRequest.collection.indexes();
+    const ttl = indexes.find(index => index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined);
+
+    if (ttl) {
+      await AssociationRequest.collection.dropIndex(ttl.name);
+      await AssociationRequest.collection.createIndex({ expiresAt: 1 });
+      console.log('Removed the TTL index on associationrequests.expiresAt');
+    }
+  } catch (error) {
+    // The collection does not exist yet
+    if (error.codeName !== 'NamespaceNotFound') throw error;
+  }
+
+  ttlIndexChecked = true;
+};
+
+defineJob({
+  name: JOB_NAMES.RECOMPUTE_INSTITUTION_STATS,
+  description: 'Recount users, students and verifiers of every institution',
+  intervalMinutes: 60,
+  run: async () => {
+    const institutions = await Institution.find().select('name');
+
+    for (const institution of institutions) {
+      await Institution.updateStats(institution.name);
+    }
+
+    return { institutions: institutions.length };
+  }
+});
+
+defineJob({
+  name: JOB_NAMES.CLEANUP_EXPIRED_ASSOCIATION_REQUESTS,
+  description: 'Delete association requests past their expiry date',
+  intervalMinutes: 60,
+  run: async () => {
+    await removeAssociationTtlIndex();
+
+    const { deletedCount } = await AssociationRequest.deleteMany({ expiresAt: { $lte: new Date() } });
+    return { deleted: deletedCount };
+  }
+});
+
+defineJob({
+  name: JOB_NAMES.SEND_NOTIFICATION_DIGESTS,
+  description: 'Email users their daily notification digest',
+  intervalMinutes: 24 * 60,
+  run: sendDailyDigests
+});
+
+defineJob({
+  name: JOB_NAMES.PROCESS_VERIFICATION_SLA,
+  description: 'Expire, remind and escalate pending verification requests',
+  intervalMinutes: 15,
+  run: () => processVerificationSla()
+});
+
+defineJob({
+  name: JOB_NAMES.ROLLUP_PORTFOLIO_VIEWS,
+  description: 'Count portfolio and project views into daily rollups',
+  intervalMinutes: 60,
+  run: () => rollupPortfolioViews()
+});
+
+defineJob({
+  name: JOB_NAMES.REBUILD_PORTFOLIO_SEARCH_INDEX,
+  description: 'Rebuild the portfolio search index from users and their items',
+  intervalMinutes: 24 * 60,
+  run: rebuildPortfolioSearchIndex
+});
+
+module.exports = {
+  JOB_NAMES
+};
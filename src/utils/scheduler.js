@@ -0,0 +1,230 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+
+const DEFAULT_TICK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_LOCK_MINUTES = 5; // A lock not renewed for this long belongs to a crashed instance
+const LOCK_RENEWALS = 5; // Times a running job renews its lock within lockMinutes
+const JOB_HISTORY_LIMIT = 200; // Runs kept per job
+
+// Identifies this server instance in locks and run history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const definitions = new Map();
+let schedulerTimer = null;
+let ticking = false;
+
+/**
+ * Register a recurring job. Registered jobs are stored in ScheduledJob when the scheduler starts.
+ * @param {object} definition
+ * @param {string} definition.name - Unique job name (e.g. send-notification-digests)
+ * @param {string} definition.description - What the job does
+ * @param {number} definition.intervalMinutes - Default time between runs
+ * @param {number} [definition.lockMinutes] - How long the lock of a crashed run holds the job
+ * @param {Function} definition.run - async () => result object stored with the run
+ */
+const defineJob = (definition) => {
+  definitions.set(definition.name, { lockMinutes: DEFAULT_LOCK_MINUTES, ...definition });
+};
+
+const getJobDefinition = (name) => definitions.get(name) || null;
+
+// Create missing job documents; schedule and pause state of existing ones is kept
+const syncJobs = async () => {
+  for (const definition of definitions.values()) {
+    await ScheduledJob.updateOne(
+      { name: definition.name },
+      {
+        $set: { description: definition.description },
+        $setOnInsert: { intervalMinutes: definition.intervalMinutes, nextRunAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Atomically take a job so no other instance runs it at the same time
+const claimJob = (name, due) => {
+  const now = new Date();
+  const definition = definitions.get(name);
+
+  return ScheduledJob.findOneAndUpdate(
+    {
+      name,
+      ...(due && { isPaused: false, nextRunAt: { $lte: now } }),
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    },
+    {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + definition.lockMinutes * 60 * 1000)
+    },
+    { new: true }
+  );
+};
+
+// Create the run record; runs left RUNNING by a crashed instance are closed first
+const startRun = async (job, trigger, triggeredBy) => {
+  await JobRun.updateMany(
+    { jobName: job.name, status: 'RUNNING' },
+    { status: 'FAILED', error: 'The run did not finish before its lock expired', finishedAt: new Date() }
+  );
+
+  return new JobRun({
+    jobName: job.name,
+    trigger,
+    triggeredBy,
+    instance: INSTANCE_ID
+  }).save();
+};
+
+// Keep the lock of a running job from lapsing, however long the run takes
+const startLockRenewal = (job, lockMinutes) => {
+  const lockMs = lockMinutes * 60 * 1000;
+
+  const timer = setInterval(() => {
+    ScheduledJob.updateOne(
+      { _id: job._id, lockedBy: INSTANCE_ID },
+      { lockedUntil: new Date(Date.now() + lockMs) }
+    )
+      .then(({ matchedCount }) => {
+        if (matchedCount === 0) {
+          console.warn(`⚠️  Job ${job.name} lost its lock on ${INSTANCE_ID}`);
+        }
+      })
+      .catch(error => console.error(`Failed to renew lock of job ${job.name}:`, error));
+  }, lockMs / LOCK_RENEWALS);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+// Run a claimed job, record the outcome and release the lock
+const executeJob = async (job, run) => {
+  const definition = definitions.get(job.name);
+  const startedAt = Date.now();
+  const stopLockRenewal = startLockRenewal(job, definition.lockMinutes);
+  let update;
+
+  try {
+    const result = await definition.run();
+
+    update = { status: 'SUCCEEDED', result };
+  } catch (error) {
+    console.error(`❌ Job ${job.name} failed:`, error);
+    update = { status: 'FAILED', error: error.message };
+  } finally {
+    stopLockRenewal();
+  }
+
+  const finishedAt = new Date();
+  const durationMs = finishedAt.getTime() - startedAt;
+
+  await JobRun.findByIdAndUpdate(run._id, { ...update, finishedAt, durationMs });
+
+  await ScheduledJob.updateOne(
+    { _id: job._id, lockedBy: INSTANCE_ID },
+    {
+      lastRunAt: run.startedAt,
+      lastStatus: update.status,
+      lastDurationMs: durationMs,
+      nextRunAt: new Date(finishedAt.getTime() + job.intervalMinutes * 60 * 1000),
+      $inc: { runCount: 1, ...(update.status === 'FAILED' && { failureCount: 1 }) },
+      ...(update.status === 'FAILED' ? { lastError: update.error } : { $unset: { lastError: 1 } }),
+      lockedBy: null,
+      lockedUntil: null
+    }
+  );
+
+  // Keep the history of each job bounded
+  const oldest = await JobRun.findOne({ jobName: job.name })
+    .sort({ startedAt: -1 })
+    .skip(JOB_HISTORY_LIMIT - 1)
+    .select('startedAt');
+  if (oldest) {
+    await JobRun.deleteMany({ jobName: job.name, startedAt: { $lt: oldest.startedAt } });
+  }
+
+  return JobRun.findById(run._id);
+};
+
+/**
+ * Run a job now, outside its schedule (paused jobs can still be run by hand)
+ * @param {string} name - Job name
+ * @param {object} [options]
+ * @param {string} [options.trigger] - MANUAL or SCRIPT
+ * @param {string} [options.triggeredBy] - Email of the super admin
+ * @param {boolean} [options.wait] - Resolve once the run finished instead of when it started
+ * @returns {Promise<object>} { run } or { error: 'NOT_FOUND' | 'RUNNING' }
+ */
+const runJob = async (name, { trigger = 'MANUAL', triggeredBy, wait = false } = {}) => {
+  if (!definitions.has(name)) return { error: 'NOT_FOUND' };
+
+  await syncJobs();
+
+  const job = await claimJob(name, false);
+  if (!job) return { error: 'RUNNING' };
+
+  const run = await startRun(job, trigger, triggeredBy);
+  const execution = executeJob(job, run);
+
+  if (wait) {
+    return { run: await execution };
+  }
+
+  execution.catch(error => console.error(`Job ${name} error:`, error));
+  return { run };
+};
+
+// Start every due job. Jobs run side by side, so a long run does not hold up the others;
+// a job still running from an earlier tick keeps its lock and is not claimed again.
+const runDueJobs = async () => {
+  // A tick is already in progress in this process
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const name of definitions.keys()) {
+      const job = await claimJob(name, true);
+      if (!job) continue;
+
+      const run = await startRun(job, 'SCHEDULE');
+      executeJob(job, run).catch(error => console.error(`Job ${name} error:`, error));
+    }
+  } finally {
+    ticking = false;
+  }
+};
+
+// Check for due jobs in the background (disable with SCHEDULER_ENABLED=false)
+const startScheduler = () => {
+  if (schedulerTimer || process.env.SCHEDULER_ENABLED === 'false') return;
+
+  const interval = parseInt(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_TICK_INTERVAL_MS;
+  const tick = () => runDueJobs().catch(error => console.error('Scheduler error:', error));
+
+  schedulerTimer = setInterval(tick, interval);
+  schedulerTimer.unref();
+
+  syncJobs()
+    .then(tick)
+    .catch(error => console.error('Failed to register scheduled jobs:', error));
+
+  console.log(`⏲️  Job scheduler started on ${INSTANCE_ID} (every ${interval / 1000}s)`);
+};
+
+const stopScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  defineJob,
+  getJobDefinition,
+  syncJobs,
+  runJob,
+  runDueJobs,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,79 @@
+// Portfolios whose search index entry is out of date; loaded by the models, so it requires none itself
+const REINDEX_DELAY_MS = 2000; // Collect the writes of one request into one refresh
+
+const pendingUserIds = new Set();
+let flushTimer = null;
+
+const flushReindexQueue = async () => {
+  flushTimer = null;
+  const userIds = [...pendingUserIds];
+  pendingUserIds.clear();
+
+  // Required here rather than at the top: portfolioSearch loads the models that load this module
+  const { refreshPortfolioSearchEntry } = require('./portfolioSearch');
+
+  for (const userId of userIds) {
+    try {
+      await refreshPortfolioSearchEntry(userId);
+    } catch (error) {
+      console.error(`Failed to refresh search index for user ${userId}:`, error);
+    }
+  }
+};
+
+const queuePortfolioReindex = (userId) => {
+  if (!userId) return;
+
+  pendingUserIds.add(String(userId));
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushReindexQueue().catch(error => console.error('Search index queue error:', error));
+    }, REINDEX_DELAY_MS);
+    flushTimer.unref();
+  }
+};
+
+const TIMESTAMP_PATHS = ['createdAt', 'updatedAt'];
+
+// Counter bumps such as project views; timestamps add $set.updatedAt and $setOnInsert.createdAt to them
+const isCounterUpdate = (update) => Object.entries(update).every(([key, value]) => key === '$inc'
+  || ((key === '$set' || key === '$setOnInsert') && Object.keys(value).every(path => TIMESTAMP_PATHS.includes(path))));
+
+/**
+ * Mongoose plugin: refresh the search index entry of the owning portfolio whenever a document changes.
+ * Updates that only increment counters (such as project views) are ignored. updateMany looks up
+ * the portfolios it touches before writing; writes through updateOne are not seen, the daily
+ * rebuild-portfolio-search-index job catches those.
+ * @param {object} schema - Mongoose schema
+ * @param {object} [options]
+ * @param {string} [options.userIdPath] - Path holding the portfolio owner ('_id' for users)
+ */
+const reindexPortfolioOnChange = (schema, { userIdPath = 'userId' } = {}) => {
+  const queueFor = (doc) => {
+    if (doc) queuePortfolioReindex(typeof doc.get === 'function' ? doc.get(userIdPath) : doc[userIdPath]);
+  };
+
+  schema.post('save', queueFor);
+  schema.post('deleteOne', { document: true, query: false }, queueFor);
+  schema.post('findOneAndDelete', queueFor);
+  schema.post('insertMany', (docs) => docs.forEach(queueFor));
+  schema.post('findOneAndUpdate', function(doc) {
+    if (isCounterUpdate(this.getUpdate() || {})) return;
+    queueFor(doc);
+  });
+
+  // The filter may no longer match once the update is applied (e.g. removing users from an institute)
+  schema.pre('updateMany', async function() {
+    if (isCounterUpdate(this.getUpdate() || {})) return;
+    this._reindexUserIds = await this.model.distinct(userIdPath, this.getFilter());
+  });
+  schema.post('updateMany', function() {
+    (this._reindexUserIds || []).forEach(queuePortfolioReindex);
+  });
+};
+
+module.exports = {
+  queuePortfolioReindex,
+  reindexPortfolioOnChange
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateToken } = require('./jwt');
+
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000; // Avoid a write on every request
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getRefreshTokenTtlMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Client IP and user agent of a request
+const getClientInfo = (req) => ({
+  ip: req.ip || (req.connection && req.connection.remoteAddress),
+  userAgent: (req.headers['user-agent'] || '').substring(0, 500)
+});
+
+const issueAccessToken = (user, session) => {
+  return generateToken({
+    userId: user._id,
+    email: user.email,
+    role: user.role,
+    sessionId: session._id
+  });
+};
+
+/**
+ * Start a session for a signed-in user
+ * @param {object} user - User document
+ * @param {object} req - Express request (for IP and user agent)
+ * @param {string} loginMethod - PASSWORD, GOOGLE or REGISTER
+ * @returns {Promise<object>} { token, refreshToken, session }
+ */
+const createSession = async (user, req, loginMethod) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const { ip, userAgent } = getClientInfo(req);
+
+  const session = await new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    loginMethod,
+    userAgent,
+    createdIp: ip,
+    lastSeenIp: ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs())
+  }).save();
+
+  return {
+    token: issueAccessToken(user, session),
+    refreshToken,
+    session
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting an already rotated token revokes the whole session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {object} req - Express request (for IP and user agent)
+ * @returns {Promise<object>} { token, refreshToken, session, user } or { error }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = new Date();
+      reused.revokedReason = 'TOKEN_REUSE';
+      await reused.save();
+      console.warn(`Refresh token reuse detected, revoked session ${reused._id} for user ${reused.userId}`);
+    }
+
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (!session.isActive()) {
+    return { error: session.revokedAt ? 'Session has been revoked' : 'Refresh token expired' };
+  }
+
+  const user = await User.findById(session.userId).select('-passwordHash');
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+  const { ip, userAgent } = getClientInfo(req);
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: { $exists: false } },
+    {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } },
+      lastRefreshedAt: new Date(),
+      lastSeenAt: new Date(),
+      lastSeenIp: ip,
+      userAgent
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  return {
+    token: issueAccessToken(user, rotated),
+    refreshToken: nextRefreshToken,
+    session: rotated,
+    user
+  };
+};
+
+/**
+ * Load the session an access token belongs to, recording the last activity
+ * @param {string} sessionId - sessionId claim of the access token
+ * @param {object} req - Express request (for IP and user agent)
+ * @returns {Promise<object|null>} Active Session, or null when revoked or expired
+ */
+const touchSession = async (sessionId, req) => {
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+    const { ip, userAgent } = getClientInfo(req);
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), lastSeenIp: ip, userAgent });
+  }
+
+  return session;
+};
+
+/**
+ * Revoke sessions of a user
+ * @param {object} query - Extra conditions (e.g. { _id } for one session)
+ * @param {string} reason - Session revokedReason
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+const revokeSessions = async (query, reason) => {
+  const result = await Session.updateMany(
+    { ...query, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  hashToken,
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  touchSession,
+  revokeSessions
+};
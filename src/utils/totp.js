@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// HOTP value for one counter (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % Math.pow(10, CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+};
+
+const getCounter = (time = Date.now()) => Math.floor(time / 1000 / TIME_STEP_SECONDS);
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Current TOTP code for a secret (RFC 6238, SHA-1, 6 digits, 30s)
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Timestamp in milliseconds
+ * @returns {string} Code
+ */
+const generateTotp = (secret, time = Date.now()) => generateHotp(secret, getCounter(time));
+
+/**
+ * Check a TOTP code, allowing one time step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} [options]
+ * @param {number} [options.lastCounter] - Counter of the last accepted code; it and older codes are rejected (replay)
+ * @param {number} [options.window] - Time steps to accept before and after now
+ * @returns {number|null} Matched counter, or null when the code is invalid
+ */
+const verifyTotp = (secret, code, { lastCounter = -1, window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) return null;
+
+  const current = getCounter();
+
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (counter <= lastCounter) continue;
+
+    const expected = Buffer.from(generateHotp(secret, counter));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps
+ * @param {object} params - { secret, accountName, issuer }
+ * @returns {string} URI
+ */
+const buildOtpAuthUrl = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[\s-]/g, '')).digest('hex');
+};
+
+/**
+ * Generate single-use recovery codes
+ * @returns {object} { codes: plaintext codes to show once, hashes: values to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)); // 8 characters
+    return `${raw.substring(0, 4)}-${raw.substring(4, 8)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// TOTP secrets are stored encrypted (AES-256-GCM)
+const getEncryptionKey = () => {
+  const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be configured');
+  }
+  return crypto.createHash('sha256').update(material).digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  encryptSecret,
+  decryptSecret
+};
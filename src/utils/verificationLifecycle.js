@@ -0,0 +1,466 @@
+const Experience = require('../models/Experience');
+const Education = require('../models/Education');
+const Project = require('../models/Project');
+const Verification = require('../models/Verification');
+const VerificationLog = require('../models/VerificationLog');
+const Credential = require('../models/Credential');
+const { issueCredential } = require('./credentials');
+const { sendVerificationDecisionEmail, sendVerificationRevokedEmail } = require('./email');
+const { notify } = require('./notifications');
+const { recordAuditEvent } = require('./audit');
+
+// Fields whose change makes an existing verification meaningless
+const MATERIAL_FIELDS = {
+  EXPERIENCE: ['title', 'description', 'role', 'startDate', 'endDate', 'tags'],
+  EDUCATION: [
+    'courseType', 'courseName', 'boardOrUniversity', 'schoolOrCollege',
+    'passingYear', 'isExpected', 'grade', 'percentage', 'cgpa'
+  ],
+  PROJECT: [
+    'title', 'description', 'category', 'projectType', 'duration',
+    'collaborators', 'course', 'supervisor', 'grade', 'skillsUsed', 'outcome', 'links'
+  ]
+};
+
+const getItemModel = (itemType) => {
+  switch (itemType.toUpperCase()) {
+    case 'EXPERIENCE': return Experience;
+    case 'EDUCATION': return Education;
+    case 'PROJECT':
+    case 'GITHUB_PROJECT': return Project;
+    default: throw new Error('Invalid item type');
+  }
+};
+
+const getItemTitle = (item) => item.title || item.courseName || 'Item';
+
+// Normalize values so dates, numbers, arrays and nested objects compare by content
+const normalizeValue = (value) => {
+  // Unset flags (e.g. isOngoing) default to false, so treat them as empty
+  if (value === undefined || value === null || value === '' || value === false) return null;
+  if (value instanceof Date) return value.getTime();
+  if (Array.isArray(value)) return JSON.stringify(value.map(normalizeValue));
+
+  if (typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => key !== '_id')
+      .sort()
+      .map(key => [key, normalizeValue(value[key])])
+      .filter(([, entry]) => entry !== null);
+    return JSON.stringify(entries);
+  }
+
+  if (typeof value === 'string' && !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return new Date(value).getTime();
+  }
+
+  return String(value).trim();
+};
+
+/**
+ * List the material fields an update would change on an item
+ * @param {string} itemType - EXPERIENCE, EDUCATION or PROJECT
+ * @param {object} item - Current item document
+ * @param {object} updates - Incoming field updates
+ * @returns {string[]} Names of changed material fields
+ */
+const getChangedMaterialFields = (itemType, item, updates) => {
+  const current = typeof item.toObject === 'function' ? item.toObject() : item;
+
+  return (MATERIAL_FIELDS[itemType] || []).filter(field => {
+    if (updates[field] === undefined) return false;
+    return normalizeValue(updates[field]) !== normalizeValue(current[field]);
+  });
+};
+
+const QUORUM_RULES = ['ANY', 'ALL', 'N_OF_M'];
+
+/**
+ * Resolve a requested quorum rule against the number of endorsers
+ * @param {object} [quorum] - { rule: ANY | ALL | N_OF_M, required } as sent by the student
+ * @param {number} total - Number of endorsers the request goes to
+ * @returns {object} { rule, required, total } or { error } when the rule is invalid
+ */
+const resolveQuorum = (quorum = {}, total) => {
+  const rule = (quorum.rule || 'ANY').toUpperCase();
+
+  if (!QUORUM_RULES.includes(rule)) {
+    return { error: 'Invalid quorum rule. Must be one of: ' + QUORUM_RULES.join(', ') };
+  }
+
+  if (rule === 'ANY') return { rule, required: 1, total };
+  if (rule === 'ALL') return { rule, required: total, total };
+
+  const required = Number(quorum.required);
+  if (!Number.isInteger(required) || required < 1 || required > total) {
+    return { error: `Quorum must require between 1 and ${total} endorsements` };
+  }
+
+  return { rule, required, total };
+};
+
+// All endorser requests created together with this verification
+const getEndorsementGroup = async (verification) => {
+  if (!verification.endorsementGroup) return [verification];
+
+  return Verification.find({ endorsementGroup: verification.endorsementGroup })
+    .select('-token')
+    .sort({ createdAt: 1 });
+};
+
+// Count approvals against the quorum of an endorsement group
+const getQuorumProgress = (group, quorum = {}) => {
+  const now = new Date();
+  const approvals = group.filter(v => v.status === 'APPROVED').length;
+  // Requests waiting for more evidence from the student can still be approved
+  const pending = group.filter(v => v.status === 'CHANGES_REQUESTED' || (v.status === 'PENDING' && v.expiresAt > now)).length;
+  const required = quorum.required || 1;
+
+  return {
+    rule: quorum.rule || 'ANY',
+    required,
+    // A request handed to another verifier on escalation is counted once
+    total: group.filter(v => v.status !== 'REASSIGNED').length,
+    approvals,
+    pending,
+    met: approvals >= required,
+    reachable: approvals + pending >= required
+  };
+};
+
+/**
+ * Describe the endorsers and quorum progress of a multi-verifier request
+ * @param {object} verification - Any Verification of the group
+ * @returns {Promise<object|null>} Endorsement summary, or null for single-verifier requests
+ */
+const describeEndorsements = async (verification) => {
+  if (!verification.endorsementGroup) return null;
+
+  const group = await getEndorsementGroup(verification);
+
+  return {
+    quorum: getQuorumProgress(group, verification.quorum),
+    endorsers: group.map(v => ({
+      verifierEmail: v.verifierEmail,
+      status: v.status,
+      comment: v.status === 'APPROVED' ? v.comment : undefined,
+      actedAt: v.actedAt
+    }))
+  };
+};
+
+/**
+ * Record a verifier's decision and apply the quorum rule of its request:
+ * the item is verified (and a credential issued) once enough endorsers approved,
+ * and rejected once the quorum can no longer be reached
+ * @param {object} params
+ * @param {object} params.verification - PENDING Verification being decided
+ * @param {string} params.decision - APPROVED or REJECTED
+ * @param {string} params.actorEmail - Email of the deciding verifier
+ * @param {string} [params.actorName] - Display name of the deciding verifier
+ * @param {string} [params.comment] - Verifier comment
+ * @param {object} [params.req] - Express request of the decision, for the audit log
+ * @param {boolean} [params.notifyStudent] - Notify the student of the outcome (bulk decisions send one summary instead)
+ * @returns {Promise<object>} { verification, item, outcome, quorum, credential, settled } (settled: this decision verified or rejected the item),
+ *   or { error } when the request was decided by someone else in the meantime
+ */
+const recordDecision = async ({ verification, decision, actorEmail, actorName, comment = '', req, notifyStudent = true }) => {
+  const Model = getItemModel(verification.itemType);
+  const email = actorEmail.toLowerCase();
+
+  let item = await Model.findById(verification.itemId);
+  if (!item) {
+    throw new Error('Associated item not found');
+  }
+
+  // Only one of two concurrent decisions on the same request gets to claim it
+  const claimed = await Verification.findOneAndUpdate(
+    { _id: verification._id, status: 'PENDING' },
+    { status: decision, comment, actedBy: email, actedAt: new Date() },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return { error: 'Verification request not found or already processed' };
+  }
+  verification = claimed;
+
+  await new VerificationLog({
+    verificationId: verification._id,
+    action: decision,
+    actorEmail: email,
+    metadata: { comment }
+  }).save();
+
+  if (decision === 'APPROVED') {
+    await Model.findByIdAndUpdate(verification.itemId, {
+      $push: {
+        endorsements: {
+          verificationId: verification._id,
+          verifierEmail: email,
+          verifierName: actorName,
+          comment,
+          endorsedAt: verification.actedAt
+        }
+      }
+    });
+  }
+
+  const group = await getEndorsementGroup(verification);
+  const quorum = getQuorumProgress(group, verification.quorum);
+  item = await Model.findById(verification.itemId).populate('userId', 'name email institute');
+
+  await recordAuditEvent({
+    req,
+    action: `VERIFICATION_${decision}`,
+    actor: {
+      type: 'VERIFIER',
+      id: req && req.user ? String(req.user._id) : undefined,
+      email,
+      name: actorName
+    },
+    target: { type: 'VERIFICATION', id: verification._id, label: getItemTitle(item) },
+    institution: item.userId && item.userId.institute,
+    changes: [{ field: 'status', before: 'PENDING', after: decision }],
+    metadata: { itemType: verification.itemType, itemId: verification.itemId, comment }
+  });
+
+  let credential = null;
+  let outcome = item.verified ? 'VERIFIED' : 'AWAITING_QUORUM';
+  let settled = !item.verified && !quorum.met && !quorum.reachable;
+
+  // Only the decision whose update flips verified issues the credential; a concurrent one that also met the quorum does not.
+  // Items created before the verified flag existed have no stored value, so match anything but true.
+  const verifiedItem = !item.verified && quorum.met
+    ? await Model.findOneAndUpdate({ _id: verification.itemId, verified: { $ne: true } }, {
+      verified: true,
+      verifiedAt: new Date(),
+      verifiedBy: email,
+      verifierComment: comment
+    }, { new: true }).populate('userId', 'name email institute')
+    : null;
+
+  if (quorum.met && !item.verified && !verifiedItem) {
+    // Another decision got there first; report what it left behind
+    item = await Model.findById(verification.itemId).populate('userId', 'name email institute');
+    outcome = item.verified === true ? 'VERIFIED' : 'AWAITING_QUORUM';
+  } else if (verifiedItem) {
+    outcome = 'VERIFIED';
+    settled = true;
+    item = verifiedItem;
+
+    if (verification.endorsementGroup) {
+      await new VerificationLog({
+        verificationId: verification._id,
+        action: 'QUORUM_MET',
+        actorEmail: email,
+        metadata: { rule: quorum.rule, required: quorum.required, approvals: quorum.approvals }
+      }).save();
+    }
+
+    // Issue a signed credential for the verified item
+    try {
+      credential = await issueCredential({
+        itemType: verification.itemType,
+        item,
+        student: item.userId,
+        verification,
+        verifierEmail: email,
+        verifierName: actorName,
+        endorsements: item.endorsements
+      });
+    } catch (credentialError) {
+      console.warn('Failed to issue credential for approved item:', credentialError);
+    }
+
+    const endorserNames = item.endorsements.map(e => e.verifierName || e.verifierEmail).join(', ') || actorName || email;
+    if (notifyStudent) {
+      await notify({
+        userId: item.userId._id,
+        type: 'VERIFICATION_DECIDED',
+        title: `Verification approved: ${getItemTitle(item)}`,
+        message: `Your ${verification.itemType.toLowerCase()} "${getItemTitle(item)}" was verified by ${endorserNames}`,
+        link: '/portfolio',
+        data: { verificationId: verification._id, itemType: verification.itemType, itemId: item._id, status: 'APPROVED' },
+        sendEmail: (student) => sendVerificationDecisionEmail(
+          student.email,
+          getItemTitle(item),
+          verification.itemType,
+          'APPROVED',
+          comment,
+          endorserNames
+        )
+      });
+    }
+  } else if (!item.verified && !quorum.reachable) {
+    outcome = 'REJECTED';
+
+    // Update the actual item with rejection details (but keep verified as false)
+    await Model.findByIdAndUpdate(verification.itemId, {
+      verifiedBy: email,
+      verifierComment: comment
+    });
+
+    // Remaining endorsers can no longer make a difference
+    const openRequests = group.filter(v => v.status === 'PENDING');
+    if (openRequests.length > 0) {
+      await Verification.updateMany(
+        { _id: { $in: openRequests.map(v => v._id) } },
+        { status: 'CANCELLED' }
+      );
+      await VerificationLog.insertMany(openRequests.map(v => ({
+        verificationId: v._id,
+        action: 'CANCELLED',
+        actorEmail: email,
+        metadata: { reason: 'Quorum can no longer be reached' }
+      })));
+    }
+
+    if (notifyStudent) {
+      await notify({
+        userId: item.userId._id,
+        type: 'VERIFICATION_DECIDED',
+        title: `Verification rejected: ${getItemTitle(item)}`,
+        message: `Your ${verification.itemType.toLowerCase()} "${getItemTitle(item)}" was rejected by ${actorName || email}`,
+        link: '/portfolio',
+        data: { verificationId: verification._id, itemType: verification.itemType, itemId: item._id, status: 'REJECTED' },
+        sendEmail: (student) => sendVerificationDecisionEmail(
+          student.email,
+          getItemTitle(item),
+          verification.itemType,
+          'REJECTED',
+          comment,
+          actorName || email
+        )
+      });
+    }
+  }
+
+  return { verification, item, outcome, quorum, credential, settled };
+};
+
+/**
+ * Withdraw the verification of an item: marks approvals as REVOKED,
+ * removes the verified badge, revokes issued credentials and logs the action.
+ * Revoking one endorsement of a multi-verifier request keeps the badge
+ * while the remaining endorsements still meet the quorum.
+ * @param {object} params
+ * @param {string} params.itemType - EXPERIENCE, EDUCATION or PROJECT
+ * @param {string} params.itemId - ID of the verified item
+ * @param {object} [params.verification] - Approved Verification to revoke (defaults to every approval of the item)
+ * @param {string} params.actorEmail - Email of whoever withdrew the verification
+ * @param {string} [params.actorName] - Display name used in the student email
+ * @param {string} params.reason - Why the verification was withdrawn
+ * @param {string} [params.action] - REVOKED (by a verifier/admin) or INVALIDATED (by an edit)
+ * @param {object} [params.metadata] - Extra details for the verification log
+ * @param {boolean} [params.notifyStudent] - Email the student about the revocation
+ * @param {object} [params.req] - Express request of the actor, for the audit log
+ * @returns {Promise<object>} { verifications, itemVerified }
+ */
+const withdrawVerification = async ({
+  itemType,
+  itemId,
+  verification: approvedVerification,
+  actorEmail,
+  actorName,
+  reason,
+  action = 'REVOKED',
+  metadata = {},
+  notifyStudent = true,
+  req
+}) => {
+  const Model = getItemModel(itemType);
+  const now = new Date();
+
+  const verifications = approvedVerification
+    ? [approvedVerification]
+    : await Verification.find({ itemId, itemType, status: 'APPROVED' });
+
+  for (const verification of verifications) {
+    verification.status = 'REVOKED';
+    verification.revokedBy = actorEmail.toLowerCase();
+    verification.revokedAt = now;
+    verification.revocationReason = reason;
+    await verification.save();
+
+    await new VerificationLog({
+      verificationId: verification._id,
+      action,
+      actorEmail,
+      metadata: { reason, ...metadata }
+    }).save();
+  }
+
+  // Drop the withdrawn endorsements from the item
+  let item = await Model.findByIdAndUpdate(itemId, {
+    $pull: { endorsements: { verificationId: { $in: verifications.map(v => v._id) } } }
+  }, { new: true }).populate('userId', 'name email institute');
+
+  // Admins act as themselves; otherwise it is a verifier revoking or the student editing
+  const actor = req && req.admin
+    ? undefined
+    : { type: action === 'INVALIDATED' ? 'USER' : 'VERIFIER', id: req && req.user ? String(req.user._id) : undefined, email: actorEmail, name: actorName };
+
+  for (const verification of verifications) {
+    await recordAuditEvent({
+      req,
+      action: `VERIFICATION_${action}`,
+      actor,
+      target: { type: 'VERIFICATION', id: verification._id, label: item ? getItemTitle(item) : undefined },
+      institution: item && item.userId ? item.userId.institute : undefined,
+      changes: [{ field: 'status', before: 'APPROVED', after: 'REVOKED' }],
+      metadata: { itemType, itemId, reason, ...metadata }
+    });
+  }
+
+  let itemVerified = false;
+  if (approvedVerification && approvedVerification.endorsementGroup) {
+    const group = await getEndorsementGroup(approvedVerification);
+    itemVerified = !!(item && item.verified) && getQuorumProgress(group, approvedVerification.quorum).met;
+  }
+
+  if (!itemVerified) {
+    // Remove the verified badge from the item itself
+    item = await Model.findByIdAndUpdate(itemId, {
+      verified: false,
+      $unset: { verifiedAt: 1, verifiedBy: 1, verifierComment: 1 }
+    }, { new: true }).populate('userId', 'name email institute');
+
+    await Credential.updateMany(
+      { itemId, itemType, status: 'ACTIVE' },
+      { status: 'REVOKED', revokedAt: now, revocationReason: reason }
+    );
+  }
+
+  if (notifyStudent && !itemVerified && item && item.userId) {
+    await notify({
+      userId: item.userId._id,
+      type: 'VERIFICATION_DECIDED',
+      title: `Verification revoked: ${getItemTitle(item)}`,
+      message: `The verification of your ${itemType.toLowerCase()} "${getItemTitle(item)}" was revoked by ${actorName || actorEmail}: ${reason}`,
+      link: '/portfolio',
+      data: { itemType, itemId, status: 'REVOKED', reason },
+      sendEmail: (student) => sendVerificationRevokedEmail(
+        student.email,
+        getItemTitle(item),
+        itemType,
+        reason,
+        actorName || actorEmail
+      )
+    });
+  }
+
+  return { verifications, itemVerified };
+};
+
+module.exports = {
+  MATERIAL_FIELDS,
+  QUORUM_RULES,
+  getItemModel,
+  getItemTitle,
+  getChangedMaterialFields,
+  resolveQuorum,
+  describeEndorsements,
+  recordDecision,
+  withdrawVerification
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const RoutingRule = require('../models/RoutingRule');
+const Verification = require('../models/Verification');
+
+const CONDITION_FIELDS = ['itemTypes', 'departments', 'courseTypes', 'tags'];
+
+/**
+ * Whether a request for an item matches the conditions of a routing rule
+ * @param {object} rule - RoutingRule document
+ * @param {object} context - { itemType, item, student }
+ * @returns {boolean}
+ */
+const matchesRule = (rule, { itemType, item, student }) => {
+  const { itemTypes = [], departments = [], courseTypes = [], tags = [] } = rule.conditions || {};
+
+  if (itemTypes.length > 0 && !itemTypes.includes(itemType)) return false;
+
+  if (departments.length > 0 && !(student.department && departments.some(id => id.equals(student.department)))) {
+    return false;
+  }
+
+  // Course types only constrain education entries and tags only experiences
+  if (courseTypes.length > 0 && itemType === 'EDUCATION' && !courseTypes.includes(item.courseType)) return false;
+
+  if (tags.length > 0 && itemType === 'EXPERIENCE') {
+    const itemTags = (item.tags || []).map(tag => tag.toLowerCase().trim());
+    if (!tags.some(tag => itemTags.includes(tag))) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Pending requests per verifier, counted like GET /api/verifier/pending-requests
+ * @param {string[]} emails - Verifier emails
+ * @returns {Promise<object>} email -> number of pending requests
+ */
+const getPendingCounts = async (emails) => {
+  const counts = await Verification.aggregate([
+    {
+      $match: {
+        verifierEmail: { $in: emails },
+        status: 'PENDING',
+        expiresAt: { $gt: new Date() }
+      }
+    },
+    { $group: { _id: '$verifierEmail', count: { $sum: 1 } } }
+  ]);
+
+  return Object.fromEntries(emails.map(email => [
+    email,
+    (counts.find(entry => entry._id === email) || { count: 0 }).count
+  ]));
+};
+
+// Verifiers a rule can hand requests to, in a stable order
+const getRulePool = async (rule) => {
+  const query = { role: 'VERIFIER', institute: rule.institution };
+  if (rule.verifiers && rule.verifiers.length > 0) {
+    query._id = { $in: rule.verifiers };
+  }
+
+  return User.find(query).select('name email institute').sort({ _id: 1 });
+};
+
+// Verifier with the shortest pending queue; ties go round-robin, starting after lastAssignedTo
+const chooseLeastLoaded = async (pool, lastAssignedTo) => {
+  const pending = await getPendingCounts(pool.map(verifier => verifier.email));
+
+  const lastIndex = lastAssignedTo ? pool.findIndex(verifier => verifier._id.equals(lastAssignedTo)) : -1;
+  const turn = (index) => (index - lastIndex - 1 + pool.length) % pool.length;
+
+  return pool
+    .map((candidate, index) => ({ candidate, index }))
+    .sort((a, b) => pending[a.candidate.email] - pending[b.candidate.email] || turn(a.index) - turn(b.index))[0].candidate;
+};
+
+/**
+ * Pick the verifier of a rule with the shortest pending queue. Ties go round-robin,
+ * starting after the verifier the rule picked last.
+ * @param {object} rule - RoutingRule document
+ * @param {string[]} [excludeIds] - Users that must not be picked (e.g. the student)
+ * @returns {Promise<object|null>} Verifier user, or null when the rule has no verifier
+ */
+const pickVerifier = async (rule, excludeIds = []) => {
+  const pool = (await getRulePool(rule)).filter(verifier => !excludeIds.some(id => verifier._id.equals(id)));
+  if (pool.length === 0) return null;
+
+  const verifier = await chooseLeastLoaded(pool, rule.lastAssignedTo);
+
+  await RoutingRule.updateOne(
+    { _id: rule._id },
+    { lastAssignedTo: verifier._id, lastAssignedAt: new Date() }
+  );
+
+  return verifier;
+};
+
+/**
+ * Another verifier to take over a request: from the routing rule that assigned it
+ * when there is one, otherwise any verifier of the institution
+ * @param {object} verification - Verification being escalated
+ * @param {string} institution - Institution name
+ * @param {string[]} excludeIds - Users that must not be picked (student, current endorsers)
+ * @returns {Promise<object|null>} Verifier user, or null when nobody else is available
+ */
+const findAlternateVerifier = async (verification, institution, excludeIds) => {
+  const rule = verification.routing && verification.routing.rule
+    ? await RoutingRule.findOne({ _id: verification.routing.rule, institution })
+    : null;
+
+  if (rule) {
+    const verifier = await pickVerifier(rule, excludeIds);
+    if (verifier) return verifier;
+  }
+
+  const pool = (await getRulePool({ institution }))
+    .filter(verifier => !excludeIds.some(id => verifier._id.equals(id)));
+
+  return pool.length > 0 ? chooseLeastLoaded(pool) : null;
+};
+
+/**
+ * Route a request submitted to the student's institution: the first active rule
+ * (by priority) that matches and has a verifier decides who receives it
+ * @param {object} context - { itemType, item, student }
+ * @returns {Promise<object>} { rule, verifier } or { error }
+ */
+const routeVerificationRequest = async ({ itemType, item, student }) => {
+  const rules = await RoutingRule.find({ institution: student.institute, isActive: true })
+    .sort({ priority: 1, createdAt: 1 });
+
+  const matching = rules.filter(rule => matchesRule(rule, { itemType, item, student }));
+  if (matching.length === 0) {
+    return { error: 'No routing rule of your institution matches this item. Choose a verifier instead.' };
+  }
+
+  for (const rule of matching) {
+    const verifier = await pickVerifier(rule, [student._id]);
+    if (verifier) {
+      return { rule, verifier };
+    }
+  }
+
+  return { error: 'No verifier is available for this item. Choose a verifier instead.' };
+};
+
+const asList = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Validate a routing rule definition against an institution
+ * @param {object} body - { name, priority, isActive, conditions, verifiers }
+ * @param {string} institution - Institution name
+ * @param {boolean} [partial] - Allow missing fields (updates)
+ * @returns {Promise<object>} { values } or { error }
+ */
+const validateRoutingRuleInput = async ({ name, priority, isActive, conditions, verifiers }, institution, partial = false) => {
+  const values = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return { error: 'Rule name is required and must be at most 100 characters' };
+    }
+    values.name = name.trim();
+  }
+
+  if (priority !== undefined) {
+    if (!Number.isInteger(priority) || priority < 0) {
+      return { error: 'Priority must be a non-negative integer' };
+    }
+    values.priority = priority;
+  }
+
+  if (isActive !== undefined) {
+    values.isActive = Boolean(isActive);
+  }
+
+  if (conditions !== undefined) {
+    if (!conditions || typeof conditions !== 'object' || Array.isArray(conditions)) {
+      return { error: 'Conditions must be an object' };
+    }
+
+    values.conditions = Object.fromEntries(CONDITION_FIELDS.map(field => [
+      field,
+      conditions[field] === undefined || conditions[field] === null ? [] : asList(conditions[field])
+    ]));
+    values.conditions.itemTypes = values.conditions.itemTypes.map(type => String(type).toUpperCase());
+
+    const departments = values.conditions.departments;
+    if (departments.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Departments must be department IDs' };
+    }
+
+    if (departments.length > 0) {
+      const found = await Department.countDocuments({ _id: { $in: departments }, institution });
+      if (found !== new Set(departments.map(String)).size) {
+        return { error: 'Some departments were not found in your institution' };
+      }
+    }
+  }
+
+  if (verifiers !== undefined) {
+    const ids = verifiers === null ? [] : asList(verifiers);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Verifiers must be user IDs' };
+    }
+
+    const unique = [...new Set(ids.map(String))];
+    const found = await User.countDocuments({ _id: { $in: unique }, role: 'VERIFIER', institute: institution });
+    if (found !== unique.length) {
+      return { error: 'Some verifiers were not found in your institution' };
+    }
+    values.verifiers = unique;
+  }
+
+  return { values };
+};
+
+module.exports = {
+  matchesRule,
+  getPendingCounts,
+  pickVerifier,
+  findAlternateVerifier,
+  routeVerificationRequest,
+  validateRoutingRuleInput
+};
@@ -0,0 +1,529 @@
+const Verification = require('../models/Verification');
+const VerificationLog = require('../models/VerificationLog');
+const Institution = require('../models/Institution');
+const InstituteAdmin = require('../models/InstituteAdmin');
+const User = require('../models/User');
+const { generateVerificationToken } = require('./jwt');
+const { sendVerificationEmail, sendVerificationReminderEmail, sendVerificationEscalatedEmail } = require('./email');
+const { notify } = require('./notifications');
+const { recordAuditEvent } = require('./audit');
+const { resolveAdminAccess } = require('./adminPolicy');
+const { findAlternateVerifier } = require('./verificationRouting');
+const { getItemModel, getItemTitle } = require('./verificationLifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Requests expire 72 hours after they are sent (Verification.expiresAt), so every SLA step happens before that
+const MAX_SLA_HOURS = 71;
+const MAX_REMINDERS = 5;
+const ESCALATION_TARGETS = ['ALTERNATE_VERIFIER', 'INSTITUTE_ADMIN', 'NONE'];
+const DEFAULT_SLA = {
+  responseHours: 48,
+  reminderHours: [24],
+  escalateTo: 'INSTITUTE_ADMIN'
+};
+// Actor recorded in verification logs for scheduled steps
+const SYSTEM_ACTOR = 'system';
+const BATCH_SIZE = 500;
+
+/**
+ * SLA settings of an institution with defaults for anything unset
+ * @param {object} [institution] - Institution document
+ * @returns {object} { responseHours, reminderHours, escalateTo }
+ */
+const getSlaSettings = (institution) => {
+  const settings = (institution && institution.settings && institution.settings.verificationSla) || {};
+
+  return {
+    responseHours: settings.responseHours || DEFAULT_SLA.responseHours,
+    reminderHours: settings.reminderHours ? [...settings.reminderHours] : DEFAULT_SLA.reminderHours,
+    escalateTo: settings.escalateTo || DEFAULT_SLA.escalateTo
+  };
+};
+
+/**
+ * SLA settings of an institution looked up by name
+ * @param {string} name - Institution name
+ * @returns {Promise<object>} { responseHours, reminderHours, escalateTo }
+ */
+const getInstitutionSla = async (name) => {
+  const institution = name
+    ? await Institution.findOne({ name }).select('settings.verificationSla')
+    : null;
+  return getSlaSettings(institution);
+};
+
+/**
+ * Validate SLA settings sent by an institute admin
+ * @param {object} input - { responseHours, reminderHours, escalateTo }
+ * @returns {object} { values } (only the given fields) or { error }
+ */
+const validateSlaSettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'verificationSla must be an object' };
+  }
+
+  const values = {};
+  const isHours = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_SLA_HOURS;
+
+  if (input.responseHours !== undefined) {
+    if (!isHours(input.responseHours)) {
+      return { error: `responseHours must be a whole number of hours between 1 and ${MAX_SLA_HOURS}` };
+    }
+    values.responseHours = input.responseHours;
+  }
+
+  if (input.reminderHours !== undefined) {
+    if (!Array.isArray(input.reminderHours) || input.reminderHours.length > MAX_REMINDERS || !input.reminderHours.every(isHours)) {
+      return { error: `reminderHours must be a list of at most ${MAX_REMINDERS} whole numbers of hours between 1 and ${MAX_SLA_HOURS}` };
+    }
+    values.reminderHours = [...new Set(input.reminderHours)].sort((a, b) => a - b);
+  }
+
+  if (input.escalateTo !== undefined) {
+    if (!ESCALATION_TARGETS.includes(input.escalateTo)) {
+      return { error: `escalateTo must be one of: ${ESCALATION_TARGETS.join(', ')}` };
+    }
+    values.escalateTo = input.escalateTo;
+  }
+
+  return { values };
+};
+
+/**
+ * Response deadline of a request sent now
+ * @param {object} sla - Result of getSlaSettings
+ * @param {Date} [from] - When the request was sent
+ * @returns {Date}
+ */
+const getDueAt = (sla, from = new Date()) => new Date(from.getTime() + sla.responseHours * HOUR_MS);
+
+const getStudentAndItem = async (verification) => {
+  const item = await getItemModel(verification.itemType).findById(verification.itemId).populate('userId', 'name email institute');
+  return { item, student: item && item.userId };
+};
+
+/**
+ * Email the verifier a reminder of a pending request and log it
+ * @param {object} verification - PENDING Verification
+ * @param {object} [options]
+ * @param {string} [options.actorEmail] - Who asked for the reminder (scheduled reminders use "system")
+ * @param {string} [options.targetEmail] - Send to another address than the verifier's
+ * @param {boolean} [options.scheduled] - Sent by the SLA schedule rather than on demand
+ * @returns {Promise<boolean>} Whether the email was queued
+ */
+const sendVerificationReminder = async (verification, { actorEmail = SYSTEM_ACTOR, targetEmail, scheduled = false } = {}) => {
+  const { item, student } = await getStudentAndItem(verification);
+  if (!item || !student) return false;
+
+  const recipient = targetEmail || verification.verifierEmail;
+  const sent = await sendVerificationReminderEmail(
+    recipient,
+    verification.token,
+    getItemTitle(item),
+    student.name,
+    verification.itemType,
+    verification.dueAt
+  );
+
+  if (!sent) return false;
+
+  await Verification.updateOne(
+    { _id: verification._id },
+    { $set: { 'reminders.lastSentAt': new Date() }, ...(!scheduled && { $inc: { 'reminders.manual': 1 } }) }
+  );
+
+  await new VerificationLog({
+    verificationId: verification._id,
+    action: scheduled ? 'REMINDER_SENT' : 'EMAIL_RESENT',
+    actorEmail,
+    metadata: { targetEmail: recipient, originalEmail: verification.verifierEmail, dueAt: verification.dueAt }
+  }).save();
+
+  return true;
+};
+
+// Requests nobody answered in time are kept as EXPIRED instead of being deleted
+const expireVerifications = async (now) => {
+  const candidates = await Verification.find({ status: 'PENDING', expiresAt: { $lte: now } })
+    .select('-token')
+    .limit(BATCH_SIZE);
+
+  let expired = 0;
+
+  for (const verification of candidates) {
+    const claimed = await Verification.updateOne(
+      { _id: verification._id, status: 'PENDING' },
+      { status: 'EXPIRED', expiredAt: now }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    expired++;
+
+    await new VerificationLog({
+      verificationId: verification._id,
+      action: 'EXPIRED',
+      actorEmail: SYSTEM_ACTOR,
+      metadata: { verifierEmail: verification.verifierEmail, expiresAt: verification.expiresAt }
+    }).save();
+
+    const { item, student } = await getStudentAndItem(verification);
+    if (item && student) {
+      await notify({
+        userId: student._id,
+        type: 'VERIFICATION_DECIDED',
+        title: `Verification request expired: ${getItemTitle(item)}`,
+        message: `${verification.verifierEmail} did not respond to your request to verify "${getItemTitle(item)}" in time. You can send a new request.`,
+        link: '/portfolio',
+        data: { verificationId: verification._id, itemType: verification.itemType, itemId: item._id, status: 'EXPIRED' }
+      });
+    }
+  }
+
+  return expired;
+};
+
+// Pending requests of institutions with SLA tracking, with each institution's settings
+const getTrackedRequests = async (query) => {
+  const verifications = await Verification.find({
+    status: 'PENDING',
+    institution: { $ne: null },
+    ...query
+  }).limit(BATCH_SIZE);
+
+  const names = [...new Set(verifications.map(verification => verification.institution))];
+  const institutions = await Institution.find({ name: { $in: names } }).select('name settings.verificationSla');
+  const settings = new Map(names.map(name => [name, getSlaSettings(institutions.find(entry => entry.name === name))]));
+
+  return verifications.map(verification => ({ verification, sla: settings.get(verification.institution) }));
+};
+
+// Send the reminders that fell due; a reminder missed while the job did not run is not sent twice
+const sendDueReminders = async (now) => {
+  const tracked = await getTrackedRequests({ expiresAt: { $gt: now } });
+  let reminded = 0;
+
+  for (const { verification, sla } of tracked) {
+    const sentAt = (verification.submittedAt || verification.createdAt).getTime();
+    const due = sla.reminderHours.filter(hours => sentAt + hours * HOUR_MS <= now.getTime()).length;
+    const done = (verification.reminders && verification.reminders.scheduled) || 0;
+    if (due <= done) continue;
+
+    // Claim the slot first so concurrent runs do not remind twice
+    const claimed = await Verification.updateOne(
+      { _id: verification._id, status: 'PENDING', 'reminders.scheduled': done || { $in: [0, null] } },
+      { 'reminders.scheduled': due }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    if (await sendVerificationReminder(verification, { scheduled: true })) {
+      reminded++;
+    }
+  }
+
+  return reminded;
+};
+
+// Hand an overdue request to another verifier; the original is kept as REASSIGNED
+const reassignVerification = async (verification, verifier, sla, now) => {
+  const replacement = await new Verification({
+    itemId: verification.itemId,
+    itemType: verification.itemType,
+    studentId: verification.studentId,
+    institution: verification.institution,
+    verifierEmail: verifier.email,
+    token: generateVerificationToken(),
+    endorsementGroup: verification.endorsementGroup,
+    quorum: verification.quorum,
+    routing: verification.routing,
+    evidence: verification.evidence,
+    dueAt: getDueAt(sla, now),
+    escalation: { escalatedFrom: verification._id }
+  }).save();
+
+  await Verification.updateOne(
+    { _id: verification._id },
+    { status: 'REASSIGNED', 'escalation.replacedBy': replacement._id }
+  );
+
+  await VerificationLog.insertMany([
+    {
+      verificationId: verification._id,
+      action: 'REASSIGNED',
+      actorEmail: SYSTEM_ACTOR,
+      metadata: { from: verification.verifierEmail, to: verifier.email, replacedBy: replacement._id }
+    },
+    {
+      verificationId: replacement._id,
+      action: 'CREATED',
+      actorEmail: SYSTEM_ACTOR,
+      metadata: { verifierEmail: verifier.email, verifierName: verifier.name, escalatedFrom: verification._id }
+    }
+  ]);
+
+  const { item, student } = await getStudentAndItem(verification);
+  if (item && student) {
+    await notify({
+      userId: verifier._id,
+      type: 'VERIFICATION_REQUESTED',
+      title: 'New verification request',
+      message: `${student.name} needs their ${verification.itemType.toLowerCase()} "${getItemTitle(item)}" verified. It was reassigned to you because it was not answered in time.`,
+      link: `/verify/${replacement.token}`,
+      data: { verificationId: replacement._id, itemType: replacement.itemType, itemId: replacement.itemId },
+      sendEmail: () => sendVerificationEmail(
+        verifier.email,
+        replacement.token,
+        getItemTitle(item),
+        student.name,
+        verification.itemType
+      )
+    });
+  }
+
+  return replacement;
+};
+
+// Tell the institute admins who can see verifications which requests breached the SLA
+const notifyInstituteAdmins = async (institution, escalations) => {
+  const admins = await InstituteAdmin.find({ institution, isActive: true });
+
+  for (const admin of admins) {
+    const access = await resolveAdminAccess(admin);
+    if (!('verifications.read' in access)) continue;
+
+    await sendVerificationEscalatedEmail(admin.email, institution, escalations);
+  }
+};
+
+// Escalate requests past their response deadline, once each
+const escalateOverdueVerifications = async (now) => {
+  const tracked = await getTrackedRequests({
+    dueAt: { $lte: now },
+    expiresAt: { $gt: now },
+    'escalation.escalatedAt': null
+  });
+
+  const byInstitution = new Map();
+  const result = { escalated: 0, reassigned: 0 };
+
+  for (const { verification, sla } of tracked) {
+    if (sla.escalateTo === 'NONE') continue;
+
+    const claimed = await Verification.updateOne(
+      { _id: verification._id, status: 'PENDING', 'escalation.escalatedAt': null },
+      { 'escalation.escalatedAt': now, 'escalation.target': sla.escalateTo }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    result.escalated++;
+
+    const { item, student } = await getStudentAndItem(verification);
+    let replacement = null;
+
+    if (sla.escalateTo === 'ALTERNATE_VERIFIER') {
+      // Nobody already asked to endorse the item, and never the student
+      const group = verification.endorsementGroup
+        ? await Verification.find({ endorsementGroup: verification.endorsementGroup }).select('verifierEmail')
+        : [verification];
+      const endorsers = await User.find({ email: { $in: group.map(entry => entry.verifierEmail) } }).select('_id');
+      const exclude = [...endorsers.map(user => user._id), ...(student ? [student._id] : [])];
+
+      const verifier = await findAlternateVerifier(verification, verification.institution, exclude);
+      if (verifier) {
+        replacement = await reassignVerification(verification, verifier, sla, now);
+        result.reassigned++;
+      }
+    }
+
+    await new VerificationLog({
+      verificationId: verification._id,
+      action: 'ESCALATED',
+      actorEmail: SYSTEM_ACTOR,
+      metadata: {
+        target: sla.escalateTo,
+        dueAt: verification.dueAt,
+        ...(replacement && { reassignedTo: replacement.verifierEmail })
+      }
+    }).save();
+
+    await recordAuditEvent({
+      action: 'VERIFICATION_ESCALATED',
+      actor: { type: 'SYSTEM' },
+      target: { type: 'VERIFICATION', id: verification._id, label: item ? getItemTitle(item) : undefined },
+      institution: verification.institution,
+      metadata: {
+        target: sla.escalateTo,
+        verifierEmail: verification.verifierEmail,
+        dueAt: verification.dueAt,
+        reassignedTo: replacement ? replacement.verifierEmail : undefined
+      }
+    });
+
+    if (!byInstitution.has(verification.institution)) byInstitution.set(verification.institution, []);
+    byInstitution.get(verification.institution).push({
+      itemTitle: item ? getItemTitle(item) : 'Item',
+      studentName: student ? student.name : '',
+      verifierEmail: verification.verifierEmail,
+      dueAt: verification.dueAt,
+      ...(replacement && { reassignedTo: replacement.verifierEmail })
+    });
+  }
+
+  // Admins hear about every breach, including the ones handed to another verifier
+  for (const [institution, escalations] of byInstitution) {
+    await notifyInstituteAdmins(institution, escalations);
+  }
+
+  return result;
+};
+
+let ttlIndexChecked = false;
+
+// Requests used to be deleted by a TTL index on expiresAt; replace it with a plain index once
+const removeExpiryTtlIndex = async () => {
+  if (ttlIndexChecked) return;
+
+  try {
+    const indexes = await Verification.collection.indexes();
+    const ttl = indexes.find(index => index.key.expiresAt === 1 && index.expireAfterSeconds !== undefined);
+
+    if (ttl) {
+      await Verification.collection.dropIndex(ttl.name);
+      await Verification.collection.createIndex({ expiresAt: 1 });
+      console.log('Removed the TTL index on verifications.expiresAt');
+    }
+  } catch (error) {
+    // The collection does not exist yet
+    if (error.codeName !== 'NamespaceNotFound') throw error;
+  }
+
+  ttlIndexChecked = true;
+};
+
+/**
+ * Run the scheduled SLA steps: expire unanswered requests, send due reminders
+ * and escalate requests past their response deadline
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<object>} { expired, reminded, escalated, reassigned }
+ */
+const processVerificationSla = async (now = new Date()) => {
+  await removeExpiryTtlIndex();
+
+  const expired = await expireVerifications(now);
+  const reminded = await sendDueReminders(now);
+  const { escalated, reassigned } = await escalateOverdueVerifications(now);
+
+  return { expired, reminded, escalated, reassigned };
+};
+
+const toHours = (ms) => Math.round((ms / HOUR_MS) * 10) / 10;
+
+/**
+ * Response times of an institution's verification requests against its SLA
+ * @param {object} params
+ * @param {string} params.institution - Institution name
+ * @param {Date} [params.from] - Only requests sent from this date
+ * @param {Date} [params.to] - Only requests sent until this date
+ * @param {string[]} [params.studentIds] - Only requests of these students (department-scoped admins)
+ * @returns {Promise<object>} { sla, summary, verifiers, overdue }
+ */
+const buildSlaReport = async ({ institution, from, to, studentIds }) => {
+  const now = new Date();
+  const query = { institution };
+  if (from || to) {
+    query.createdAt = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+  if (studentIds) {
+    query.studentId = { $in: studentIds };
+  }
+
+  const emptyStats = () => ({
+    total: 0,
+    pending: 0,
+    responded: 0,
+    respondedOnTime: 0,
+    breached: 0,
+    overdue: 0,
+    escalated: 0,
+    reassigned: 0,
+    expired: 0,
+    reminders: 0,
+    responseMs: 0
+  });
+
+  const summary = { ...emptyStats(), byStatus: {} };
+  const verifiers = new Map();
+  const overdue = [];
+
+  const cursor = Verification.find(query)
+    .select('itemId itemType verifierEmail status createdAt actedAt dueAt expiresAt escalation reminders')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const verification of cursor) {
+    if (!verifiers.has(verification.verifierEmail)) verifiers.set(verification.verifierEmail, emptyStats());
+    const stats = [summary, verifiers.get(verification.verifierEmail)];
+    const count = (field, amount = 1) => stats.forEach(entry => { entry[field] += amount; });
+
+    summary.byStatus[verification.status] = (summary.byStatus[verification.status] || 0) + 1;
+    count('total');
+
+    const reminders = verification.reminders || {};
+    count('reminders', (reminders.scheduled || 0) + (reminders.manual || 0));
+    if (verification.escalation && verification.escalation.escalatedAt) count('escalated');
+    if (verification.status === 'REASSIGNED') count('reassigned');
+    if (verification.status === 'EXPIRED') count('expired');
+
+    const pastDue = verification.dueAt && verification.dueAt < now;
+
+    if (verification.actedAt) {
+      count('responded');
+      count('responseMs', verification.actedAt - verification.createdAt);
+      if (verification.dueAt && verification.actedAt <= verification.dueAt) count('respondedOnTime');
+      if (verification.dueAt && verification.actedAt > verification.dueAt) count('breached');
+    } else if (verification.status === 'PENDING' && verification.expiresAt > now) {
+      count('pending');
+      if (pastDue) {
+        count('overdue');
+        count('breached');
+        overdue.push({
+          _id: verification._id,
+          itemType: verification.itemType,
+          itemId: verification.itemId,
+          verifierEmail: verification.verifierEmail,
+          createdAt: verification.createdAt,
+          dueAt: verification.dueAt,
+          escalatedAt: verification.escalation && verification.escalation.escalatedAt
+        });
+      }
+    } else if (['EXPIRED', 'REASSIGNED'].includes(verification.status) && verification.dueAt) {
+      count('breached');
+    }
+  }
+
+  const describe = ({ responseMs, ...stats }) => ({
+    ...stats,
+    averageResponseHours: stats.responded > 0 ? toHours(responseMs / stats.responded) : null,
+    onTimeRate: stats.responded > 0 ? Math.round((stats.respondedOnTime / stats.responded) * 1000) / 10 : null
+  });
+
+  return {
+    sla: await getInstitutionSla(institution),
+    summary: describe(summary),
+    verifiers: [...verifiers.entries()]
+      .map(([verifierEmail, stats]) => ({ verifierEmail, ...describe(stats) }))
+      .sort((a, b) => b.breached - a.breached || b.total - a.total),
+    overdue: overdue.sort((a, b) => a.dueAt - b.dueAt)
+  };
+};
+
+module.exports = {
+  DEFAULT_SLA,
+  getSlaSettings,
+  getInstitutionSla,
+  validateSlaSettings,
+  getDueAt,
+  sendVerificationReminder,
+  processVerificationSla,
+  buildSlaReport
+};
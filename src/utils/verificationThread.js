@@ -0,0 +1,139 @@
+const Verification = require('../models/Verification');
+const VerificationLog = require('../models/VerificationLog');
+const User = require('../models/User');
+const { notify } = require('./notifications');
+const { getItemTitle } = require('./verificationLifecycle');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Requests still under review; only these can be discussed
+const getOpenRequestFilter = (now = new Date()) => ({
+  $or: [
+    { status: 'CHANGES_REQUESTED' },
+    { status: 'PENDING', expiresAt: { $gt: now } }
+  ]
+});
+
+// Returns an error message, or null when the text can be posted
+const validateMessageText = (text) => {
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_MESSAGE_LENGTH) {
+    return `Message text is required and must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Tell the other side of the conversation about a new entry
+const notifyCounterpart = async (verification, item, entry) => {
+  const itemTitle = getItemTitle(item);
+  const data = {
+    verificationId: verification._id,
+    itemType: verification.itemType,
+    itemId: verification.itemId,
+    messageId: entry._id,
+    status: verification.status
+  };
+
+  if (entry.authorRole === 'VERIFIER') {
+    await notify({
+      userId: item.userId._id || item.userId,
+      type: 'VERIFICATION_DECIDED',
+      title: `New message from your verifier: ${itemTitle}`,
+      message: `${entry.authorName || entry.authorEmail} wrote about your ${verification.itemType.toLowerCase()} "${itemTitle}": ${entry.text}`,
+      link: '/portfolio',
+      data
+    });
+    return;
+  }
+
+  // Verifiers without an account only follow the conversation through their email link
+  const verifier = await User.findOne({ email: verification.verifierEmail }).select('_id');
+  if (!verifier) return;
+
+  await notify({
+    userId: verifier._id,
+    type: 'VERIFICATION_REQUESTED',
+    title: entry.kind === 'ITEM_EDITED' ? `Item edited: ${itemTitle}` : `New message: ${itemTitle}`,
+    message: entry.kind === 'ITEM_EDITED'
+      ? `${entry.authorName || entry.authorEmail} edited "${itemTitle}" while your review is open (${entry.text})`
+      : `${entry.authorName || entry.authorEmail} replied on "${itemTitle}": ${entry.text}`,
+    link: `/verify/${verification.token}`,
+    data
+  });
+};
+
+/**
+ * Post a message to the conversation of an open verification request,
+ * log it and notify the other side
+ * @param {object} params
+ * @param {object} params.verification - Verification document (saved by this function)
+ * @param {object} params.item - Item under review; userId may be populated
+ * @param {string} params.authorRole - VERIFIER or STUDENT
+ * @param {string} params.authorEmail - Email of the author
+ * @param {string} [params.authorName] - Display name of the author
+ * @param {string} params.text - Message text, validated with validateMessageText
+ * @returns {Promise<object>} The stored message
+ */
+const postVerificationMessage = async ({ verification, item, authorRole, authorEmail, authorName, text }) => {
+  verification.messages.push({ authorRole, authorEmail, authorName, text: text.trim() });
+  const entry = verification.messages[verification.messages.length - 1];
+  await verification.save();
+
+  await new VerificationLog({
+    verificationId: verification._id,
+    action: 'MESSAGE_POSTED',
+    actorEmail: authorEmail,
+    metadata: { messageId: entry._id, authorRole, text: entry.text }
+  }).save();
+
+  await notifyCounterpart(verification, item, entry);
+
+  return entry;
+};
+
+/**
+ * Record a student's edit of an item in the conversation of its open verification requests
+ * @param {object} params
+ * @param {string} params.itemType - EXPERIENCE, EDUCATION or PROJECT
+ * @param {object} params.item - Item after the edit
+ * @param {string[]} params.changedFields - Material fields that changed
+ * @param {object} params.user - The student
+ * @returns {Promise<number>} Number of requests the edit was recorded on
+ */
+const noteItemEdited = async ({ itemType, item, changedFields, user }) => {
+  const verifications = await Verification.find({
+    itemType,
+    itemId: item._id,
+    ...getOpenRequestFilter()
+  });
+
+  for (const verification of verifications) {
+    verification.messages.push({
+      authorRole: 'STUDENT',
+      authorEmail: user.email,
+      authorName: user.name,
+      kind: 'ITEM_EDITED',
+      text: `Edited ${changedFields.join(', ')}`
+    });
+    const entry = verification.messages[verification.messages.length - 1];
+    await verification.save();
+
+    await new VerificationLog({
+      verificationId: verification._id,
+      action: 'ITEM_EDITED',
+      actorEmail: user.email,
+      metadata: { messageId: entry._id, changedFields }
+    }).save();
+
+    await notifyCounterpart(verification, item, entry);
+  }
+
+  return verifications.length;
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  getOpenRequestFilter,
+  validateMessageText,
+  postVerificationMessage,
+  noteItemEdited
+};